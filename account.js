@@ -0,0 +1,123 @@
+// server/account.js
+const JSZip = require('jszip');
+const { isTemplate, getTemplate } = require('./templates');
+const { resolveRenderOptions } = require('./renderPdf');
+const { mergeValues, fillCoverLetter } = require('./coverLetterTemplate');
+
+// Records that belong to a user through `userId`, besides documents
+const OWNED_COLLECTIONS = ['folders', 'masters', 'blocks', 'coverLetterTemplates', 'apiKeys'];
+
+// The markdown of a document that goes into the export, and the file each one becomes
+const EXPORT_SECTIONS = [
+  { field: 'resumeMarkdown', file: 'resume', pdf: true },
+  { field: 'coverLetterMarkdown', file: 'cover-letter', pdf: true },
+  { field: 'notes', file: 'notes', pdf: false },
+];
+
+// The folder of a document in the export: "Company - Position (id)", safe as a zip path
+function documentFolder(doc) {
+  const title = [doc.companyName, doc.positionName]
+    .filter(Boolean)
+    .join(' - ')
+    .replace(/[^\w .,&()-]+/g, '-')
+    .trim()
+    .slice(0, 80);
+  return `documents/${title ? `${title} (${doc.id})` : doc.id}`;
+}
+
+// A share as exported: its settings and counters, without the password hash
+const exportedShare = ({ id, passwordHash, ...share }) => ({ shareToken: id, ...share, hasPassword: !!passwordHash });
+
+const json = value => JSON.stringify(value, null, 2);
+
+// Everything stored for `userId`, as a zip buffer:
+//   manifest.json                    when and what was exported, and any PDFs that failed
+//   account.json                     pipeline, folders, master resumes, blocks, cover letter templates
+//                                    and API keys (without their hashes)
+//   shares.json, share-activity.json share links of the documents and their access log
+//   documents/<folder>/document.json the document's fields, revision history and comments
+//   documents/<folder>/*.md, *.pdf   resume, cover letter and notes; PDFs rendered with the
+//                                    document's template through `render(markdown, template, options)`
+// With `pdfs: false` no PDFs are rendered. A PDF that fails to render is listed in the
+// manifest rather than failing the whole export.
+async function exportAccount(storage, userId, { render, pdfs = true }) {
+  const zip = new JSZip();
+  const failedPdfs = [];
+
+  const documents = await storage.documents.list(userId);
+  for (const doc of documents) {
+    const folder = documentFolder(doc);
+    const [revisions, comments] = await Promise.all([
+      storage.revisions.list(doc.id),
+      storage.comments.list(doc.id),
+    ]);
+    zip.file(`${folder}/document.json`, json({ ...doc, revisions, comments }));
+
+    // Documents still naming a template that was removed get the default one
+    const template = getTemplate(isTemplate(doc.template) ? doc.template : null);
+    for (const { field, file, pdf } of EXPORT_SECTIONS) {
+      if (!doc[field]) continue;
+      zip.file(`${folder}/${file}.md`, doc[field]);
+      if (!pdf || !pdfs) continue;
+      try {
+        const markdown = field === 'coverLetterMarkdown' ? fillCoverLetter(doc[field], mergeValues(doc)) : doc[field];
+        zip.file(`${folder}/${file}.pdf`, await render(markdown, template, resolveRenderOptions({}, template)));
+      } catch (error) {
+        failedPdfs.push({ documentId: doc.id, file: `${folder}/${file}.pdf`, message: error.message });
+      }
+    }
+  }
+
+  const account = { pipeline: await storage.pipelines.get(userId) };
+  for (const name of OWNED_COLLECTIONS) {
+    account[name] = (await storage[name].list(userId)).map(({ keyHash, ...record }) => record);
+  }
+  zip.file('account.json', json(account));
+
+  const shares = await storage.shares.listByUser(userId);
+  zip.file('shares.json', json(shares.map(exportedShare)));
+  zip.file('share-activity.json', json(await storage.shareEvents.list(userId)));
+
+  zip.file('manifest.json', json({
+    userId,
+    exportedAt: new Date(),
+    documents: documents.length,
+    shares: shares.length,
+    pdfs,
+    failedPdfs,
+  }));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// Delete everything stored for `userId` and return how many records of each kind went.
+// Share links go first so they stop working right away; documents take their revisions,
+// comments and search entries with them (see storage/index.js). Running it again after a
+// partial failure finishes the job.
+async function deleteAccountData(storage, userId) {
+  const shares = await storage.shares.listByUser(userId);
+  await storage.shares.deleteMany(shares.map(share => share.id));
+  const shareEvents = await storage.shareEvents.deleteByOwner(userId);
+
+  const documents = await storage.documents.list(userId);
+  await storage.documents.bulkDelete(documents.map(doc => doc.id), { userId });
+  // Index entries left behind by documents deleted before the index was cleaned up with them
+  await storage.searchIndex.deleteMany(await storage.searchIndex.listIds(userId));
+
+  const deleted = { documents: documents.length, shares: shares.length, shareEvents };
+  for (const name of OWNED_COLLECTIONS) {
+    const records = await storage[name].list(userId);
+    for (const record of records) {
+      await storage[name].delete(record.id);
+    }
+    deleted[name] = records.length;
+  }
+  await storage.pipelines.delete(userId);
+
+  return deleted;
+}
+
+module.exports = {
+  exportAccount,
+  deleteAccountData,
+};
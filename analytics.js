@@ -0,0 +1,152 @@
+// server/analytics.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 500;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+const ratio = (part, whole) => (whole ? round(part / whole, 4) : null);
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Monday 00:00 UTC of the week `date` falls in
+function weekStart(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const offset = (day.getUTCDay() + 6) % 7;
+  return new Date(day.getTime() - offset * DAY_MS);
+}
+
+// When a document counts as sent: the first time it reached `appliedStage`. Documents from before
+// stage dates were recorded only know their current status, so those fall back to the creation date.
+function appliedAt(doc, appliedStage) {
+  if (doc.stageDates) return doc.stageDates[appliedStage] || null;
+  return doc.status === appliedStage ? doc.createdAt || null : null;
+}
+
+// Aggregate the user's documents. `appliedStage` and `interviewStage` name the pipeline stages
+// the application and interview figures are measured from (Applied and Interviewing by default).
+// `since`/`until` limit the documents to those created in that range.
+function summarize(documents, pipeline, {
+  now = new Date(), weeks = 12, since, until, appliedStage = 'Applied', interviewStage = 'Interviewing',
+} = {}) {
+  const docs = documents.filter(doc => {
+    const createdAt = doc.createdAt || null;
+    if (since && (!createdAt || createdAt < since)) return false;
+    if (until && (!createdAt || createdAt > until)) return false;
+    return true;
+  });
+  const stageNames = pipeline.stages.map(stage => stage.name);
+
+  // Counts by status, in pipeline order, then any statuses the pipeline no longer has
+  const byStatus = {};
+  stageNames.forEach(name => { byStatus[name] = 0; });
+  docs.forEach(doc => {
+    const status = doc.status || 'Unknown';
+    byStatus[status] = (byStatus[status] || 0) + 1;
+  });
+
+  // Counts by company, biggest first
+  const companies = new Map();
+  docs.forEach(doc => {
+    const name = (doc.companyName || '').trim() || 'Unknown';
+    const entry = companies.get(name.toLowerCase()) || { companyName: name, count: 0, statuses: {} };
+    entry.count++;
+    entry.statuses[doc.status] = (entry.statuses[doc.status] || 0) + 1;
+    companies.set(name.toLowerCase(), entry);
+  });
+  const byCompany = [...companies.values()].sort((a, b) => b.count - a.count || a.companyName.localeCompare(b.companyName));
+
+  // Applications per week over the last `weeks` weeks, including empty weeks
+  const currentWeek = weekStart(now).getTime();
+  const applicationsPerWeek = [];
+  for (let i = weeks - 1; i >= 0; i--) {
+    applicationsPerWeek.push({ weekStart: new Date(currentWeek - i * WEEK_MS), count: 0 });
+  }
+  docs.forEach(doc => {
+    const sentAt = appliedAt(doc, appliedStage);
+    if (!sentAt) return;
+    const index = weeks - 1 - Math.round((currentWeek - weekStart(sentAt).getTime()) / WEEK_MS);
+    if (index >= 0 && index < weeks) applicationsPerWeek[index].count++;
+  });
+
+  // Conversion between stages: of the documents that reached a stage, the share that moved
+  // on to each of the stages it allows
+  const reached = {};
+  const moved = {};
+  docs.forEach(doc => {
+    Object.keys(doc.stageDates || {}).forEach(name => { reached[name] = (reached[name] || 0) + 1; });
+    const pairs = new Set((doc.statusHistory || []).filter(entry => entry.from).map(entry => `${entry.from}\u0000${entry.to}`));
+    pairs.forEach(pair => { moved[pair] = (moved[pair] || 0) + 1; });
+  });
+  const conversionRates = [];
+  pipeline.stages.forEach(stage => {
+    stage.transitions.forEach(to => {
+      const count = moved[`${stage.name}\u0000${to}`] || 0;
+      conversionRates.push({ from: stage.name, to, count, reached: reached[stage.name] || 0, rate: ratio(count, reached[stage.name] || 0) });
+    });
+  });
+
+  // Days from application to the first interview
+  const daysToInterview = docs
+    .filter(doc => doc.stageDates && appliedAt(doc, appliedStage) && doc.stageDates[interviewStage])
+    .map(doc => (doc.stageDates[interviewStage] - appliedAt(doc, appliedStage)) / DAY_MS)
+    .filter(days => days >= 0);
+
+  // Response rate: applications that heard back, i.e. moved on from the applied stage to any
+  // stage further down the pipeline (an interview, an offer or a rejection)
+  const appliedIndex = stageNames.indexOf(appliedStage);
+  const laterStages = new Set(appliedIndex === -1 ? [] : stageNames.slice(appliedIndex + 1));
+  const applied = docs.filter(doc => appliedAt(doc, appliedStage));
+  const responded = applied.filter(doc => Object.keys(doc.stageDates || {}).some(name => laterStages.has(name)));
+
+  return {
+    totalDocuments: docs.length,
+    byStatus,
+    byCompany,
+    applicationsPerWeek,
+    conversionRates,
+    medianDaysToInterview: daysToInterview.length ? round(median(daysToInterview), 1) : null,
+    responseRate: ratio(responded.length, applied.length),
+    applied: applied.length,
+    responded: responded.length,
+  };
+}
+
+// Cache of computed summaries. An entry is reused while the `generation` of the user's data
+// it was computed for (storage.generation) is still current and it is younger than the TTL.
+function createSummaryCache({ ttlMs = CACHE_TTL_MS, maxEntries = CACHE_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+  return {
+    get(key, generation) {
+      const entry = entries.get(key);
+      if (!entry || entry.generation !== generation || Date.now() - entry.storedAt > ttlMs) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    set(key, generation, value) {
+      entries.delete(key);
+      entries.set(key, { generation, value, storedAt: Date.now() });
+      // Maps keep insertion order, so the first key is the oldest entry
+      if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+
+    // Drop every entry whose key passes `test`
+    deleteWhere(test) {
+      [...entries.keys()].filter(test).forEach(key => entries.delete(key));
+    },
+  };
+}
+
+module.exports = {
+  summarize,
+  createSummaryCache,
+};
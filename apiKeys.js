@@ -0,0 +1,87 @@
+// server/apiKeys.js
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+
+// Personal API keys, for scripts and the CLI. A key is "rfk_<id>_<secret>": the id finds the
+// stored record, which keeps only a SHA-256 hash of the secret. Keys are random enough that
+// a fast hash is fine.
+const KEY_PREFIX = 'rfk';
+const KEY_PATTERN = new RegExp(`^${KEY_PREFIX}_([A-Za-z0-9]+)_([\\w-]+)$`);
+const MAX_API_KEYS = 20;
+const MAX_KEY_NAME_LENGTH = 100;
+// lastUsedAt is written at most this often per key, not on every request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// What a key may do, by scope. Keys can never manage API keys or delete the account:
+// those routes need a signed-in session (requireSession in authMiddleware.js).
+const PDF_ROUTE = /^\/api\/(generate-pdf|pdf-jobs)(\/|$)/;
+const SCOPES = {
+  // Any GET request: documents, shares, analytics, exports...
+  read: req => req.method === 'GET' || req.method === 'HEAD',
+  // Everything else a signed-in user can do
+  write: () => true,
+  // Rendering PDFs and polling render jobs
+  pdf: req => PDF_ROUTE.test(`${req.baseUrl}${req.path}`),
+};
+
+const hashSecret = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+const isApiKey = token => token.startsWith(`${KEY_PREFIX}_`);
+
+// A new key for `userId`: the record to store and the secret to hand out once, with formatApiKey
+function newApiKey(userId, { name, scopes, expiresInDays }) {
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const record = {
+    userId,
+    name: name.trim(),
+    scopes: [...new Set(scopes)],
+    keyHash: hashSecret(secret),
+    // The last characters, so the user can tell keys apart
+    hint: secret.slice(-4),
+    createdAt: new Date(),
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+    lastUsedAt: null,
+  };
+  return { record, secret };
+}
+
+const formatApiKey = (id, secret) => `${KEY_PREFIX}_${id}_${secret}`;
+
+// What the API shows of a key: never the hash
+function apiKeySummary({ keyHash, userId, ...key }) {
+  return key;
+}
+
+// The stored key for `token` if it is valid and not expired; a 403 otherwise
+async function verifyApiKey(storage, token) {
+  const invalid = message => httpError(403, message, { code: 'invalid_token' });
+  const match = KEY_PATTERN.exec(token);
+  const key = match && await storage.apiKeys.get(match[1]);
+  if (!key) throw invalid('Unauthorized: Invalid API key.');
+
+  const expected = Buffer.from(key.keyHash, 'hex');
+  const actual = Buffer.from(hashSecret(match[2]), 'hex');
+  if (!crypto.timingSafeEqual(actual, expected)) throw invalid('Unauthorized: Invalid API key.');
+  if (key.expiresAt && key.expiresAt <= new Date()) throw invalid('Unauthorized: This API key has expired.');
+
+  if (!key.lastUsedAt || Date.now() - key.lastUsedAt.getTime() > LAST_USED_INTERVAL_MS) {
+    key.lastUsedAt = new Date();
+    await storage.apiKeys.update(key.id, { lastUsedAt: key.lastUsedAt });
+  }
+  return key;
+}
+
+// True if one of the key's scopes allows this request
+const scopeAllows = (scopes, req) => scopes.some(scope => SCOPES[scope] && SCOPES[scope](req));
+
+module.exports = {
+  MAX_API_KEYS,
+  MAX_KEY_NAME_LENGTH,
+  SCOPES,
+  isApiKey,
+  newApiKey,
+  formatApiKey,
+  apiKeySummary,
+  verifyApiKey,
+  scopeAllows,
+};
@@ -0,0 +1,132 @@
+// server/applicationTracker.js
+const { httpError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_STAGES = 20;
+const MAX_NOTE_LENGTH = 1000;
+
+// The pipeline every user starts with: the statuses documents always had, and like before
+// pipelines existed a document can move from any of them to any other. `transitions` are the
+// stages a document can move to next; `followUpDays` schedules a reminder that many days after
+// a document enters the stage.
+const DEFAULT_STAGE_NAMES = ['Draft', 'Applied', 'Interviewing', 'Offer', 'Rejected'];
+const DEFAULT_FOLLOW_UP_DAYS = { Applied: 7, Interviewing: 5, Offer: 3 };
+const DEFAULT_PIPELINE = {
+  stages: DEFAULT_STAGE_NAMES.map(name => ({
+    name,
+    transitions: DEFAULT_STAGE_NAMES.filter(other => other !== name),
+    followUpDays: DEFAULT_FOLLOW_UP_DAYS[name] || null,
+  })),
+};
+
+// Validate a pipeline sent by the user. Returns the cleaned pipeline or throws a 400.
+function validatePipeline(body) {
+  const { stages } = body || {};
+  if (!Array.isArray(stages) || !stages.length || stages.length > MAX_STAGES) {
+    throw httpError(400, `A pipeline needs between 1 and ${MAX_STAGES} stages.`);
+  }
+
+  const names = stages.map(stage => (stage && typeof stage.name === 'string' ? stage.name.trim() : ''));
+  if (names.some(name => !name || name.length > 50)) {
+    throw httpError(400, 'Every stage needs a name of at most 50 characters.');
+  }
+  if (new Set(names).size !== names.length) {
+    throw httpError(400, 'Stage names must be unique.');
+  }
+
+  return {
+    stages: stages.map((stage, index) => {
+      const transitions = stage.transitions || [];
+      if (!Array.isArray(transitions) || transitions.some(name => !names.includes(name))) {
+        throw httpError(400, `Stage "${names[index]}" has transitions to unknown stages.`);
+      }
+      const followUpDays = stage.followUpDays === undefined ? null : stage.followUpDays;
+      if (followUpDays !== null && (!Number.isInteger(followUpDays) || followUpDays < 1 || followUpDays > 365)) {
+        throw httpError(400, `followUpDays of stage "${names[index]}" must be a whole number of days between 1 and 365.`);
+      }
+      return {
+        name: names[index],
+        transitions: [...new Set(transitions.filter(name => name !== names[index]))],
+        followUpDays,
+      };
+    }),
+  };
+}
+
+// Parse a follow-up date from a request: an ISO date string, or null to clear it
+function parseFollowUpAt(value) {
+  if (value === null) return null;
+  const date = typeof value === 'string' ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw httpError(400, 'followUpAt must be an ISO date or null.');
+  }
+  return date;
+}
+
+// Work out the fields to write for a status change of `doc` (pass {} for a new document).
+// Throws a 400 for unknown stages and transitions the pipeline doesn't allow. A document whose
+// current status isn't in the pipeline any more (e.g. after renaming stages) can move to any stage.
+// Returns null when the status doesn't change.
+function statusChange(doc, pipeline, { status, note, followUpAt, now = new Date() }) {
+  const stage = pipeline.stages.find(candidate => candidate.name === status);
+  if (!stage) {
+    throw httpError(400, `Invalid status. Expected one of: ${pipeline.stages.map(candidate => candidate.name).join(', ')}.`);
+  }
+  if (note !== undefined && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    throw httpError(400, `The note must be a string of at most ${MAX_NOTE_LENGTH} characters.`);
+  }
+  if (doc.status === status) {
+    return null;
+  }
+
+  const currentStage = pipeline.stages.find(candidate => candidate.name === doc.status);
+  if (currentStage && !currentStage.transitions.includes(status)) {
+    const allowed = currentStage.transitions.length ? currentStage.transitions.join(', ') : 'none';
+    throw httpError(400, `Cannot move from "${doc.status}" to "${status}". Allowed next stages: ${allowed}.`);
+  }
+
+  const entry = { from: doc.status || null, to: status, at: now };
+  if (note) entry.note = note;
+
+  let nextFollowUpAt = null;
+  if (followUpAt !== undefined) {
+    nextFollowUpAt = parseFollowUpAt(followUpAt);
+  } else if (stage.followUpDays) {
+    nextFollowUpAt = new Date(now.getTime() + stage.followUpDays * DAY_MS);
+  }
+
+  return {
+    status,
+    statusHistory: [...(doc.statusHistory || []), entry],
+    // When each stage was first reached
+    stageDates: { [status]: now, ...(doc.stageDates || {}) },
+    followUpAt: nextFollowUpAt,
+  };
+}
+
+// Documents whose follow-up date has passed, or falls within `withinDays` from now, oldest first
+function dueReminders(documents, { now = new Date(), withinDays = 0 } = {}) {
+  const cutoff = now.getTime() + withinDays * DAY_MS;
+  return documents
+    .filter(doc => doc.followUpAt && doc.followUpAt.getTime() <= cutoff)
+    .sort((a, b) => a.followUpAt - b.followUpAt)
+    .map(doc => ({
+      id: doc.id,
+      companyName: doc.companyName,
+      positionName: doc.positionName,
+      status: doc.status,
+      followUpAt: doc.followUpAt,
+      overdue: doc.followUpAt.getTime() <= now.getTime(),
+      daysOverdue: Math.max(0, Math.floor((now - doc.followUpAt) / DAY_MS)),
+    }));
+}
+
+module.exports = {
+  MAX_STAGES,
+  MAX_NOTE_LENGTH,
+  DEFAULT_PIPELINE,
+  validatePipeline,
+  parseFollowUpAt,
+  statusChange,
+  dueReminders,
+};
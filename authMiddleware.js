@@ -1,24 +1,80 @@
 // server/authMiddleware.js
 const admin = require('firebase-admin');
+const { httpError } = require('./errors');
+const { verifyJwt } = require('./localJwt');
+const { isApiKey, verifyApiKey, scopeAllows } = require('./apiKeys');
 
-const authMiddleware = async (req, res, next) => {
-  const { authorization } = req.headers;
+// How a bearer token that isn't an API key is checked, picked with AUTH_MODE. Each strategy
+// resolves to the token's claims, with `uid`, or rejects with a 403 httpError.
+const SESSION_STRATEGIES = {
+  // Firebase ID tokens from the web app (the default)
+  firebase: () => async idToken => {
+    try {
+      return await admin.auth().verifyIdToken(idToken);
+    } catch (error) {
+      console.error('Error while verifying Firebase ID token:', error);
+      throw httpError(403, 'Unauthorized: Invalid token.', { code: 'invalid_token' });
+    }
+  },
 
-  if (!authorization || !authorization.startsWith('Bearer ')) {
-    return res.status(401).send({ message: 'Unauthorized: No token provided.' });
+  // HS256 JWTs signed with AUTH_JWT_SECRET (see localJwt.js); the user id is the `sub` claim
+  jwt: env => {
+    if (!env.AUTH_JWT_SECRET) {
+      throw new Error('AUTH_MODE=jwt needs AUTH_JWT_SECRET to verify tokens with.');
+    }
+    const options = { issuer: env.AUTH_JWT_ISSUER, audience: env.AUTH_JWT_AUDIENCE };
+    return async token => {
+      const claims = verifyJwt(token, env.AUTH_JWT_SECRET, options);
+      return { ...claims, uid: claims.sub };
+    };
+  },
+};
+
+// Authentication middleware. Sets req.user to { uid, email, authType, scopes, ...claims }
+// whichever way the request signed in:
+//   - an API key ("Bearer rfk_..."): authType 'apiKey', limited to the key's scopes
+//   - a session token, checked by the AUTH_MODE strategy: authType 'firebase' or 'jwt',
+//     scopes null (no limits)
+function createAuthMiddleware({ storage, mode = process.env.AUTH_MODE || 'firebase', env = process.env }) {
+  if (!SESSION_STRATEGIES[mode]) {
+    throw new Error(`Unknown AUTH_MODE "${mode}". Expected one of: ${Object.keys(SESSION_STRATEGIES).join(', ')}.`);
   }
+  const verifySession = SESSION_STRATEGIES[mode](env);
+
+  const authenticate = async req => {
+    const { authorization } = req.headers;
+    if (!authorization || !authorization.startsWith('Bearer ')) {
+      throw httpError(401, 'Unauthorized: No token provided.');
+    }
+    const token = authorization.split('Bearer ')[1];
 
-  const idToken = authorization.split('Bearer ')[1];
+    if (isApiKey(token)) {
+      const key = await verifyApiKey(storage, token);
+      if (!scopeAllows(key.scopes, req)) {
+        throw httpError(403, `This API key (scopes: ${key.scopes.join(', ')}) can't be used for ${req.method} ${req.originalUrl.split('?')[0]}.`, {
+          code: 'insufficient_scope',
+        });
+      }
+      return { uid: key.userId, email: null, authType: 'apiKey', apiKeyId: key.id, scopes: key.scopes };
+    }
 
-  try {
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
+    const claims = await verifySession(token);
+    return { ...claims, uid: claims.uid, email: claims.email || null, authType: mode, scopes: null };
+  };
+
+  return (req, res, next) => authenticate(req).then(user => {
     // Attach user info to the request object
-    req.user = decodedToken; 
-    next(); // Token is valid, proceed to the actual route handler
-  } catch (error) {
-    console.error('Error while verifying Firebase ID token:', error);
-    res.status(403).send({ message: 'Unauthorized: Invalid token.' });
+    req.user = user;
+    next();
+  }, next);
+}
+
+// For routes an API key must not reach even with every scope: managing keys, deleting the account
+function requireSession(req, res, next) {
+  if (req.user.authType === 'apiKey') {
+    return next(httpError(403, 'Sign in to do this; API keys can\'t.', { code: 'session_required' }));
   }
-};
+  next();
+}
 
-module.exports = authMiddleware;
\ No newline at end of file
+module.exports = { createAuthMiddleware, requireSession };
@@ -0,0 +1,184 @@
+// server/contentBlocks.js
+const { httpError } = require('./errors');
+
+// Kinds of reusable blocks and the resume section each one goes into by default.
+// Cover letter paragraphs go into the cover letter instead of a resume section.
+const BLOCK_KINDS = {
+  summary: 'Summary',
+  experience: 'Experience',
+  project: 'Projects',
+  education: 'Education',
+  skills: 'Skills',
+  coverLetterParagraph: null,
+  other: null,
+};
+
+const MAX_BLOCK_LENGTH = 20000;
+
+// Validate a block body for create (`partial` false) or update (`partial` true)
+function validateBlock(body, { partial = false } = {}) {
+  const { kind, title, section, content } = body;
+  const block = {};
+
+  if (kind !== undefined || !partial) {
+    if (!Object.prototype.hasOwnProperty.call(BLOCK_KINDS, kind)) {
+      throw httpError(400, `Invalid block kind. Expected one of: ${Object.keys(BLOCK_KINDS).join(', ')}.`);
+    }
+    block.kind = kind;
+  }
+  if (content !== undefined || !partial) {
+    if (typeof content !== 'string' || !content.trim() || content.length > MAX_BLOCK_LENGTH) {
+      throw httpError(400, `Block content must be a non-empty string of at most ${MAX_BLOCK_LENGTH} characters.`);
+    }
+    block.content = content.trim();
+  }
+  if (title !== undefined) {
+    if (typeof title !== 'string') throw httpError(400, 'Block title must be a string.');
+    block.title = title;
+  }
+  if (section !== undefined && section !== null) {
+    if (typeof section !== 'string' || !section.trim()) throw httpError(400, 'Block section must be a non-empty string.');
+    block.section = section.trim();
+  }
+  if (!partial && block.kind === 'other' && !block.section) {
+    throw httpError(400, 'Blocks of kind "other" need a section.');
+  }
+  return block;
+}
+
+// Validate a master resume body for create (`partial` false) or update (`partial` true)
+function validateMaster(body, { partial = false } = {}) {
+  const { name, resumeMarkdown, coverLetterMarkdown } = body;
+  const master = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) throw httpError(400, 'A master resume needs a name.');
+    master.name = name.trim();
+  }
+  if (resumeMarkdown !== undefined || !partial) {
+    if (typeof resumeMarkdown !== 'string') throw httpError(400, 'resumeMarkdown must be a string.');
+    master.resumeMarkdown = resumeMarkdown;
+  }
+  if (coverLetterMarkdown !== undefined) {
+    if (typeof coverLetterMarkdown !== 'string') throw httpError(400, 'coverLetterMarkdown must be a string.');
+    master.coverLetterMarkdown = coverLetterMarkdown;
+  }
+  return master;
+}
+
+// The resume section a block is placed under
+function sectionOf(block) {
+  return block.section || BLOCK_KINDS[block.kind] || 'Other';
+}
+
+// Everything before the first "## " section: the name and contact line of a master resume
+function headerOf(markdown) {
+  const firstSection = (markdown || '').search(/^##\s/m);
+  return (firstSection === -1 ? markdown || '' : markdown.slice(0, firstSection)).trim();
+}
+
+// Build a document's markdown from a header and picked blocks. Resume blocks are grouped
+// under their section in the order the sections first appear. Returns the markdown plus
+// `blockRefs`, the block content as inserted, which is how later updates find it again.
+function composeFromBlocks({ header, blocks }) {
+  const sections = [];
+  const blockRefs = [];
+  const coverLetterParts = [];
+
+  blocks.forEach(block => {
+    const ref = { blockId: block.id, version: block.version, content: block.content };
+    if (block.kind === 'coverLetterParagraph') {
+      coverLetterParts.push(block.content);
+      blockRefs.push({ ...ref, field: 'coverLetterMarkdown' });
+      return;
+    }
+    const title = sectionOf(block);
+    let section = sections.find(existing => existing.title === title);
+    if (!section) {
+      section = { title, contents: [] };
+      sections.push(section);
+    }
+    section.contents.push(block.content);
+    blockRefs.push({ ...ref, field: 'resumeMarkdown' });
+  });
+
+  const resumeParts = [];
+  if (header) resumeParts.push(header.trim());
+  sections.forEach(section => {
+    resumeParts.push(`## ${section.title}`, ...section.contents);
+  });
+
+  return {
+    resumeMarkdown: resumeParts.length ? `${resumeParts.join('\n\n')}\n` : '',
+    coverLetterMarkdown: coverLetterParts.length ? `${coverLetterParts.join('\n\n')}\n` : '',
+    blockRefs,
+  };
+}
+
+// Block references of a document whose block has changed since it was inserted.
+// `blocksById` maps ids to current blocks; deleted blocks are reported with `deleted: true`.
+function outdatedRefs(doc, blocksById) {
+  return (doc.blockRefs || [])
+    .map(ref => {
+      const block = blocksById[ref.blockId];
+      if (!block) return { ...ref, deleted: true };
+      if (block.version === ref.version) return null;
+      return { ...ref, latestVersion: block.version, latestContent: block.content, title: block.title || '' };
+    })
+    .filter(Boolean);
+}
+
+// Position of `content` in `markdown` as whole lines, or -1. Plain substring matches are not
+// enough: "- JS, Node" must not match a bullet that was edited to "- JS, Node, Go".
+function findBlock(markdown, content) {
+  let index = markdown.indexOf(content);
+  while (index !== -1) {
+    const end = index + content.length;
+    if ((index === 0 || markdown[index - 1] === '\n') && (end === markdown.length || markdown[end] === '\n')) {
+      return index;
+    }
+    index = markdown.indexOf(content, index + 1);
+  }
+  return -1;
+}
+
+// Replace the old block content in the document with the latest version. A block whose
+// text was edited inside the document can't be found any more and is reported as a conflict
+// rather than overwritten.
+function applyBlockUpdates(doc, blocksById, blockIds) {
+  const updates = {
+    resumeMarkdown: doc.resumeMarkdown || '',
+    coverLetterMarkdown: doc.coverLetterMarkdown || '',
+  };
+  const applied = [];
+  const conflicts = [];
+
+  const blockRefs = (doc.blockRefs || []).map(ref => {
+    const block = blocksById[ref.blockId];
+    if (!block || block.version === ref.version || (blockIds && !blockIds.includes(ref.blockId))) {
+      return ref;
+    }
+    const text = updates[ref.field];
+    const index = findBlock(text, ref.content);
+    if (index === -1) {
+      conflicts.push({ blockId: ref.blockId, field: ref.field, reason: 'The block was edited in this document.' });
+      return ref;
+    }
+    updates[ref.field] = text.slice(0, index) + block.content + text.slice(index + ref.content.length);
+    applied.push({ blockId: ref.blockId, field: ref.field, fromVersion: ref.version, toVersion: block.version });
+    return { ...ref, version: block.version, content: block.content };
+  });
+
+  return { updates: { ...updates, blockRefs }, applied, conflicts };
+}
+
+module.exports = {
+  BLOCK_KINDS,
+  MAX_BLOCK_LENGTH,
+  validateMaster,
+  validateBlock,
+  headerOf,
+  composeFromBlocks,
+  outdatedRefs,
+  applyBlockUpdates,
+};
@@ -0,0 +1,139 @@
+// server/coverLetterTemplate.js
+const { httpError } = require('./errors');
+const { parseResume } = require('./resumeParser');
+
+// Placeholders a cover letter can use, and where their values come from
+const MERGE_FIELDS = {
+  companyName: 'The company name of the document',
+  positionName: 'The position name of the document',
+  hiringManager: 'The hiring manager of the document',
+  applicantName: 'The name heading of the resume',
+  today: 'Today\'s date, e.g. "October 19, 2026"',
+};
+
+// {{field}}, {{#if field}}, {{#unless field}}, {{else}}, {{/if}}, {{/unless}}
+const TAG = /\{\{\s*([^{}]*?)\s*\}\}/g;
+const FIELD_NAME = /^[A-Za-z][A-Za-z0-9]*$/;
+
+const lineAt = (text, index) => text.slice(0, index).split('\n').length;
+
+// Block tags alone on their line take the whole line with them, so they leave no blank lines
+function standaloneRange(text, start, end) {
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  const newline = text.indexOf('\n', end);
+  const lineEnd = newline === -1 ? text.length : newline;
+  if (text.slice(lineStart, start).trim() || text.slice(end, lineEnd).trim()) {
+    return { start, end };
+  }
+  return { start: lineStart, end: newline === -1 ? lineEnd : newline + 1 };
+}
+
+// Parse a template into a tree of text, field and conditional nodes.
+// Returns { nodes, errors }; errors are { message, line } and the tree is only usable without them.
+function parseTemplate(text) {
+  const source = text || '';
+  const root = { children: [] };
+  const stack = [{ node: root, branch: 'children' }];
+  const errors = [];
+  const current = () => stack[stack.length - 1];
+  const pushText = value => {
+    if (!value) return;
+    if (value.includes('{{')) {
+      errors.push({ message: 'Unclosed placeholder "{{".', line: lineAt(source, source.indexOf('{{', cursor)) });
+    }
+    current().node[current().branch].push({ type: 'text', value });
+  };
+
+  let cursor = 0;
+  let match;
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source)) !== null) {
+    const tag = match[1];
+    const line = lineAt(source, match.index);
+    const isBlockTag = /^[#/]/.test(tag) || tag === 'else';
+    const range = isBlockTag
+      ? standaloneRange(source, match.index, match.index + match[0].length)
+      : { start: match.index, end: match.index + match[0].length };
+
+    pushText(source.slice(cursor, range.start));
+    cursor = range.end;
+
+    const open = tag.match(/^#(if|unless)\s+(\S+)$/);
+    const close = tag.match(/^\/(if|unless)$/);
+    if (open) {
+      const [, kind, name] = open;
+      if (!Object.prototype.hasOwnProperty.call(MERGE_FIELDS, name)) {
+        errors.push({ message: `Unknown placeholder "${name}" in {{#${kind}}}.`, line });
+      }
+      const node = { type: 'if', negate: kind === 'unless', kind, name, line, children: [], otherwise: [] };
+      current().node[current().branch].push(node);
+      stack.push({ node, branch: 'children' });
+    } else if (close) {
+      const top = current();
+      if (!top.node.kind || top.node.kind !== close[1]) {
+        errors.push({ message: `Unexpected {{/${close[1]}}} without a matching {{#${close[1]}}}.`, line });
+      } else {
+        stack.pop();
+      }
+    } else if (tag === 'else') {
+      const top = current();
+      if (!top.node.kind || top.branch === 'otherwise') {
+        errors.push({ message: 'Unexpected {{else}} outside a conditional block.', line });
+      } else {
+        top.branch = 'otherwise';
+      }
+    } else if (FIELD_NAME.test(tag)) {
+      if (!Object.prototype.hasOwnProperty.call(MERGE_FIELDS, tag)) {
+        errors.push({ message: `Unknown placeholder "{{${tag}}}".`, line });
+      }
+      current().node[current().branch].push({ type: 'field', name: tag });
+    } else {
+      errors.push({ message: `Invalid placeholder "{{${tag}}}".`, line });
+    }
+  }
+  pushText(source.slice(cursor));
+
+  stack.slice(1).forEach(({ node }) => {
+    errors.push({ message: `{{#${node.kind} ${node.name}}} is never closed.`, line: node.line });
+  });
+
+  return { nodes: root.children, errors };
+}
+
+// Values for the merge fields of a document
+function mergeValues(doc, { now = new Date() } = {}) {
+  return {
+    companyName: doc.companyName || '',
+    positionName: doc.positionName || '',
+    hiringManager: doc.hiringManager || '',
+    applicantName: parseResume(doc.resumeMarkdown || '').name || '',
+    today: now.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+  };
+}
+
+function renderNodes(nodes, values) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+    if (node.type === 'field') return values[node.name];
+    const truthy = Boolean(values[node.name] && String(values[node.name]).trim());
+    return renderNodes(truthy !== node.negate ? node.children : node.otherwise, values);
+  }).join('');
+}
+
+// Fill a cover letter's placeholders. A letter with unknown or malformed
+// placeholders is a 400 listing every problem, rather than going out half-filled.
+function fillCoverLetter(text, values) {
+  if (!text || !text.includes('{{')) return text;
+  const { nodes, errors } = parseTemplate(text);
+  if (errors.length) {
+    throw httpError(400, `The cover letter has template errors: ${errors.map(error => `line ${error.line}: ${error.message}`).join(' ')}`);
+  }
+  return renderNodes(nodes, values);
+}
+
+module.exports = {
+  MERGE_FIELDS,
+  parseTemplate,
+  mergeValues,
+  fillCoverLetter,
+};
@@ -0,0 +1,84 @@
+// server/documentOrganization.js
+const { httpError } = require('./errors');
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_BULK_ITEMS = 100;
+
+// What POST /api/documents/bulk can do, and the body fields each action needs
+const BULK_ACTIONS = {
+  setStatus: ['status'],
+  addTags: ['tags'],
+  removeTags: ['tags'],
+  move: ['folderId'],
+  archive: [],
+  unarchive: [],
+  delete: [],
+};
+
+// Tags are lower-cased and trimmed so "Remote" and "remote " are the same tag
+function normalizeTags(tags) {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    throw httpError(400, 'tags must be an array of strings.');
+  }
+  const normalized = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  if (normalized.length > MAX_TAGS || normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    throw httpError(400, `A document can have at most ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters.`);
+  }
+  return normalized;
+}
+
+function validateFolderName(name) {
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+    throw httpError(400, 'A folder needs a name of at most 100 characters.');
+  }
+  return name.trim();
+}
+
+// Validate a bulk request body: { ids, action, ...fields the action needs }
+function validateBulkRequest(body) {
+  const { ids, action } = body;
+  if (!Object.prototype.hasOwnProperty.call(BULK_ACTIONS, action)) {
+    throw httpError(400, `Invalid action. Expected one of: ${Object.keys(BULK_ACTIONS).join(', ')}.`);
+  }
+  if (!Array.isArray(ids) || !ids.length || ids.length > MAX_BULK_ITEMS || ids.some(id => typeof id !== 'string')) {
+    throw httpError(400, `ids must be an array of 1 to ${MAX_BULK_ITEMS} document ids.`);
+  }
+  const missing = BULK_ACTIONS[action].filter(field => body[field] === undefined);
+  if (missing.length) {
+    throw httpError(400, `The ${action} action needs: ${missing.join(', ')}.`);
+  }
+  return { ids: [...new Set(ids)], action };
+}
+
+// The patch a tag, folder or archive action makes to one document (status changes are separate)
+function bulkPatch(doc, action, { tags, folderId, now = new Date() }) {
+  switch (action) {
+    case 'addTags': {
+      const merged = [...new Set([...(doc.tags || []), ...tags])];
+      if (merged.length > MAX_TAGS) throw httpError(400, `A document can have at most ${MAX_TAGS} tags.`);
+      return { tags: merged };
+    }
+    case 'removeTags':
+      return { tags: (doc.tags || []).filter(tag => !tags.includes(tag)) };
+    case 'move':
+      return { folderId };
+    case 'archive':
+      return { archived: true, archivedAt: now };
+    case 'unarchive':
+      return { archived: false, archivedAt: null };
+    default:
+      throw new Error(`No patch for bulk action "${action}".`);
+  }
+}
+
+module.exports = {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  MAX_BULK_ITEMS,
+  BULK_ACTIONS,
+  normalizeTags,
+  validateFolderName,
+  validateBulkRequest,
+  bulkPatch,
+};
@@ -0,0 +1,139 @@
+// server/documentSearch.js
+const { httpError } = require('./errors');
+
+// Fields the document list can be sorted by, and the direction each one defaults to
+const SORT_FIELDS = {
+  createdAt: 'desc',
+  updatedAt: 'desc',
+  companyName: 'asc',
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_INDEX_TERMS = 5000;
+
+// The document fields the search covers
+const SEARCHABLE_FIELDS = ['companyName', 'positionName', 'notes', 'resumeMarkdown', 'coverLetterMarkdown'];
+
+// Lower-case words without accents or markdown punctuation. "c++" and "c#" keep their symbols.
+function searchTerms(text) {
+  return (text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9+#]+/)
+    .map(term => term.replace(/^[+#]+/, ''))
+    .filter(term => term.length > 1);
+}
+
+// The distinct terms a document is indexed under
+function indexTerms(doc) {
+  const terms = new Set();
+  SEARCHABLE_FIELDS.forEach(field => searchTerms(doc[field]).forEach(term => terms.add(term)));
+  return [...terms].slice(0, MAX_INDEX_TERMS);
+}
+
+// Parse the list filters: ?status, ?tag, ?folderId ("none" for documents outside any folder)
+// and ?archived (false by default, "true" for only archived documents, "all" for both)
+function parseFilters(query) {
+  const archived = { undefined: false, false: false, true: true, all: undefined }[query.archived];
+  if (archived === undefined && query.archived !== 'all') {
+    throw httpError(400, 'Invalid archived filter. Expected true, false or all.');
+  }
+  const filters = { archived };
+  if (query.status && query.status !== 'All') filters.status = query.status;
+  if (query.tag) filters.tag = query.tag.trim().toLowerCase();
+  if (query.folderId) filters.folderId = query.folderId === 'none' ? null : query.folderId;
+  return filters;
+}
+
+// True if the document passes the filters from parseFilters
+function matchesFilters(doc, { status, tag, folderId, archived, rootDocumentId } = {}) {
+  if (status && doc.status !== status) return false;
+  if (rootDocumentId && doc.rootDocumentId !== rootDocumentId) return false;
+  if (tag && !(doc.tags || []).includes(tag)) return false;
+  if (folderId !== undefined && (doc.folderId || null) !== folderId) return false;
+  if (archived !== undefined && Boolean(doc.archived) !== archived) return false;
+  return true;
+}
+
+// Parse the list query into { q terms, filters, sort, direction, limit, cursor }, or throw a 400
+function parseListQuery(query) {
+  const sort = query.sort || 'createdAt';
+  if (!Object.prototype.hasOwnProperty.call(SORT_FIELDS, sort)) {
+    throw httpError(400, `Invalid sort. Expected one of: ${Object.keys(SORT_FIELDS).join(', ')}.`);
+  }
+  const direction = query.direction || SORT_FIELDS[sort];
+  if (direction !== 'asc' && direction !== 'desc') {
+    throw httpError(400, 'Invalid direction. Expected asc or desc.');
+  }
+  const limit = query.limit ? Number(query.limit) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw httpError(400, `limit must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+  }
+
+  return {
+    terms: [...new Set(searchTerms(query.q))],
+    filters: parseFilters(query),
+    sort,
+    direction,
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor, sort) : null,
+  };
+}
+
+// Cursors are opaque to the client: the sort field, its value and the id of the last document returned
+function encodeCursor(doc, sort) {
+  const value = doc[sort] instanceof Date ? { $date: doc[sort].toISOString() } : doc[sort] === undefined ? null : doc[sort];
+  return Buffer.from(JSON.stringify({ sort, value, id: doc.id })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    decoded = null;
+  }
+  if (!decoded || typeof decoded.id !== 'string' || decoded.sort !== sort) {
+    throw httpError(400, 'Invalid cursor. Cursors only work with the sort they were returned for.');
+  }
+  const value = decoded.value && decoded.value.$date ? new Date(decoded.value.$date) : decoded.value;
+  return { value, id: decoded.id };
+}
+
+// Comparison matching the order Firestore returns: missing values first, then by value, ties by id
+function compareBy(sort, direction) {
+  const sign = direction === 'desc' ? -1 : 1;
+  const rank = value => (value === undefined || value === null ? 0 : 1);
+  return (a, b) => {
+    const valueA = a[sort];
+    const valueB = b[sort];
+    if (rank(valueA) !== rank(valueB)) return sign * (rank(valueA) - rank(valueB));
+    if (rank(valueA) && valueA < valueB) return -sign;
+    if (rank(valueA) && valueA > valueB) return sign;
+    return sign * (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+  };
+}
+
+// Sort documents and return the page after `cursor`: { items, hasMore }
+function paginate(documents, { sort, direction, limit, cursor }) {
+  const compare = compareBy(sort, direction);
+  const sorted = [...documents].sort(compare);
+  const start = cursor ? sorted.findIndex(doc => compare(doc, { [sort]: cursor.value, id: cursor.id }) > 0) : 0;
+  const rest = start === -1 ? [] : sorted.slice(start);
+  return { items: rest.slice(0, limit), hasMore: rest.length > limit };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  MAX_PAGE_SIZE,
+  SEARCHABLE_FIELDS,
+  indexTerms,
+  parseFilters,
+  matchesFilters,
+  parseListQuery,
+  encodeCursor,
+  compareBy,
+  paginate,
+};
@@ -0,0 +1,60 @@
+// server/documentVersion.js
+const { httpError } = require('./errors');
+
+// The document fields the merge endpoints work on
+const MERGEABLE_FIELDS = ['resumeMarkdown', 'coverLetterMarkdown', 'notes'];
+
+// Every write to a document bumps its `version`. Documents from before versions were kept are version 0.
+const documentVersion = doc => doc.version || 0;
+
+const etagFor = doc => `"${documentVersion(doc)}"`;
+
+// The version an update was based on, from the If-Match header (the ETag of the read) or the
+// body's `version`. Updates must send one (428 otherwise). Returns null for `If-Match: *`,
+// which asks to overwrite whatever is stored.
+function requestedVersion(req) {
+  const header = req.get('If-Match');
+  const bodyVersion = req.body ? req.body.version : undefined;
+
+  let fromHeader;
+  if (header !== undefined) {
+    if (header.trim() === '*') return null;
+    const match = /^(?:W\/)?"(\d+)"$/.exec(header.trim());
+    if (!match) {
+      throw httpError(400, 'If-Match must be the ETag the document was read with, e.g. "3".');
+    }
+    fromHeader = Number(match[1]);
+  }
+  if (bodyVersion !== undefined && (!Number.isInteger(bodyVersion) || bodyVersion < 0)) {
+    throw httpError(400, 'version must be a non-negative integer.');
+  }
+  if (fromHeader !== undefined && bodyVersion !== undefined && fromHeader !== bodyVersion) {
+    throw httpError(400, 'If-Match and version disagree.');
+  }
+
+  const version = fromHeader !== undefined ? fromHeader : bodyVersion;
+  if (version === undefined) {
+    throw httpError(428, 'Send the version you are updating, as an If-Match header or a version field, so concurrent edits are not lost.');
+  }
+  return version;
+}
+
+// The 409 for an update based on an old version. `current` is the document as stored now;
+// the response carries it (through `project`, which picks what the client may see) and its version.
+function versionConflict(current, project = doc => doc) {
+  const version = documentVersion(current);
+  const error = httpError(409, 'This document was changed since you loaded it.', {
+    code: 'version_conflict',
+    data: { version, current: { ...project(current), version } },
+  });
+  error.current = current;
+  return error;
+}
+
+module.exports = {
+  MERGEABLE_FIELDS,
+  documentVersion,
+  etagFor,
+  requestedVersion,
+  versionConflict,
+};
@@ -0,0 +1,40 @@
+// server/errorHandler.js
+const { httpError, errorBody } = require('./errors');
+
+// express.json() rejects bodies with errors of its own; give them our codes and messages
+function fromBodyParser(error) {
+  if (error.type === 'entity.parse.failed') {
+    return httpError(400, 'The request body is not valid JSON.', { code: 'invalid_json' });
+  }
+  if (error.type === 'entity.too.large') {
+    return httpError(413, 'The request body is too large.');
+  }
+  if (error.type && error.status && error.status < 500) {
+    return httpError(error.status, 'The request body could not be read.');
+  }
+  return error;
+}
+
+// For requests that matched no route
+function notFoundHandler(req, res, next) {
+  next(httpError(404, `No route for ${req.method} ${req.baseUrl}${req.path}.`, { code: 'route_not_found' }));
+}
+
+// The one place errors become responses. Routes throw (or reject with) httpErrors and the
+// client gets { code, message, details?, ...data } with the error's status. Anything else is
+// an unexpected 500: logged here, with only a generic message for the client.
+function errorHandler(error, req, res, next) {
+  const apiError = fromBodyParser(error);
+  if (!apiError.status || apiError.status >= 500) {
+    console.error(`Error handling ${req.method} ${req.originalUrl}:`, error);
+  }
+  if (res.headersSent) {
+    return res.end();
+  }
+  if (apiError.retryAfter) {
+    res.set('Retry-After', String(apiError.retryAfter));
+  }
+  res.status(apiError.status || 500).json(errorBody(apiError));
+}
+
+module.exports = { notFoundHandler, errorHandler };
@@ -0,0 +1,44 @@
+// server/errors.js
+
+// The machine-readable `code` an error response gets when the error doesn't set its own
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  410: 'gone',
+  413: 'payload_too_large',
+  428: 'precondition_required',
+  429: 'rate_limited',
+  500: 'internal_error',
+  503: 'unavailable',
+};
+
+const defaultCode = status => STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+
+// Create an Error carrying the HTTP status the route should respond with. `code` overrides the
+// status's default code, `details` lists problems per field ({ path, code, message }) and `data`
+// holds extra fields for the response body (e.g. the current version on a conflict).
+function httpError(status, message, { code, details, data } = {}) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code || defaultCode(status);
+  if (details) e.details = details;
+  if (data) e.data = data;
+  return e;
+}
+
+// The response body for an error: { code, message, details?, ...data }. Errors without a status
+// are unexpected, and only show a generic message.
+function errorBody(error) {
+  if (!error.status) {
+    return { code: 'internal_error', message: 'Something went wrong on our side. Please try again.' };
+  }
+  const code = typeof error.code === 'string' ? error.code : defaultCode(error.status);
+  const body = { ...error.data, code, message: error.message };
+  if (error.details) body.details = error.details;
+  return body;
+}
+
+module.exports = { httpError, errorBody };
@@ -0,0 +1,394 @@
+// server/exporters.js
+const {
+  Document, Packer, Paragraph, TextRun, ExternalHyperlink, HeadingLevel, AlignmentType, LevelFormat,
+} = require('docx');
+const md = require('./markdown');
+const { buildHtml } = require('./templates');
+const { parseResume, toIsoDate } = require('./resumeParser');
+const { httpError } = require('./errors');
+
+// Supported export formats, with the content type and file extension each one is sent with
+const EXPORT_FORMATS = {
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  text: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  'json-resume': { contentType: 'application/json; charset=utf-8', extension: 'json' },
+};
+
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+// --- HTML ---
+// A standalone page styled with the chosen template, the same HTML the PDF is rendered from
+function toHtml(markdown, template) {
+  return buildHtml(template, md.render(markdown));
+}
+
+// --- Plain text ---
+// Inline text with links written out as "text (url)" so nothing is lost without formatting
+function plainInline(token) {
+  let text = '';
+  let href = null;
+  (token.children || []).forEach(child => {
+    if (child.type === 'link_open') {
+      href = child.attrGet('href');
+    } else if (child.type === 'link_close') {
+      if (href && !text.endsWith(href)) text += ` (${href.replace(/^mailto:/, '')})`;
+      href = null;
+    } else if (child.type === 'softbreak' || child.type === 'hardbreak') {
+      text += '\n';
+    } else {
+      text += child.content || '';
+    }
+  });
+  return text.trim();
+}
+
+// ATS-friendly plain text: upper-case section titles, dash bullets, no markup
+function toPlainText(markdown) {
+  const tokens = md.parse(markdown, {});
+  const blocks = [];
+  const lists = [];
+  let heading = null;
+
+  tokens.forEach(token => {
+    switch (token.type) {
+      case 'heading_open':
+        heading = token.tag;
+        break;
+      case 'heading_close':
+        heading = null;
+        break;
+      case 'bullet_list_open':
+        lists.push({ ordered: false, index: 0 });
+        break;
+      case 'ordered_list_open':
+        lists.push({ ordered: true, index: Number(token.attrGet('start') || 1) - 1 });
+        break;
+      case 'bullet_list_close':
+      case 'ordered_list_close':
+        lists.pop();
+        break;
+      case 'inline': {
+        const text = plainInline(token);
+        if (heading === 'h2') {
+          blocks.push({ text: text.toUpperCase(), gap: true });
+        } else if (heading) {
+          blocks.push({ text, gap: true });
+        } else if (lists.length) {
+          const list = lists[lists.length - 1];
+          const marker = list.ordered ? `${++list.index}.` : '-';
+          const indent = '  '.repeat(lists.length - 1);
+          blocks.push({ text: `${indent}${marker} ${text.replace(/\n/g, ' ')}`, gap: false });
+        } else {
+          blocks.push({ text, gap: true });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return blocks
+    .map((block, i) => (i > 0 && (block.gap || blocks[i - 1].gap) ? `\n${block.text}` : block.text))
+    .join('\n')
+    .trim() + '\n';
+}
+
+// --- DOCX ---
+// Convert an inline token into docx runs, keeping bold, italics and links
+function docxRuns(token) {
+  const runs = [];
+  let bold = false;
+  let italics = false;
+  let link = null;
+
+  (token.children || []).forEach(child => {
+    switch (child.type) {
+      case 'strong_open': bold = true; break;
+      case 'strong_close': bold = false; break;
+      case 'em_open': italics = true; break;
+      case 'em_close': italics = false; break;
+      case 'link_open':
+        link = { href: child.attrGet('href'), runs: [] };
+        break;
+      case 'link_close':
+        runs.push(new ExternalHyperlink({ link: link.href, children: link.runs }));
+        link = null;
+        break;
+      case 'softbreak':
+      case 'hardbreak':
+        runs.push(new TextRun({ break: 1 }));
+        break;
+      default:
+        if (child.content) {
+          const run = new TextRun({ text: child.content, bold, italics, style: link ? 'Hyperlink' : undefined });
+          (link ? link.runs : runs).push(run);
+        }
+    }
+  });
+  return runs;
+}
+
+const HEADING_LEVELS = { h1: HeadingLevel.TITLE, h2: HeadingLevel.HEADING_1, h3: HeadingLevel.HEADING_2, h4: HeadingLevel.HEADING_3 };
+
+// Build a Word document with real headings and list paragraphs, so ATS parsers see the structure
+async function toDocx(markdown, { title } = {}) {
+  const tokens = md.parse(markdown, {});
+  const children = [];
+  const lists = [];
+  let heading = null;
+  let afterName = false;
+
+  tokens.forEach(token => {
+    switch (token.type) {
+      case 'heading_open':
+        heading = token.tag;
+        break;
+      case 'heading_close':
+        heading = null;
+        break;
+      case 'bullet_list_open':
+        lists.push('bullet');
+        break;
+      case 'ordered_list_open':
+        lists.push('ordered');
+        break;
+      case 'bullet_list_close':
+      case 'ordered_list_close':
+        lists.pop();
+        break;
+      case 'inline': {
+        const runs = docxRuns(token);
+        if (heading) {
+          children.push(new Paragraph({
+            heading: HEADING_LEVELS[heading] || HeadingLevel.HEADING_3,
+            alignment: heading === 'h1' ? AlignmentType.CENTER : undefined,
+            children: runs,
+          }));
+          afterName = heading === 'h1';
+        } else if (lists.length) {
+          const level = lists.length - 1;
+          children.push(lists[level] === 'ordered'
+            ? new Paragraph({ numbering: { reference: 'ordered-list', level }, children: runs })
+            : new Paragraph({ bullet: { level }, children: runs }));
+        } else {
+          // The contact line under the name is centered like in the PDF templates
+          children.push(new Paragraph({ alignment: afterName ? AlignmentType.CENTER : undefined, children: runs }));
+          afterName = false;
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  const doc = new Document({
+    creator: 'ResumeForge',
+    title: title || 'Resume',
+    styles: {
+      default: { document: { run: { font: 'Calibri', size: 22 } } },
+    },
+    numbering: {
+      config: [{
+        reference: 'ordered-list',
+        levels: [0, 1, 2].map(level => ({
+          level,
+          format: LevelFormat.DECIMAL,
+          text: `%${level + 1}.`,
+          alignment: AlignmentType.START,
+          style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } },
+        })),
+      }],
+    },
+    sections: [{ children }],
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+// --- JSON Resume ---
+// Which JSON Resume key each section title maps to
+const SECTION_KEYS = [
+  [/summary|profile|about|objective/i, 'summary'],
+  [/volunteer/i, 'volunteer'],
+  [/experience|employment|work|career/i, 'work'],
+  [/education|academic/i, 'education'],
+  [/skills|technologies|tools|competencies/i, 'skills'],
+  [/projects?/i, 'projects'],
+  [/awards|honou?rs|achievements/i, 'awards'],
+  [/certifications?|certificates|licenses/i, 'certificates'],
+  [/publications?/i, 'publications'],
+  [/languages/i, 'languages'],
+  [/interests|hobbies/i, 'interests'],
+  [/references/i, 'references'],
+];
+
+const PROFILE_NETWORKS = { linkedin: 'LinkedIn', github: 'GitHub', gitlab: 'GitLab', twitter: 'Twitter', x: 'X' };
+
+function sectionKey(title) {
+  const match = SECTION_KEYS.find(([pattern]) => pattern.test(title));
+  return match ? match[1] : null;
+}
+
+const texts = items => items.map(item => item.text);
+
+function entryDates(entry) {
+  const dates = {};
+  if (entry.dates) {
+    const startDate = toIsoDate(entry.dates.start);
+    const endDate = toIsoDate(entry.dates.end);
+    if (startDate) dates.startDate = startDate;
+    if (endDate) dates.endDate = endDate;
+  }
+  return dates;
+}
+
+// "Languages: JavaScript, Go" becomes { name: 'Languages', keywords: ['JavaScript', 'Go'] }
+function skillFromText(text) {
+  const [name, list] = text.split(/:\s*/, 2);
+  if (list === undefined) return { name: text };
+  return { name, keywords: list.split(/\s*,\s*/).filter(Boolean) };
+}
+
+// Map each section to its JSON Resume key. Sections that have no place in the schema
+// are collected in `unmapped` so callers can report them.
+function toJsonResume(markdown, { lastModified } = {}) {
+  const parsed = parseResume(markdown);
+  const { contact } = parsed;
+
+  const basics = { name: parsed.name || '' };
+  if (contact.email) basics.email = contact.email;
+  if (contact.phone) basics.phone = contact.phone;
+  if (parsed.summary) basics.summary = parsed.summary;
+  if (contact.location) basics.location = { address: contact.location };
+
+  const profiles = contact.urls
+    .map(url => ({ url, network: PROFILE_NETWORKS[((url.match(/\b(linkedin|github|gitlab|twitter|x)\.com/i) || [])[1] || '').toLowerCase()] }))
+    .filter(profile => profile.network);
+  const website = contact.urls.find(url => !profiles.some(profile => profile.url === url));
+  if (website) basics.url = website;
+  if (profiles.length) {
+    basics.profiles = profiles.map(({ url, network }) => ({
+      network,
+      url,
+      username: url.replace(/\/+$/, '').split('/').pop(),
+    }));
+  }
+
+  const resume = { $schema: JSON_RESUME_SCHEMA, basics };
+  const unmapped = [];
+  const add = (key, item) => {
+    resume[key] = resume[key] || [];
+    resume[key].push(item);
+  };
+
+  parsed.sections.forEach(section => {
+    const key = sectionKey(section.title);
+    const summary = texts(section.paragraphs).join('\n\n');
+
+    switch (key) {
+      case 'summary':
+        basics.summary = [basics.summary, summary, ...texts(section.bullets)].filter(Boolean).join('\n\n');
+        break;
+      case 'work':
+      case 'volunteer':
+        section.entries.forEach(entry => add(key, {
+          [key === 'work' ? 'name' : 'organization']: entry.organization || '',
+          position: entry.title,
+          ...(entry.location ? { location: entry.location } : {}),
+          ...entryDates(entry),
+          ...(entry.paragraphs.length ? { summary: texts(entry.paragraphs).join('\n\n') } : {}),
+          highlights: texts(entry.bullets),
+        }));
+        break;
+      case 'education':
+        section.entries.forEach(entry => add(key, {
+          institution: entry.organization || entry.title,
+          ...(entry.organization ? { studyType: entry.title } : {}),
+          ...entryDates(entry),
+          ...(entry.bullets.length ? { courses: texts(entry.bullets) } : {}),
+        }));
+        break;
+      case 'skills':
+        section.bullets.forEach(bullet => add(key, skillFromText(bullet.text)));
+        section.paragraphs.forEach(paragraph => add(key, skillFromText(paragraph.text)));
+        section.entries.forEach(entry => add(key, { name: entry.title, keywords: texts(entry.bullets) }));
+        break;
+      case 'projects':
+        section.entries.forEach(entry => add(key, {
+          name: entry.title,
+          ...entryDates(entry),
+          ...(entry.paragraphs.length ? { description: texts(entry.paragraphs).join('\n\n') } : {}),
+          highlights: texts(entry.bullets),
+        }));
+        section.bullets.forEach(bullet => add(key, { name: bullet.text }));
+        break;
+      case 'awards':
+      case 'certificates':
+      case 'publications': {
+        const nameKey = key === 'awards' ? 'title' : 'name';
+        section.entries.forEach(entry => add(key, { [nameKey]: entry.title, ...(entry.dates ? { date: toIsoDate(entry.dates.start) } : {}) }));
+        section.bullets.forEach(bullet => add(key, { [nameKey]: bullet.text }));
+        break;
+      }
+      case 'languages':
+        section.bullets.forEach(bullet => {
+          const [language, fluency] = bullet.text.split(/\s*[:(–—-]\s*/);
+          add(key, fluency ? { language, fluency: fluency.replace(/\)$/, '') } : { language });
+        });
+        break;
+      case 'interests':
+        section.bullets.forEach(bullet => add(key, skillFromText(bullet.text)));
+        break;
+      case 'references':
+        section.paragraphs.forEach(paragraph => add(key, { reference: paragraph.text }));
+        break;
+      default:
+        unmapped.push(section.title);
+    }
+  });
+
+  resume.meta = { version: 'v1.0.0' };
+  if (lastModified) resume.meta.lastModified = new Date(lastModified).toISOString();
+
+  return { resume, unmapped };
+}
+
+// Render one markdown field in the requested format: { body, contentType, extension }
+async function exportMarkdown(format, markdown, { template, title, lastModified, isResume = true } = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    throw httpError(400, `Invalid format "${format}". Expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+  }
+
+  let body;
+  switch (format) {
+    case 'html':
+      body = toHtml(markdown, template);
+      break;
+    case 'text':
+      body = toPlainText(markdown);
+      break;
+    case 'docx':
+      body = await toDocx(markdown, { title });
+      break;
+    case 'json-resume':
+      if (!isResume) {
+        throw httpError(400, 'JSON Resume export is only available for the resume.');
+      }
+      body = JSON.stringify(toJsonResume(markdown, { lastModified }).resume, null, 2);
+      break;
+  }
+  return { body, contentType: spec.contentType, extension: spec.extension };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  toHtml,
+  toPlainText,
+  toDocx,
+  toJsonResume,
+  exportMarkdown,
+};
@@ -0,0 +1,37 @@
+// server/firebase.js
+const admin = require('firebase-admin');
+const fs = require('fs');
+const path = require('path');
+
+// Load the service account from the environment, or from a local file when running locally
+function loadServiceAccount() {
+  if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+    return JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+  }
+  const keyPath = path.join(__dirname, 'serviceAccountKey.json');
+  if (fs.existsSync(keyPath)) {
+    return require(keyPath);
+  }
+  return null;
+}
+
+// Initialize the default Firebase app once. Without a service account the app is still
+// initialized (so auth can fall back to application default credentials), but
+// `hasServiceAccount` is false and Firestore storage refuses to start.
+let hasServiceAccount = false;
+function initFirebase() {
+  if (admin.apps.length) {
+    return { app: admin.app(), hasServiceAccount };
+  }
+
+  const serviceAccount = loadServiceAccount();
+  if (serviceAccount) {
+    hasServiceAccount = true;
+    admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+  } else {
+    admin.initializeApp(process.env.FIREBASE_PROJECT_ID ? { projectId: process.env.FIREBASE_PROJECT_ID } : undefined);
+  }
+  return { app: admin.app(), hasServiceAccount };
+}
+
+module.exports = { initFirebase };
@@ -0,0 +1,479 @@
+// server/importers.js
+const path = require('path');
+const mammoth = require('mammoth');
+const { parse: parseHtml, NodeType } = require('node-html-parser');
+const { httpError } = require('./errors');
+
+const IMPORT_FORMATS = ['json-resume', 'html', 'docx'];
+
+// Word files come out as HTML first; it may be this many times the size of the markdown cap
+const HTML_PER_MARKDOWN = 5;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const CONTACT_PATTERN = /@|\+?\d[\d\s().-]{7,}\d|https?:\/\/|www\.|linkedin\.com|github\.com/i;
+
+// Work out the upload's format from an explicit `format`, the file extension or the mimetype
+function detectFormat({ format, filename, mimetype }) {
+  if (format) {
+    if (!IMPORT_FORMATS.includes(format)) {
+      throw httpError(400, `Invalid format "${format}". Expected one of: ${IMPORT_FORMATS.join(', ')}.`);
+    }
+    return format;
+  }
+
+  const extension = path.extname(filename || '').toLowerCase();
+  if (extension === '.json' || mimetype === 'application/json') return 'json-resume';
+  if (extension === '.html' || extension === '.htm' || mimetype === 'text/html') return 'html';
+  if (extension === '.docx' || mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') return 'docx';
+
+  throw httpError(400, 'Could not tell the file format. Upload a .json (JSON Resume), .html or .docx file, or pass a format.');
+}
+
+// --- JSON Resume ---
+// "2020-01-15" or "2020-01" becomes "Jan 2020"; a bare year stays as it is
+function formatDate(value) {
+  if (!value) return '';
+  const match = String(value).match(/^(\d{4})(?:-(\d{2}))?/);
+  if (!match) return String(value);
+  return match[2] ? `${MONTHS[Number(match[2]) - 1]} ${match[1]}` : match[1];
+}
+
+function dateRange(item) {
+  if (!item.startDate && !item.endDate) return '';
+  if (!item.startDate) return formatDate(item.endDate);
+  return `${formatDate(item.startDate)} - ${item.endDate ? formatDate(item.endDate) : 'Present'}`;
+}
+
+// "### Title — Organization | Jan 2020 - Present", leaving out the parts that are missing
+function roleHeading(title, organization, dates) {
+  let heading = [title, organization].filter(Boolean).join(' — ');
+  if (dates) heading += ` | ${dates}`;
+  return `### ${heading}`;
+}
+
+const bullets = items => (items || []).filter(Boolean).map(item => `- ${item}`);
+
+// Fields of an entry that hold lists of text; every other field holds text
+const LIST_FIELDS = ['highlights', 'courses', 'keywords'];
+
+const isText = value => typeof value === 'string' || typeof value === 'number';
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// The text and lists of text of a JSON Resume entry at `path`. Values of another shape are
+// skipped with a warning, so a file with a few odd fields still imports the rest.
+function cleanEntry(entry, path, warnings) {
+  const cleaned = {};
+  Object.keys(entry).forEach(key => {
+    const value = entry[key];
+    if (value === null || value === undefined) return;
+    if (LIST_FIELDS.includes(key)) {
+      if (!Array.isArray(value)) {
+        warnings.push(`"${path}.${key}" is not a list and was skipped.`);
+        return;
+      }
+      cleaned[key] = value.filter(isText).map(String);
+      if (cleaned[key].length < value.filter(item => item !== null).length) {
+        warnings.push(`Items of "${path}.${key}" that are not text were skipped.`);
+      }
+    } else if (isText(value)) {
+      cleaned[key] = String(value);
+    } else {
+      warnings.push(`"${path}.${key}" is not text and was skipped.`);
+    }
+  });
+  return cleaned;
+}
+
+// The entries of a section that are objects, cleaned; the others are skipped with a warning
+function cleanEntries(items, key, warnings) {
+  return items.flatMap((item, i) => {
+    if (!isObject(item)) {
+      warnings.push(`"${key}[${i}]" is not an object and was skipped.`);
+      return [];
+    }
+    return [cleanEntry(item, `${key}[${i}]`, warnings)];
+  });
+}
+
+// basics with its location and profiles, cleaned like the section entries
+function cleanBasics(basics, warnings) {
+  if (basics === undefined || basics === null) return {};
+  if (!isObject(basics)) {
+    warnings.push('"basics" is not an object and was skipped.');
+    return {};
+  }
+  const { location, profiles, ...fields } = basics;
+  const cleaned = cleanEntry(fields, 'basics', warnings);
+  if (isObject(location)) {
+    cleaned.location = cleanEntry(location, 'basics.location', warnings);
+  } else if (location !== undefined && location !== null) {
+    warnings.push('"basics.location" is not an object and was skipped.');
+  }
+  if (Array.isArray(profiles)) {
+    cleaned.profiles = cleanEntries(profiles, 'basics.profiles', warnings);
+  } else if (profiles !== undefined && profiles !== null) {
+    warnings.push('"basics.profiles" is not a list and was skipped.');
+  }
+  return cleaned;
+}
+
+// Each JSON Resume section and how its items turn into markdown lines
+const JSON_RESUME_SECTIONS = [
+  ['work', 'Experience', item => [
+    roleHeading(item.position, item.name || item.company, dateRange(item)),
+    item.location ? `*${item.location}*` : null,
+    item.summary,
+    ...bullets(item.highlights),
+  ]],
+  ['volunteer', 'Volunteer Experience', item => [
+    roleHeading(item.position, item.organization, dateRange(item)),
+    item.summary,
+    ...bullets(item.highlights),
+  ]],
+  ['education', 'Education', item => [
+    roleHeading([item.studyType, item.area].filter(Boolean).join(' in '), item.institution, dateRange(item)),
+    item.score ? `GPA: ${item.score}` : null,
+    ...bullets(item.courses),
+  ]],
+  ['projects', 'Projects', item => [
+    roleHeading(item.url ? `[${item.name}](${item.url})` : item.name, null, dateRange(item)),
+    item.description,
+    ...bullets(item.highlights),
+  ]],
+  ['awards', 'Awards', item => [
+    roleHeading(item.title, item.awarder, formatDate(item.date)),
+    item.summary,
+  ]],
+  ['certificates', 'Certifications', item => [
+    `- ${[item.name, item.issuer].filter(Boolean).join(' — ')}${item.date ? ` (${formatDate(item.date)})` : ''}`,
+  ]],
+  ['publications', 'Publications', item => [
+    roleHeading(item.name, item.publisher, formatDate(item.releaseDate)),
+    item.summary,
+  ]],
+  ['skills', 'Skills', item => [
+    `- ${item.name}${item.keywords && item.keywords.length ? `: ${item.keywords.join(', ')}` : ''}`,
+  ]],
+  ['languages', 'Languages', item => [
+    `- ${item.language}${item.fluency ? ` (${item.fluency})` : ''}`,
+  ]],
+  ['interests', 'Interests', item => [
+    `- ${item.name}${item.keywords && item.keywords.length ? `: ${item.keywords.join(', ')}` : ''}`,
+  ]],
+  ['references', 'References', item => [
+    `${item.reference || ''}${item.name ? ` — ${item.name}` : ''}`,
+  ]],
+];
+
+const KNOWN_KEYS = ['$schema', 'basics', 'meta', ...JSON_RESUME_SECTIONS.map(([key]) => key)];
+
+// Items are lists of lines; list items stay together, other lines get a blank line between them
+function joinLines(lines) {
+  return lines
+    .filter(line => line !== null && line !== undefined && line !== '')
+    .reduce((out, line, i, all) => {
+      const tight = line.startsWith('- ') && i > 0 && all[i - 1].startsWith('- ');
+      return out + (i === 0 ? '' : tight ? '\n' : '\n\n') + line;
+    }, '');
+}
+
+function fromJsonResume(buffer) {
+  let resume;
+  try {
+    resume = JSON.parse(buffer.toString('utf8'));
+  } catch (error) {
+    throw httpError(400, 'The uploaded file is not valid JSON.');
+  }
+  if (!resume || typeof resume !== 'object' || Array.isArray(resume)) {
+    throw httpError(400, 'The uploaded file is not a JSON Resume document.');
+  }
+
+  const warnings = [];
+  const basics = cleanBasics(resume.basics, warnings);
+  const blocks = [];
+
+  if (!basics.name) warnings.push('basics.name is missing; the resume has no name heading.');
+  blocks.push(`# ${basics.name || 'Your Name'}`);
+
+  const location = basics.location
+    ? [basics.location.city, basics.location.region, basics.location.countryCode].filter(Boolean).join(', ') || basics.location.address
+    : null;
+  const contact = [
+    basics.email,
+    basics.phone,
+    location,
+    basics.url,
+    ...(basics.profiles || []).map(profile => profile.url ? `[${profile.network || profile.url}](${profile.url})` : null),
+  ].filter(Boolean);
+  if (contact.length) blocks.push(contact.join(' | '));
+
+  if (basics.label) blocks.push(`**${basics.label}**`);
+  if (basics.summary) blocks.push(`## Summary\n\n${basics.summary}`);
+  if (basics.image) warnings.push('basics.image was skipped; photos are not part of the resume markdown.');
+
+  JSON_RESUME_SECTIONS.forEach(([key, title, toLines]) => {
+    const items = resume[key];
+    if (!items) return;
+    if (!Array.isArray(items)) {
+      warnings.push(`"${key}" is not a list and was skipped.`);
+      return;
+    }
+    const entries = cleanEntries(items, key, warnings);
+    if (!entries.length) return;
+    blocks.push(`## ${title}\n\n${joinLines(entries.flatMap(toLines))}`);
+  });
+
+  Object.keys(resume)
+    .filter(key => !KNOWN_KEYS.includes(key))
+    .forEach(key => warnings.push(`"${key}" is not a JSON Resume section and was skipped.`));
+
+  return { markdown: `${blocks.join('\n\n')}\n`, warnings };
+}
+
+const tooLong = maxLength => httpError(413, `The imported resume is longer than ${maxLength} characters.`, {
+  code: 'import_too_large',
+});
+
+// --- HTML (and DOCX, which mammoth turns into HTML first) ---
+// Inline markdown for an element's children: bold, italics, links and line breaks
+function inlineMarkdown(node) {
+  return node.childNodes.map(child => {
+    if (child.nodeType === NodeType.TEXT_NODE) {
+      return child.text.replace(/\s+/g, ' ');
+    }
+    if (child.nodeType !== NodeType.ELEMENT_NODE) return '';
+
+    const inner = inlineMarkdown(child);
+    switch (child.tagName) {
+      case 'STRONG':
+      case 'B':
+        return inner.trim() ? `**${inner.trim()}**` : '';
+      case 'EM':
+      case 'I':
+        return inner.trim() ? `*${inner.trim()}*` : '';
+      case 'A': {
+        const href = child.getAttribute('href');
+        return href && !href.startsWith('#') ? `[${inner.trim() || href}](${href})` : inner;
+      }
+      case 'BR':
+        return '\n';
+      default:
+        return inner;
+    }
+  }).join('');
+}
+
+const clean = text => text.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+
+// Flatten the HTML body into a list of blocks: { type: 'heading', level, text },
+// { type: 'paragraph', text } or { type: 'bullet', depth, text }
+function htmlBlocks(root, warnings) {
+  const blocks = [];
+  const skipped = new Set();
+
+  function walk(node, depth) {
+    node.childNodes.forEach(child => {
+      if (child.nodeType === NodeType.TEXT_NODE) {
+        const text = clean(child.text);
+        if (text) blocks.push({ type: 'paragraph', text });
+        return;
+      }
+      if (child.nodeType !== NodeType.ELEMENT_NODE) return;
+
+      const tag = child.tagName;
+      if (/^H[1-6]$/.test(tag)) {
+        const text = clean(inlineMarkdown(child)).replace(/\*\*/g, '');
+        if (text) blocks.push({ type: 'heading', level: Number(tag[1]), text });
+      } else if (tag === 'P') {
+        const text = clean(inlineMarkdown(child));
+        if (text) blocks.push({ type: 'paragraph', text, strong: /^\*\*[^*]+\*\*$/.test(text) });
+      } else if (tag === 'UL' || tag === 'OL') {
+        child.childNodes
+          .filter(item => item.tagName === 'LI')
+          .forEach(item => {
+            const nested = item.childNodes.filter(sub => sub.tagName === 'UL' || sub.tagName === 'OL');
+            nested.forEach(sub => item.removeChild(sub));
+            const text = clean(inlineMarkdown(item)).replace(/\n/g, ' ');
+            if (text) blocks.push({ type: 'bullet', depth, text });
+            nested.forEach(sub => walk({ childNodes: [sub] }, depth + 1));
+          });
+      } else if (tag === 'TABLE' && child.querySelector('h1, h2, h3, h4, h5, h6, p, ul, ol, div')) {
+        // Layout tables (like the two-column template) only position blocks, look inside the cells
+        walk(child, depth);
+      } else if (tag === 'TABLE') {
+        skipped.add('Tables were flattened into bullet points; check their layout.');
+        child.querySelectorAll('tr').forEach(row => {
+          const cells = row.querySelectorAll('td, th').map(cell => clean(inlineMarkdown(cell)).replace(/\n/g, ' ')).filter(Boolean);
+          if (cells.length) blocks.push({ type: 'bullet', depth, text: cells.join(' | ') });
+        });
+      } else if (tag === 'IMG' || tag === 'SVG' || tag === 'CANVAS') {
+        skipped.add('Images were skipped; they cannot be represented in the resume markdown.');
+      } else if (['SCRIPT', 'STYLE', 'HEAD', 'NOSCRIPT', 'TEMPLATE', 'IFRAME', 'FORM'].includes(tag)) {
+        if (tag === 'IFRAME' || tag === 'FORM') skipped.add(`<${tag.toLowerCase()}> elements were skipped.`);
+      } else if (tag === 'HR') {
+        // Section breaks come from the headings instead
+      } else {
+        // div, section, article, span... only structure, look inside
+        walk(child, depth);
+      }
+    });
+  }
+
+  walk(root, 0);
+  skipped.forEach(warning => warnings.push(warning));
+  return blocks;
+}
+
+// Without real headings (common in Word files), treat short all-caps or fully bold
+// lines as section titles so the result still has the h2 structure the templates expect
+function guessHeadings(blocks, warnings) {
+  if (blocks.some(block => block.type === 'heading')) return blocks;
+
+  warnings.push('No headings were found; the name and section titles were guessed from the text.');
+  return blocks.map((block, i) => {
+    if (block.type !== 'paragraph') return block;
+    const text = block.text.replace(/\*\*/g, '');
+    if (i === 0) return { type: 'heading', level: 1, text };
+    const isTitle = text.length <= 40 && !CONTACT_PATTERN.test(text)
+      && (block.strong || (text === text.toUpperCase() && /[A-Z]/.test(text)));
+    return isTitle ? { type: 'heading', level: 2, text: text.replace(/:$/, '') } : block;
+  });
+}
+
+// Map the blocks onto our structure: h1 name, contact line, h2 sections, h3 roles, bullets
+function blocksToMarkdown(blocks, warnings) {
+  const headingLevels = [...new Set(blocks.filter(b => b.type === 'heading').map(b => b.level))].sort();
+  // The smallest heading level is the name, the next one sections, anything deeper roles
+  const nameLevel = headingLevels[0];
+  const sectionLevel = headingLevels[1];
+  let nameIndex = blocks.findIndex(block => block.type === 'heading' && block.level === nameLevel);
+  const nameCount = blocks.filter(block => block.type === 'heading' && block.level === nameLevel).length;
+
+  // A single top heading is the name; several of them are really sections,
+  // and then a short first line before them is most likely the name
+  const hasName = nameIndex !== -1 && nameCount === 1;
+  if (!hasName) {
+    const first = blocks[0];
+    if (first.type === 'paragraph' && first.text.length <= 60 && !CONTACT_PATTERN.test(first.text)) {
+      blocks[0] = { type: 'heading', level: 0, text: first.text.replace(/\*\*/g, '') };
+      nameIndex = 0;
+    } else {
+      warnings.push('Could not find the name heading; add a "# Your Name" line at the top.');
+      nameIndex = -1;
+    }
+  }
+
+  const lines = [];
+  let contact = [];
+  let inIntro = true;
+  let previous = null;
+
+  blocks.forEach((block, i) => {
+    if (i === nameIndex) {
+      lines.push(`# ${block.text}`);
+      return;
+    }
+
+    if (block.type === 'heading') {
+      if (inIntro && contact.length) lines.push(contact.join(' | '));
+      inIntro = false;
+      contact = [];
+      const level = block.level === (nameCount === 1 ? sectionLevel : nameLevel) ? 2 : 3;
+      lines.push(`${'#'.repeat(level)} ${block.text}`);
+    } else if (block.type === 'bullet') {
+      const bullet = `${'  '.repeat(block.depth)}- ${block.text}`;
+      // Bullets of one list stay on consecutive lines
+      if (previous && previous.type === 'bullet') {
+        lines[lines.length - 1] += `\n${bullet}`;
+      } else {
+        lines.push(bullet);
+      }
+    } else if (inIntro && i > nameIndex && CONTACT_PATTERN.test(block.text) && block.text.length < 200) {
+      // Contact details usually sit on separate lines under the name; join them into one line
+      contact.push(...block.text.split('\n').map(part => part.trim()).filter(Boolean));
+    } else {
+      if (inIntro && contact.length) {
+        lines.push(contact.join(' | '));
+        contact = [];
+      }
+      lines.push(block.text.replace(/\n/g, '  \n'));
+    }
+    previous = block;
+  });
+  if (contact.length) lines.push(contact.join(' | '));
+
+  if (!blocks.some(block => block.type === 'heading' && block.level === (nameCount === 1 ? sectionLevel : nameLevel))) {
+    warnings.push('No section headings were found; check that sections use "## Section" titles.');
+  }
+
+  return `${lines.join('\n\n')}\n`;
+}
+
+function fromHtml(html, warnings = []) {
+  const root = parseHtml(html, { comment: false });
+  const body = root.querySelector('body') || root;
+  const blocks = guessHeadings(htmlBlocks(body, warnings), warnings);
+  if (!blocks.length) {
+    throw httpError(400, 'The uploaded file has no readable content.');
+  }
+  return { markdown: blocksToMarkdown(blocks, warnings), warnings };
+}
+
+// Word's Title style is the name; its numbered headings move down one level below it
+const DOCX_STYLE_MAP = [
+  "p[style-name='Title'] => h1:fresh",
+  "p[style-name='Subtitle'] => p:fresh",
+  "p[style-name='heading 1'] => h2:fresh",
+  "p[style-name='heading 2'] => h3:fresh",
+  "p[style-name='heading 3'] => h4:fresh",
+];
+
+// Images are left out of the HTML: they would be skipped anyway, and inlined they can be huge
+const DOCX_OPTIONS = {
+  styleMap: DOCX_STYLE_MAP,
+  convertImage: mammoth.images.imgElement(() => ({ src: '' })),
+};
+
+async function fromDocx(buffer, maxLength) {
+  let result;
+  try {
+    result = await mammoth.convertToHtml({ buffer }, DOCX_OPTIONS);
+  } catch (error) {
+    throw httpError(400, 'The uploaded file is not a readable .docx document.');
+  }
+  if (result.value.length > maxLength * HTML_PER_MARKDOWN) {
+    throw tooLong(maxLength);
+  }
+  const warnings = [...new Set(result.messages
+    .filter(message => message.type === 'warning')
+    .map(message => `Word: ${message.message}`))];
+  return fromHtml(result.value, warnings);
+}
+
+// Convert an uploaded resume into our markdown. Returns { format, markdown, warnings }.
+// A resume longer than `maxLength` characters is refused with a 413, like markdown sent
+// to the API directly.
+async function importResume({ buffer, filename, mimetype, format, maxLength = Infinity }) {
+  const detected = detectFormat({ format, filename, mimetype });
+  let result;
+  switch (detected) {
+    case 'json-resume':
+      result = fromJsonResume(buffer);
+      break;
+    case 'html':
+      result = fromHtml(buffer.toString('utf8'));
+      break;
+    case 'docx':
+      result = await fromDocx(buffer, maxLength);
+      break;
+  }
+  if (result.markdown.length > maxLength) {
+    throw tooLong(maxLength);
+  }
+  return { format: detected, ...result };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  importResume,
+};
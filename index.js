@@ -2,31 +2,87 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const admin = require('firebase-admin');
-const fs = require('fs');
-const MarkdownIt = require('markdown-it');
 const crypto = require('crypto');
-// --- CHANGE 1: Import the new, lightweight library ---
-const wkhtmltopdf = require('wkhtmltopdf');
+const multer = require('multer');
+const admin = require('firebase-admin');
 
-const authMiddleware = require('./authMiddleware');
+const { createAuthMiddleware, requireSession } = require('./authMiddleware');
+const { httpError } = require('./errors');
+const { notFoundHandler, errorHandler } = require('./errorHandler');
+const { validate } = require('./validation');
+const schemas = require('./schemas');
+const { initFirebase } = require('./firebase');
+const { createStorage } = require('./storage');
+const { TRACKED_FIELDS, changesTrackedContent, snapshotRevision, diffLines, mergeText } = require('./revisions');
+const { getTemplate, listTemplates } = require('./templates');
+const { resolveRenderOptions, renderPdf } = require('./renderPdf');
+const { createRenderQueue, jobSummary } = require('./renderQueue');
+const { createRateLimits } = require('./rateLimit');
+const { exportAccount, deleteAccountData } = require('./account');
+const { MAX_API_KEYS, newApiKey, formatApiKey, apiKeySummary } = require('./apiKeys');
+const { exportMarkdown } = require('./exporters');
+const { importResume } = require('./importers');
+const { parseResume } = require('./resumeParser');
+const { DEFAULT_MAX_BULLET_LENGTH, estimatePages, lintResume } = require('./resumeLint');
+const { matchDocument } = require('./keywordMatcher');
+const {
+  validateMaster, validateBlock, headerOf, composeFromBlocks, outdatedRefs, applyBlockUpdates,
+} = require('./contentBlocks');
+const { MERGE_FIELDS, parseTemplate, mergeValues, fillCoverLetter } = require('./coverLetterTemplate');
+const {
+  DEFAULT_PIPELINE, validatePipeline, parseFollowUpAt, statusChange, dueReminders,
+} = require('./applicationTracker');
+const { summarize, createSummaryCache } = require('./analytics');
+const { parseFilters, matchesFilters, parseListQuery, encodeCursor, paginate } = require('./documentSearch');
+const { normalizeTags, validateFolderName, validateBulkRequest, bulkPatch } = require('./documentOrganization');
+const {
+  SHARE_SECTIONS, defaultShare, verifyPassword, sharePermissions, resolveShareSettings, shareSettingsSummary,
+} = require('./shareSettings');
+const { shareAccess, shareEvent, parseEventLimit, summarizeEvents } = require('./shareAudit');
+const {
+  documentVersion, etagFor, requestedVersion, versionConflict,
+} = require('./documentVersion');
+const {
+  MAX_OPEN_COMMENTS, canComment, validateComment, applySuggestion, parseCommentStatus,
+} = require('./shareComments');
 
 // --- Initialization ---
-let serviceAccount;
-// The 'if/else' for local vs. deployed service account is good practice, I've restored it.
-if (process.env.FIREBASE_SERVICE_ACCOUNT) {
-  serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-} else {
-  // This allows you to run the server locally with a file
-  serviceAccount = require('./serviceAccountKey.json');
-}
-
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
+// Firebase is always initialized for auth; storage uses Firestore unless STORAGE_DRIVER says otherwise
+const { hasServiceAccount } = initFirebase();
+const storage = createStorage({ hasServiceAccount });
+
+// Signs requests in with an API key or a session token (AUTH_MODE: firebase or jwt)
+const authMiddleware = createAuthMiddleware({ storage });
+
+const analyticsCache = createSummaryCache();
+
+// At most PDF_RENDER_CONCURRENCY (default 2) wkhtmltopdf processes run at once
+const renderQueue = createRenderQueue(renderPdf);
+
+// Requests allowed per visitor address (ip) or signed-in user, per window. Each limit can be
+// changed with RATE_LIMIT_<NAME>, e.g. RATE_LIMIT_SHARE_VIEW=300/60 or RATE_LIMIT_SHARE_VIEW=off.
+const MINUTE = 60 * 1000;
+const rateLimits = createRateLimits({
+  // New share links (updates to an existing one are free)
+  shareCreate: {
+    max: 10, windowMs: 60 * MINUTE, by: 'user',
+    message: 'Rate limit exceeded: too many new share creations. Try again later.',
+  },
+  // Unknown tokens and wrong passwords on the public share routes, against token guessing
+  shareMisses: {
+    max: 20, windowMs: 15 * MINUTE, by: 'ip', countOnly: 'failures',
+    message: 'Too many failed share requests. Try again later.',
+  },
+  shareView: { max: 120, windowMs: MINUTE, by: 'ip' },
+  shareEdit: { max: 30, windowMs: MINUTE, by: 'ip' },
+  shareDownload: { max: 10, windowMs: MINUTE, by: 'ip' },
+  pdfRender: { max: 30, windowMs: MINUTE, by: 'user' },
+  // Exports render a PDF per document
+  accountExport: { max: 5, windowMs: 60 * MINUTE, by: 'user' },
 });
+// Every public share route counts towards shareMisses, plus the limit for what it does
+const publicShareLimits = limit => [rateLimits.shareMisses, rateLimits[limit]];
 
-const db = admin.firestore();
-const md = new MarkdownIt();
 const app = express();
 const PORT = process.env.PORT || 5001;
 
@@ -41,19 +97,56 @@ const corsOptions = {
     if (!origin || allowedOrigins.indexOf(origin) !== -1) {
       callback(null, true);
     } else {
-      callback(new Error('Not allowed by CORS'));
+      callback(httpError(403, 'Not allowed by CORS', { code: 'origin_not_allowed' }));
     }
-  }
+  },
+  // Clients read the document version from the ETag to send it back as If-Match
+  exposedHeaders: ['ETag'],
+};
+// Behind a reverse proxy, TRUST_PROXY makes req.ip the visitor's address. It is what Express's
+// "trust proxy" takes: the number of proxy hops ("1"), "true" to trust every proxy, or the
+// proxies' addresses and subnets ("loopback, 10.0.0.0/8").
+const trustProxySetting = value => {
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? Number(value) : value;
 };
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY.trim()));
+}
 app.use(cors(corsOptions));
 app.use(express.json({ limit: '5mb' }));
 
-// --- CHANGE 2: The entire browser section is GONE ---
-// No more global browserInstance variable.
-// No more startBrowser function.
+// File uploads (resume imports) are kept in memory, with the same 5mb cap as JSON bodies
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024, files: 1 } });
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, error => {
+    if (error) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return next(httpError(status, `Upload failed: ${error.message}`, { code: 'upload_failed' }));
+    }
+    next();
+  });
+};
+
+// The user's application pipeline, or the default one if they never customized it
+async function loadPipeline(uid) {
+  return (await storage.pipelines.get(uid)) || DEFAULT_PIPELINE;
+}
+
+// Status fields of a new document: the requested status (or the first stage) with its history entry
+async function initialStatusFields(uid, { status, followUpAt }) {
+  const pipeline = await loadPipeline(uid);
+  return statusChange({}, pipeline, { status: status || pipeline.stages[0].name, followUpAt });
+}
+
+// A folder id from a request body: null for no folder, otherwise a folder the user owns
+async function resolveFolderId(folderId, uid) {
+  if (folderId === null || folderId === '') return null;
+  const folder = await storage.folders.getOwned(folderId, uid);
+  return folder.id;
+}
 
 // --- ROUTES ---
-// Your existing CRUD routes for documents do not need any changes.
 app.get('/', (req, res) => {
   res.status(200).json({
     message: 'Welcome to the ResumeForge API!',
@@ -62,618 +155,1707 @@ app.get('/', (req, res) => {
   });
 });
 
-app.get('/api/documents', authMiddleware, async (req, res) => {
-  try {
-    const { uid } = req.user;
-    const { fields, status } = req.query;
-    
-    let query = db.collection('documents').where('userId', '==', uid);
-
-    // If a status filter is provided (and it's not 'All'), add it to the query
-    if (status && status !== 'All') {
-      query = query.where('status', '==', status);
+// Helper: keep only the requested fields (comma-separated) of each document, plus its id
+function projectFields(documents, fields) {
+  if (!fields) return documents;
+  const requestedFields = fields.split(',');
+  return documents.map(doc => {
+    const filteredDoc = { id: doc.id };
+    requestedFields.forEach(field => {
+      if (field !== 'id' && doc.hasOwnProperty(field)) {
+        filteredDoc[field] = doc[field];
+      }
+    });
+    return filteredDoc;
+  });
+}
+
+// List documents, filtered by ?status ?tag ?folderId ?archived (archived ones are left out by default)
+// and ?familyOf=<id> for the documents duplicated from the same origin as that document.
+// Without paging parameters this returns every match as a plain array, like it always has.
+// With any of ?limit ?cursor ?sort ?direction ?q it returns one page:
+// { documents, total, nextCursor }, sorted by createdAt, updatedAt or companyName and searched with q.
+app.get('/api/documents', authMiddleware, validate(schemas.documentList), async (req, res) => {
+  const { uid } = req.user;
+  const { fields } = req.query;
+  const paged = ['limit', 'cursor', 'sort', 'direction', 'q'].some(key => req.query[key] !== undefined);
+  await storage.searchIndex.prepareUser(uid);
+
+  const familyFilter = {};
+  if (req.query.familyOf) {
+    const member = await storage.documents.getOwned(req.query.familyOf, uid);
+    familyFilter.rootDocumentId = member.rootDocumentId || member.id;
+  }
+
+  if (!paged) {
+    const allDocuments = await storage.documents.list(uid, { ...parseFilters(req.query), ...familyFilter });
+    return res.status(200).json(projectFields(allDocuments, fields));
+  }
+
+  const query = parseListQuery(req.query);
+  Object.assign(query.filters, familyFilter);
+
+  let page;
+  let total;
+  if (query.terms.length) {
+    const ids = await storage.searchIndex.search(uid, query.terms);
+    const matches = (await storage.documents.getMany(ids))
+      .filter(doc => doc.userId === uid && matchesFilters(doc, query.filters));
+    total = matches.length;
+    page = paginate(matches, query);
+  } else {
+    [page, total] = await Promise.all([
+      storage.documents.page(uid, query),
+      storage.documents.count(uid, query.filters),
+    ]);
+  }
+
+  const last = page.items[page.items.length - 1];
+  res.status(200).json({
+    documents: projectFields(page.items, fields),
+    total,
+    nextCursor: page.hasMore ? encodeCursor(last, query.sort) : null,
+  });
+});
+
+app.get('/api/documents/:id', authMiddleware, validate(schemas.byId), async (req, res) => {
+  const { uid } = req.user;
+
+  // Security check: ensure the user owns this document
+  const doc = await storage.documents.getOwned(req.params.id, uid);
+
+  // If everything is okay, send back the document data. Updates send the ETag back as If-Match.
+  res.set('ETag', etagFor(doc));
+  res.status(200).json({ ...doc, version: documentVersion(doc) });
+});
+
+app.post('/api/documents', authMiddleware, validate(schemas.documentCreate), async (req, res) => {
+  const { uid } = req.user;
+  const {
+    companyName, positionName, resumeMarkdown, coverLetterMarkdown, status, notes, template, jobDescription,
+    hiringManager, coverLetterTemplateId, followUpAt, tags, folderId,
+  } = req.body;
+  const newDoc = {
+    userId: uid,
+    companyName: companyName || '',
+    positionName: positionName || '',
+    resumeMarkdown: resumeMarkdown || '',
+    coverLetterMarkdown: coverLetterMarkdown || '',
+    notes: notes || '',
+    template: template || null,
+    jobDescription: jobDescription || '',
+    hiringManager: hiringManager || '',
+    tags: tags === undefined ? [] : normalizeTags(tags),
+    folderId: folderId === undefined ? null : await resolveFolderId(folderId, uid),
+    ...(await initialStatusFields(uid, { status, followUpAt })),
+    createdAt: new Date(),
+  };
+
+  // Start the cover letter from a template, filled in with this document's fields
+  if (coverLetterTemplateId) {
+    const coverLetterTemplate = await storage.coverLetterTemplates.getOwned(coverLetterTemplateId, uid);
+    newDoc.coverLetterMarkdown = fillCoverLetter(coverLetterTemplate.content, mergeValues(newDoc));
+    newDoc.coverLetterTemplateId = coverLetterTemplateId;
+  }
+
+  const created = await storage.documents.create(newDoc);
+  res.status(201).json(created);
+});
+
+
+// Import an existing resume (multipart field "file": JSON Resume .json, .html or .docx)
+// and create a document from it. Content that could not be mapped is reported as warnings.
+app.post('/api/documents/import', authMiddleware, uploadFile, validate(schemas.documentImport), async (req, res) => {
+  const { uid } = req.user;
+  if (!req.file) {
+    throw httpError(400, 'A resume file is required.', { details: [{ path: 'body.file', code: 'required', message: 'file is required.' }] });
+  }
+
+  const { companyName, positionName, status, notes, format, template } = req.body;
+
+  const imported = await importResume({
+    buffer: req.file.buffer,
+    filename: req.file.originalname,
+    mimetype: req.file.mimetype,
+    format,
+    maxLength: schemas.MAX_MARKDOWN_LENGTH,
+  });
+
+  const newDoc = {
+    userId: uid,
+    companyName: companyName || '',
+    positionName: positionName || '',
+    resumeMarkdown: imported.markdown,
+    coverLetterMarkdown: '',
+    notes: notes || '',
+    template: template || null,
+    importedFrom: imported.format,
+    ...(await initialStatusFields(uid, { status })),
+    createdAt: new Date(),
+  };
+  const created = await storage.documents.create(newDoc);
+  res.status(201).json({ document: created, warnings: imported.warnings });
+});
+
+// Document fields PUT /api/documents/:id copies as they are; status, followUpAt, tags and
+// folderId go through their own checks
+const EDITABLE_FIELDS = [
+  'companyName', 'positionName', 'resumeMarkdown', 'coverLetterMarkdown', 'notes', 'template',
+  'jobDescription', 'hiringManager',
+];
+
+// put document. Needs the version it is based on (If-Match or body.version); 409 with the
+// current version and content if it is stale, so the client can merge (POST .../merge) and retry.
+app.put('/api/documents/:id', authMiddleware, validate(schemas.documentUpdate), async (req, res) => {
+  const { uid } = req.user;
+  const docId = req.params.id;
+  const expectedVersion = requestedVersion(req);
+
+  // Only the fields in the body change: older clients don't send the newer ones
+  const { status, statusNote, followUpAt, tags, folderId } = req.body;
+  const updatableData = { updatedAt: new Date() };
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) updatableData[field] = req.body[field];
+  });
+  if (followUpAt !== undefined) {
+    updatableData.followUpAt = parseFollowUpAt(followUpAt);
+  }
+  if (tags !== undefined) {
+    updatableData.tags = normalizeTags(tags);
+  }
+  if (folderId !== undefined) {
+    updatableData.folderId = await resolveFolderId(folderId, uid);
+  }
+
+  const doc = await storage.documents.getOwned(docId, uid);
+  if (expectedVersion !== null && documentVersion(doc) !== expectedVersion) {
+    throw versionConflict(doc);
+  }
+
+  // Status changes go through the same pipeline rules as PUT /status
+  if (status !== undefined) {
+    const change = statusChange(doc, await loadPipeline(uid), { status, note: statusNote, followUpAt });
+    Object.assign(updatableData, change);
+  }
+
+  // Keep the previous content in the revision history before overwriting it
+  if (changesTrackedContent(doc, updatableData)) {
+    await snapshotRevision(storage, docId, doc, { type: 'owner', userId: uid });
+  }
+
+  // The version is checked again as part of the write, in case another update landed since the read above
+  await storage.documents.update(docId, updatableData, {
+    userId: uid,
+    expectedVersion: expectedVersion === null ? undefined : expectedVersion,
+  });
+
+  const version = documentVersion(doc) + 1;
+  res.set('ETag', etagFor({ version }));
+  res.status(200).json({ message: 'Document updated successfully.', version });
+});
+
+app.delete('/api/documents/:id', authMiddleware, validate(schemas.byId), async (req, res) => {
+  const { uid } = req.user;
+  const docId = req.params.id;
+  await storage.documents.getOwned(docId, uid);
+  await storage.documents.delete(docId, { userId: uid });
+  res.status(200).json({ message: 'Document deleted successfully.' });
+});
+
+// PUT (Update) a document's status. The move must be allowed by the user's pipeline and is
+// recorded in the status history with an optional `note`. `followUpAt` (ISO date or null)
+// overrides the follow-up date the new stage would schedule.
+app.put('/api/documents/:id/status', authMiddleware, validate(schemas.documentStatus), async (req, res) => {
+  const { uid } = req.user;
+  const docId = req.params.id;
+  const { status, note, followUpAt } = req.body;
+
+  // Security check: ensure the user owns this document
+  const doc = await storage.documents.getOwned(docId, uid);
+
+  const change = statusChange(doc, await loadPipeline(uid), { status, note, followUpAt });
+  if (change) {
+    await storage.documents.update(docId, { ...change, updatedAt: new Date() }, { userId: uid });
+  } else if (followUpAt !== undefined) {
+    const followUp = { followUpAt: parseFollowUpAt(followUpAt), updatedAt: new Date() };
+    await storage.documents.update(docId, followUp, { userId: uid });
+  }
+  res.status(200).json({ message: `Document status updated to ${status}.` });
+});
+
+// The status timeline of a document, oldest first, with the date each stage was first reached
+app.get('/api/documents/:id/status-history', authMiddleware, validate(schemas.byId), async (req, res) => {
+  const doc = await storage.documents.getOwned(req.params.id, req.user.uid);
+  res.status(200).json({
+    status: doc.status,
+    followUpAt: doc.followUpAt || null,
+    stageDates: doc.stageDates || {},
+    history: doc.statusHistory || [],
+  });
+});
+
+// Parse a document's resume into its structure and lint it
+// (?template= to estimate pages for another template, ?maxBulletLength= to change the bullet limit)
+app.get('/api/documents/:id/structure', authMiddleware, validate(schemas.documentStructure), async (req, res) => {
+  const { uid } = req.user;
+  const maxBulletLength = req.query.maxBulletLength ? Number(req.query.maxBulletLength) : DEFAULT_MAX_BULLET_LENGTH;
+
+  const doc = await storage.documents.getOwned(req.params.id, uid);
+  const template = getTemplate(req.query.template || doc.template);
+  const structure = parseResume(doc.resumeMarkdown);
+
+  res.status(200).json({
+    template: template.id,
+    estimatedPages: estimatePages(structure, template),
+    structure,
+    lint: lintResume(structure, { template, maxBulletLength }),
+  });
+});
+
+// Match the document against its stored job description (?limit= keywords, default 30)
+app.get('/api/documents/:id/match', authMiddleware, validate(schemas.documentMatch), async (req, res) => {
+  const { uid } = req.user;
+  const limit = req.query.limit ? Number(req.query.limit) : 30;
+
+  const doc = await storage.documents.getOwned(req.params.id, uid);
+  if (!doc.jobDescription || !doc.jobDescription.trim()) {
+    throw httpError(400, 'This document has no job description to match against.', { code: 'no_job_description' });
+  }
+
+  const result = matchDocument(doc, { limit });
+  res.status(200).json(result);
+});
+
+// --- Revision History Routes ---
+// Helper: load a revision's tracked content, or the live document for 'current'
+async function loadRevisionContent(doc, revisionId) {
+  if (revisionId === 'current') {
+    return doc;
+  }
+  const revision = await storage.revisions.get(doc.id, revisionId);
+  if (!revision) {
+    throw httpError(404, `Revision ${revisionId} not found.`);
+  }
+  return revision;
+}
+
+// List the revision history of a document (newest first, without the content)
+app.get('/api/documents/:id/revisions', authMiddleware, validate(schemas.byId), async (req, res) => {
+  const { uid } = req.user;
+  await storage.documents.getOwned(req.params.id, uid);
+
+  const revisions = (await storage.revisions.list(req.params.id)).map(revision => {
+    const summary = {
+      id: revision.id,
+      source: revision.source,
+      createdAt: revision.createdAt,
+    };
+    if (revision.shareToken) summary.shareToken = revision.shareToken;
+    if (revision.restoredFrom) summary.restoredFrom = revision.restoredFrom;
+    if (revision.blockUpdate) summary.blockUpdate = true;
+    TRACKED_FIELDS.forEach(field => {
+      summary[`${field}Length`] = revision[field] ? revision[field].length : 0;
+    });
+    return summary;
+  });
+
+  res.status(200).json(revisions);
+});
+
+// Diff two revisions line by line (?from=<revisionId>&to=<revisionId|current>&field=resumeMarkdown)
+app.get('/api/documents/:id/revisions/diff', authMiddleware, validate(schemas.revisionDiff), async (req, res) => {
+  const { uid } = req.user;
+  const { from, to = 'current', field = 'resumeMarkdown' } = req.query;
+
+  const doc = await storage.documents.getOwned(req.params.id, uid);
+  const fromData = await loadRevisionContent(doc, from);
+  const toData = await loadRevisionContent(doc, to);
+  const changes = diffLines(fromData[field], toData[field]);
+
+  res.status(200).json({
+    field,
+    from,
+    to,
+    added: changes.filter(change => change.type === 'added').length,
+    removed: changes.filter(change => change.type === 'removed').length,
+    changes,
+  });
+});
+
+// Get a single revision with its content
+app.get('/api/documents/:id/revisions/:revisionId', authMiddleware, validate(schemas.byRevision), async (req, res) => {
+  const { uid } = req.user;
+  await storage.documents.getOwned(req.params.id, uid);
+
+  const revision = await storage.revisions.get(req.params.id, req.params.revisionId);
+  if (!revision) {
+    throw httpError(404, 'Revision not found.');
+  }
+
+  res.status(200).json(revision);
+});
+
+// Restore a revision. The current content is snapshotted first, so a restore can itself be undone.
+app.post('/api/documents/:id/revisions/:revisionId/restore', authMiddleware, validate(schemas.byRevision), async (req, res) => {
+  const { uid } = req.user;
+  const { id: docId, revisionId } = req.params;
+  const doc = await storage.documents.getOwned(docId, uid);
+
+  const revision = await storage.revisions.get(docId, revisionId);
+  if (!revision) {
+    throw httpError(404, 'Revision not found.');
+  }
+
+  const restoredData = {
+    updatedAt: new Date()
+  };
+  TRACKED_FIELDS.forEach(field => {
+    restoredData[field] = revision[field];
+  });
+
+  await snapshotRevision(storage, docId, doc, { type: 'owner', userId: uid }, { restoredFrom: revisionId });
+  await storage.documents.update(docId, restoredData, { userId: uid });
+
+  res.status(200).json({ message: 'Revision restored successfully.', restoredFrom: revisionId });
+});
+
+// Three-way merge for resolving a 409 on update: { field, base, yours } where base is the text
+// the client's edit started from and yours the edited text. Merged against what is stored now;
+// send `merged` back with `version` once any conflict markers are resolved.
+app.post('/api/documents/:id/merge', authMiddleware, validate(schemas.documentMerge), async (req, res) => {
+  const { field, base, yours } = req.body;
+  const doc = await storage.documents.getOwned(req.params.id, req.user.uid);
+
+  res.status(200).json({ field, version: documentVersion(doc), ...mergeText(base, yours, doc[field] || '') });
+});
+
+// --- Duplicate Routes ---
+// Clone a document for a new application. Body: { companyName?, positionName?, jobDescription?,
+// copyNotes?, copyTags?, copyShares? }. The copy starts at the first pipeline stage and links back
+// through `sourceDocumentId`; `rootDocumentId` is shared by everything cloned from the same origin.
+app.post('/api/documents/:id/duplicate', authMiddleware, validate(schemas.documentDuplicate), async (req, res) => {
+  const { uid } = req.user;
+  const { companyName, positionName, jobDescription, copyNotes, copyTags, copyShares } = req.body;
+
+  const source = await storage.documents.getOwned(req.params.id, uid);
+  const rootDocumentId = source.rootDocumentId || source.id;
+
+  // Carry over the default share link's settings, expiry included, as a new link for the copy.
+  // A link that has already expired isn't copied.
+  const defaultLink = copyShares ? defaultShare(await storage.shares.listByDocument(source.id, uid)) : null;
+  const sourceShare = defaultLink && !(defaultLink.expiresAt && defaultLink.expiresAt < new Date()) ? defaultLink : null;
+  if (sourceShare) {
+    await rateLimits.shareCreate.consume(req, res);
+  }
+
+  const newDoc = {
+    userId: uid,
+    companyName: companyName !== undefined ? companyName : source.companyName,
+    positionName: positionName !== undefined ? positionName : source.positionName,
+    resumeMarkdown: source.resumeMarkdown,
+    coverLetterMarkdown: source.coverLetterMarkdown,
+    notes: copyNotes ? source.notes || '' : '',
+    template: source.template || null,
+    jobDescription: jobDescription || '',
+    hiringManager: '',
+    tags: copyTags ? source.tags || [] : [],
+    folderId: source.folderId || null,
+    sourceDocumentId: source.id,
+    rootDocumentId,
+    ...(await initialStatusFields(uid, {})),
+    createdAt: new Date(),
+  };
+  // Keep the links to the content library, so block updates still reach the copy
+  ['coverLetterTemplateId', 'masterId', 'masterVersion', 'blockIds', 'blockRefs'].forEach(field => {
+    if (source[field] !== undefined) newDoc[field] = source[field];
+  });
+
+  const created = await storage.documents.create(newDoc);
+  if (!source.rootDocumentId) {
+    await storage.documents.update(source.id, { rootDocumentId }, { userId: uid });
+  }
+
+  let share = null;
+  if (sourceShare) {
+    const shareToken = crypto.randomBytes(32).toString('hex');
+    const shareData = {
+      documentId: created.id,
+      label: sourceShare.label || null,
+      isDefault: true,
+      config: sourceShare.config,
+      permissions: sharePermissions(sourceShare),
+      passwordHash: sourceShare.passwordHash || null,
+      maxViews: sourceShare.maxViews || null,
+      viewCount: 0,
+      createdAt: new Date(),
+      createdBy: uid,
+      expiresAt: sourceShare.expiresAt || null,
+      isEditable: !!sourceShare.isEditable
+    };
+    await storage.shares.set(shareToken, shareData);
+    share = { shareUrl: `/documents/share/${shareToken}`, expiresAt: shareData.expiresAt };
+  }
+
+  res.status(201).json({ document: created, share });
+});
+
+// The family tree of a document: every document cloned from the same origin, nested under the
+// document it was cloned from. Copies whose source was deleted become top-level nodes.
+app.get('/api/documents/:id/family', authMiddleware, validate(schemas.byId), async (req, res) => {
+  const { uid } = req.user;
+  const doc = await storage.documents.getOwned(req.params.id, uid);
+  const rootDocumentId = doc.rootDocumentId || doc.id;
+  const members = doc.rootDocumentId
+    ? await storage.documents.list(uid, { rootDocumentId })
+    : [doc];
+
+  const nodes = new Map(members.map(member => [member.id, {
+    id: member.id,
+    companyName: member.companyName,
+    positionName: member.positionName,
+    status: member.status,
+    archived: !!member.archived,
+    createdAt: member.createdAt,
+    sourceDocumentId: member.sourceDocumentId || null,
+    children: [],
+  }]));
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.sourceDocumentId && nodes.get(node.sourceDocumentId);
+    (parent ? parent.children : roots).push(node);
+  });
+  const byCreatedAt = (a, b) => (a.createdAt || 0) - (b.createdAt || 0);
+  const sortTree = list => list.sort(byCreatedAt).forEach(node => sortTree(node.children));
+  sortTree(roots);
+
+  res.status(200).json({ rootDocumentId, size: nodes.size, tree: roots });
+});
+
+// --- Organization Routes ---
+app.get('/api/folders', authMiddleware, async (req, res) => {
+  const folders = await storage.folders.list(req.user.uid);
+  res.status(200).json(folders.sort((a, b) => a.name.localeCompare(b.name)));
+});
+
+// Helper: 409 if the user already has another folder with this name
+async function assertFolderNameFree(uid, name, exceptId) {
+  const folders = await storage.folders.list(uid);
+  if (folders.some(folder => folder.id !== exceptId && folder.name.toLowerCase() === name.toLowerCase())) {
+    throw httpError(409, `A folder named "${name}" already exists.`, { code: 'duplicate_name' });
+  }
+}
+
+app.post('/api/folders', authMiddleware, validate(schemas.folderCreate), async (req, res) => {
+  const { uid } = req.user;
+  const name = validateFolderName(req.body.name);
+  await assertFolderNameFree(uid, name);
+  const created = await storage.folders.create({ userId: uid, name, createdAt: new Date() });
+  res.status(201).json(created);
+});
+
+app.put('/api/folders/:id', authMiddleware, validate(schemas.folderUpdate), async (req, res) => {
+  const { uid } = req.user;
+  const folder = await storage.folders.getOwned(req.params.id, uid);
+  const name = validateFolderName(req.body.name);
+  await assertFolderNameFree(uid, name, folder.id);
+  await storage.folders.update(folder.id, { name, updatedAt: new Date() });
+  res.status(200).json({ ...folder, name });
+});
+
+// Deleting a folder keeps its documents; they just move out of the folder
+app.delete('/api/folders/:id', authMiddleware, validate(schemas.byId), async (req, res) => {
+  const { uid } = req.user;
+  const folder = await storage.folders.getOwned(req.params.id, uid);
+  const documents = await storage.documents.list(uid, { folderId: folder.id });
+  await storage.documents.bulkUpdate(documents.map(doc => ({ id: doc.id, patch: { folderId: null } })), { userId: uid });
+  await storage.folders.delete(folder.id);
+  res.status(200).json({ message: 'Folder deleted successfully.', movedDocuments: documents.length });
+});
+
+// The tags in use across the user's documents, most used first
+app.get('/api/tags', authMiddleware, async (req, res) => {
+  const documents = await storage.documents.list(req.user.uid);
+  const counts = {};
+  documents.forEach(doc => (doc.tags || []).forEach(tag => { counts[tag] = (counts[tag] || 0) + 1; }));
+  const tags = Object.keys(counts)
+    .map(tag => ({ tag, count: counts[tag] }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  res.status(200).json(tags);
+});
+
+// Apply one action to many documents: { ids, action, status?, note?, tags?, folderId? }.
+// Actions: setStatus, addTags, removeTags, move, archive, unarchive, delete. Each document gets
+// the same ownership check as the single-document routes and its own entry in `results`;
+// the writes for the documents that pass go out in batches.
+app.post('/api/documents/bulk', authMiddleware, validate(schemas.documentBulk), async (req, res) => {
+  const { uid } = req.user;
+  const { ids, action } = validateBulkRequest(req.body);
+  const { status, note } = req.body;
+  const options = {};
+  if (req.body.tags !== undefined) options.tags = normalizeTags(req.body.tags);
+  if (action === 'move') options.folderId = await resolveFolderId(req.body.folderId, uid);
+  const pipeline = action === 'setStatus' ? await loadPipeline(uid) : null;
+
+  const results = [];
+  const writes = [];
+  for (const { id, doc, error } of await storage.documents.getManyOwned(ids, uid)) {
+    if (error) {
+      results.push({ id, ok: false, status: error.status, code: error.code, message: error.message });
+      continue;
     }
-    const documentsSnapshot = await query.get();
-    
-    let documents;
-    if (fields) {
-      const requestedFields = fields.split(',');
-      documents = documentsSnapshot.docs.map(doc => {
-        const data = doc.data();
-        const filteredDoc = { id: doc.id };
-        requestedFields.forEach(field => {
-          if (field !== 'id' && data.hasOwnProperty(field)) {
-            filteredDoc[field] = data[field];
-          }
-        });
-        return filteredDoc;
-      });
+    if (action === 'delete') {
+      writes.push({ id });
+      results.push({ id, ok: true, changed: true });
+      continue;
+    }
+    try {
+      const patch = action === 'setStatus'
+        ? statusChange(doc, pipeline, { status, note })
+        : bulkPatch(doc, action, options);
+      if (patch) {
+        writes.push({ id, patch: { ...patch, updatedAt: new Date() } });
+      }
+      results.push({ id, ok: true, changed: Boolean(patch) });
+    } catch (itemError) {
+      if (!itemError.status) throw itemError;
+      results.push({ id, ok: false, status: itemError.status, code: itemError.code, message: itemError.message });
+    }
+  }
+
+  if (writes.length) {
+    if (action === 'delete') {
+      await storage.documents.bulkDelete(writes.map(write => write.id), { userId: uid });
     } else {
-      documents = documentsSnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-      }));
+      await storage.documents.bulkUpdate(writes, { userId: uid });
     }
-    
-    res.status(200).json(documents);
-  } catch (error) {
-    console.error('Error fetching documents:', error);
-    res.status(500).send({ message: 'Error fetching documents' });
   }
+
+  const succeeded = results.filter(result => result.ok).length;
+  res.status(200).json({ action, succeeded, failed: results.length - succeeded, results });
 });
 
-app.get('/api/documents/:id', authMiddleware, async (req, res) => {
-  try {
-    const { uid } = req.user;
-    const docId = req.params.id;
+// --- Application Tracker Routes ---
+// The user's pipeline stages and the transitions allowed between them
+app.get('/api/pipeline', authMiddleware, async (req, res) => {
+  res.status(200).json(await loadPipeline(req.user.uid));
+});
 
-    const docRef = db.collection('documents').doc(docId);
-    const doc = await docRef.get();
+// Replace the pipeline. Documents in a stage that no longer exists keep their status
+// and can move to any stage of the new pipeline.
+app.put('/api/pipeline', authMiddleware, validate(schemas.pipelineUpdate), async (req, res) => {
+  const pipeline = validatePipeline(req.body);
+  await storage.pipelines.set(req.user.uid, { ...pipeline, updatedAt: new Date() });
+  res.status(200).json(pipeline);
+});
 
-    if (!doc.exists) {
-      // This is a valid case, but shouldn't happen in normal flow
-      return res.status(404).send({ message: 'Document not found.' });
-    }
+// Applications whose follow-up date has passed (?withinDays= to include upcoming ones)
+app.get('/api/reminders', authMiddleware, validate(schemas.reminderList), async (req, res) => {
+  const withinDays = req.query.withinDays ? Number(req.query.withinDays) : 0;
+  const documents = await storage.documents.list(req.user.uid);
+  res.status(200).json(dueReminders(documents, { withinDays }));
+});
 
-    // Security check: ensure the user owns this document
-    if (doc.data().userId !== uid) {
-      return res.status(403).send({ message: 'Forbidden: You do not have permission to view this document.' });
+// Aggregated numbers about the user's applications, computed here so the client doesn't need every
+// document. Query: ?weeks= (1-104, default 12) for the weekly series, ?since=&until= (ISO dates)
+// to limit by creation date, ?appliedStage=&interviewStage= to measure from other stages.
+app.get('/api/analytics', authMiddleware, validate(schemas.analyticsQuery), async (req, res) => {
+  const { uid } = req.user;
+  const weeks = req.query.weeks ? Number(req.query.weeks) : 12;
+  const range = {};
+  for (const key of ['since', 'until']) {
+    if (req.query[key]) range[key] = new Date(req.query[key]);
+  }
+  const options = {
+    weeks,
+    ...range,
+    appliedStage: req.query.appliedStage || 'Applied',
+    interviewStage: req.query.interviewStage || 'Interviewing',
+  };
+
+  const cacheKey = `${uid}:${JSON.stringify(options)}`;
+  const generation = storage.generation(uid);
+  const cached = analyticsCache.get(cacheKey, generation);
+  if (cached) {
+    return res.status(200).json({ ...cached, cached: true });
+  }
+
+  const [documents, pipeline] = await Promise.all([storage.documents.list(uid), loadPipeline(uid)]);
+  const summary = { ...summarize(documents, pipeline, options), generatedAt: new Date() };
+  analyticsCache.set(cacheKey, generation, summary);
+  res.status(200).json({ ...summary, cached: false });
+});
+
+// --- Content Library Routes ---
+// Master resumes and reusable content blocks belong to one user. Documents composed from
+// blocks keep `blockRefs` (which version of each block they contain) so they can be updated later.
+
+// Helper: load the user's blocks by id, keyed by id. Missing blocks are left out unless `required`.
+async function loadBlocks(blockIds, uid, { required = false } = {}) {
+  const blocksById = {};
+  for (const blockId of blockIds) {
+    if (required) {
+      blocksById[blockId] = await storage.blocks.getOwned(blockId, uid);
+    } else {
+      const block = await storage.blocks.get(blockId);
+      if (block && block.userId === uid) blocksById[blockId] = block;
     }
+  }
+  return blocksById;
+}
 
-    // If everything is okay, send back the document data
-    res.status(200).json({ id: doc.id, ...doc.data() });
+// Helper: summary of a derived document for the "which documents use this" lists
+const derivedSummary = (doc, upToDate) => ({
+  id: doc.id,
+  companyName: doc.companyName,
+  positionName: doc.positionName,
+  status: doc.status,
+  upToDate,
+});
 
-  } catch (error) {
-    console.error('Error fetching single document:', error);
-    res.status(500).send({ message: 'Error fetching document.' });
+app.get('/api/masters', authMiddleware, async (req, res) => {
+  const masters = await storage.masters.list(req.user.uid);
+  res.status(200).json(masters);
+});
+
+app.get('/api/masters/:id', authMiddleware, validate(schemas.byId), async (req, res) => {
+  const master = await storage.masters.getOwned(req.params.id, req.user.uid);
+  res.status(200).json(master);
+});
+
+app.post('/api/masters', authMiddleware, validate(schemas.masterCreate), async (req, res) => {
+  const master = validateMaster(req.body);
+  const created = await storage.masters.create({
+    userId: req.user.uid,
+    coverLetterMarkdown: '',
+    ...master,
+    version: 1,
+    createdAt: new Date(),
+  });
+  res.status(201).json(created);
+});
+
+// Update a master resume. Content changes bump its version, which marks derived documents as outdated.
+app.put('/api/masters/:id', authMiddleware, validate(schemas.masterUpdate), async (req, res) => {
+  const updates = validateMaster(req.body, { partial: true });
+  const master = await storage.masters.getOwned(req.params.id, req.user.uid);
+
+  const contentChanged = ['resumeMarkdown', 'coverLetterMarkdown']
+    .some(field => updates[field] !== undefined && updates[field] !== master[field]);
+  if (contentChanged) {
+    updates.version = (master.version || 1) + 1;
   }
+  updates.updatedAt = new Date();
+
+  await storage.masters.update(req.params.id, updates);
+  res.status(200).json({ ...master, ...updates });
 });
 
-app.post('/api/documents', authMiddleware, async (req, res) => {
-  try {
-    const { uid } = req.user;
-    const { companyName, positionName, resumeMarkdown, coverLetterMarkdown, status, notes } = req.body;
-    const newDoc = {
-      userId: uid,
-      companyName,
-      positionName,
-      resumeMarkdown,
-      coverLetterMarkdown,
-      status: status || 'Draft',
-      notes: notes || '',
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
-    const docRef = await db.collection('documents').add(newDoc);
-    res.status(201).json({ id: docRef.id, ...newDoc });
-  } catch (error) {
-    console.error('Error creating document:', error);
-    res.status(500).send({ message: 'Error creating document' });
+// Deleting a master leaves the documents created from it untouched
+app.delete('/api/masters/:id', authMiddleware, validate(schemas.byId), async (req, res) => {
+  await storage.masters.getOwned(req.params.id, req.user.uid);
+  await storage.masters.delete(req.params.id);
+  res.status(200).json({ message: 'Master resume deleted successfully.' });
+});
+
+// Documents created from a master, flagged when the master changed since
+app.get('/api/masters/:id/documents', authMiddleware, validate(schemas.byId), async (req, res) => {
+  const { uid } = req.user;
+  const master = await storage.masters.getOwned(req.params.id, uid);
+  const documents = await storage.documents.listByMaster(uid, master.id);
+  res.status(200).json(documents.map(doc => derivedSummary(doc, doc.masterVersion === master.version)));
+});
+
+// List the user's blocks (?kind= to filter)
+app.get('/api/blocks', authMiddleware, validate(schemas.blockList), async (req, res) => {
+  const { kind } = req.query;
+  const blocks = await storage.blocks.list(req.user.uid);
+  res.status(200).json(kind ? blocks.filter(block => block.kind === kind) : blocks);
+});
+
+app.get('/api/blocks/:id', authMiddleware, validate(schemas.byId), async (req, res) => {
+  const block = await storage.blocks.getOwned(req.params.id, req.user.uid);
+  res.status(200).json(block);
+});
+
+app.post('/api/blocks', authMiddleware, validate(schemas.blockCreate), async (req, res) => {
+  const block = validateBlock(req.body);
+  const created = await storage.blocks.create({
+    userId: req.user.uid,
+    title: '',
+    ...block,
+    version: 1,
+    createdAt: new Date(),
+  });
+  res.status(201).json(created);
+});
+
+// Update a block. A content change bumps its version, which marks the documents using it as outdated.
+app.put('/api/blocks/:id', authMiddleware, validate(schemas.blockUpdate), async (req, res) => {
+  const updates = validateBlock(req.body, { partial: true });
+  const block = await storage.blocks.getOwned(req.params.id, req.user.uid);
+
+  if ((updates.kind || block.kind) === 'other' && !(updates.section || block.section)) {
+    throw httpError(400, 'Blocks of kind "other" need a section.');
   }
+  if (updates.content !== undefined && updates.content !== block.content) {
+    updates.version = block.version + 1;
+  }
+  updates.updatedAt = new Date();
+
+  await storage.blocks.update(req.params.id, updates);
+  res.status(200).json({ ...block, ...updates });
 });
 
+// Deleting a block keeps its text in the documents that use it; they just stop receiving updates
+app.delete('/api/blocks/:id', authMiddleware, validate(schemas.byId), async (req, res) => {
+  await storage.blocks.getOwned(req.params.id, req.user.uid);
+  await storage.blocks.delete(req.params.id);
+  res.status(200).json({ message: 'Block deleted successfully.' });
+});
 
-// put document
-app.put('/api/documents/:id', authMiddleware, async (req, res) => {
-    try {
-        const { uid } = req.user;
-        const docId = req.params.id;
-        
-        const { companyName, positionName, resumeMarkdown, coverLetterMarkdown, status, notes } = req.body;
-        const updatableData = {
-            companyName,
-            positionName,
-            resumeMarkdown,
-            coverLetterMarkdown,
-            status,
-            notes,
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        };
-
-        const docRef = db.collection('documents').doc(docId);
-        const doc = await docRef.get();
-
-        if (!doc.exists) {
-            return res.status(404).send({ message: 'Document not found.' });
-        }
-        if (doc.data().userId !== uid) {
-            return res.status(403).send({ message: 'Forbidden: You do not own this document.' });
-        }
-
-        // Update with the sanitized, whitelisted data object
-        await docRef.update(updatableData); 
-        
-        res.status(200).json({ message: 'Document updated successfully.' });
-    } catch (error) {
-        console.error('Error updating document:', error);
-        res.status(500).send({ message: 'Error updating document.' });
+// Documents that contain a block, flagged when they hold an older version of it
+app.get('/api/blocks/:id/documents', authMiddleware, validate(schemas.byId), async (req, res) => {
+  const { uid } = req.user;
+  const block = await storage.blocks.getOwned(req.params.id, uid);
+  const documents = await storage.documents.listByBlock(uid, block.id);
+  res.status(200).json(documents.map(doc => {
+    const ref = (doc.blockRefs || []).find(blockRef => blockRef.blockId === block.id);
+    return derivedSummary(doc, !ref || ref.version === block.version);
+  }));
+});
+
+// Create a document from the library. With only `masterId` the master is copied as is; with
+// `blockIds` the document is built from the blocks (in the given order) under the master's header.
+app.post('/api/documents/compose', authMiddleware, validate(schemas.documentCompose), async (req, res) => {
+  const { uid } = req.user;
+  const {
+    masterId, blockIds = [], companyName, positionName, status, notes, template, jobDescription, hiringManager,
+  } = req.body;
+  if (!masterId && !blockIds.length) {
+    throw httpError(400, 'A masterId or at least one block is required.');
+  }
+
+  const master = masterId ? await storage.masters.getOwned(masterId, uid) : null;
+  const blocksById = await loadBlocks(blockIds, uid, { required: true });
+  const uniqueIds = [...new Set(blockIds)];
+
+  let content;
+  if (uniqueIds.length) {
+    content = composeFromBlocks({
+      header: master ? headerOf(master.resumeMarkdown) : '',
+      blocks: uniqueIds.map(id => blocksById[id]),
+    });
+    if (!content.coverLetterMarkdown && master) {
+      content.coverLetterMarkdown = master.coverLetterMarkdown || '';
     }
+  } else {
+    content = {
+      resumeMarkdown: master.resumeMarkdown,
+      coverLetterMarkdown: master.coverLetterMarkdown || '',
+      blockRefs: [],
+    };
+  }
+
+  const newDoc = {
+    userId: uid,
+    companyName: companyName || '',
+    positionName: positionName || '',
+    resumeMarkdown: content.resumeMarkdown,
+    coverLetterMarkdown: content.coverLetterMarkdown,
+    notes: notes || '',
+    template: template || null,
+    jobDescription: jobDescription || '',
+    hiringManager: hiringManager || '',
+    masterId: master ? master.id : null,
+    masterVersion: master ? master.version : null,
+    blockIds: uniqueIds,
+    blockRefs: content.blockRefs,
+    ...(await initialStatusFields(uid, { status })),
+    createdAt: new Date(),
+  };
+  const created = await storage.documents.create(newDoc);
+  res.status(201).json(created);
 });
 
-app.delete('/api/documents/:id', authMiddleware, async (req, res) => {
-  try {
-    const { uid } = req.user;
-    const docId = req.params.id;
-    const docRef = db.collection('documents').doc(docId);
-    const doc = await docRef.get();
-    if (!doc.exists) {
-      return res.status(404).send({ message: 'Document not found.' });
+// Blocks (and the master) that changed since the document was created from them
+app.get('/api/documents/:id/block-updates', authMiddleware, validate(schemas.byId), async (req, res) => {
+  const { uid } = req.user;
+  const doc = await storage.documents.getOwned(req.params.id, uid);
+  const blocksById = await loadBlocks(doc.blockIds || [], uid);
+  const outdated = outdatedRefs(doc, blocksById);
+
+  let masterUpToDate = null;
+  if (doc.masterId) {
+    const master = await storage.masters.get(doc.masterId);
+    masterUpToDate = !master || master.version === doc.masterVersion;
+  }
+
+  res.status(200).json({
+    upToDate: outdated.every(ref => ref.deleted),
+    masterUpToDate,
+    outdated,
+  });
+});
+
+// Pull the latest block versions into the document (all outdated blocks, or `blockIds`).
+// The current content is snapshotted first so the update can be undone from the revision history.
+app.post('/api/documents/:id/block-updates', authMiddleware, validate(schemas.blockUpdatesApply), async (req, res) => {
+  const { uid } = req.user;
+  const { blockIds } = req.body;
+
+  const doc = await storage.documents.getOwned(req.params.id, uid);
+  const blocksById = await loadBlocks(doc.blockIds || [], uid);
+  const { updates, applied, conflicts } = applyBlockUpdates(doc, blocksById, blockIds);
+
+  if (applied.length) {
+    await snapshotRevision(storage, doc.id, doc, { type: 'owner', userId: uid }, { blockUpdate: true });
+    await storage.documents.update(doc.id, { ...updates, updatedAt: new Date() }, { userId: uid });
+  }
+
+  res.status(200).json({ applied, conflicts });
+});
+
+// --- Cover Letter Template Routes ---
+// Helper: the 400 for template errors, one detail per error with its line. `path` is the
+// field holding the template. `errors` stays in the body for clients that read it.
+function templateError(message, errors, path) {
+  return httpError(400, message, {
+    code: 'template_invalid',
+    details: errors.map(error => ({ path, code: 'template_error', message: error.message, line: error.line })),
+    data: { errors },
+  });
+}
+
+// Helper: the name and content of a cover letter template body (the schema checked their types)
+function coverLetterTemplateFields({ name, content }) {
+  const fields = {};
+  if (name !== undefined) {
+    if (!name.trim()) {
+      throw httpError(400, 'A cover letter template needs a name.', {
+        code: 'validation_failed',
+        details: [{ path: 'body.name', code: 'too_short', message: 'name must not be empty.' }],
+      });
     }
-    if (doc.data().userId !== uid) {
-      return res.status(403).send({ message: 'Forbidden: You do not own this document.' });
+    fields.name = name.trim();
+  }
+  if (content !== undefined) {
+    const { errors } = parseTemplate(content);
+    if (errors.length) {
+      throw templateError('The template has errors.', errors, 'body.content');
     }
-    await docRef.delete();
-    res.status(200).json({ message: 'Document deleted successfully.' });
-  } catch (error) {
-    console.error('Error deleting document:', error);
-    res.status(500).send({ message: 'Error deleting document.' });
+    fields.content = content;
   }
+  return fields;
+}
+
+// The placeholders templates can use
+app.get('/api/cover-letter-templates/fields', (req, res) => {
+  res.status(200).json(Object.keys(MERGE_FIELDS).map(name => ({ name, description: MERGE_FIELDS[name] })));
 });
 
-// Add this new route in server/index.js, probably after your other PUT route.
+app.get('/api/cover-letter-templates', authMiddleware, async (req, res) => {
+  const templates = await storage.coverLetterTemplates.list(req.user.uid);
+  res.status(200).json(templates);
+});
 
-// PUT (Update) a document's status
-app.put('/api/documents/:id/status', authMiddleware, async (req, res) => {
-    try {
-        const { uid } = req.user;
-        const docId = req.params.id;
-        const { status } = req.body;
+app.get('/api/cover-letter-templates/:id', authMiddleware, validate(schemas.byId), async (req, res) => {
+  const template = await storage.coverLetterTemplates.getOwned(req.params.id, req.user.uid);
+  res.status(200).json(template);
+});
 
-        // A list of allowed statuses to prevent invalid data
-        const allowedStatuses = ['Draft', 'Applied', 'Interviewing', 'Offer', 'Rejected'];
-        if (!status || !allowedStatuses.includes(status)) {
-            return res.status(400).send({ message: 'Invalid status provided.' });
-        }
+app.post('/api/cover-letter-templates', authMiddleware, validate(schemas.coverLetterTemplateCreate), async (req, res) => {
+  const template = coverLetterTemplateFields(req.body);
+  const created = await storage.coverLetterTemplates.create({
+    userId: req.user.uid,
+    ...template,
+    createdAt: new Date(),
+  });
+  res.status(201).json(created);
+});
 
-        const docRef = db.collection('documents').doc(docId);
-        const doc = await docRef.get();
+app.put('/api/cover-letter-templates/:id', authMiddleware, validate(schemas.coverLetterTemplateUpdate), async (req, res) => {
+  const template = await storage.coverLetterTemplates.getOwned(req.params.id, req.user.uid);
+  const updates = coverLetterTemplateFields(req.body);
+  updates.updatedAt = new Date();
+  await storage.coverLetterTemplates.update(req.params.id, updates);
+  res.status(200).json({ ...template, ...updates });
+});
 
-        if (!doc.exists) {
-            return res.status(404).send({ message: 'Document not found.' });
-        }
+app.delete('/api/cover-letter-templates/:id', authMiddleware, validate(schemas.byId), async (req, res) => {
+  await storage.coverLetterTemplates.getOwned(req.params.id, req.user.uid);
+  await storage.coverLetterTemplates.delete(req.params.id);
+  res.status(200).json({ message: 'Cover letter template deleted successfully.' });
+});
 
-        // Security check: ensure the user owns this document
-        if (doc.data().userId !== uid) {
-            return res.status(403).send({ message: 'Forbidden: You do not own this document.' });
-        }
+// The document's cover letter with its placeholders filled in
+// (?templateId= to preview a template against this document instead)
+app.get('/api/documents/:id/cover-letter', authMiddleware, validate(schemas.coverLetterPreview), async (req, res) => {
+  const { uid } = req.user;
+  const doc = await storage.documents.getOwned(req.params.id, uid);
+  const source = req.query.templateId
+    ? (await storage.coverLetterTemplates.getOwned(req.query.templateId, uid)).content
+    : doc.coverLetterMarkdown;
+
+  const { errors } = parseTemplate(source);
+  if (errors.length) {
+    throw templateError('The cover letter has template errors.', errors, req.query.templateId ? 'query.templateId' : 'coverLetterMarkdown');
+  }
+  const fields = mergeValues(doc);
+  res.status(200).json({ coverLetterMarkdown: fillCoverLetter(source, fields), fields });
+});
 
-        // Update only the status field
-        await docRef.update({ status });
-        res.status(200).json({ message: `Document status updated to ${status}.` });
+// --- Template Routes ---
+// List the available PDF templates (public, the editor shows them before login too)
+app.get('/api/templates', (req, res) => {
+  res.status(200).json(listTemplates());
+});
 
-    } catch (error) {
-        console.error('Error updating document status:', error);
-        res.status(500).send({ message: 'Error updating document status.' });
-    }
+// === PDF GENERATION ROUTES ===
+// Every render goes through the render queue: a bounded pool of wkhtmltopdf processes with a
+// cache of recent results. PDFs are rendered completely before anything is sent, so a failed
+// render is an error response rather than a truncated file.
+
+// Helper: a download filename made from user input, without path separators or control
+// characters. res.attachment quotes it (adding a UTF-8 filename* for non-ASCII names).
+function downloadFilename(name, fallback) {
+  const cleaned = String(name || '').replace(/[\u0000-\u001f\u007f/\\]+/g, '-').trim().slice(0, 150);
+  return cleaned || fallback;
+}
+
+// Helper: the render request from a body that passed schemas.pdfRender { markdownContent,
+// filename, template, documentId, pageSize, orientation, margins, header, footer, onePage }
+async function pdfRenderRequest(body, uid) {
+  const { markdownContent, filename, template: templateId, documentId } = body;
+  const template = getTemplate(templateId);
+  const renderOptions = resolveRenderOptions(body, template);
+
+  // With a documentId, cover letter placeholders in the content are filled from that document
+  let markdown = markdownContent;
+  if (documentId) {
+    const doc = await storage.documents.getOwned(documentId, uid);
+    markdown = fillCoverLetter(markdownContent, mergeValues(doc));
+  }
+  return { markdown, template, renderOptions, filename: downloadFilename(filename, 'document.pdf') };
+}
+
+// Helper: send a rendered PDF as a download
+function sendPdf(res, pdf, filename) {
+  res.attachment(filename);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Length', pdf.length);
+  res.status(200).end(pdf);
+}
+
+// Render and answer with the PDF once it is ready. A full render queue is a 503 with Retry-After.
+app.post('/api/generate-pdf', authMiddleware, rateLimits.pdfRender, validate(schemas.pdfRender), async (req, res) => {
+  const { markdown, template, renderOptions, filename } = await pdfRenderRequest(req.body, req.user.uid);
+  const pdf = await renderQueue.render(markdown, template, renderOptions);
+  sendPdf(res, pdf, filename);
 });
 
-// === PDF GENERATION ROUTE (Refactored for wkhtmltopdf) ===
-app.post('/api/generate-pdf', authMiddleware, (req, res) => {
-  try {
-    const { markdownContent, filename } = req.body;
-    if (!markdownContent) {
-      return res.status(400).send({ message: 'Markdown content is required.' });
-    }
+// Submit a render job (same body as /api/generate-pdf). Answers 202 straight away; poll
+// GET /api/pdf-jobs/:jobId until the status is done or failed, then fetch /result.
+app.post('/api/pdf-jobs', authMiddleware, rateLimits.pdfRender, validate(schemas.pdfRender), async (req, res) => {
+  const { uid } = req.user;
+  const { markdown, template, renderOptions, filename } = await pdfRenderRequest(req.body, uid);
+  const job = renderQueue.submit(uid, markdown, template, renderOptions, { filename });
+
+  res.setHeader('Location', `/api/pdf-jobs/${job.id}`);
+  res.status(202).json({
+    ...jobSummary(job),
+    statusUrl: `/api/pdf-jobs/${job.id}`,
+    resultUrl: `/api/pdf-jobs/${job.id}/result`,
+  });
+});
 
-    const htmlContent = md.render(markdownContent);
-    const pdfStyles = fs.readFileSync('./pdf-styles.css', 'utf8');
-    const fullHtml = `
-      <!DOCTYPE html><html><head><meta charset="utf-8"><style>${pdfStyles}</style></head>
-      <body><div class="resume-preview">${htmlContent}</div></body></html>`;
-
-    // --- CHANGE 3: The new, memory-efficient PDF generation ---
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename=${filename || 'document.pdf'}`);
-
-    // Pipe the PDF output directly to the Express response stream
-    wkhtmltopdf(fullHtml, {
-  pageSize: 'A4',
-  marginTop: '30px',
-  marginRight: '30px',
-  marginBottom: '30px',
-  marginLeft: '30px',
-  disableSmartShrinking: true
-}).pipe(res);
+// Status of a render job: queued, rendering, done or failed (with the error)
+app.get('/api/pdf-jobs/:jobId', authMiddleware, validate(schemas.byPdfJob), (req, res) => {
+  res.status(200).json(jobSummary(renderQueue.getJob(req.params.jobId, req.user.uid)));
+});
 
-  } catch (error) {
-    console.error('Error generating PDF:', error);
-    res.status(500).send({ message: 'Error generating PDF.' });
+// The PDF of a finished job. 409 while it is still running; a failed job answers with its error.
+app.get('/api/pdf-jobs/:jobId/result', authMiddleware, validate(schemas.byPdfJob), (req, res) => {
+  const job = renderQueue.getJob(req.params.jobId, req.user.uid);
+  if (job.status === 'failed') {
+    throw httpError(job.error.status, job.error.message, { code: job.error.code });
   }
+  if (job.status !== 'done') {
+    throw httpError(409, `The PDF is not ready yet (status: ${job.status}).`, { code: 'not_ready', data: { status: job.status } });
+  }
+  sendPdf(res, job.pdf, job.filename);
 });
 
 // --- Sharing Routes ---
-// Helper: fetch and validate shared document data by token
-async function fetchSharedDocumentData(shareToken) {
-  // Get share record
-  const shareRef = db.collection('shares').doc(shareToken);
-  const shareSnap = await shareRef.get();
+// Helper: the password a visitor sent for a protected share. Download links can't set headers,
+// so ?password= works too.
+const sharePassword = req => req.get('X-Share-Password') || req.query.password;
 
-  if (!shareSnap.exists) {
-    const e = new Error('Share not found or has expired.');
-    e.status = 404;
-    throw e;
-  }
+// Helper: load a share and check it can still be used: not expired, under its view limit,
+// and the right password if it has one (401 otherwise)
+async function loadShare(shareToken, password) {
+  const shareData = await storage.shares.get(shareToken);
 
-  const shareData = shareSnap.data();
+  if (!shareData) {
+    throw httpError(404, 'Share not found or has expired.');
+  }
 
   // Check if share has expired
-  if (shareData.expiresAt && shareData.expiresAt.toDate && shareData.expiresAt.toDate() < new Date()) {
-    const e = new Error('This share has expired.');
-    e.status = 410;
-    throw e;
+  if (shareData.expiresAt && shareData.expiresAt < new Date()) {
+    throw httpError(410, 'This share has expired.', { code: 'share_expired' });
+  }
+
+  if (shareData.maxViews && (shareData.viewCount || 0) >= shareData.maxViews) {
+    throw httpError(410, 'This share has reached its view limit.', { code: 'share_view_limit' });
+  }
+
+  if (shareData.passwordHash && !(await verifyPassword(password, shareData.passwordHash))) {
+    throw password
+      ? httpError(401, 'Incorrect share password.', { code: 'share_password_invalid' })
+      : httpError(401, 'This share is password protected.', { code: 'share_password_required' });
   }
 
+  return shareData;
+}
+
+// Helper: the sections of a document a share with `permissions` includes
+function sharedSections(documentData, permissions) {
+  const sections = {};
+  SHARE_SECTIONS.forEach(section => {
+    if (permissions[section] !== 'none') sections[section] = documentData[section];
+  });
+  return sections;
+}
+
+// Helper: add an access of a share to the owner's audit log. A failed log write is only
+// reported, it never fails the visitor's request.
+async function recordShareEvent(shareToken, shareData, access) {
+  try {
+    await storage.shareEvents.add(shareEvent(shareToken, shareData, access));
+  } catch (error) {
+    console.error('Error recording share event:', error);
+  }
+}
+
+// Helper: fetch and validate shared document data by token. Every successful fetch counts
+// as one view of the share and is logged as `access` (see shareAccess).
+// `fillTemplates` fills the cover letter placeholders, for downloads and exports.
+async function fetchSharedDocumentData(shareToken, { fillTemplates = false, password, access } = {}) {
+  const shareData = await loadShare(shareToken, password);
+
   // Get original document
-  const docRef = db.collection('documents').doc(shareData.documentId);
-  const docSnap = await docRef.get();
-  if (!docSnap.exists) {
-    const e = new Error('Original document not found.');
-    e.status = 404;
-    throw e;
+  const documentData = await storage.documents.get(shareData.documentId);
+  if (!documentData) {
+    throw httpError(404, 'Original document not found.');
+  }
+
+  if (!(await storage.shares.recordView(shareToken, shareData.maxViews))) {
+    throw httpError(410, 'This share has reached its view limit.', { code: 'share_view_limit' });
+  }
+  if (access) {
+    await recordShareEvent(shareToken, shareData, access);
   }
 
-  const documentData = docSnap.data();
+  const permissions = sharePermissions(shareData);
   const response = {
     companyName: documentData.companyName,
     positionName: documentData.positionName,
-    isEditable: !!shareData.isEditable // --- ADD THIS LINE ---
+    template: documentData.template || null,
+    isEditable: !!shareData.isEditable,
+    permissions,
+    version: documentVersion(documentData),
+    ...sharedSections(documentData, permissions),
   };
-
-  // Only include permitted sections based on share configuration
-  if (shareData.config && shareData.config.resumeMarkdown) {
-    response.resumeMarkdown = documentData.resumeMarkdown;
-  }
-  if (shareData.config && shareData.config.coverLetterMarkdown) {
-    response.coverLetterMarkdown = documentData.coverLetterMarkdown;
-  }
-  if (shareData.config && shareData.config.notes) {
-    response.notes = documentData.notes;
+  if (fillTemplates && response.coverLetterMarkdown !== undefined) {
+    response.coverLetterMarkdown = fillCoverLetter(response.coverLetterMarkdown, mergeValues(documentData));
   }
 
   return response;
 }
 
-// Create or Update a share link for a document
-app.post('/api/documents/:documentId/share', authMiddleware, async (req, res) => {
-  try {
-    const { uid } = req.user;
-    const { documentId } = req.params;
-    const { resumeMarkdown, coverLetterMarkdown, notes, isEditable } = req.body; 
-
-    // Basic input validation
-    const isBool = v => typeof v === 'boolean' || v === undefined || v === null;
-    if (!isBool(resumeMarkdown) || !isBool(coverLetterMarkdown) || !isBool(notes) || !isBool(isEditable)) {
-      return res.status(400).send({ message: 'Invalid share configuration. Expected boolean values.' });
+// Helper: make `shareToken` the default link of its document, and no other
+async function setDefaultShare(documentId, uid, shareToken) {
+  const shares = await storage.shares.listByDocument(documentId, uid);
+  for (const share of shares) {
+    if (share.id !== shareToken && share.isDefault) {
+      await storage.shares.update(share.id, { isDefault: false });
     }
+  }
+  await storage.shares.update(shareToken, { isDefault: true });
+}
 
-    // Verify document ownership
-    const docRef = db.collection('documents').doc(documentId);
-    const doc = await docRef.get();
+// Create or Update the default share link for a document
+app.post('/api/documents/:documentId/share', authMiddleware, validate(schemas.shareUpsert), async (req, res) => {
+  const { uid } = req.user;
+  const { documentId } = req.params;
+  // Sections: { permissions: { resumeMarkdown, coverLetterMarkdown, notes: 'none'|'view'|'comment'|'edit' } }
+  // or the older boolean flags with isEditable. Also expiresAt (ISO or null) or expiresInDays,
+  // password (null removes it), maxViews (null for no limit) and label.
 
-    if (!doc.exists) {
-      return res.status(404).send({ message: 'Document not found.' });
-    }
+  // Verify document ownership
+  await storage.documents.getOwned(documentId, uid);
 
-    if (doc.data().userId !== uid) {
-      return res.status(403).send({ message: 'Forbidden: You do not own this document.' });
-    }
+  // --- UPSERT LOGIC ---
+  // 1. Check if the document already has a default share link from this user
+  const existingShare = defaultShare(await storage.shares.listByDocument(documentId, uid));
+
+  if (existingShare) {
+    // --- UPDATE (if exists) ---
+    const settings = await resolveShareSettings(req.body, existingShare);
 
-    // --- UPSERT LOGIC ---
-    // 1. Check if a share already exists for this documentId and user
-    const sharesQuery = db.collection('shares')
-      .where('documentId', '==', documentId)
-      .where('createdBy', '==', uid)
-      .limit(1);
+    await storage.shares.update(existingShare.id, {
+      ...settings,
+      updatedAt: new Date(),
+    });
 
-    const sharesSnapshot = await sharesQuery.get();
+    const shareUrl = `/documents/share/${existingShare.id}`;
+    res.status(200).json({ 
+      shareUrl, message: 'Share link updated.', ...shareSettingsSummary({ ...existingShare, ...settings })
+    });
 
-    const newConfig = {
-      resumeMarkdown: !!resumeMarkdown,
-      coverLetterMarkdown: !!coverLetterMarkdown,
-      notes: !!notes
+  } else {
+    // --- CREATE (if not exists) ---
+    const settings = await resolveShareSettings(req.body);
+    await rateLimits.shareCreate.consume(req, res);
+
+    const shareToken = crypto.randomBytes(32).toString('hex');
+    const shareData = {
+      documentId,
+      ...settings,
+      isDefault: true,
+      viewCount: 0,
+      createdAt: new Date(),
+      createdBy: uid,
     };
 
-    if (!sharesSnapshot.empty) {
-      // --- UPDATE (if exists) ---
-      const existingShare = sharesSnapshot.docs[0];
-      const shareRef = existingShare.ref;
-      const newExpiresAt = admin.firestore.Timestamp.fromDate(
-        new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days from now
-      );
-
-      await shareRef.update({
-        config: newConfig,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        expiresAt: newExpiresAt,
-        isEditable: !!isEditable
-      });
+    await storage.shares.set(shareToken, shareData);
+    const shareUrl = `/documents/share/${shareToken}`;
+    res.status(200).json({ 
+      shareUrl, message: 'Share link created.', ...shareSettingsSummary(shareData)
+    });
+  }
+});
 
-      const shareUrl = `/documents/share/${existingShare.id}`;
-      res.status(200).json({ 
-        shareUrl, message: 'Share link updated.', expiresAt: newExpiresAt.toDate().toISOString() 
-      });
+// Create another share link for a document, with its own label, rights and expiry.
+// Same body as POST .../share, plus isDefault to make it the document's default link.
+app.post('/api/documents/:documentId/shares', authMiddleware, validate(schemas.shareCreate), async (req, res) => {
+  const { uid } = req.user;
+  const { documentId } = req.params;
+
+  await storage.documents.getOwned(documentId, uid);
+  const settings = await resolveShareSettings(req.body);
+  // Counted once the request is valid and the document is the user's
+  await rateLimits.shareCreate.consume(req, res);
+
+  const existingShares = await storage.shares.listByDocument(documentId, uid);
+  const shareToken = crypto.randomBytes(32).toString('hex');
+  const shareData = {
+    documentId,
+    ...settings,
+    isDefault: false,
+    viewCount: 0,
+    createdAt: new Date(),
+    createdBy: uid,
+  };
+  await storage.shares.set(shareToken, shareData);
 
-    } else {
-      // --- CREATE (if not exists) ---
-      // Simple rate limit for *new* creations: max 10 shares per user per hour
-      const oneHourAgo = admin.firestore.Timestamp.fromDate(new Date(Date.now() - 60 * 60 * 1000));
-      const recentSharesSnap = await db.collection('shares')
-        .where('createdBy', '==', uid)
-        .where('createdAt', '>=', oneHourAgo)
-        .get();
-      if (recentSharesSnap.size >= 10) {
-        return res.status(429).send({ message: 'Rate limit exceeded: too many new share creations. Try again later.' });
-      }
+  // The first link of a document is its default
+  if (req.body.isDefault || !existingShares.length) {
+    await setDefaultShare(documentId, uid, shareToken);
+    shareData.isDefault = true;
+  }
 
-      const shareToken = crypto.randomBytes(32).toString('hex');
-      const shareData = {
-        documentId,
-        config: newConfig,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        createdBy: uid,
-        expiresAt: admin.firestore.Timestamp.fromDate(
-          new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days from now
-        ),
-        isEditable: !!isEditable
-      };
-
-      await db.collection('shares').doc(shareToken).set(shareData);
-      const shareUrl = `/documents/share/${shareToken}`;
-      res.status(200).json({ 
-        shareUrl, message: 'Share link created.', expiresAt: shareData.expiresAt.toDate().toISOString() 
-      });
-    }
-  } catch (error) {
-    console.error('Error creating share:', error);
-    res.status(500).send({ message: 'Error creating share' });
+  res.status(201).json({
+    shareToken,
+    shareUrl: `/documents/share/${shareToken}`,
+    message: 'Share link created.',
+    ...shareSettingsSummary(shareData),
+  });
+});
+
+// Update one share link by token. Settings the body leaves out keep their current value.
+app.put('/api/documents/:documentId/shares/:shareToken', authMiddleware, validate(schemas.shareUpdate), async (req, res) => {
+  const { uid } = req.user;
+  const { documentId, shareToken } = req.params;
+
+  const existingShare = await storage.shares.getOwned(shareToken, uid, documentId);
+  const settings = await resolveShareSettings(req.body, existingShare, { keepUnset: true });
+  if (req.body.isDefault === false) {
+    settings.isDefault = false;
+  }
+  await storage.shares.update(shareToken, { ...settings, updatedAt: new Date() });
+  if (req.body.isDefault) {
+    await setDefaultShare(documentId, uid, shareToken);
+    settings.isDefault = true;
   }
+
+  res.status(200).json({
+    shareToken,
+    shareUrl: `/documents/share/${shareToken}`,
+    message: 'Share link updated.',
+    ...shareSettingsSummary({ ...existingShare, ...settings }),
+  });
 });
 
-// Get the LATEST share for a document (for the share modal)
-app.get('/api/documents/:documentId/share', authMiddleware, async (req, res) => {
-  try {
-    const { uid } = req.user;
-    const { documentId } = req.params;
+// Get the default share for a document (for the share modal)
+app.get('/api/documents/:documentId/share', authMiddleware, validate(schemas.byShareDocument), async (req, res) => {
+  const { uid } = req.user;
+  const { documentId } = req.params;
 
-    // First, verify document ownership for security
-    const docRef = db.collection('documents').doc(documentId);
-    const doc = await docRef.get();
+  // First, verify document ownership for security
+  await storage.documents.getOwned(documentId, uid);
 
-    if (!doc.exists) {
-      return res.status(404).send({ message: 'Document not found.' });
-    }
+  // The share marked default, or the most recent one created by the user
+  const latestShare = defaultShare(await storage.shares.listByDocument(documentId, uid));
 
-    if (doc.data().userId !== uid) {
-      return res.status(403).send({ message: 'Forbidden: You do not own this document.' });
-    }
+  if (!latestShare) {
+    // This is the expected case when no share has been created yet.
+    throw httpError(404, 'No share link found for this document.');
+  }
+
+  res.status(200).json({
+    shareUrl: `/documents/share/${latestShare.id}`,
+    shareConfig: latestShare.config,
+    ...shareSettingsSummary(latestShare),
+  });
+});
+
+// Get all shares for a document
+app.get('/api/documents/:documentId/shares', authMiddleware, validate(schemas.byShareDocument), async (req, res) => {
+  const { uid } = req.user;
+  const { documentId } = req.params;
+
+  // Verify document ownership
+  await storage.documents.getOwned(documentId, uid);
+
+  // Get all shares for this document
+  const shares = (await storage.shares.listByDocument(documentId, uid)).map(({ id, passwordHash, ...share }) => ({
+    shareToken: id,
+    ...share,
+    ...shareSettingsSummary({ passwordHash, ...share }),
+    shareUrl: `${process.env.FRONTEND_URL || 'https://resume.birajgautam.com.np'}/shared/${id}`
+  }));
+
+  res.status(200).json(shares);
+});
+
+// Delete a share
+app.delete('/api/documents/:documentId/shares/:shareToken', authMiddleware, validate(schemas.byShareLink), async (req, res) => {
+  const { uid } = req.user;
+  const { documentId, shareToken } = req.params;
+
+  // Verify ownership
+  await storage.shares.getOwned(shareToken, uid, documentId);
+
+  // Delete the share
+  await storage.shares.delete(shareToken);
+
+  res.status(200).json({ message: 'Share deleted successfully.' });
+});
 
-    // Find the most recent share for this document created by the user
-    const sharesQuery = db.collection('shares')
-      .where('documentId', '==', documentId)
-      .where('createdBy', '==', uid)
-      .orderBy('createdAt', 'desc')
-      .limit(1);
+// Revoke every share link of a document
+app.delete('/api/documents/:documentId/shares', authMiddleware, validate(schemas.byShareDocument), async (req, res) => {
+  const { uid } = req.user;
+  const { documentId } = req.params;
+  await storage.documents.getOwned(documentId, uid);
 
-    const sharesSnapshot = await sharesQuery.get();
+  const shares = await storage.shares.listByDocument(documentId, uid);
+  await storage.shares.deleteMany(shares.map(share => share.id));
 
-    if (sharesSnapshot.empty) {
-      // This is the expected case when no share has been created yet.
-      return res.status(404).send({ message: 'No share link found for this document.' });
+  res.status(200).json({ message: 'All share links revoked.', revoked: shares.length });
+});
+
+// Access log of the shares of one document: counts per share and the latest events
+app.get('/api/documents/:documentId/shares/activity', authMiddleware, validate(schemas.documentShareActivity), async (req, res) => {
+  const { uid } = req.user;
+  const { documentId } = req.params;
+  const limit = parseEventLimit(req.query.limit);
+  await storage.documents.getOwned(documentId, uid);
+
+  const events = await storage.shareEvents.list(uid, { documentId });
+  res.status(200).json({
+    shares: summarizeEvents(events),
+    events: events.slice(0, limit),
+    total: events.length,
+  });
+});
+
+// Access log across all of the user's shares, so they can see which applications get attention
+app.get('/api/shares/activity', authMiddleware, validate(schemas.shareActivity), async (req, res) => {
+  const limit = parseEventLimit(req.query.limit);
+  const events = await storage.shareEvents.list(req.user.uid);
+  res.status(200).json({
+    shares: summarizeEvents(events),
+    events: events.slice(0, limit),
+    total: events.length,
+  });
+});
+
+// Revoke every share link the user has created, across all documents
+app.delete('/api/shares', authMiddleware, async (req, res) => {
+  const shares = await storage.shares.listByUser(req.user.uid);
+  await storage.shares.deleteMany(shares.map(share => share.id));
+  res.status(200).json({ message: 'All share links revoked.', revoked: shares.length });
+});
+
+// --- NEW ---
+// Public endpoint to UPDATE a shared document
+app.put('/api/documents/share/:shareToken', publicShareLimits('shareEdit'), validate(schemas.sharedUpdate), async (req, res) => {
+  const { shareToken } = req.params;
+
+  // 1. Fetch the share record (expiry, view limit and password are checked here)
+  const shareData = await loadShare(shareToken, sharePassword(req));
+  const expectedVersion = requestedVersion(req);
+
+  // 2. CRITICAL: Security check for editability
+  const permissions = sharePermissions(shareData);
+  if (!Object.values(permissions).includes('edit')) {
+    throw httpError(403, 'Forbidden: This document is not editable.');
+  }
+
+  // 3. Prepare the data to update: only sections the share grants edit rights on
+  const updatableData = {
+    updatedAt: new Date()
+  };
+
+  SHARE_SECTIONS.forEach(section => {
+    if (permissions[section] === 'edit' && req.body[section] !== undefined) {
+      updatableData[section] = req.body[section];
     }
+  });
 
-    const latestShare = sharesSnapshot.docs[0];
-    const shareData = latestShare.data();
+  // 4. Update the original document, unless it changed since the recipient loaded it
+  const doc = await storage.documents.get(shareData.documentId);
+  if (!doc) {
+    throw httpError(404, 'Original document not found.');
+  }
+  // Conflicts only show the recipient the sections the share includes
+  const conflict = current => versionConflict(current, stored => sharedSections(stored, permissions));
+  if (expectedVersion !== null && documentVersion(doc) !== expectedVersion) {
+    throw conflict(doc);
+  }
 
-    res.status(200).json({
-      shareUrl: `/documents/share/${latestShare.id}`,
-      shareConfig: shareData.config,
-      expiresAt: shareData.expiresAt.toDate().toISOString()
+  // Snapshot the owner's content so an edit through the share can be rolled back
+  if (changesTrackedContent(doc, updatableData)) {
+    await snapshotRevision(storage, doc.id, doc, { type: 'share', shareToken });
+  }
+
+  try {
+    await storage.documents.update(doc.id, updatableData, {
+      userId: doc.userId,
+      expectedVersion: expectedVersion === null ? undefined : expectedVersion,
     });
   } catch (error) {
-    console.error('Error fetching latest share:', error);
-    res.status(500).send({ message: 'Error fetching share information' });
+    throw error.status === 409 && error.current ? conflict(error.current) : error;
   }
+  await recordShareEvent(shareToken, shareData, shareAccess(req, 'edit'));
+
+  const version = documentVersion(doc) + 1;
+  res.set('ETag', etagFor({ version }));
+  res.status(200).json({ message: 'Document updated successfully.', version });
 });
 
-// Get all shares for a document
-app.get('/api/documents/:documentId/shares', authMiddleware, async (req, res) => {
-  try {
-    const { uid } = req.user;
-    const { documentId } = req.params;
 
-    // Verify document ownership
-    const docRef = db.collection('documents').doc(documentId);
-    const doc = await docRef.get();
+// Public endpoint to merge an edit made through the share with the current content,
+// like POST /api/documents/:id/merge. Only sections the share can edit.
+app.post('/api/documents/share/:shareToken/merge', publicShareLimits('shareEdit'), validate(schemas.sharedMerge), async (req, res) => {
+  const shareData = await loadShare(req.params.shareToken, sharePassword(req));
+  const { field, base, yours } = req.body;
+  if (sharePermissions(shareData)[field] !== 'edit') {
+    throw httpError(403, 'Forbidden: This share cannot edit that section.');
+  }
 
-    if (!doc.exists) {
-      return res.status(404).send({ message: 'Document not found.' });
-    }
+  const doc = await storage.documents.get(shareData.documentId);
+  if (!doc) {
+    throw httpError(404, 'Original document not found.');
+  }
+  res.status(200).json({ field, version: documentVersion(doc), ...mergeText(base, yours, doc[field] || '') });
+});
 
-    if (doc.data().userId !== uid) {
-      return res.status(403).send({ message: 'Forbidden: You do not own this document.' });
-    }
+// Public endpoint to comment on a shared document, on a section or a text range of it, with an
+// optional suggested replacement: { section, anchor?: { start, end }, text?, suggestion?, authorName? }.
+// Needs 'comment' or 'edit' rights on the section. The owner accepts or dismisses it later.
+app.post('/api/documents/share/:shareToken/comments', publicShareLimits('shareEdit'), validate(schemas.sharedComment), async (req, res) => {
+  const { shareToken } = req.params;
+  const shareData = await loadShare(shareToken, sharePassword(req));
 
-    // Get all shares for this document
-    const sharesSnapshot = await db.collection('shares')
-      .where('documentId', '==', documentId)
-      .where('createdBy', '==', uid)
-      .get();
+  const doc = await storage.documents.get(shareData.documentId);
+  if (!doc) {
+    throw httpError(404, 'Original document not found.');
+  }
+  const fields = validateComment(req.body, sharePermissions(shareData), doc);
+
+  const openComments = (await storage.comments.list(doc.id)).filter(comment => comment.status === 'open');
+  if (openComments.length >= MAX_OPEN_COMMENTS) {
+    throw httpError(429, 'This document has too many open comments. Try again once the owner has gone through them.', { code: 'too_many_comments' });
+  }
 
-    const shares = sharesSnapshot.docs.map(share => ({
-      shareToken: share.id,
-      ...share.data(),
-      shareUrl: `${process.env.FRONTEND_URL || 'https://resume.birajgautam.com.np'}/shared/${share.id}`
-    }));
+  const comment = { ...fields, shareToken, createdAt: new Date() };
+  const id = await storage.comments.add(doc.id, comment);
+  await recordShareEvent(shareToken, shareData, shareAccess(req, 'comment'));
 
-    res.status(200).json(shares);
-  } catch (error) {
-    console.error('Error fetching shares:', error);
-    res.status(500).send({ message: 'Error fetching shares' });
+  res.status(201).json({ id, ...comment });
+});
+
+// Public endpoint listing the comments made through this share, so a reviewer can see their feedback
+app.get('/api/documents/share/:shareToken/comments', publicShareLimits('shareView'), validate(schemas.sharedView), async (req, res) => {
+  const { shareToken } = req.params;
+  const shareData = await loadShare(shareToken, sharePassword(req));
+  if (!Object.values(sharePermissions(shareData)).some(canComment)) {
+    throw httpError(403, 'Forbidden: This share does not allow comments.');
   }
+
+  const comments = await storage.comments.list(shareData.documentId);
+  res.status(200).json(comments.filter(comment => comment.shareToken === shareToken));
 });
 
-// Delete a share
-app.delete('/api/documents/:documentId/shares/:shareToken', authMiddleware, async (req, res) => {
-  try {
-    const { uid } = req.user;
-    const { documentId, shareToken } = req.params;
+// Public endpoint to view shared documents (frontend expects this path)
+app.get('/api/documents/share/:shareToken', publicShareLimits('shareView'), validate(schemas.sharedView), async (req, res) => {
+  const { shareToken } = req.params;
+  const response = await fetchSharedDocumentData(shareToken, {
+    password: sharePassword(req),
+    access: shareAccess(req, 'view'),
+  });
+  res.set('ETag', etagFor(response));
+  res.status(200).json(response);
+});
 
-    // Get the share
-    const shareRef = db.collection('shares').doc(shareToken);
-    const share = await shareRef.get();
+// --- NEW ---
+// Public endpoint to DOWNLOAD a shared document as PDF
+app.get('/api/documents/share/:shareToken/download', publicShareLimits('shareDownload'), validate(schemas.sharedDownload), async (req, res) => {
+  const { shareToken } = req.params;
+  const { resume, cover_letter } = req.query; // Allow choosing which to download
+
+  // 1. Fetch the shared data
+  const sharedData = await fetchSharedDocumentData(shareToken, {
+    fillTemplates: cover_letter === 'true',
+    password: sharePassword(req),
+    access: shareAccess(req, 'download'),
+  });
 
-    if (!share.exists) {
-      return res.status(404).send({ message: 'Share not found.' });
-    }
+  // An explicit ?template= wins over the owner's preferred template.
+  // Page options come from the query too (?pageSize=Letter&footer=...&onePage=true).
+  const template = getTemplate(req.query.template || sharedData.template);
+  const renderOptions = resolveRenderOptions(req.query, template);
 
-    // Verify ownership
-    if (share.data().createdBy !== uid || share.data().documentId !== documentId) {
-      return res.status(403).send({ message: 'Forbidden: You do not own this share.' });
-    }
+  let markdownContent = '';
+  const baseFilename = downloadFilename(sharedData.companyName, 'document');
+  let filename = `${baseFilename}.pdf`; // Default filename
+  const hasResume = resume === 'true' && sharedData.resumeMarkdown;
+  const hasCoverLetter = cover_letter === 'true' && sharedData.coverLetterMarkdown;
 
-    // Delete the share
-    await shareRef.delete();
+  // 2. Combine content based on query params
+  if (hasResume) {
+    markdownContent += sharedData.resumeMarkdown;
+  }
+  if (hasCoverLetter) {
+    if (markdownContent) markdownContent += '\n\n---\n\n'; // Add separator
+    markdownContent += sharedData.coverLetterMarkdown;
+  }
 
-    res.status(200).json({ message: 'Share deleted successfully.' });
-  } catch (error) {
-    console.error('Error deleting share:', error);
-    res.status(500).send({ message: 'Error deleting share' });
+  // Adjust filename based on content
+  if (hasResume && hasCoverLetter) {
+    filename = `${baseFilename}-application.pdf`;
+  } else if (hasResume) {
+    filename = `${baseFilename}-resume.pdf`;
+  } else if (hasCoverLetter) {
+    filename = `${baseFilename}-cover-letter.pdf`;
   }
+
+  if (!markdownContent) {
+    throw httpError(400, 'No content available to download for the selected options.');
+  }
+
+  // 3. Generate PDF (same render queue as the authenticated route)
+  const pdf = await renderQueue.render(markdownContent, template, renderOptions);
+  sendPdf(res, pdf, filename);
 });
 
-// --- NEW ---
-// Public endpoint to UPDATE a shared document
-app.put('/api/documents/share/:shareToken', async (req, res) => {
-  try {
-    const { shareToken } = req.params;
-    const { resumeMarkdown, coverLetterMarkdown, notes } = req.body;
 
-    // 1. Fetch the share record
-    const shareRef = db.collection('shares').doc(shareToken);
-    const shareSnap = await shareRef.get();
+// --- Comment Routes ---
+// Comments and suggestions share recipients left on a document (?status=open|accepted|dismissed|all)
+app.get('/api/documents/:id/comments', authMiddleware, validate(schemas.commentList), async (req, res) => {
+  const status = parseCommentStatus(req.query.status);
+  await storage.documents.getOwned(req.params.id, req.user.uid);
 
-    if (!shareSnap.exists) {
-      return res.status(404).send({ message: 'Share link not found or has expired.' });
-    }
+  const comments = await storage.comments.list(req.params.id);
+  res.status(200).json(status === 'all' ? comments : comments.filter(comment => comment.status === status));
+});
 
-    const shareData = shareSnap.data();
+// Helper: load an open comment of a document the user owns
+async function loadOpenComment(documentId, commentId, uid) {
+  const doc = await storage.documents.getOwned(documentId, uid);
+  const comment = await storage.comments.get(documentId, commentId);
+  if (!comment) {
+    throw httpError(404, 'Comment not found.');
+  }
+  if (comment.status !== 'open') {
+    throw httpError(409, `This comment was already ${comment.status}.`, { code: 'comment_resolved' });
+  }
+  return { doc, comment };
+}
 
-    // 2. CRITICAL: Security check for editability
-    if (!shareData.isEditable) {
-      return res.status(403).send({ message: 'Forbidden: This document is not editable.' });
+// Accept a comment. A suggestion is applied to the document first, with a revision snapshot
+// so it can be rolled back; 409 if the text it replaces was changed in the meantime.
+app.post('/api/documents/:id/comments/:commentId/accept', authMiddleware, validate(schemas.byComment), async (req, res) => {
+  const { uid } = req.user;
+  const { id, commentId } = req.params;
+  const { doc, comment } = await loadOpenComment(id, commentId, uid);
+
+  let updates = null;
+  if (comment.suggestion !== null) {
+    updates = { [comment.section]: applySuggestion(doc, comment), updatedAt: new Date() };
+    if (changesTrackedContent(doc, updates)) {
+      await snapshotRevision(storage, id, doc, { type: 'owner', userId: uid }, { commentId });
     }
+    await storage.documents.update(id, updates, { userId: uid });
+  }
 
-    // 3. Check for expiration
-    if (shareData.expiresAt && shareData.expiresAt.toDate() < new Date()) {
-      return res.status(410).send({ message: 'This share link has expired.' });
-    }
+  const resolution = { status: 'accepted', resolvedAt: new Date() };
+  await storage.comments.update(id, commentId, resolution);
 
-    // 4. Prepare the data to update, respecting the original share configuration
-    const updatableData = {
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    };
+  res.status(200).json({ comment: { ...comment, ...resolution }, document: updates && { id, ...updates } });
+});
 
-    if (shareData.config.resumeMarkdown && resumeMarkdown !== undefined) {
-      updatableData.resumeMarkdown = resumeMarkdown;
-    }
-    if (shareData.config.coverLetterMarkdown && coverLetterMarkdown !== undefined) {
-      updatableData.coverLetterMarkdown = coverLetterMarkdown;
-    }
-    if (shareData.config.notes && notes !== undefined) {
-      updatableData.notes = notes;
-    }
+// Dismiss a comment without changing the document
+app.post('/api/documents/:id/comments/:commentId/dismiss', authMiddleware, validate(schemas.byComment), async (req, res) => {
+  const { id, commentId } = req.params;
+  const { comment } = await loadOpenComment(id, commentId, req.user.uid);
 
-    // 5. Update the original document
-    const docRef = db.collection('documents').doc(shareData.documentId);
-    // We don't need to check if the doc exists here, as it's implied by the share's existence.
-    // If it was deleted, the update will fail, which is correct.
-    await docRef.update(updatableData);
+  const resolution = { status: 'dismissed', resolvedAt: new Date() };
+  await storage.comments.update(id, commentId, resolution);
 
-    res.status(200).json({ message: 'Document updated successfully.' });
+  res.status(200).json({ comment: { ...comment, ...resolution } });
+});
 
-  } catch (error) {
-    console.error('Error updating shared document:', error);
-    res.status(500).send({ message: 'An error occurred while updating the document.' });
+// --- Export Routes ---
+// Helper: export the resume or cover letter of a document in the requested format.
+// The query (format, content, template) is checked by the route's schema.
+async function sendExport(res, documentData, { format, content = 'resume', template: templateId }) {
+  const field = content === 'coverLetter' ? 'coverLetterMarkdown' : 'resumeMarkdown';
+  if (!documentData[field]) {
+    throw httpError(400, 'No content available to export for the selected options.');
   }
-});
 
+  const template = getTemplate(templateId || documentData.template);
+  const { body, contentType, extension } = await exportMarkdown(format, documentData[field], {
+    template,
+    title: `${documentData.positionName || 'Resume'}${documentData.companyName ? ` - ${documentData.companyName}` : ''}`,
+    lastModified: documentData.updatedAt || documentData.createdAt,
+    isResume: content === 'resume',
+  });
 
-// Public endpoint to view shared documents (frontend expects this path)
-app.get('/api/documents/share/:shareToken', async (req, res) => {
-  try {
-    const { shareToken } = req.params;
-    const response = await fetchSharedDocumentData(shareToken);
-    res.status(200).json(response);
-  } catch (error) {
-    console.error('Error fetching shared document:', error);
-    res.status(error.status || 500).send({ message: error.message || 'Error fetching shared document' });
+  const baseFilename = downloadFilename(documentData.companyName, 'document');
+  res.attachment(`${baseFilename}-${content === 'resume' ? 'resume' : 'cover-letter'}.${extension}`);
+  res.setHeader('Content-Type', contentType);
+  res.status(200).send(body);
+}
+
+// Export a document (?format=html|text|docx|json-resume&content=resume|coverLetter&template=)
+app.get('/api/documents/:id/export', authMiddleware, validate(schemas.documentExport), async (req, res) => {
+  const { uid } = req.user;
+  const doc = await storage.documents.getOwned(req.params.id, uid);
+  if (req.query.content === 'coverLetter') {
+    doc.coverLetterMarkdown = fillCoverLetter(doc.coverLetterMarkdown, mergeValues(doc));
   }
+  await sendExport(res, doc, req.query);
 });
 
-// --- NEW ---
-// Public endpoint to DOWNLOAD a shared document as PDF
-app.get('/api/documents/share/:shareToken/download', async (req, res) => {
-  try {
-    const { shareToken } = req.params;
-    const { resume, cover_letter } = req.query; // Allow choosing which to download
-
-    // 1. Fetch the shared data
-    const sharedData = await fetchSharedDocumentData(shareToken);
+// Public endpoint to export a shared document. Only sections the share includes can be exported.
+app.get('/api/documents/share/:shareToken/export', publicShareLimits('shareDownload'), validate(schemas.sharedExport), async (req, res) => {
+  const sharedData = await fetchSharedDocumentData(req.params.shareToken, {
+    fillTemplates: req.query.content === 'coverLetter',
+    password: sharePassword(req),
+    access: shareAccess(req, 'export'),
+  });
+  await sendExport(res, sharedData, req.query);
+});
 
-    let markdownContent = '';
-    const baseFilename = sharedData.companyName || 'document';
-    let filename = `${baseFilename}.pdf`; // Default filename
-    const hasResume = resume === 'true' && sharedData.resumeMarkdown;
-    const hasCoverLetter = cover_letter === 'true' && sharedData.coverLetterMarkdown;
+// --- Account Routes ---
+// Download everything stored for the account as a zip (layout in account.js). ?pdfs=false
+// leaves out the rendered PDFs, which is much quicker for accounts with many documents.
+app.get('/api/account/export', authMiddleware, rateLimits.accountExport, validate(schemas.accountExport), async (req, res) => {
+  const zip = await exportAccount(storage, req.user.uid, {
+    render: renderQueue.render,
+    pdfs: req.query.pdfs !== 'false',
+  });
+  res.attachment(`resume-forge-export-${new Date().toISOString().slice(0, 10)}.zip`);
+  res.setHeader('Content-Length', zip.length);
+  res.status(200).end(zip);
+});
 
-    // 2. Combine content based on query params
-    if (hasResume) {
-      markdownContent += sharedData.resumeMarkdown;
-    }
-    if (hasCoverLetter) {
-      if (markdownContent) markdownContent += '\n\n---\n\n'; // Add separator
-      markdownContent += sharedData.coverLetterMarkdown;
-    }
+// Delete the account: documents with their history, comments and shares, share activity,
+// folders, the content library and the pipeline. Body: { confirm: 'DELETE', deleteAuthUser? }.
+// With deleteAuthUser (Firebase sessions only) the Firebase Auth user goes too, which ends every
+// session. Safe to retry.
+app.delete('/api/account', authMiddleware, requireSession, validate(schemas.accountDelete), async (req, res) => {
+  const { uid, authType } = req.user;
+  // Checked before anything is deleted: only Firebase sessions have a Firebase Auth user
+  if (req.body.deleteAuthUser && authType !== 'firebase') {
+    throw httpError(400, 'deleteAuthUser needs a Firebase session; this account signs in another way.', {
+      code: 'auth_user_not_deletable',
+    });
+  }
+  const deleted = await deleteAccountData(storage, uid);
+  renderQueue.removeJobs(uid);
+  analyticsCache.deleteWhere(key => key.startsWith(`${uid}:`));
 
-    // Adjust filename based on content
-    if (hasResume && hasCoverLetter) {
-      filename = `${baseFilename}-application.pdf`;
-    } else if (hasResume) {
-      filename = `${baseFilename}-resume.pdf`;
-    } else if (hasCoverLetter) {
-      filename = `${baseFilename}-cover-letter.pdf`;
+  if (req.body.deleteAuthUser) {
+    try {
+      await admin.auth().deleteUser(uid);
+    } catch (error) {
+      // Already gone, e.g. when retrying after the data deletion failed
+      if (error.code !== 'auth/user-not-found') throw error;
     }
+  }
 
-    if (!markdownContent) {
-      return res.status(400).send({ message: 'No content available to download for the selected options.' });
-    }
+  res.status(200).json({
+    message: 'Account deleted.',
+    deleted,
+    authUserDeleted: Boolean(req.body.deleteAuthUser),
+  });
+});
 
-    // 3. Generate PDF (similar to the authenticated route)
-    const htmlContent = md.render(markdownContent);
-    const pdfStyles = fs.readFileSync('./pdf-styles.css', 'utf8');
-    const fullHtml = `
-      <!DOCTYPE html><html><head><meta charset="utf-8"><style>${pdfStyles}</style></head>
-      <body><div class="resume-preview">${htmlContent}</div></body></html>`;
-
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-
-    wkhtmltopdf(fullHtml, {
-      pageSize: 'A4',
-      marginTop: '30px',
-      marginRight: '30px',
-      marginBottom: '30px',
-      marginLeft: '30px',
-      disableSmartShrinking: true
-    }).pipe(res);
+// --- API Key Routes ---
+// Personal API keys let scripts and the CLI call the API: `Authorization: Bearer rfk_...`.
+// Each key has scopes (read, write, pdf; see apiKeys.js). Keys can't manage keys themselves.
+app.get('/api/api-keys', authMiddleware, requireSession, async (req, res) => {
+  const keys = await storage.apiKeys.list(req.user.uid);
+  res.status(200).json(keys.sort((a, b) => b.createdAt - a.createdAt).map(apiKeySummary));
+});
 
-  } catch (error) {
-    console.error('Error generating shared PDF:', error);
-    res.status(error.status || 500).send({ message: error.message || 'Error generating shared PDF' });
+// Create a key: { name, scopes, expiresInDays? (no expiry when left out) }.
+// The key itself is only ever in this response; only a hash of it is stored.
+app.post('/api/api-keys', authMiddleware, requireSession, validate(schemas.apiKeyCreate), async (req, res) => {
+  const { uid } = req.user;
+  if ((await storage.apiKeys.list(uid)).length >= MAX_API_KEYS) {
+    throw httpError(409, `You can have at most ${MAX_API_KEYS} API keys. Revoke one first.`, { code: 'too_many_keys' });
   }
+
+  const { record, secret } = newApiKey(uid, req.body);
+  const created = await storage.apiKeys.create(record);
+  res.status(201).json({ ...apiKeySummary(created), key: formatApiKey(created.id, secret) });
 });
 
+// Revoke a key. Requests with it fail from now on.
+app.delete('/api/api-keys/:id', authMiddleware, requireSession, validate(schemas.byId), async (req, res) => {
+  await storage.apiKeys.getOwned(req.params.id, req.user.uid);
+  await storage.apiKeys.delete(req.params.id);
+  res.status(200).json({ message: 'API key revoked.' });
+});
+
+// --- Error Handling ---
+// Unknown API routes and every error thrown by the routes above end up here
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
+// Only when run directly: the tests load the app and listen on a port of their own
+if (require.main === module) {
+  if (!process.env.IP_HASH_SECRET) {
+    console.warn('IP_HASH_SECRET is not set; share visitor hashes will change when the server restarts.');
+  }
+  app.listen(PORT, () => {
+    console.log(`Server is listening on http://localhost:${PORT}`);
+  });
+}
 
-// --- CHANGE 4: The server startup is now much simpler ---
-app.listen(PORT, () => {
-  console.log(`Server is listening on http://localhost:${PORT}`);
-});
\ No newline at end of file
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,187 @@
+// server/keywordMatcher.js
+const { parseResume } = require('./resumeParser');
+
+// Common English words plus words every job posting uses that say nothing about the role
+const STOPWORDS = new Set(`
+a about above across after again against all also am an and any are as at be because been before being
+below between both but by can could did do does doing down during each either etc few for from further
+had has have having he her here hers him his how i if in into is it its itself just least less let like
+may me might more most must my no nor not of off on once only or other our ours out over own per please
+same she should so some such than that the their them then there these they this those through to too
+under until up upon us very via was we were what when where which while who whom why will with within
+without would you your yours
+ability able across additional apply applicant applicants based benefits best candidate candidates
+company competitive culture day days degree description employer environment equal excellent
+experience experienced familiarity etc full good great help highly ideal including job join knowledge
+looking new nice offer opportunity opportunities plus position preferred proven related required
+requirements responsibilities responsible role salary seeking skills strong team teams time understanding
+using well work working world year years
+`.trim().split(/\s+/));
+
+// Skills that get extra weight when they appear in a posting. Multi-word entries are matched as phrases.
+const KNOWN_SKILLS = new Set([
+  'javascript', 'typescript', 'node.js', 'node', 'react', 'angular', 'vue', 'svelte', 'next.js', 'express',
+  'python', 'django', 'flask', 'fastapi', 'java', 'spring', 'kotlin', 'scala', 'go', 'golang', 'rust',
+  'c++', 'c#', '.net', 'ruby', 'rails', 'php', 'laravel', 'swift', 'objective-c', 'matlab',
+  'sql', 'postgresql', 'mysql', 'sqlite', 'mongodb', 'redis', 'elasticsearch', 'cassandra', 'dynamodb',
+  'firebase', 'firestore', 'graphql', 'restful', 'grpc', 'kafka', 'rabbitmq', 'spark', 'hadoop', 'airflow',
+  'aws', 'azure', 'gcp', 'google cloud', 'docker', 'kubernetes', 'terraform', 'ansible', 'jenkins',
+  'ci/cd', 'git', 'linux', 'bash', 'html', 'css', 'sass', 'tailwind', 'webpack', 'jest', 'cypress',
+  'selenium', 'machine learning', 'deep learning', 'data analysis', 'data science', 'nlp', 'pandas',
+  'numpy', 'tensorflow', 'pytorch', 'scikit-learn', 'tableau', 'power bi', 'excel', 'figma', 'jira',
+  'agile', 'scrum', 'kanban', 'microservices', 'distributed systems', 'system design', 'security',
+  'devops', 'observability', 'testing', 'unit testing', 'accessibility', 'seo', 'analytics',
+  'project management', 'product management', 'stakeholder management', 'communication', 'leadership',
+  'mentoring', 'collaboration', 'problem solving', 'customer service', 'sales', 'marketing',
+]);
+
+const MAX_PHRASE_WORDS = 3;
+
+// Words worth counting on their own: not a stopword, and more than a number like "5+"
+const isContentWord = word => word && word.length > 1 && !STOPWORDS.has(word) && /[a-z]/.test(word);
+
+// Light stemming so "APIs" matches "API" and "deployments" matches "deployment"
+// ("analysis", "status" and "class" keep their s)
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !/(ss|us|sis)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+// The form words are compared in, in job descriptions and documents alike: stemmed, except
+// skills that are one word ("kubernetes", "pandas")
+const normalize = word => (KNOWN_SKILLS.has(word) ? word : stem(word));
+const normalizePhrase = phrase => phrase.split(' ').map(normalize).join(' ');
+
+// Known skills by their normalized form, so "distributed system" counts as "distributed systems"
+const SKILL_KEYS = new Set([...KNOWN_SKILLS].map(normalizePhrase));
+
+// Lower-case words, keeping the punctuation that is part of tech names (c++, c#, node.js, ci/cd)
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[`*_[\]()>#|]/g, ' ')
+    .split(/[^a-z0-9+#./-]+/)
+    .map(word => word.replace(/^[./-]+|[./-]+$/g, ''))
+    .filter(Boolean);
+}
+
+// Candidate terms with their frequency: known skills (single or multi-word) and
+// the remaining single words and two-word phrases that aren't stopwords.
+// Terms are counted by their normalized `key`; `term` is how the posting wrote them most often.
+function countTerms(words) {
+  const keys = words.map(normalize);
+  const counts = new Map();
+  const add = (start, size, isSkill) => {
+    const key = keys.slice(start, start + size).join(' ');
+    const surface = words.slice(start, start + size).join(' ');
+    const entry = counts.get(key) || { key, count: 0, isSkill, forms: new Map() };
+    entry.count++;
+    entry.forms.set(surface, (entry.forms.get(surface) || 0) + 1);
+    counts.set(key, entry);
+  };
+
+  for (let i = 0; i < words.length; i++) {
+    let matchedSkill = false;
+    for (let size = MAX_PHRASE_WORDS; size >= 1; size--) {
+      if (words.length - i >= size && SKILL_KEYS.has(keys.slice(i, i + size).join(' '))) {
+        add(i, size, true);
+        matchedSkill = size > 1;
+        break;
+      }
+    }
+    if (matchedSkill) continue;
+
+    if (!isContentWord(words[i])) continue;
+    if (!SKILL_KEYS.has(keys[i])) add(i, 1, false);
+    if (isContentWord(words[i + 1])) add(i, 2, false);
+  }
+
+  return [...counts.values()].map(({ forms, ...entry }) => ({
+    ...entry,
+    // The most frequent form, the first one seen on a tie
+    term: [...forms].reduce((best, form) => (form[1] > best[1] ? form : best))[0],
+  }));
+}
+
+// Extract the most relevant keywords from a job description, heaviest first
+function extractKeywords(jobDescription, { limit = 30 } = {}) {
+  const terms = countTerms(tokenize(jobDescription))
+    // Plain two-word phrases only count when they repeat; one-off pairs are mostly noise
+    .filter(term => term.isSkill || !term.key.includes(' ') || term.count >= 2)
+    .map(term => ({
+      key: term.key,
+      term: term.term,
+      isSkill: term.isSkill,
+      count: term.count,
+      weight: term.count * (term.isSkill ? 3 : 1) * (term.key.includes(' ') ? 1.5 : 1),
+    }));
+
+  // Drop single words already covered by a kept phrase with the same count
+  const phrases = terms.filter(term => term.key.includes(' '));
+  return terms
+    .filter(term => term.key.includes(' ') || term.isSkill
+      || !phrases.some(phrase => phrase.count >= term.count && phrase.key.split(' ').includes(term.key)))
+    .sort((a, b) => b.weight - a.weight || a.term.localeCompare(b.term))
+    .slice(0, limit)
+    .map(({ key, ...term }) => ({ ...term, weight: Math.round(term.weight * 10) / 10 }));
+}
+
+// Normalized text of a block, padded so phrase matching can use spaces as boundaries
+function searchableText(text) {
+  return ` ${tokenize(text).map(normalize).join(' ')} `;
+}
+
+// The parts of the resume and cover letter a keyword can be found in
+function documentSections(resumeMarkdown, coverLetterMarkdown) {
+  const resume = parseResume(resumeMarkdown || '');
+  const sections = [];
+  const intro = [resume.name, resume.contact.raw, resume.summary].filter(Boolean).join('\n');
+  if (intro) sections.push({ name: 'Header', text: intro });
+
+  resume.sections.forEach(section => {
+    const parts = [section.title];
+    const addBlock = block => {
+      block.paragraphs.forEach(paragraph => parts.push(paragraph.text));
+      block.bullets.forEach(bullet => parts.push(bullet.text));
+    };
+    addBlock(section);
+    section.entries.forEach(entry => {
+      parts.push(entry.heading);
+      addBlock(entry);
+    });
+    sections.push({ name: section.title || 'Untitled section', text: parts.join('\n') });
+  });
+
+  if (coverLetterMarkdown) sections.push({ name: 'Cover Letter', text: coverLetterMarkdown });
+  return sections.map(section => ({ ...section, searchable: searchableText(section.text) }));
+}
+
+// Compare a job description with the resume and cover letter.
+// Returns { score, keywords, matchedKeywords, missingKeywords }; the score is the share of
+// keyword weight found anywhere in the document, from 0 to 100.
+function matchDocument({ jobDescription, resumeMarkdown, coverLetterMarkdown }, { limit } = {}) {
+  const keywords = extractKeywords(jobDescription, { limit });
+  const sections = documentSections(resumeMarkdown, coverLetterMarkdown);
+
+  const results = keywords.map(keyword => {
+    const needle = ` ${normalizePhrase(keyword.term)} `;
+    const foundIn = sections.filter(section => section.searchable.includes(needle)).map(section => section.name);
+    return { ...keyword, matched: foundIn.length > 0, sections: foundIn };
+  });
+
+  const totalWeight = results.reduce((sum, keyword) => sum + keyword.weight, 0);
+  const matchedWeight = results.filter(keyword => keyword.matched).reduce((sum, keyword) => sum + keyword.weight, 0);
+
+  return {
+    score: totalWeight ? Math.round((matchedWeight / totalWeight) * 100) : 0,
+    keywords: results,
+    matchedKeywords: results.filter(keyword => keyword.matched).map(keyword => keyword.term),
+    missingKeywords: results.filter(keyword => !keyword.matched).map(keyword => keyword.term),
+  };
+}
+
+module.exports = {
+  extractKeywords,
+  matchDocument,
+};
@@ -0,0 +1,73 @@
+// server/localJwt.js
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+
+// HS256 tokens signed with a shared secret, for AUTH_MODE=jwt: local development and
+// deployments with their own login instead of Firebase. Only what we need of the JWT spec:
+// the HS256 algorithm and the exp (required), nbf, iss and aud claims.
+
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+const DEFAULT_EXPIRY_SECONDS = 60 * 60;
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const sign = (input, secret) => crypto.createHmac('sha256', secret).update(input).digest();
+
+// A token for `claims` (which should include `sub`, the user id), valid for `expiresIn` seconds
+function signJwt(claims, secret, { expiresIn = DEFAULT_EXPIRY_SECONDS } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const input = `${encode(HEADER)}.${encode({ iat: now, exp: now + expiresIn, ...claims })}`;
+  return `${input}.${sign(input, secret).toString('base64url')}`;
+}
+
+// The claims of a valid token; a 403 for anything else
+function verifyJwt(token, secret, { issuer, audience } = {}) {
+  const invalid = reason => httpError(403, `Unauthorized: Invalid token (${reason}).`, { code: 'invalid_token' });
+  const parts = token.split('.');
+  if (parts.length !== 3) throw invalid('malformed');
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalid('malformed');
+  }
+  // Only HS256: never let the token pick "none" or another algorithm
+  if (!header || header.alg !== 'HS256') throw invalid('unsupported algorithm');
+
+  const expected = sign(`${parts[0]}.${parts[1]}`, secret);
+  const actual = Buffer.from(parts[2], 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw invalid('bad signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!claims || typeof claims !== 'object' || typeof claims.sub !== 'string' || !claims.sub) {
+    throw invalid('no subject');
+  }
+  // A token without an expiry would be good forever
+  if (typeof claims.exp !== 'number') throw invalid('no expiry');
+  if (claims.exp <= now) throw invalid('expired');
+  if (typeof claims.nbf === 'number' && claims.nbf > now) throw invalid('not yet valid');
+  if (issuer && claims.iss !== issuer) throw invalid('wrong issuer');
+  if (audience && ![].concat(claims.aud).includes(audience)) throw invalid('wrong audience');
+  return claims;
+}
+
+module.exports = { signJwt, verifyJwt };
+
+// Print a token for local development:
+//   AUTH_JWT_SECRET=... node localJwt.js <userId> [email] [expiresInSeconds]
+if (require.main === module) {
+  require('dotenv').config();
+  const [sub, email, expiresIn] = process.argv.slice(2);
+  if (!sub || !process.env.AUTH_JWT_SECRET) {
+    console.error('Usage: AUTH_JWT_SECRET=... node localJwt.js <userId> [email] [expiresInSeconds]');
+    process.exit(1);
+  }
+  const claims = { sub, ...(email ? { email } : {}) };
+  if (process.env.AUTH_JWT_ISSUER) claims.iss = process.env.AUTH_JWT_ISSUER;
+  if (process.env.AUTH_JWT_AUDIENCE) claims.aud = process.env.AUTH_JWT_AUDIENCE;
+  console.log(signJwt(claims, process.env.AUTH_JWT_SECRET, { expiresIn: Number(expiresIn) || DEFAULT_EXPIRY_SECONDS }));
+}
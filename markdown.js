@@ -0,0 +1,8 @@
+// server/markdown.js
+const MarkdownIt = require('markdown-it');
+
+// One markdown-it instance shared by the PDF renderer, the exporters and the resume
+// parser, so every output format reads the markdown the same way.
+const md = new MarkdownIt();
+
+module.exports = md;
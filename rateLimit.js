@@ -0,0 +1,157 @@
+// server/rateLimit.js
+const { httpError } = require('./errors');
+
+// Expired windows are dropped from the memory store at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+// Failures that count towards a `countOnly: 'failures'` limit: unknown tokens, wrong passwords...
+const FAILURE_STATUSES = [401, 403, 404, 410];
+
+// The default store: fixed-window counters held in this process. With several server instances
+// each one counts on its own; pass another store to share the counts. A store has
+//   hit(key, windowMs)  -> { count, resetAt }  counting one request in the key's current window
+//   get(key)            -> { count, resetAt } or null, without counting
+// and may return promises from both.
+function createMemoryStore() {
+  const windows = new Map();
+  let lastSweep = Date.now();
+
+  const current = (key, now) => {
+    const window = windows.get(key);
+    return window && window.resetAt > now ? window : null;
+  };
+
+  const sweep = now => {
+    windows.forEach((window, key) => {
+      if (window.resetAt <= now) windows.delete(key);
+    });
+    lastSweep = now;
+  };
+
+  return {
+    hit(key, windowMs) {
+      const now = Date.now();
+      if (now - lastSweep > SWEEP_INTERVAL_MS) sweep(now);
+      let window = current(key, now);
+      if (!window) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { ...window };
+    },
+
+    get(key) {
+      const window = current(key, Date.now());
+      return window && { ...window };
+    },
+  };
+}
+
+// Who a bucket counts: the visitor's address, or the signed-in user (the address when signed out)
+const BUCKETS = {
+  ip: req => `ip:${req.ip}`,
+  user: req => (req.user ? `user:${req.user.uid}` : `ip:${req.ip}`),
+};
+
+// RateLimit-* headers for this limit, unless another limit on the route is closer to running out
+function setHeaders(res, { max, windowMs, remaining, resetSeconds }) {
+  const shown = res.get('RateLimit-Remaining');
+  if (shown !== undefined && Number(shown) < remaining) return;
+  res.set({
+    'RateLimit-Limit': String(max),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(resetSeconds),
+    'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`,
+  });
+}
+
+// Middleware allowing `max` requests per `windowMs` in each bucket (`by`: 'ip', 'user' or a
+// function of the request). Beyond that it answers 429 with Retry-After. With
+// `countOnly: 'failures'` only requests answered with a FAILURE_STATUSES status are counted,
+// so normal use never runs into it. `middleware.consume(req, res)` applies the limit from
+// inside a route, for limits that only count some outcomes of it.
+function createRateLimiter({
+  name, max, windowMs, by = 'ip', countOnly = 'all', store = createMemoryStore(),
+  message = 'Too many requests. Try again later.',
+}) {
+  const bucketOf = typeof by === 'function' ? by : BUCKETS[by];
+  if (!bucketOf) {
+    throw new Error(`Unknown rate limit bucket "${by}" for ${name}.`);
+  }
+
+  const tooMany = resetSeconds => {
+    const error = httpError(429, message, { code: 'rate_limited' });
+    error.retryAfter = resetSeconds;
+    return error;
+  };
+  const secondsUntil = resetAt => Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+  async function consume(req, res) {
+    const key = `${name}:${bucketOf(req)}`;
+
+    if (countOnly === 'failures') {
+      const window = await store.get(key);
+      if (window && window.count >= max) {
+        throw tooMany(secondsUntil(window.resetAt));
+      }
+      res.on('finish', () => {
+        if (!FAILURE_STATUSES.includes(res.statusCode)) return;
+        Promise.resolve(store.hit(key, windowMs))
+          .catch(error => console.error(`Error counting ${name} rate limit:`, error));
+      });
+      return;
+    }
+
+    const { count, resetAt } = await store.hit(key, windowMs);
+    const resetSeconds = secondsUntil(resetAt);
+    setHeaders(res, { max, windowMs, remaining: Math.max(0, max - count), resetSeconds });
+    if (count > max) {
+      throw tooMany(resetSeconds);
+    }
+  }
+
+  // A store that fails lets requests through rather than taking the routes down with it
+  const middleware = (req, res, next) => consume(req, res).then(() => next(), error => {
+    if (error.status === 429) return next(error);
+    console.error(`Error checking ${name} rate limit:`, error);
+    next();
+  });
+  middleware.consume = consume;
+  return middleware;
+}
+
+// "120/60" is 120 requests per 60 seconds; "off" turns the limit off
+function parseLimitSetting(value) {
+  if (value === 'off') return null;
+  const match = /^(\d+)\/(\d+)$/.exec(value);
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) return undefined;
+  return { max: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+}
+
+// One limiter per entry of `limits` ({ name: { max, windowMs, by, countOnly, message } }), all
+// on the same store. RATE_LIMIT_<NAME> overrides an entry's max and window, e.g.
+// RATE_LIMIT_SHARE_VIEW=300/60 for shareView; a limit set to "off" lets everything through.
+function createRateLimits(limits, { store = createMemoryStore(), env = process.env } = {}) {
+  const limiters = {};
+  Object.entries(limits).forEach(([name, options]) => {
+    const variable = `RATE_LIMIT_${name.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
+    const setting = env[variable] === undefined ? undefined : parseLimitSetting(env[variable].trim());
+    if (env[variable] !== undefined && setting === undefined) {
+      console.warn(`${variable} should look like 120/60 (requests/seconds) or off; using the default.`);
+    }
+    if (setting === null) {
+      const allowAll = (req, res, next) => next();
+      allowAll.consume = async () => {};
+      limiters[name] = allowAll;
+      return;
+    }
+    limiters[name] = createRateLimiter({ name, ...options, ...setting, store });
+  });
+  return limiters;
+}
+
+module.exports = {
+  createMemoryStore,
+  createRateLimiter,
+  createRateLimits,
+};
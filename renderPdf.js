@@ -0,0 +1,255 @@
+// server/renderPdf.js
+const { spawn } = require('child_process');
+const md = require('./markdown');
+const { parseResume } = require('./resumeParser');
+const { buildHtml } = require('./templates');
+const { httpError } = require('./errors');
+
+const PAGE_SIZES = ['A3', 'A4', 'A5', 'Letter', 'Legal', 'Tabloid'];
+const ORIENTATIONS = ['Portrait', 'Landscape'];
+const MARGIN_SIDES = ['top', 'right', 'bottom', 'left'];
+const MARGIN_PATTERN = /^\d+(\.\d+)?(mm|cm|in|px|pt)?$/;
+const MAX_HEADER_FOOTER_LENGTH = 200;
+
+// Placeholders allowed in header/footer text and what wkhtmltopdf substitutes for them.
+// {name} is filled in by us from the resume's first heading.
+const PLACEHOLDERS = {
+  page: '[page]',
+  pages: '[topage]',
+  date: '[date]',
+  title: '[title]',
+};
+
+// Zoom levels tried, in order, when squeezing a document onto one page
+const ONE_PAGE_ZOOM_STEPS = [0.92, 0.85, 0.78, 0.72, 0.66];
+
+// The wkhtmltopdf binary, looked up on the PATH unless WKHTMLTOPDF_PATH points elsewhere
+const WKHTMLTOPDF_COMMAND = process.env.WKHTMLTOPDF_PATH || 'wkhtmltopdf';
+// A render that takes longer than this is killed and reported as failed
+const RENDER_TIMEOUT_MS = Number(process.env.PDF_RENDER_TIMEOUT_MS) || 60 * 1000;
+// How much of wkhtmltopdf's stderr is kept for the server log
+const MAX_ERROR_DETAIL_LENGTH = 300;
+
+function pickListValue(value, allowed, label) {
+  const match = allowed.find(option => option.toLowerCase() === String(value).toLowerCase());
+  if (!match) {
+    throw httpError(400, `Invalid ${label} "${value}". Expected one of: ${allowed.join(', ')}.`);
+  }
+  return match;
+}
+
+function checkMargin(value, side) {
+  const margin = typeof value === 'number' ? String(value) : value;
+  if (typeof margin !== 'string' || !MARGIN_PATTERN.test(margin.trim())) {
+    throw httpError(400, `Invalid ${side} margin "${value}". Use a number with an optional unit (mm, cm, in, px, pt).`);
+  }
+  return margin.trim();
+}
+
+// Margins come as one value, a CSS-style shorthand string ("10mm 15mm"), or { top, right, bottom, left }
+function parseMargins(input, defaults) {
+  if (input === undefined || input === null || input === '') {
+    return { ...defaults };
+  }
+
+  let values;
+  if (typeof input === 'object') {
+    values = MARGIN_SIDES.map(side => (input[side] !== undefined ? input[side] : defaults[side]));
+  } else {
+    const parts = String(input).trim().split(/[\s,]+/);
+    if (parts.length > 4) {
+      throw httpError(400, 'Invalid margins. Expected at most four values (top right bottom left).');
+    }
+    // Expand like CSS: 1 value = all sides, 2 = vertical/horizontal, 3 = top/horizontal/bottom
+    const [top, right = top, bottom = top, left = right] = parts;
+    values = [top, right, bottom, left];
+  }
+
+  const margins = {};
+  MARGIN_SIDES.forEach((side, i) => {
+    margins[side] = checkMargin(values[i], side);
+  });
+  return margins;
+}
+
+// Header/footer text is a string (centered) or { left, center, right }
+function parseHeaderFooter(input, label) {
+  if (input === undefined || input === null || input === '') {
+    return null;
+  }
+
+  const parts = typeof input === 'string' ? { center: input } : input;
+  if (typeof parts !== 'object' || Array.isArray(parts)) {
+    throw httpError(400, `Invalid ${label}. Expected text or { left, center, right }.`);
+  }
+
+  const result = {};
+  ['left', 'center', 'right'].forEach(position => {
+    const text = parts[position];
+    if (text === undefined || text === null || text === '') return;
+    if (typeof text !== 'string' || text.length > MAX_HEADER_FOOTER_LENGTH) {
+      throw httpError(400, `Invalid ${label} ${position} text. Expected a string of at most ${MAX_HEADER_FOOTER_LENGTH} characters.`);
+    }
+    const unknown = (text.match(/\{(\w+)\}/g) || [])
+      .map(token => token.slice(1, -1))
+      .filter(name => name !== 'name' && !PLACEHOLDERS[name]);
+    if (unknown.length) {
+      throw httpError(400, `Unknown placeholder {${unknown[0]}} in ${label}. Allowed: {name}, ${Object.keys(PLACEHOLDERS).map(p => `{${p}}`).join(', ')}.`);
+    }
+    result[position] = text;
+  });
+  return Object.keys(result).length ? result : null;
+}
+
+function parseBoolean(value, label) {
+  if (value === undefined || value === null || value === '') return false;
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  throw httpError(400, `Invalid ${label}. Expected true or false.`);
+}
+
+// Validate render options from a request body or query string against the
+// template's defaults. Invalid values throw an error with status 400.
+function resolveRenderOptions(input = {}, template) {
+  const defaults = template.pageOptions;
+  return {
+    pageSize: input.pageSize ? pickListValue(input.pageSize, PAGE_SIZES, 'page size') : defaults.pageSize,
+    orientation: input.orientation ? pickListValue(input.orientation, ORIENTATIONS, 'orientation') : 'Portrait',
+    margins: parseMargins(input.margins, {
+      top: defaults.marginTop,
+      right: defaults.marginRight,
+      bottom: defaults.marginBottom,
+      left: defaults.marginLeft,
+    }),
+    header: parseHeaderFooter(input.header, 'header'),
+    footer: parseHeaderFooter(input.footer, 'footer'),
+    onePage: parseBoolean(input.onePage, 'onePage'),
+  };
+}
+
+function fillPlaceholders(text, name) {
+  return text.replace(/\{(\w+)\}/g, (token, key) => (key === 'name' ? name : PLACEHOLDERS[key]));
+}
+
+// Translate our render options into wkhtmltopdf's command-line options
+function toWkhtmltopdfOptions(options, name) {
+  const wkOptions = {
+    pageSize: options.pageSize,
+    orientation: options.orientation,
+    marginTop: options.margins.top,
+    marginRight: options.margins.right,
+    marginBottom: options.margins.bottom,
+    marginLeft: options.margins.left,
+    disableSmartShrinking: true,
+  };
+
+  [['header', options.header], ['footer', options.footer]].forEach(([kind, parts]) => {
+    if (!parts) return;
+    Object.keys(parts).forEach(position => {
+      const key = `${kind}${position[0].toUpperCase()}${position.slice(1)}`;
+      wkOptions[key] = fillPlaceholders(parts[position], name);
+    });
+    wkOptions[`${kind}FontSize`] = 8;
+    wkOptions[`${kind}Spacing`] = 5;
+  });
+
+  return wkOptions;
+}
+
+// wkhtmltopdf's arguments for `wkOptions` (pageSize -> --page-size A4, disableSmartShrinking: true
+// -> --disable-smart-shrinking), reading the HTML from stdin and writing the PDF to stdout
+function commandLineArgs(wkOptions) {
+  const args = ['--quiet'];
+  Object.entries(wkOptions).forEach(([key, value]) => {
+    if (value === false || value === undefined || value === null) return;
+    args.push(`--${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`);
+    if (value !== true) args.push(String(value));
+  });
+  return [...args, '-', '-'];
+}
+
+// Render into memory. wkhtmltopdf is spawned directly, without a shell in between, so a render
+// that runs past RENDER_TIMEOUT_MS is killed itself, and the promise only settles once the
+// process is gone: the render queue never frees a slot while a renderer is still running.
+// The PDF is only returned when the process exited successfully. Failures are logged with what
+// wkhtmltopdf printed and become a 500 with a generic message.
+function renderToBuffer(html, wkOptions) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let stderr = '';
+    let timedOut = false;
+    let failed = false;
+
+    const fail = (message, detail) => {
+      if (failed) return;
+      failed = true;
+      console.error(`wkhtmltopdf failed (${message}): ${detail || 'no output'}`);
+      reject(httpError(500, `PDF rendering failed: ${message}.`, { code: 'render_failed' }));
+    };
+
+    const child = spawn(WKHTMLTOPDF_COMMAND, commandLineArgs(wkOptions), { stdio: ['pipe', 'pipe', 'pipe'] });
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, RENDER_TIMEOUT_MS);
+
+    // The binary is missing or can't be run; there is no process to wait for
+    child.on('error', error => {
+      clearTimeout(timer);
+      fail('the renderer could not be started', error.message);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      // The last line printed usually says the most
+      const detail = stderr.split('\n').map(line => line.trim()).filter(Boolean).pop();
+      if (timedOut) {
+        fail(`it took longer than ${Math.round(RENDER_TIMEOUT_MS / 1000)} seconds`, detail);
+      } else if (code !== 0) {
+        fail(signal ? `the renderer was stopped (${signal})` : `the renderer exited with code ${code}`, detail);
+      } else {
+        resolve(Buffer.concat(chunks));
+      }
+    });
+
+    child.stdout.on('data', chunk => chunks.push(chunk));
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-MAX_ERROR_DETAIL_LENGTH);
+    });
+    // A renderer that dies before reading all the HTML is reported by 'close'
+    child.stdin.on('error', () => {});
+    child.stdin.end(html);
+  });
+}
+
+// Count the pages of a rendered PDF by its page objects
+function countPages(pdf) {
+  return (pdf.toString('latin1').match(/\/Type\s*\/Page[^s]/g) || []).length;
+}
+
+// Render markdown to a PDF buffer with the given template and validated options.
+// One-page mode lowers the zoom until the result fits. Routes go through the render
+// queue (renderQueue.js) rather than calling this directly.
+async function renderPdf(markdownContent, template, options) {
+  const fullHtml = buildHtml(template, md.render(markdownContent));
+  // The name for {name} comes from the same parser the structure endpoint uses
+  const wkOptions = toWkhtmltopdfOptions(options, parseResume(markdownContent).name || '');
+
+  let pdf = await renderToBuffer(fullHtml, wkOptions);
+  if (!options.onePage) {
+    return pdf;
+  }
+  for (const zoom of ONE_PAGE_ZOOM_STEPS) {
+    if (countPages(pdf) <= 1) break;
+    pdf = await renderToBuffer(fullHtml, { ...wkOptions, zoom });
+  }
+  return pdf;
+}
+
+module.exports = {
+  MAX_HEADER_FOOTER_LENGTH,
+  PAGE_SIZES,
+  ORIENTATIONS,
+  resolveRenderOptions,
+  renderPdf,
+};
@@ -0,0 +1,231 @@
+// server/renderQueue.js
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_QUEUED = 50;
+const CACHE_MAX_BYTES = 64 * 1024 * 1024;
+const CACHE_TTL_MS = 30 * 60 * 1000;
+// Finished jobs are kept this long for the client to fetch the result
+const JOB_TTL_MS = 15 * 60 * 1000;
+const JOB_SWEEP_INTERVAL_MS = 60 * 1000;
+// Jobs kept per user, finished or not; each finished one holds its PDF in memory
+const DEFAULT_MAX_JOBS_PER_OWNER = 20;
+
+// Identical markdown, template and options always give the same PDF
+function renderKey(markdown, template, options) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ markdown, template: template.id, options }))
+    .digest('hex');
+}
+
+// Least recently used cache of rendered PDFs, bounded by total size
+function createPdfCache({ maxBytes = CACHE_MAX_BYTES, ttlMs = CACHE_TTL_MS } = {}) {
+  const entries = new Map();
+  let totalBytes = 0;
+
+  const remove = key => {
+    const entry = entries.get(key);
+    if (!entry) return;
+    totalBytes -= entry.pdf.length;
+    entries.delete(key);
+  };
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (Date.now() - entry.storedAt > ttlMs) {
+        remove(key);
+        return null;
+      }
+      // Move to the back of the Map, which keeps insertion order: the front is the least recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.pdf;
+    },
+
+    set(key, pdf) {
+      if (pdf.length > maxBytes) return;
+      remove(key);
+      entries.set(key, { pdf, storedAt: Date.now() });
+      totalBytes += pdf.length;
+      while (totalBytes > maxBytes) remove(entries.keys().next().value);
+    },
+  };
+}
+
+// A bounded pool of PDF renders. `render(markdown, template, options)` resolves to a PDF buffer.
+// At most `concurrency` renders run at once; the rest wait in order, up to `maxQueued`
+// (503 beyond that). Results are cached by renderKey, and a render already running for
+// the same key is shared instead of started again.
+//
+// Jobs live in this process only: with several server instances, a client has to poll the
+// instance it submitted to. Finished jobs expire after `jobTtlMs`; a user keeps at most
+// `maxJobsPerOwner`, the oldest finished one making way for a new one.
+function createRenderQueue(render, {
+  concurrency = Number(process.env.PDF_RENDER_CONCURRENCY) || DEFAULT_CONCURRENCY,
+  maxQueued = DEFAULT_MAX_QUEUED,
+  cache = createPdfCache(),
+  jobTtlMs = JOB_TTL_MS,
+  maxJobsPerOwner = DEFAULT_MAX_JOBS_PER_OWNER,
+} = {}) {
+  const waiting = [];
+  const inFlight = new Map();
+  const jobs = new Map();
+  let running = 0;
+
+  const startNext = () => {
+    while (running < concurrency && waiting.length) {
+      const task = waiting.shift();
+      running++;
+      task.started = true;
+      task.startListeners.forEach(onStart => onStart());
+      render(task.markdown, task.template, task.options)
+        .then(pdf => {
+          cache.set(task.key, pdf);
+          task.resolve(pdf);
+        }, task.reject)
+        .finally(() => {
+          running--;
+          inFlight.delete(task.key);
+          startNext();
+        });
+    }
+  };
+
+  // The PDF for this input: from the cache, a render already in flight, or a new render.
+  // `onStart` is called when the render leaves the queue (right away if it already has).
+  const renderCached = (markdown, template, options, onStart = () => {}) => {
+    const key = renderKey(markdown, template, options);
+    const cached = cache.get(key);
+    if (cached) return { cacheHit: true, cached, promise: Promise.resolve(cached) };
+    if (inFlight.has(key)) {
+      const task = inFlight.get(key);
+      if (task.started) onStart();
+      else task.startListeners.push(onStart);
+      return { cacheHit: false, promise: task.promise };
+    }
+
+    if (waiting.length >= maxQueued) {
+      const error = httpError(503, 'The PDF renderer is busy. Try again in a moment.', { code: 'renderer_busy' });
+      error.retryAfter = 10;
+      throw error;
+    }
+    const task = { key, markdown, template, options, started: false, startListeners: [onStart] };
+    task.promise = new Promise((resolve, reject) => {
+      task.resolve = resolve;
+      task.reject = reject;
+    });
+    waiting.push(task);
+    inFlight.set(key, task);
+    startNext();
+    return { cacheHit: false, promise: task.promise };
+  };
+
+  const isExpired = job => job.finishedAt && Date.now() - job.finishedAt.getTime() > jobTtlMs;
+  const removeExpiredJobs = () => {
+    jobs.forEach((job, id) => {
+      if (isExpired(job)) jobs.delete(id);
+    });
+  };
+  // Expired PDFs are dropped even when nobody submits or polls; the timer doesn't keep the process alive
+  setInterval(removeExpiredJobs, Math.min(jobTtlMs, JOB_SWEEP_INTERVAL_MS)).unref();
+
+  // Make room for one more job of `ownerId`: drop their oldest finished job when they are at the
+  // limit, or refuse with a 429 when all of them are still waiting or rendering
+  const makeRoomFor = ownerId => {
+    const owned = [...jobs.values()].filter(job => job.ownerId === ownerId);
+    if (owned.length < maxJobsPerOwner) return;
+    const oldestFinished = owned.find(job => job.finishedAt);
+    if (!oldestFinished) {
+      const error = httpError(429, `You have ${maxJobsPerOwner} PDF jobs running. Wait for one to finish.`, {
+        code: 'too_many_jobs',
+      });
+      error.retryAfter = 10;
+      throw error;
+    }
+    jobs.delete(oldestFinished.id);
+  };
+
+  return {
+    // Render and wait for the PDF (for the routes that answer with the file directly)
+    async render(markdown, template, options) {
+      return renderCached(markdown, template, options).promise;
+    },
+
+    // Queue a render job for `ownerId` and return it straight away; poll with getJob
+    submit(ownerId, markdown, template, options, { filename } = {}) {
+      removeExpiredJobs();
+      makeRoomFor(ownerId);
+      const job = {
+        id: crypto.randomBytes(12).toString('hex'),
+        ownerId,
+        status: 'queued',
+        filename: filename || 'document.pdf',
+        cacheHit: false,
+        error: null,
+        size: null,
+        createdAt: new Date(),
+        startedAt: null,
+        finishedAt: null,
+        pdf: null,
+      };
+      const { cacheHit, cached, promise } = renderCached(markdown, template, options, () => {
+        job.status = 'rendering';
+        job.startedAt = new Date();
+      });
+      jobs.set(job.id, job);
+      if (cacheHit) {
+        Object.assign(job, { status: 'done', cacheHit, pdf: cached, size: cached.length, finishedAt: new Date() });
+        return job;
+      }
+
+      promise.then(pdf => {
+        Object.assign(job, { status: 'done', pdf, size: pdf.length, finishedAt: new Date() });
+      }, error => {
+        console.error('Error rendering PDF job:', error);
+        Object.assign(job, {
+          status: 'failed',
+          error: error.status
+            ? { status: error.status, code: error.code, message: error.message }
+            : { status: 500, code: 'internal_error', message: 'Error generating PDF.' },
+          finishedAt: new Date(),
+        });
+      });
+      return job;
+    },
+
+    // The job if it exists and belongs to `ownerId` (404 otherwise, so ids can't be probed)
+    getJob(id, ownerId) {
+      const job = jobs.get(id);
+      if (job && isExpired(job)) jobs.delete(id);
+      if (!job || job.ownerId !== ownerId || isExpired(job)) {
+        throw httpError(404, 'PDF job not found or expired.');
+      }
+      return job;
+    },
+
+    // Drop the owner's jobs and their PDFs, finished or not (for account deletion)
+    removeJobs(ownerId) {
+      jobs.forEach((job, id) => {
+        if (job.ownerId === ownerId) jobs.delete(id);
+      });
+    },
+
+    stats() {
+      return { running, queued: waiting.length, concurrency, jobs: jobs.size };
+    },
+  };
+}
+
+// What the job API shows of a job (not the PDF itself)
+function jobSummary({ pdf, ownerId, ...job }) {
+  return job;
+}
+
+module.exports = {
+  createPdfCache,
+  createRenderQueue,
+  jobSummary,
+};
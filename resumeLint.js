@@ -0,0 +1,119 @@
+// server/resumeLint.js
+
+const DEFAULT_MAX_BULLET_LENGTH = 200;
+
+// Rough number of printed lines each kind of block takes up
+const LINE_COSTS = {
+  name: 2.5,
+  contact: 1.5,
+  sectionTitle: 2.2,
+  entryTitle: 1.6,
+  paragraphGap: 0.5,
+  bulletGap: 0.25,
+};
+
+const wrappedLines = (text, charsPerLine) => Math.max(1, Math.ceil(text.length / charsPerLine));
+
+// Estimate how many pages the parsed resume fills with the given template
+function estimatePages(resume, template) {
+  const { charsPerLine, linesPerPage } = template.metrics;
+  const bulletWidth = charsPerLine - 4;
+  let lines = 0;
+
+  if (resume.name) lines += LINE_COSTS.name;
+  if (resume.contact.raw) lines += LINE_COSTS.contact;
+  if (resume.summary) lines += wrappedLines(resume.summary, charsPerLine) + LINE_COSTS.paragraphGap;
+
+  const blockLines = block => {
+    let total = 0;
+    block.paragraphs.forEach(paragraph => {
+      total += wrappedLines(paragraph.text, charsPerLine) + LINE_COSTS.paragraphGap;
+    });
+    block.bullets.forEach(bullet => {
+      total += wrappedLines(bullet.text, bulletWidth) + LINE_COSTS.bulletGap;
+    });
+    return total;
+  };
+
+  resume.sections.forEach(section => {
+    lines += LINE_COSTS.sectionTitle + blockLines(section);
+    section.entries.forEach(entry => {
+      lines += LINE_COSTS.entryTitle + (entry.location ? 1 : 0) + blockLines(entry);
+    });
+  });
+
+  return Math.round((lines / linesPerPage) * 10) / 10;
+}
+
+function finding(rule, severity, message, extra = {}) {
+  return { rule, severity, message, ...extra };
+}
+
+// Check a parsed resume for common problems. Each finding is
+// { rule, severity: 'error' | 'warning' | 'info', message, line?, section? }.
+function lintResume(resume, { template, maxBulletLength = DEFAULT_MAX_BULLET_LENGTH } = {}) {
+  const findings = [];
+
+  if (!resume.name) {
+    findings.push(finding('missing-name', 'error', 'The resume has no name heading ("# Your Name").'));
+  }
+  if (!resume.contact.email) {
+    findings.push(finding('missing-email', 'error', 'No contact email was found in the line under the name.'));
+  }
+
+  // Date formats: every role should write its dates the same way
+  const datedEntries = [];
+  resume.sections.forEach(section => {
+    section.entries.forEach(entry => {
+      if (entry.dates) datedEntries.push({ section, entry });
+    });
+  });
+  const formatCounts = {};
+  datedEntries.forEach(({ entry }) => {
+    entry.dates.formats.forEach(format => {
+      formatCounts[format] = (formatCounts[format] || 0) + 1;
+    });
+  });
+  const formats = Object.keys(formatCounts).sort((a, b) => formatCounts[b] - formatCounts[a]);
+  if (formats.length > 1) {
+    const [mostUsed] = formats;
+    datedEntries
+      .filter(({ entry }) => entry.dates.formats.some(format => format !== mostUsed))
+      .forEach(({ section, entry }) => findings.push(finding('inconsistent-date-format', 'warning',
+        `"${entry.dates.text}" uses ${entry.dates.formats.join(' / ')} while most dates use ${mostUsed}.`,
+        { line: entry.line, section: section.title })));
+  }
+
+  // Bullets over the length limit
+  const checkBullets = (bullets, section) => bullets
+    .filter(bullet => bullet.text.length > maxBulletLength)
+    .forEach(bullet => findings.push(finding('bullet-too-long', 'warning',
+      `Bullet is ${bullet.text.length} characters long (limit ${maxBulletLength}).`,
+      { line: bullet.line, section: section.title })));
+
+  resume.sections.forEach(section => {
+    checkBullets(section.bullets, section);
+    section.entries.forEach(entry => checkBullets(entry.bullets, section));
+
+    const hasContent = section.paragraphs.length || section.bullets.length || section.entries.length;
+    if (!hasContent) {
+      findings.push(finding('empty-section', 'warning', `Section "${section.title}" has no content.`,
+        { line: section.line, section: section.title }));
+    }
+  });
+
+  if (template) {
+    const estimatedPages = estimatePages(resume, template);
+    findings.push(finding('page-count', estimatedPages > 2 ? 'warning' : 'info',
+      `Estimated length with the ${template.name} template is ${estimatedPages} page${estimatedPages === 1 ? '' : 's'}.`,
+      { estimatedPages }));
+  }
+
+  return findings;
+}
+
+module.exports = {
+  DEFAULT_MAX_BULLET_LENGTH,
+  estimatePages,
+  lintResume,
+};
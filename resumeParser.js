@@ -0,0 +1,215 @@
+// server/resumeParser.js
+const md = require('./markdown');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+// One date as written in a resume: "Jan 2020", "January 2020", "01/2020", "2020-01" or "2020"
+const DATE = `(?:${MONTH_NAME}\\s+\\d{4}|\\d{1,2}/\\d{4}|\\d{4}-\\d{2}|\\d{4})`;
+const DATE_RANGE_PATTERN = new RegExp(`(${DATE})\\s*(?:-|–|—|to)\\s*(${DATE}|present|current|now)|(${DATE})`, 'i');
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{7,}\d/;
+const URL_PATTERN = /(https?:\/\/\S+|www\.\S+|(linkedin|github)\.com\/\S+)/i;
+
+// Plain text of an inline token (links keep their text, line breaks become `lineBreak`)
+function inlineText(token, lineBreak = ' ') {
+  if (!token.children) return token.content;
+  return token.children.map(child => {
+    if (child.type === 'softbreak' || child.type === 'hardbreak') return lineBreak;
+    return child.content || '';
+  }).join('').trim();
+}
+
+// Links inside an inline token as { href, text }
+function inlineLinks(token) {
+  const links = [];
+  let current = null;
+  (token.children || []).forEach(child => {
+    if (child.type === 'link_open') {
+      current = { href: child.attrGet('href'), text: '' };
+    } else if (child.type === 'link_close' && current) {
+      links.push({ ...current, text: current.text.trim() });
+      current = null;
+    } else if (current) {
+      current.text += child.content || '';
+    }
+  });
+  return links;
+}
+
+// Describe which format a written date uses, so inconsistent formats can be spotted
+function dateFormat(text) {
+  if (/^\d{4}$/.test(text)) return 'YYYY';
+  if (/^\d{4}-\d{2}$/.test(text)) return 'YYYY-MM';
+  if (/^\d{1,2}\/\d{4}$/.test(text)) return 'MM/YYYY';
+  return /^[a-z]{3}\.?\s/i.test(text) && text.split(/\s+/)[0].replace('.', '').length === 3 ? 'Mon YYYY' : 'Month YYYY';
+}
+
+// Turn one written date into ISO 8601 ("2020-01" or "2020"), the format JSON Resume uses
+function toIsoDate(text) {
+  if (!text) return null;
+  const value = text.trim();
+  let match;
+  if ((match = value.match(/^(\d{4})-(\d{2})$/))) return `${match[1]}-${match[2]}`;
+  if ((match = value.match(/^(\d{1,2})\/(\d{4})$/))) return `${match[2]}-${match[1].padStart(2, '0')}`;
+  if ((match = value.match(/^(\d{4})$/))) return match[1];
+  if ((match = value.match(/^([a-z]+)\.?\s+(\d{4})$/i))) {
+    const month = MONTHS.indexOf(match[1].slice(0, 3).toLowerCase());
+    if (month !== -1) return `${match[2]}-${String(month + 1).padStart(2, '0')}`;
+  }
+  return null;
+}
+
+// Find a date range in a line of text: { start, end, current, text } or null
+function parseDateRange(text) {
+  const match = (text || '').match(DATE_RANGE_PATTERN);
+  if (!match) return null;
+
+  const start = match[1] || match[3];
+  const end = match[2] || null;
+  const current = !!end && /present|current|now/i.test(end);
+  return {
+    text: match[0],
+    start,
+    end: current ? null : end,
+    current,
+    formats: [start, current ? null : end].filter(Boolean).map(dateFormat),
+  };
+}
+
+// Split a role heading such as "Senior Engineer — Acme Corp | Jan 2020 - Present"
+// into a title, an organization and its dates
+function parseEntryHeading(text) {
+  const dates = parseDateRange(text);
+  let rest = dates ? text.replace(dates.text, '') : text;
+  rest = rest.replace(/[|,(]\s*[|,)]?\s*$/, '').replace(/\(\s*\)/, '').trim();
+
+  const [title, organization] = rest
+    .split(/\s+(?:—|–|-|@|at)\s+|\s*\|\s*|,\s+/)
+    .map(part => part.trim())
+    .filter(Boolean);
+
+  return { title: title || rest, organization: organization || null, dates };
+}
+
+// Split the contact line under the name into email, phone, links and location.
+// `links` are the markdown links on that line; their text is not mistaken for a location.
+function parseContact(text, links = []) {
+  const contact = { email: null, phone: null, urls: [], location: null, raw: text || '' };
+  const linkTexts = links.map(link => link.text);
+
+  links.forEach(({ href }) => {
+    if (href.startsWith('mailto:')) contact.email = href.slice(7);
+    else if (href.startsWith('tel:')) contact.phone = href.slice(4);
+    else contact.urls.push(href);
+  });
+
+  const parts = (text || '').split(/\s*(?:\||•|·|\s-\s)\s*/).map(part => part.trim()).filter(Boolean);
+  parts.forEach(part => {
+    if (EMAIL_PATTERN.test(part)) {
+      contact.email = contact.email || part.match(EMAIL_PATTERN)[0];
+    } else if (PHONE_PATTERN.test(part)) {
+      contact.phone = contact.phone || part.match(PHONE_PATTERN)[0].trim();
+    } else if (URL_PATTERN.test(part)) {
+      const url = part.match(URL_PATTERN)[0];
+      if (!contact.urls.some(link => link.includes(url.replace(/^https?:\/\//, '')))) {
+        contact.urls.push(url);
+      }
+    } else if (!contact.location && !linkTexts.includes(part)) {
+      contact.location = part;
+    }
+  });
+  return contact;
+}
+
+// Parse resume markdown into { name, contact, summary, sections }. Each section has a
+// title, its own paragraphs and bullets, and the entries (### roles) inside it.
+function parseResume(markdown) {
+  const tokens = md.parse(markdown || '', {});
+  const resume = { name: null, contact: parseContact(''), summary: [], sections: [] };
+
+  let section = null;
+  let entry = null;
+  let heading = null;
+  let inListItem = 0;
+
+  // Paragraphs and bullets go to the innermost open block
+  const target = () => entry || section;
+
+  tokens.forEach(token => {
+    if (token.type === 'heading_open') {
+      heading = token.tag;
+      return;
+    }
+    if (token.type === 'heading_close') {
+      heading = null;
+      return;
+    }
+    if (token.type === 'list_item_open') {
+      inListItem++;
+      return;
+    }
+    if (token.type === 'list_item_close') {
+      inListItem--;
+      return;
+    }
+    if (token.type !== 'inline') return;
+
+    const text = inlineText(token);
+    const line = token.map ? token.map[0] + 1 : null;
+
+    if (heading === 'h1') {
+      resume.name = resume.name || text;
+    } else if (heading === 'h2') {
+      section = { title: text, line, paragraphs: [], bullets: [], entries: [] };
+      entry = null;
+      resume.sections.push(section);
+    } else if (heading === 'h3' || heading === 'h4') {
+      if (!section) {
+        section = { title: '', line, paragraphs: [], bullets: [], entries: [] };
+        resume.sections.push(section);
+      }
+      entry = { heading: text, line, ...parseEntryHeading(text), paragraphs: [], bullets: [] };
+      section.entries.push(entry);
+    } else if (inListItem) {
+      if (target()) {
+        target().bullets.push({ text, line });
+      } else {
+        resume.summary.push(text);
+      }
+    } else if (!section) {
+      // Text before the first section: the line after the name is the contact line
+      const contact = parseContact(inlineText(token, ' | '), inlineLinks(token));
+      const looksLikeContact = contact.email || contact.phone || contact.urls.length || contact.raw.includes('|');
+      if (resume.name && !resume.contact.raw && !resume.summary.length && looksLikeContact) {
+        resume.contact = contact;
+      } else {
+        resume.summary.push(text);
+      }
+    } else {
+      // A date line right under a role heading ("*Jan 2020 - Present*") belongs to the role
+      if (entry && !entry.dates && !entry.paragraphs.length && !entry.bullets.length) {
+        const dates = parseDateRange(text);
+        if (dates && text.replace(dates.text, '').replace(/[*_|,\s]/g, '').length < 40) {
+          entry.dates = dates;
+          const location = text.replace(dates.text, '').replace(/^[\s|,–—-]+|[\s|,–—-]+$/g, '');
+          if (location) entry.location = location;
+          return;
+        }
+      }
+      target().paragraphs.push({ text, line });
+    }
+  });
+
+  resume.summary = resume.summary.join('\n\n');
+  return resume;
+}
+
+module.exports = {
+  parseResume,
+  parseDateRange,
+  parseEntryHeading,
+  parseContact,
+  toIsoDate,
+  inlineText,
+};
@@ -0,0 +1,177 @@
+// server/revisions.js
+const { httpError } = require('./errors');
+
+// The document fields we keep a history for
+const TRACKED_FIELDS = ['resumeMarkdown', 'coverLetterMarkdown'];
+
+// Diffs build a table of (lines + 1) x (lines + 1) cells, so longer texts are refused rather
+// than tying up the server's memory. Resumes are a few hundred lines at most.
+const MAX_DIFF_LINES = 2000;
+
+// True if applying `updates` would change any tracked field of `currentData`
+function changesTrackedContent(currentData, updates) {
+  return TRACKED_FIELDS.some(field =>
+    updates[field] !== undefined && updates[field] !== currentData[field]
+  );
+}
+
+// Save the current content of a document into its revision history.
+// `source` is { type: 'owner', userId } or { type: 'share', shareToken }.
+async function snapshotRevision(storage, documentId, currentData, source, extra = {}) {
+  const revision = {
+    source: source.type,
+    createdAt: new Date(),
+    ...extra,
+  };
+  if (source.userId) revision.userId = source.userId;
+  if (source.shareToken) revision.shareToken = source.shareToken;
+
+  TRACKED_FIELDS.forEach(field => {
+    revision[field] = currentData[field] !== undefined ? currentData[field] : null;
+  });
+
+  return storage.revisions.add(documentId, revision);
+}
+
+// The lines of a text to diff; a 413 for texts over MAX_DIFF_LINES
+function splitLines(text) {
+  const lines = (text || '').split('\n');
+  if (lines.length > MAX_DIFF_LINES) {
+    throw httpError(413, `Texts over ${MAX_DIFF_LINES} lines are too long to compare.`, { code: 'too_many_lines' });
+  }
+  return lines;
+}
+
+// lcs(i, j) = length of the longest common subsequence of a[i..] and b[j..]. The table is one
+// typed array: with both texts under MAX_DIFF_LINES the lengths fit in 16 bits.
+function lcsTable(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const table = new Uint16Array((n + 1) * (m + 1));
+  const at = (i, j) => i * (m + 1) + j;
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[at(i, j)] = a[i] === b[j]
+        ? table[at(i + 1, j + 1)] + 1
+        : Math.max(table[at(i + 1, j)], table[at(i, j + 1)]);
+    }
+  }
+  return (i, j) => table[at(i, j)];
+}
+
+// Line-by-line diff based on the longest common subsequence of the two texts.
+// Returns a list of { type: 'equal' | 'added' | 'removed', line } entries.
+function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const n = a.length;
+  const m = b.length;
+  const lcs = lcsTable(a, b);
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      changes.push({ type: 'equal', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs(i + 1, j) >= lcs(i, j + 1)) {
+      changes.push({ type: 'removed', line: a[i] });
+      i++;
+    } else {
+      changes.push({ type: 'added', line: b[j] });
+      j++;
+    }
+  }
+  while (i < n) changes.push({ type: 'removed', line: a[i++] });
+  while (j < m) changes.push({ type: 'added', line: b[j++] });
+
+  return changes;
+}
+
+// For each line of `a`, the index of the line of `b` it is matched with by the LCS, or -1
+function matchLines(a, b) {
+  const lcs = lcsTable(a, b);
+  const matches = new Array(a.length).fill(-1);
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      matches[i++] = j++;
+    } else if (lcs(i + 1, j) >= lcs(i, j + 1)) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matches;
+}
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, index) => line === b[index]);
+
+// Three-way line merge (diff3) of two edits of the same `base` text: `yours`, the version the
+// client wants to save, and `current`, what is stored now. Changes made on only one side are
+// taken; lines both sides changed differently become a conflict, written between git-style
+// markers in `merged`. Returns { merged, clean, conflicts: [{ line, base, yours, current }] }
+// where `line` is the 1-based line of the conflict's first marker in `merged`. Like diffLines,
+// a 413 for texts over MAX_DIFF_LINES.
+function mergeText(base, yours, current) {
+  const o = splitLines(base);
+  const a = splitLines(yours);
+  const b = splitLines(current);
+  const matchA = matchLines(o, a);
+  const matchB = matchLines(o, b);
+
+  const merged = [];
+  const conflicts = [];
+  const takeChunk = (baseLines, yourLines, currentLines) => {
+    if (sameLines(yourLines, baseLines) || sameLines(yourLines, currentLines)) {
+      merged.push(...currentLines);
+    } else if (sameLines(currentLines, baseLines)) {
+      merged.push(...yourLines);
+    } else {
+      conflicts.push({ line: merged.length + 1, base: baseLines.join('\n'), yours: yourLines.join('\n'), current: currentLines.join('\n') });
+      merged.push('<<<<<<< yours', ...yourLines, '=======', ...currentLines, '>>>>>>> current');
+    }
+  };
+
+  let io = 0;
+  let ia = 0;
+  let ib = 0;
+  while (io < o.length || ia < a.length || ib < b.length) {
+    // Lines unchanged on both sides
+    let stable = 0;
+    while (io + stable < o.length && matchA[io + stable] === ia + stable && matchB[io + stable] === ib + stable) {
+      stable++;
+    }
+    if (stable) {
+      merged.push(...o.slice(io, io + stable));
+      io += stable;
+      ia += stable;
+      ib += stable;
+      continue;
+    }
+
+    // A changed region: up to the next base line both sides still have
+    let next = io;
+    while (next < o.length && (matchA[next] === -1 || matchB[next] === -1)) next++;
+    const endA = next < o.length ? matchA[next] : a.length;
+    const endB = next < o.length ? matchB[next] : b.length;
+    takeChunk(o.slice(io, next), a.slice(ia, endA), b.slice(ib, endB));
+    io = next;
+    ia = endA;
+    ib = endB;
+  }
+
+  return { merged: merged.join('\n'), clean: !conflicts.length, conflicts };
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  MAX_DIFF_LINES,
+  changesTrackedContent,
+  snapshotRevision,
+  diffLines,
+  mergeText,
+};
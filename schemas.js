@@ -0,0 +1,503 @@
+// server/schemas.js
+const {
+  string, integer, number, boolean, isoDate, array, object, anyOf,
+} = require('./validation');
+const { listTemplates } = require('./templates');
+const { TRACKED_FIELDS } = require('./revisions');
+const { MERGEABLE_FIELDS } = require('./documentVersion');
+const { MAX_STAGES, MAX_NOTE_LENGTH } = require('./applicationTracker');
+const { MAX_TAGS, MAX_TAG_LENGTH, MAX_BULK_ITEMS, BULK_ACTIONS } = require('./documentOrganization');
+const { SORT_FIELDS, MAX_PAGE_SIZE } = require('./documentSearch');
+const { BLOCK_KINDS, MAX_BLOCK_LENGTH } = require('./contentBlocks');
+const { MAX_HEADER_FOOTER_LENGTH } = require('./renderPdf');
+const { IMPORT_FORMATS } = require('./importers');
+const { EXPORT_FORMATS } = require('./exporters');
+const { SHARE_SECTIONS, PERMISSIONS, MAX_LABEL_LENGTH } = require('./shareSettings');
+const { MAX_EVENT_LIMIT } = require('./shareAudit');
+const {
+  COMMENT_STATUSES, MAX_COMMENT_LENGTH, MAX_SUGGESTION_LENGTH, MAX_AUTHOR_LENGTH,
+} = require('./shareComments');
+const { SCOPES: API_KEY_SCOPES, MAX_KEY_NAME_LENGTH } = require('./apiKeys');
+
+// Request schemas for the routes in index.js, passed to validate(). The domain modules still
+// check what depends on stored data (pipeline transitions, template placeholders, ...);
+// these make sure the request has the right shape and sizes first.
+
+const MAX_MARKDOWN_LENGTH = 100000;
+// A render can combine a resume and a cover letter
+const MAX_RENDER_LENGTH = 2 * MAX_MARKDOWN_LENGTH;
+const MAX_NOTES_LENGTH = 20000;
+const MAX_JOB_DESCRIPTION_LENGTH = 50000;
+const MAX_NAME_LENGTH = 200;
+const MAX_STAGE_NAME_LENGTH = 50;
+
+const TEMPLATE_IDS = listTemplates().map(template => template.id);
+
+// Firestore ids, share tokens and job ids are all letters, digits, "_" and "-"
+const id = () => string({ min: 1, max: 128, pattern: /^[\w-]+$/, format: 'an id' });
+const name = () => string({ max: MAX_NAME_LENGTH });
+const markdown = () => string({ max: MAX_MARKDOWN_LENGTH });
+const template = () => string({ oneOf: TEMPLATE_IDS });
+const stageName = () => string({ min: 1, max: MAX_STAGE_NAME_LENGTH });
+const tags = () => array(string({ max: MAX_TAG_LENGTH }), { max: MAX_TAGS });
+const queryInteger = (min, max) => integer({ min, max, fromString: true }).optional();
+const queryFlag = () => string({ oneOf: ['true', 'false'] }).optional();
+
+// --- Params ---
+const idParams = object({ id: id() });
+const revisionParams = object({ id: id(), revisionId: id() });
+const commentParams = object({ id: id(), commentId: id() });
+const shareDocumentParams = object({ documentId: id() });
+const shareLinkParams = object({ documentId: id(), shareToken: id() });
+const shareTokenParams = object({ shareToken: id() });
+const jobParams = object({ jobId: id() });
+
+// For routes that only take ids
+const byId = { params: idParams };
+const byRevision = { params: revisionParams };
+const byShareDocument = { params: shareDocumentParams };
+const byShareLink = { params: shareLinkParams };
+const byComment = { params: commentParams };
+const byPdfJob = { params: jobParams };
+
+// --- Documents ---
+// The fields a document is created and updated with. folderId "" or null is no folder.
+const documentFields = {
+  companyName: name().optional(),
+  positionName: name().optional(),
+  resumeMarkdown: markdown().optional(),
+  coverLetterMarkdown: markdown().optional(),
+  status: stageName().optional(),
+  notes: string({ max: MAX_NOTES_LENGTH }).optional(),
+  template: template().nullable().optional(),
+  jobDescription: string({ max: MAX_JOB_DESCRIPTION_LENGTH }).optional(),
+  hiringManager: name().optional(),
+  followUpAt: isoDate().nullable().optional(),
+  tags: tags().optional(),
+  folderId: string({ max: 128, pattern: /^[\w-]*$/, format: 'a folder id' }).nullable().optional(),
+};
+
+const documentList = {
+  query: object({
+    fields: string({ max: 500 }).optional(),
+    status: string({ max: MAX_STAGE_NAME_LENGTH }).optional(),
+    tag: string({ max: MAX_TAG_LENGTH }).optional(),
+    folderId: id().optional(),
+    archived: string({ oneOf: ['true', 'false', 'all'] }).optional(),
+    familyOf: id().optional(),
+    limit: queryInteger(1, MAX_PAGE_SIZE),
+    cursor: string({ max: 1000 }).optional(),
+    sort: string({ oneOf: Object.keys(SORT_FIELDS) }).optional(),
+    direction: string({ oneOf: ['asc', 'desc'] }).optional(),
+    q: string({ max: 200 }).optional(),
+  }),
+};
+
+const documentCreate = {
+  body: object({
+    ...documentFields,
+    coverLetterTemplateId: id().optional(),
+  }),
+};
+
+// `version` is the version the update is based on, when not sent as If-Match
+const documentUpdate = {
+  params: idParams,
+  body: object({
+    ...documentFields,
+    statusNote: string({ max: MAX_NOTE_LENGTH }).optional(),
+    version: integer({ min: 0 }).optional(),
+  }),
+};
+
+// Multipart fields next to the uploaded file, so always strings
+const documentImport = {
+  body: object({
+    companyName: name().optional(),
+    positionName: name().optional(),
+    status: stageName().optional(),
+    notes: string({ max: MAX_NOTES_LENGTH }).optional(),
+    format: string({ oneOf: IMPORT_FORMATS }).optional(),
+    template: template().optional(),
+  }),
+};
+
+const documentStatus = {
+  params: idParams,
+  body: object({
+    status: stageName(),
+    note: string({ max: MAX_NOTE_LENGTH }).optional(),
+    followUpAt: isoDate().nullable().optional(),
+  }),
+};
+
+const documentStructure = {
+  params: idParams,
+  query: object({
+    template: template().optional(),
+    maxBulletLength: queryInteger(1, 10000),
+  }),
+};
+
+const documentMatch = {
+  params: idParams,
+  query: object({ limit: queryInteger(1, 100) }),
+};
+
+const documentDuplicate = {
+  params: idParams,
+  body: object({
+    companyName: name().optional(),
+    positionName: name().optional(),
+    jobDescription: string({ max: MAX_JOB_DESCRIPTION_LENGTH }).optional(),
+    copyNotes: boolean().optional(),
+    copyTags: boolean().optional(),
+    copyShares: boolean().optional(),
+  }),
+};
+
+const mergeBody = object({
+  field: string({ oneOf: MERGEABLE_FIELDS }),
+  base: markdown(),
+  yours: markdown(),
+});
+
+const documentMerge = { params: idParams, body: mergeBody };
+
+const documentBulk = {
+  body: object({
+    ids: array(id(), { min: 1, max: MAX_BULK_ITEMS }),
+    action: string({ oneOf: Object.keys(BULK_ACTIONS) }),
+    status: stageName().optional(),
+    note: string({ max: MAX_NOTE_LENGTH }).optional(),
+    tags: tags().optional(),
+    folderId: id().nullable().optional(),
+  }),
+};
+
+const exportQueryFields = {
+  format: string({ oneOf: Object.keys(EXPORT_FORMATS) }),
+  content: string({ oneOf: ['resume', 'coverLetter'] }).optional(),
+  template: template().optional(),
+};
+
+const documentExport = { params: idParams, query: object(exportQueryFields) };
+
+// --- Revisions ---
+const revisionDiff = {
+  params: idParams,
+  query: object({
+    from: id(),
+    to: id().optional(),
+    field: string({ oneOf: TRACKED_FIELDS }).optional(),
+  }),
+};
+
+// --- Organization and tracker ---
+const folderBody = object({ name: string({ max: 100 }) });
+const folderCreate = { body: folderBody };
+const folderUpdate = { params: idParams, body: folderBody };
+
+const pipelineUpdate = {
+  body: object({
+    stages: array(object({
+      name: stageName(),
+      transitions: array(stageName(), { max: MAX_STAGES }).optional(),
+      followUpDays: integer({ min: 1, max: 365 }).nullable().optional(),
+    }), { min: 1, max: MAX_STAGES }),
+  }),
+};
+
+const reminderList = {
+  query: object({ withinDays: queryInteger(0, 365) }),
+};
+
+const analyticsQuery = {
+  query: object({
+    weeks: queryInteger(1, 104),
+    since: isoDate().optional(),
+    until: isoDate().optional(),
+    appliedStage: stageName().optional(),
+    interviewStage: stageName().optional(),
+  }),
+};
+
+// --- Content library ---
+const masterFields = {
+  name: name(),
+  resumeMarkdown: markdown(),
+  coverLetterMarkdown: markdown().optional(),
+};
+
+const masterCreate = { body: object(masterFields) };
+
+const masterUpdate = {
+  params: idParams,
+  body: object({
+    ...masterFields,
+    name: name().optional(),
+    resumeMarkdown: markdown().optional(),
+  }),
+};
+
+const blockKind = () => string({ oneOf: Object.keys(BLOCK_KINDS) });
+
+const blockFields = {
+  kind: blockKind(),
+  title: name().optional(),
+  section: string({ max: 100 }).nullable().optional(),
+  content: string({ max: MAX_BLOCK_LENGTH }),
+};
+
+const blockList = { query: object({ kind: blockKind().optional() }) };
+
+const blockCreate = { body: object(blockFields) };
+
+const blockUpdate = {
+  params: idParams,
+  body: object({
+    ...blockFields,
+    kind: blockKind().optional(),
+    content: string({ max: MAX_BLOCK_LENGTH }).optional(),
+  }),
+};
+
+const documentCompose = {
+  body: object({
+    masterId: id().optional(),
+    blockIds: array(id(), { max: 100 }).optional(),
+    companyName: name().optional(),
+    positionName: name().optional(),
+    status: stageName().optional(),
+    notes: string({ max: MAX_NOTES_LENGTH }).optional(),
+    template: template().optional(),
+    jobDescription: string({ max: MAX_JOB_DESCRIPTION_LENGTH }).optional(),
+    hiringManager: name().optional(),
+  }),
+};
+
+const blockUpdatesApply = {
+  params: idParams,
+  body: object({ blockIds: array(id(), { max: 100 }).optional() }),
+};
+
+// --- Cover letter templates ---
+const coverLetterTemplateCreate = {
+  body: object({ name: name(), content: markdown() }),
+};
+
+const coverLetterTemplateUpdate = {
+  params: idParams,
+  body: object({ name: name().optional(), content: markdown().optional() }),
+};
+
+const coverLetterPreview = {
+  params: idParams,
+  query: object({ templateId: id().optional() }),
+};
+
+// --- PDF rendering ---
+// Page options are checked in detail by resolveRenderOptions
+const margin = () => anyOf(string({ max: 20 }), number({ min: 0 }));
+const headerFooter = () => anyOf(
+  string({ max: MAX_HEADER_FOOTER_LENGTH }),
+  object({
+    left: string({ max: MAX_HEADER_FOOTER_LENGTH }).nullable().optional(),
+    center: string({ max: MAX_HEADER_FOOTER_LENGTH }).nullable().optional(),
+    right: string({ max: MAX_HEADER_FOOTER_LENGTH }).nullable().optional(),
+  }),
+).nullable().optional();
+
+const pageOptions = {
+  pageSize: string({ max: 20 }).optional(),
+  orientation: string({ max: 20 }).optional(),
+  margins: anyOf(
+    string({ max: 50 }),
+    number({ min: 0 }),
+    object({
+      top: margin().optional(), right: margin().optional(), bottom: margin().optional(), left: margin().optional(),
+    }),
+  ).nullable().optional(),
+  header: headerFooter(),
+  footer: headerFooter(),
+};
+
+const pdfRender = {
+  body: object({
+    markdownContent: string({ min: 1, max: MAX_RENDER_LENGTH }),
+    filename: string({ max: MAX_NAME_LENGTH }).optional(),
+    template: template().nullable().optional(),
+    documentId: id().optional(),
+    ...pageOptions,
+    onePage: anyOf(boolean(), string({ oneOf: ['true', 'false', '1', '0', ''] })).nullable().optional(),
+  }),
+};
+
+// --- Sharing ---
+// Share settings, see resolveShareSettings. The section flags and isEditable are the older
+// way to set the rights, kept for clients that don't send `permissions`.
+const shareSettingsFields = {
+  permissions: object(
+    Object.fromEntries(SHARE_SECTIONS.map(section => [section, string({ oneOf: PERMISSIONS }).optional()])),
+    { unknown: 'reject' },
+  ).optional(),
+  ...Object.fromEntries(SHARE_SECTIONS.map(section => [section, boolean().nullable().optional()])),
+  isEditable: boolean().nullable().optional(),
+  expiresAt: isoDate().nullable().optional(),
+  expiresInDays: integer({ min: 1, max: 365 }).optional(),
+  password: string({ min: 4, max: 128 }).nullable().optional(),
+  maxViews: integer({ min: 1 }).nullable().optional(),
+  label: string({ max: MAX_LABEL_LENGTH }).nullable().optional(),
+};
+
+const shareUpsert = {
+  params: shareDocumentParams,
+  body: object(shareSettingsFields),
+};
+
+const shareCreate = {
+  params: shareDocumentParams,
+  body: object({ ...shareSettingsFields, isDefault: boolean().optional() }),
+};
+
+const shareUpdate = {
+  params: shareLinkParams,
+  body: object({ ...shareSettingsFields, isDefault: boolean().optional() }),
+};
+
+const shareActivity = {
+  query: object({ limit: queryInteger(1, MAX_EVENT_LIMIT) }),
+};
+
+const documentShareActivity = { ...shareActivity, params: shareDocumentParams };
+
+// Public share routes. A protected share's password can come as ?password=.
+const sharePasswordQuery = { password: string({ max: 128 }).optional() };
+
+const sharedView = {
+  params: shareTokenParams,
+  query: object(sharePasswordQuery),
+};
+
+const sharedUpdate = {
+  params: shareTokenParams,
+  query: object(sharePasswordQuery),
+  body: object({
+    ...Object.fromEntries(SHARE_SECTIONS.map(section => [section, markdown().optional()])),
+    notes: string({ max: MAX_NOTES_LENGTH }).optional(),
+    version: integer({ min: 0 }).optional(),
+  }),
+};
+
+const sharedMerge = { params: shareTokenParams, query: object(sharePasswordQuery), body: mergeBody };
+
+const sharedComment = {
+  params: shareTokenParams,
+  query: object(sharePasswordQuery),
+  body: object({
+    section: string({ oneOf: SHARE_SECTIONS }),
+    anchor: object({ start: integer({ min: 0 }), end: integer({ min: 0 }) }).nullable().optional(),
+    text: string({ max: MAX_COMMENT_LENGTH }).optional(),
+    suggestion: string({ max: MAX_SUGGESTION_LENGTH }).optional(),
+    authorName: string({ max: MAX_AUTHOR_LENGTH }).optional(),
+  }),
+};
+
+const sharedDownload = {
+  params: shareTokenParams,
+  query: object({
+    ...sharePasswordQuery,
+    resume: queryFlag(),
+    cover_letter: queryFlag(),
+    template: template().optional(),
+    ...pageOptions,
+    margins: string({ max: 50 }).optional(),
+    header: string({ max: MAX_HEADER_FOOTER_LENGTH }).optional(),
+    footer: string({ max: MAX_HEADER_FOOTER_LENGTH }).optional(),
+    onePage: string({ oneOf: ['true', 'false', '1', '0', ''] }).optional(),
+  }),
+};
+
+const sharedExport = {
+  params: shareTokenParams,
+  query: object({ ...sharePasswordQuery, ...exportQueryFields }),
+};
+
+// --- Comments ---
+const commentList = {
+  params: idParams,
+  query: object({ status: string({ oneOf: [...COMMENT_STATUSES, 'all'] }).optional() }),
+};
+
+// --- Account ---
+const accountExport = { query: object({ pdfs: queryFlag() }) };
+
+// Deleting an account can't be undone, so the body has to say so
+const accountDelete = {
+  body: object({
+    confirm: string({ oneOf: ['DELETE'] }),
+    deleteAuthUser: boolean().optional(),
+  }),
+};
+
+// --- API keys ---
+const apiKeyCreate = {
+  body: object({
+    name: string({ min: 1, max: MAX_KEY_NAME_LENGTH }),
+    scopes: array(string({ oneOf: Object.keys(API_KEY_SCOPES) }), { min: 1, max: Object.keys(API_KEY_SCOPES).length }),
+    expiresInDays: integer({ min: 1, max: 365 }).nullable().optional(),
+  }),
+};
+
+module.exports = {
+  MAX_MARKDOWN_LENGTH,
+  byId,
+  byRevision,
+  byShareDocument,
+  byShareLink,
+  byComment,
+  byPdfJob,
+  documentList,
+  documentCreate,
+  documentUpdate,
+  documentImport,
+  documentStatus,
+  documentStructure,
+  documentMatch,
+  documentDuplicate,
+  documentMerge,
+  documentBulk,
+  documentExport,
+  revisionDiff,
+  folderCreate,
+  folderUpdate,
+  pipelineUpdate,
+  reminderList,
+  analyticsQuery,
+  masterCreate,
+  masterUpdate,
+  blockList,
+  blockCreate,
+  blockUpdate,
+  documentCompose,
+  blockUpdatesApply,
+  coverLetterTemplateCreate,
+  coverLetterTemplateUpdate,
+  coverLetterPreview,
+  pdfRender,
+  shareUpsert,
+  shareCreate,
+  shareUpdate,
+  shareActivity,
+  documentShareActivity,
+  sharedView,
+  sharedUpdate,
+  sharedMerge,
+  sharedComment,
+  sharedDownload,
+  sharedExport,
+  commentList,
+  accountExport,
+  accountDelete,
+  apiKeyCreate,
+};
@@ -0,0 +1,76 @@
+// server/shareAudit.js
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+
+const SHARE_ACTIONS = ['view', 'download', 'export', 'edit', 'comment'];
+const DEFAULT_EVENT_LIMIT = 100;
+const MAX_EVENT_LIMIT = 500;
+const MAX_USER_AGENT_LENGTH = 300;
+
+// Visitor IPs are only kept as a keyed hash: enough to tell visitors apart, not to recover the address.
+// Without IP_HASH_SECRET the key changes on every restart, so visitors can't be matched across restarts.
+// The server warns about a missing IP_HASH_SECRET when it starts.
+const ipHashSecret = process.env.IP_HASH_SECRET || crypto.randomBytes(32).toString('hex');
+
+function hashIp(ip) {
+  return ip ? crypto.createHmac('sha256', ipHashSecret).update(ip).digest('hex').slice(0, 32) : null;
+}
+
+// Who accessed a share and how, from the request. Stored with the share's details by shareEvent.
+function shareAccess(req, action) {
+  return {
+    action,
+    userAgent: (req.get('User-Agent') || '').slice(0, MAX_USER_AGENT_LENGTH) || null,
+    ipHash: hashIp(req.ip),
+  };
+}
+
+// The event record for one access of `share` (the share token is `token`)
+function shareEvent(token, share, access, at = new Date()) {
+  return {
+    shareToken: token,
+    documentId: share.documentId,
+    ownerId: share.createdBy,
+    action: access.action,
+    userAgent: access.userAgent,
+    ipHash: access.ipHash,
+    at,
+  };
+}
+
+// Parse ?limit for the event log
+function parseEventLimit(value) {
+  const limit = value === undefined ? DEFAULT_EVENT_LIMIT : Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_EVENT_LIMIT) {
+    throw httpError(400, `limit must be an integer between 1 and ${MAX_EVENT_LIMIT}.`);
+  }
+  return limit;
+}
+
+// Counts per share: each action, distinct visitors and the last access, most recently accessed first
+function summarizeEvents(events) {
+  const byShare = new Map();
+  events.forEach(event => {
+    let entry = byShare.get(event.shareToken);
+    if (!entry) {
+      entry = { shareToken: event.shareToken, documentId: event.documentId, counts: {}, visitors: new Set(), lastAccessedAt: null };
+      SHARE_ACTIONS.forEach(action => { entry.counts[action] = 0; });
+      byShare.set(event.shareToken, entry);
+    }
+    entry.counts[event.action] = (entry.counts[event.action] || 0) + 1;
+    if (event.ipHash) entry.visitors.add(event.ipHash);
+    if (!entry.lastAccessedAt || event.at > entry.lastAccessedAt) entry.lastAccessedAt = event.at;
+  });
+  return [...byShare.values()]
+    .map(({ visitors, ...entry }) => ({ ...entry, uniqueVisitors: visitors.size }))
+    .sort((a, b) => b.lastAccessedAt - a.lastAccessedAt);
+}
+
+module.exports = {
+  SHARE_ACTIONS,
+  MAX_EVENT_LIMIT,
+  shareAccess,
+  shareEvent,
+  parseEventLimit,
+  summarizeEvents,
+};
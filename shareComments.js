@@ -0,0 +1,107 @@
+// server/shareComments.js
+const { httpError } = require('./errors');
+
+const COMMENT_STATUSES = ['open', 'accepted', 'dismissed'];
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_SUGGESTION_LENGTH = 10000;
+const MAX_AUTHOR_LENGTH = 100;
+const MAX_OPEN_COMMENTS = 200;
+
+// Share rights that let a recipient comment on a section
+const canComment = permission => permission === 'comment' || permission === 'edit';
+
+// Validate a comment sent through a share. `permissions` are the share's section rights and
+// `doc` the shared document. A comment is on a whole section, or on the text range
+// `anchor: { start, end }` of it; `suggestion` proposes a replacement for that range.
+// Returns the comment fields to store.
+function validateComment(body, permissions, doc) {
+  const { section, anchor, text, suggestion, authorName } = body || {};
+  if (!canComment(permissions[section])) {
+    throw httpError(403, 'Forbidden: This share does not allow comments on that section.');
+  }
+
+  const hasText = typeof text === 'string' && text.trim();
+  if ((text !== undefined && typeof text !== 'string') || (text && text.length > MAX_COMMENT_LENGTH)) {
+    throw httpError(400, `text must be a string of at most ${MAX_COMMENT_LENGTH} characters.`);
+  }
+  if (suggestion !== undefined && (typeof suggestion !== 'string' || suggestion.length > MAX_SUGGESTION_LENGTH)) {
+    throw httpError(400, `suggestion must be a string of at most ${MAX_SUGGESTION_LENGTH} characters.`);
+  }
+  if (!hasText && suggestion === undefined) {
+    throw httpError(400, 'A comment needs text, a suggestion or both.');
+  }
+  if (authorName !== undefined && (typeof authorName !== 'string' || authorName.length > MAX_AUTHOR_LENGTH)) {
+    throw httpError(400, `authorName must be a string of at most ${MAX_AUTHOR_LENGTH} characters.`);
+  }
+
+  const content = doc[section] || '';
+  let range = null;
+  if (anchor !== undefined && anchor !== null) {
+    const { start, end } = anchor;
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start || end > content.length) {
+      throw httpError(400, `anchor must be { start, end } character offsets within the ${section} text.`);
+    }
+    range = { start, end };
+  } else if (suggestion !== undefined) {
+    throw httpError(400, 'A suggestion needs an anchor: the { start, end } range it replaces.');
+  }
+
+  return {
+    section,
+    anchor: range,
+    // The anchored text when the comment was made, to find it again after later edits
+    quote: range ? content.slice(range.start, range.end) : null,
+    text: hasText ? text.trim() : '',
+    suggestion: suggestion === undefined ? null : suggestion,
+    authorName: (authorName || '').trim() || null,
+    status: 'open',
+  };
+}
+
+// Where the comment's quote is in `content` now: at its original offsets if the text there
+// is unchanged, or else the occurrence nearest to them. Returns the range or null if it's gone.
+function locateAnchor(content, comment) {
+  const { anchor, quote } = comment;
+  if (content.slice(anchor.start, anchor.end) === quote) return anchor;
+  if (!quote) return null;
+
+  let best = null;
+  for (let index = content.indexOf(quote); index !== -1; index = content.indexOf(quote, index + 1)) {
+    if (!best || Math.abs(index - anchor.start) < Math.abs(best.start - anchor.start)) {
+      best = { start: index, end: index + quote.length };
+    }
+  }
+  return best;
+}
+
+// The section text after accepting `comment`'s suggestion. Throws a 409 when the
+// suggested range was changed since the comment was made.
+function applySuggestion(doc, comment) {
+  const content = doc[comment.section] || '';
+  const range = locateAnchor(content, comment);
+  if (!range) {
+    throw httpError(409, 'The text this suggestion replaces has changed since it was made. Dismiss it or edit the document instead.');
+  }
+  return content.slice(0, range.start) + comment.suggestion + content.slice(range.end);
+}
+
+// Parse ?status for the owner's comment list: open by default, or "all"
+function parseCommentStatus(value) {
+  if (value === undefined) return 'open';
+  if (value !== 'all' && !COMMENT_STATUSES.includes(value)) {
+    throw httpError(400, `Invalid status. Expected one of: ${[...COMMENT_STATUSES, 'all'].join(', ')}.`);
+  }
+  return value;
+}
+
+module.exports = {
+  COMMENT_STATUSES,
+  MAX_COMMENT_LENGTH,
+  MAX_SUGGESTION_LENGTH,
+  MAX_AUTHOR_LENGTH,
+  MAX_OPEN_COMMENTS,
+  canComment,
+  validateComment,
+  applySuggestion,
+  parseCommentStatus,
+};
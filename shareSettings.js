@@ -0,0 +1,157 @@
+// server/shareSettings.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { httpError } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EXPIRY_DAYS = 30;
+const SHARE_SECTIONS = ['resumeMarkdown', 'coverLetterMarkdown', 'notes'];
+// 'comment' shows a section and lets the recipient comment on it and suggest changes
+const PERMISSIONS = ['none', 'view', 'comment', 'edit'];
+const MAX_LABEL_LENGTH = 100;
+
+// Passwords are stored as "scrypt$<salt>$<hash>"
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 32);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [, salt, hash] = (stored || '').split('$');
+  if (!salt || !hash || typeof password !== 'string') return false;
+  const candidate = await scrypt(password, salt, 32);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+// Per-section rights of a share. Shares made before permissions existed only have
+// `config` (which sections are shared) and one `isEditable` flag for all of them.
+function sharePermissions(share) {
+  if (share.permissions) return share.permissions;
+  const permissions = {};
+  SHARE_SECTIONS.forEach(section => {
+    const shared = !!(share.config && share.config[section]);
+    permissions[section] = shared ? (share.isEditable ? 'edit' : 'view') : 'none';
+  });
+  return permissions;
+}
+
+// Validate the share settings of a create/update request. `existing` is the share being
+// updated; the password, view limit and label keep their current value when the body leaves
+// them out. The rights and expiry are replaced (the expiry renewed to 30 days, like it always
+// was) unless `keepUnset` is set, which keeps those too. Returns the fields to store.
+async function resolveShareSettings(body, existing = null, { keepUnset = false } = {}) {
+  const { permissions, expiresAt, expiresInDays, password, maxViews, label } = body;
+  const settings = {};
+  const legacyFlagsSent = ['resumeMarkdown', 'coverLetterMarkdown', 'notes', 'isEditable']
+    .some(field => body[field] !== undefined);
+
+  // Rights: { section: 'none' | 'view' | 'comment' | 'edit' }, or the older boolean flags plus isEditable
+  if (keepUnset && existing && permissions === undefined && !legacyFlagsSent) {
+    settings.permissions = sharePermissions(existing);
+  } else if (permissions !== undefined) {
+    if (!permissions || typeof permissions !== 'object'
+      || Object.keys(permissions).some(section => !SHARE_SECTIONS.includes(section))
+      || Object.values(permissions).some(value => !PERMISSIONS.includes(value))) {
+      throw httpError(400, `Invalid permissions. Expected { ${SHARE_SECTIONS.join(', ')} } set to ${PERMISSIONS.join(', ')}.`);
+    }
+    settings.permissions = {};
+    SHARE_SECTIONS.forEach(section => { settings.permissions[section] = permissions[section] || 'none'; });
+  } else {
+    settings.permissions = sharePermissions({
+      config: { resumeMarkdown: body.resumeMarkdown, coverLetterMarkdown: body.coverLetterMarkdown, notes: body.notes },
+      isEditable: body.isEditable,
+    });
+  }
+  // Older clients and the share viewer still read these two
+  settings.config = {};
+  SHARE_SECTIONS.forEach(section => { settings.config[section] = settings.permissions[section] !== 'none'; });
+  settings.isEditable = Object.values(settings.permissions).includes('edit');
+
+  // Expiry: an ISO date, a number of days, or null for a link that never expires
+  if (expiresAt !== undefined && expiresInDays !== undefined) {
+    throw httpError(400, 'Send either expiresAt or expiresInDays, not both.');
+  }
+  if (keepUnset && existing && expiresAt === undefined && expiresInDays === undefined) {
+    settings.expiresAt = existing.expiresAt || null;
+  } else if (expiresAt === null) {
+    settings.expiresAt = null;
+  } else if (expiresAt !== undefined) {
+    const date = new Date(expiresAt);
+    if (typeof expiresAt !== 'string' || Number.isNaN(date.getTime()) || date <= new Date()) {
+      throw httpError(400, 'expiresAt must be a future ISO date or null.');
+    }
+    settings.expiresAt = date;
+  } else {
+    const days = expiresInDays === undefined ? DEFAULT_EXPIRY_DAYS : expiresInDays;
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      throw httpError(400, 'expiresInDays must be an integer between 1 and 365.');
+    }
+    settings.expiresAt = new Date(Date.now() + days * DAY_MS);
+  }
+
+  if (password === null) {
+    settings.passwordHash = null;
+  } else if (password !== undefined) {
+    if (typeof password !== 'string' || password.length < 4 || password.length > 128) {
+      throw httpError(400, 'The password must be between 4 and 128 characters.');
+    }
+    settings.passwordHash = await hashPassword(password);
+  } else if (!existing) {
+    settings.passwordHash = null;
+  }
+
+  if (maxViews === null || (maxViews === undefined && !existing)) {
+    settings.maxViews = null;
+  } else if (maxViews !== undefined) {
+    if (!Number.isInteger(maxViews) || maxViews < 1) {
+      throw httpError(400, 'maxViews must be a positive integer or null.');
+    }
+    settings.maxViews = maxViews;
+  }
+
+  // A name for the link, so the owner can tell "Recruiter at Acme" from "Mentor review"
+  if (label === null || (label === undefined && !existing)) {
+    settings.label = null;
+  } else if (label !== undefined) {
+    if (typeof label !== 'string' || label.trim().length > MAX_LABEL_LENGTH) {
+      throw httpError(400, `label must be a string of at most ${MAX_LABEL_LENGTH} characters.`);
+    }
+    settings.label = label.trim() || null;
+  }
+
+  return settings;
+}
+
+// The settings of a share as the owner sees them (never the password hash)
+function shareSettingsSummary(share) {
+  return {
+    label: share.label || null,
+    isDefault: !!share.isDefault,
+    permissions: sharePermissions(share),
+    isEditable: !!share.isEditable,
+    expiresAt: share.expiresAt || null,
+    hasPassword: !!share.passwordHash,
+    maxViews: share.maxViews || null,
+    viewCount: share.viewCount || 0,
+  };
+}
+
+// The link GET .../share and the older single-share clients work with: the one marked default,
+// or else the newest. `shares` is newest first, as listByDocument returns them.
+function defaultShare(shares) {
+  return shares.find(share => share.isDefault) || shares[0] || null;
+}
+
+module.exports = {
+  SHARE_SECTIONS,
+  PERMISSIONS,
+  MAX_LABEL_LENGTH,
+  defaultShare,
+  verifyPassword,
+  sharePermissions,
+  resolveShareSettings,
+  shareSettingsSummary,
+};
@@ -0,0 +1,395 @@
+// server/storage/firestoreStorage.js
+const admin = require('firebase-admin');
+const { httpError } = require('../errors');
+const { versionConflict } = require('../documentVersion');
+
+// Subcollections kept under each document, deleted along with it
+const DOCUMENT_SUBCOLLECTIONS = ['revisions', 'comments'];
+
+// Firestore hands back Timestamps; the rest of the server works with plain Dates
+function fromFirestore(value) {
+  if (value instanceof admin.firestore.Timestamp) {
+    return value.toDate();
+  }
+  if (Array.isArray(value)) {
+    return value.map(fromFirestore);
+  }
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    const out = {};
+    Object.keys(value).forEach(key => {
+      out[key] = fromFirestore(value[key]);
+    });
+    return out;
+  }
+  return value;
+}
+
+function toRecord(snap) {
+  return { id: snap.id, ...fromFirestore(snap.data()) };
+}
+
+// Firestore rejects updates to missing documents with gRPC code 5 (NOT_FOUND)
+async function updateExisting(ref, patch, message) {
+  try {
+    await ref.update(patch);
+  } catch (error) {
+    if (error.code === 5) throw httpError(404, message);
+    throw error;
+  }
+}
+
+// A top-level collection of records that each belong to one user (`userId`)
+function ownedCollection(collection, notFoundMessage) {
+  return {
+    async list(userId) {
+      const snapshot = await collection.where('userId', '==', userId).get();
+      return snapshot.docs.map(toRecord);
+    },
+
+    async get(id) {
+      const snap = await collection.doc(id).get();
+      return snap.exists ? toRecord(snap) : null;
+    },
+
+    async create(data) {
+      const ref = await collection.add(data);
+      return { id: ref.id, ...data };
+    },
+
+    async update(id, patch) {
+      await updateExisting(collection.doc(id), patch, notFoundMessage);
+    },
+
+    async delete(id) {
+      await collection.doc(id).delete();
+    },
+  };
+}
+
+function createFirestoreStorage() {
+  const db = admin.firestore();
+  const documents = db.collection('documents');
+  const shares = db.collection('shares');
+  const pipelines = db.collection('pipelines');
+  const shareEvents = db.collection('shareEvents');
+  const searchIndex = db.collection('searchIndex');
+
+  // The user's documents matching the list filters (status, tag, folderId, archived, rootDocumentId)
+  const userDocuments = (userId, { status, tag, folderId, archived, rootDocumentId } = {}) => {
+    let query = documents.where('userId', '==', userId);
+    if (status) query = query.where('status', '==', status);
+    if (rootDocumentId) query = query.where('rootDocumentId', '==', rootDocumentId);
+    if (tag) query = query.where('tags', 'array-contains', tag);
+    if (folderId !== undefined) query = query.where('folderId', '==', folderId);
+    if (archived !== undefined) query = query.where('archived', '==', archived);
+    return query;
+  };
+
+  // Run write operations in batches, staying under Firestore's 500 writes per batch
+  const commitInBatches = async operations => {
+    for (let start = 0; start < operations.length; start += 500) {
+      const batch = db.batch();
+      operations.slice(start, start + 500).forEach(operation => operation(batch));
+      await batch.commit();
+    }
+  };
+
+  // The writes that delete a document with its subcollections. The document itself goes last,
+  // so a delete that fails part way can be run again.
+  const deleteOperations = async id => {
+    const docRef = documents.doc(id);
+    const operations = [];
+    for (const name of DOCUMENT_SUBCOLLECTIONS) {
+      const snapshot = await docRef.collection(name).get();
+      snapshot.docs.forEach(child => operations.push(batch => batch.delete(child.ref)));
+    }
+    operations.push(batch => batch.delete(docRef));
+    return operations;
+  };
+
+  return {
+    driver: 'firestore',
+
+    documents: {
+      async list(userId, filters) {
+        const snapshot = await userDocuments(userId, filters).get();
+        return snapshot.docs.map(toRecord);
+      },
+
+      // One page of the user's documents sorted by `sort`, starting after `cursor` ({ value, id }).
+      // Needs composite indexes on the filtered fields and the sort field; they are defined in
+      // firestore.indexes.json (deploy with `firebase deploy --only firestore:indexes`).
+      // Filter combinations without an index of their own are served by merging those.
+      async page(userId, { filters, sort, direction, limit, cursor }) {
+        let query = userDocuments(userId, filters)
+          .orderBy(sort, direction)
+          .orderBy(admin.firestore.FieldPath.documentId(), direction);
+        if (cursor) {
+          const value = cursor.value instanceof Date ? admin.firestore.Timestamp.fromDate(cursor.value) : cursor.value;
+          query = query.startAfter(value, cursor.id);
+        }
+        const snapshot = await query.limit(limit + 1).get();
+        const items = snapshot.docs.map(toRecord);
+        return { items: items.slice(0, limit), hasMore: items.length > limit };
+      },
+
+      async count(userId, filters) {
+        const snapshot = await userDocuments(userId, filters).count().get();
+        return snapshot.data().count;
+      },
+
+      async getMany(ids) {
+        if (!ids.length) return [];
+        const snaps = await db.getAll(...ids.map(id => documents.doc(id)));
+        return snaps.filter(snap => snap.exists).map(toRecord);
+      },
+
+      async get(id) {
+        const snap = await documents.doc(id).get();
+        return snap.exists ? toRecord(snap) : null;
+      },
+
+      async create(data) {
+        const record = { ...data, version: 1 };
+        const ref = await documents.add(record);
+        return { id: ref.id, ...record };
+      },
+
+      // Documents built from a content block (`blockIds` holds the ids of the blocks used)
+      async listByBlock(userId, blockId) {
+        const snapshot = await documents
+          .where('userId', '==', userId)
+          .where('blockIds', 'array-contains', blockId)
+          .get();
+        return snapshot.docs.map(toRecord);
+      },
+
+      async listByMaster(userId, masterId) {
+        const snapshot = await documents
+          .where('userId', '==', userId)
+          .where('masterId', '==', masterId)
+          .get();
+        return snapshot.docs.map(toRecord);
+      },
+
+      // Every update bumps `version`, unless `keepVersion` is set (for backfills that don't change
+      // content). With `expectedVersion` the update only goes through if the stored version still
+      // matches; otherwise it throws the versionConflict 409 carrying the current document.
+      async update(id, patch, { expectedVersion, keepVersion = false } = {}) {
+        const docRef = documents.doc(id);
+        if (expectedVersion === undefined) {
+          const versioned = keepVersion ? patch : { ...patch, version: admin.firestore.FieldValue.increment(1) };
+          await updateExisting(docRef, versioned, 'Document not found.');
+          return;
+        }
+
+        await db.runTransaction(async transaction => {
+          const snap = await transaction.get(docRef);
+          if (!snap.exists) throw httpError(404, 'Document not found.');
+          const version = snap.get('version') || 0;
+          if (version !== expectedVersion) {
+            throw versionConflict(toRecord(snap));
+          }
+          transaction.update(docRef, { ...patch, version: version + 1 });
+        });
+      },
+
+      // Firestore does not delete subcollections with their parent, so clear the history and comments too
+      async delete(id) {
+        await commitInBatches(await deleteOperations(id));
+      },
+
+      // Apply many { id, patch } updates in batched writes. Missing documents fail the batch.
+      async bulkUpdate(updates) {
+        const version = admin.firestore.FieldValue.increment(1);
+        await commitInBatches(updates.map(({ id, patch }) => batch => batch.update(documents.doc(id), { ...patch, version })));
+      },
+
+      // Delete many documents with their revision history and comments in batched writes
+      async bulkDelete(ids) {
+        const operations = [];
+        for (const id of ids) {
+          operations.push(...await deleteOperations(id));
+        }
+        await commitInBatches(operations);
+      },
+    },
+
+    revisions: {
+      async list(documentId) {
+        const snapshot = await documents.doc(documentId).collection('revisions')
+          .orderBy('createdAt', 'desc')
+          .get();
+        return snapshot.docs.map(toRecord);
+      },
+
+      async get(documentId, revisionId) {
+        const snap = await documents.doc(documentId).collection('revisions').doc(revisionId).get();
+        return snap.exists ? toRecord(snap) : null;
+      },
+
+      async add(documentId, data) {
+        const ref = await documents.doc(documentId).collection('revisions').add(data);
+        return ref.id;
+      },
+    },
+
+    // Comments and suggested edits left through shares, kept under each document
+    comments: {
+      async list(documentId) {
+        const snapshot = await documents.doc(documentId).collection('comments')
+          .orderBy('createdAt', 'desc')
+          .get();
+        return snapshot.docs.map(toRecord);
+      },
+
+      async get(documentId, commentId) {
+        const snap = await documents.doc(documentId).collection('comments').doc(commentId).get();
+        return snap.exists ? toRecord(snap) : null;
+      },
+
+      async add(documentId, data) {
+        const ref = await documents.doc(documentId).collection('comments').add(data);
+        return ref.id;
+      },
+
+      async update(documentId, commentId, patch) {
+        await updateExisting(documents.doc(documentId).collection('comments').doc(commentId), patch, 'Comment not found.');
+      },
+    },
+
+    masters: ownedCollection(db.collection('masters'), 'Master resume not found.'),
+
+    blocks: ownedCollection(db.collection('blocks'), 'Block not found.'),
+
+    coverLetterTemplates: ownedCollection(db.collection('coverLetterTemplates'), 'Cover letter template not found.'),
+
+    folders: ownedCollection(db.collection('folders'), 'Folder not found.'),
+
+    // Personal API keys; see apiKeys.js
+    apiKeys: ownedCollection(db.collection('apiKeys'), 'API key not found.'),
+
+    // Search terms of each document, keyed by document id
+    searchIndex: {
+      async set(documentId, entry) {
+        await searchIndex.doc(documentId).set(entry);
+      },
+
+      async delete(documentId) {
+        await searchIndex.doc(documentId).delete();
+      },
+
+      async deleteMany(documentIds) {
+        await commitInBatches(documentIds.map(id => batch => batch.delete(searchIndex.doc(id))));
+      },
+
+      // Ids of the user's documents indexed under `term`
+      async find(userId, term) {
+        const snapshot = await searchIndex
+          .where('userId', '==', userId)
+          .where('terms', 'array-contains', term)
+          .select()
+          .get();
+        return snapshot.docs.map(doc => doc.id);
+      },
+
+      async listIds(userId) {
+        const snapshot = await searchIndex.where('userId', '==', userId).select().get();
+        return snapshot.docs.map(doc => doc.id);
+      },
+    },
+
+    // One application pipeline per user, keyed by user id
+    pipelines: {
+      async get(userId) {
+        const snap = await pipelines.doc(userId).get();
+        return snap.exists ? fromFirestore(snap.data()) : null;
+      },
+
+      async set(userId, pipeline) {
+        await pipelines.doc(userId).set(pipeline);
+      },
+
+      async delete(userId) {
+        await pipelines.doc(userId).delete();
+      },
+    },
+
+    shares: {
+      async get(token) {
+        const snap = await shares.doc(token).get();
+        return snap.exists ? toRecord(snap) : null;
+      },
+
+      async set(token, data) {
+        await shares.doc(token).set(data);
+      },
+
+      async update(token, patch) {
+        await updateExisting(shares.doc(token), patch, 'Share not found.');
+      },
+
+      async delete(token) {
+        await shares.doc(token).delete();
+      },
+
+      // All shares of a document created by the user, newest first
+      async listByDocument(documentId, userId) {
+        const snapshot = await shares
+          .where('documentId', '==', documentId)
+          .where('createdBy', '==', userId)
+          .orderBy('createdAt', 'desc')
+          .get();
+        return snapshot.docs.map(toRecord);
+      },
+
+      async listByUser(userId) {
+        const snapshot = await shares.where('createdBy', '==', userId).get();
+        return snapshot.docs.map(toRecord);
+      },
+
+      async deleteMany(tokens) {
+        await commitInBatches(tokens.map(token => batch => batch.delete(shares.doc(token))));
+      },
+
+      // Count one view, unless the share already reached `maxViews`. Runs in a transaction so
+      // concurrent views can't go over the limit. Returns false when the limit was reached.
+      async recordView(token, maxViews) {
+        return db.runTransaction(async transaction => {
+          const ref = shares.doc(token);
+          const snap = await transaction.get(ref);
+          const viewCount = (snap.exists && snap.get('viewCount')) || 0;
+          if (!snap.exists || (maxViews && viewCount >= maxViews)) return false;
+          transaction.update(ref, { viewCount: viewCount + 1, lastViewedAt: new Date() });
+          return true;
+        });
+      },
+    },
+
+    // Access log of shares, one record per view, download or edit
+    shareEvents: {
+      async add(event) {
+        await shareEvents.add(event);
+      },
+
+      // Events of the owner's shares, newest first, optionally of one document only
+      async list(ownerId, { documentId } = {}) {
+        let query = shareEvents.where('ownerId', '==', ownerId);
+        if (documentId) query = query.where('documentId', '==', documentId);
+        const snapshot = await query.orderBy('at', 'desc').get();
+        return snapshot.docs.map(toRecord);
+      },
+
+      // Delete the owner's events, or those of one document; returns how many were deleted
+      async deleteByOwner(ownerId, { documentId } = {}) {
+        let query = shareEvents.where('ownerId', '==', ownerId);
+        if (documentId) query = query.where('documentId', '==', documentId);
+        const snapshot = await query.get();
+        await commitInBatches(snapshot.docs.map(snap => batch => batch.delete(snap.ref)));
+        return snapshot.size;
+      },
+    },
+  };
+}
+
+module.exports = { createFirestoreStorage };
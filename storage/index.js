@@ -0,0 +1,214 @@
+// server/storage/index.js
+const { createFirestoreStorage } = require('./firestoreStorage');
+const { createMemoryStorage } = require('./memoryStorage');
+const { httpError } = require('../errors');
+const { SEARCHABLE_FIELDS, indexTerms } = require('../documentSearch');
+
+// Checks shared by every adapter, so the routes don't have to repeat them
+function withOwnershipChecks(storage) {
+  // Make sure `userId` owns a loaded record (404 if missing, 403 otherwise)
+  const checkOwner = (record, userId, notFoundMessage, forbiddenMessage) => {
+    if (!record) {
+      throw httpError(404, notFoundMessage);
+    }
+    if (record.userId !== userId) {
+      throw httpError(403, forbiddenMessage);
+    }
+    return record;
+  };
+
+  const addGetOwned = (repository, notFoundMessage, forbiddenMessage) => {
+    repository.getOwned = async (id, userId) =>
+      checkOwner(await repository.get(id), userId, notFoundMessage, forbiddenMessage);
+  };
+  addGetOwned(storage.documents, 'Document not found.', 'Forbidden: You do not own this document.');
+  addGetOwned(storage.masters, 'Master resume not found.', 'Forbidden: You do not own this master resume.');
+  addGetOwned(storage.blocks, 'Block not found.', 'Forbidden: You do not own this block.');
+  addGetOwned(storage.coverLetterTemplates, 'Cover letter template not found.',
+    'Forbidden: You do not own this cover letter template.');
+  addGetOwned(storage.folders, 'Folder not found.', 'Forbidden: You do not own this folder.');
+  addGetOwned(storage.apiKeys, 'API key not found.', 'Forbidden: You do not own this API key.');
+
+  // Load many documents with one read and run the getOwned check on each.
+  // Returns { id, doc } or { id, error } per id, in the order given.
+  storage.documents.getManyOwned = async (ids, userId) => {
+    const byId = new Map((await storage.documents.getMany(ids)).map(doc => [doc.id, doc]));
+    return ids.map(id => {
+      try {
+        return { id, doc: checkOwner(byId.get(id), userId, 'Document not found.', 'Forbidden: You do not own this document.') };
+      } catch (error) {
+        return { id, error };
+      }
+    });
+  };
+
+  // Load a share and make sure `userId` created it for `documentId`
+  storage.shares.getOwned = async (token, userId, documentId) => {
+    const share = await storage.shares.get(token);
+    if (!share) {
+      throw httpError(404, 'Share not found.');
+    }
+    if (share.createdBy !== userId || (documentId && share.documentId !== documentId)) {
+      throw httpError(403, 'Forbidden: You do not own this share.');
+    }
+    return share;
+  };
+
+  return storage;
+}
+
+// A document's share links and their access log are deleted with it
+function withShareCleanup(storage) {
+  const { delete: remove, bulkDelete } = storage.documents;
+
+  const deleteShares = async docs => {
+    for (const doc of docs) {
+      const shares = await storage.shares.listByDocument(doc.id, doc.userId);
+      if (shares.length) await storage.shares.deleteMany(shares.map(share => share.id));
+      await storage.shareEvents.deleteByOwner(doc.userId, { documentId: doc.id });
+    }
+  };
+
+  storage.documents.delete = async id => {
+    const doc = await storage.documents.get(id);
+    await remove(id);
+    if (doc) await deleteShares([doc]);
+  };
+
+  storage.documents.bulkDelete = async ids => {
+    const docs = await storage.documents.getMany(ids);
+    await bulkDelete(ids);
+    await deleteShares(docs);
+  };
+
+  return storage;
+}
+
+// Keep the search index in step with document writes
+function withSearchIndex(storage) {
+  const { create, update, delete: remove, bulkDelete } = storage.documents;
+  const indexDocument = doc => storage.searchIndex.set(doc.id, { userId: doc.userId, terms: indexTerms(doc) });
+
+  // Fields the list filters and sorts on. Firestore queries skip documents without the field,
+  // so new documents always get them and older ones are backfilled by prepareUser.
+  const defaultsFor = doc => ({ updatedAt: doc.createdAt, tags: [], folderId: null, archived: false });
+
+  storage.documents.create = async data => {
+    const created = await create({ ...defaultsFor(data), ...data });
+    await indexDocument(created);
+    return created;
+  };
+
+  storage.documents.update = async (id, patch, options) => {
+    await update(id, patch, options);
+    if (SEARCHABLE_FIELDS.some(field => patch[field] !== undefined)) {
+      const doc = await storage.documents.get(id);
+      if (doc) await indexDocument(doc);
+    }
+  };
+
+  storage.documents.delete = async id => {
+    await remove(id);
+    await storage.searchIndex.delete(id);
+  };
+
+  // Bulk updates never touch searchable fields, so only bulk deletes need the index
+  storage.documents.bulkDelete = async ids => {
+    await bulkDelete(ids);
+    await storage.searchIndex.deleteMany(ids);
+  };
+
+  // Index documents written before the search index existed and fill in missing list fields.
+  // Only the first call per user in this process does the work.
+  const preparedUsers = new Set();
+  storage.searchIndex.prepareUser = async userId => {
+    if (preparedUsers.has(userId)) return;
+    const indexed = new Set(await storage.searchIndex.listIds(userId));
+    const documents = await storage.documents.list(userId);
+    for (const doc of documents) {
+      const defaults = defaultsFor(doc);
+      const missing = Object.keys(defaults).filter(field => doc[field] === undefined && defaults[field] !== undefined);
+      if (missing.length) {
+        await update(doc.id, Object.fromEntries(missing.map(field => [field, defaults[field]])), { keepVersion: true });
+      }
+      if (!indexed.has(doc.id)) {
+        await indexDocument(doc);
+      }
+    }
+    preparedUsers.add(userId);
+  };
+
+  // Ids of the user's documents that contain every term
+  storage.searchIndex.search = async (userId, terms) => {
+    let ids = null;
+    for (const term of terms) {
+      const found = new Set(await storage.searchIndex.find(userId, term));
+      ids = ids ? ids.filter(id => found.has(id)) : [...found];
+      if (!ids.length) break;
+    }
+    return ids || [];
+  };
+
+  return storage;
+}
+
+// Count writes to each user's documents and pipeline in this process, so cached data derived
+// from them (the analytics summaries) can tell when it is stale. storage.generation(userId)
+// changes whenever that user's data does, and only then.
+// Document writes name the owner in their options, `{ userId }`: the callers know it from their
+// ownership checks, and looking it up here would cost a read per write.
+function withChangeTracking(storage) {
+  const generations = new Map();
+  const bump = userId => generations.set(userId, (generations.get(userId) || 0) + 1);
+
+  // Wrap a write; `ownerOf` gets its arguments and returns the user whose data it changes
+  const track = (repository, method, ownerOf) => {
+    const write = repository[method];
+    repository[method] = async (...args) => {
+      const owner = ownerOf(...args);
+      if (!owner) throw new Error(`${method} needs the owner of the data it writes ({ userId }).`);
+      try {
+        return await write(...args);
+      } finally {
+        bump(owner);
+      }
+    };
+  };
+  const ownerOption = (options = {}) => options.userId;
+
+  track(storage.documents, 'create', doc => doc.userId);
+  track(storage.documents, 'update', (id, patch, options) => ownerOption(options));
+  track(storage.documents, 'delete', (id, options) => ownerOption(options));
+  track(storage.documents, 'bulkUpdate', (updates, options) => ownerOption(options));
+  track(storage.documents, 'bulkDelete', (ids, options) => ownerOption(options));
+  track(storage.pipelines, 'set', userId => userId);
+  track(storage.pipelines, 'delete', userId => userId);
+
+  storage.generation = userId => generations.get(userId) || 0;
+  return storage;
+}
+
+const withStorageHelpers = storage =>
+  withChangeTracking(withSearchIndex(withShareCleanup(withOwnershipChecks(storage))));
+
+// Pick the storage adapter from STORAGE_DRIVER: 'firestore' (default), 'memory' or 'file'.
+// The file adapter keeps its data in STORAGE_FILE (default ./data/storage.json).
+function createStorage({ driver = process.env.STORAGE_DRIVER || 'firestore', hasServiceAccount } = {}) {
+  switch (driver) {
+    case 'firestore':
+      if (!hasServiceAccount) {
+        throw new Error('Firestore storage needs FIREBASE_SERVICE_ACCOUNT or serviceAccountKey.json. Set STORAGE_DRIVER=memory or file to run without Firebase.');
+      }
+      return withStorageHelpers(createFirestoreStorage());
+    case 'memory':
+      return withStorageHelpers(createMemoryStorage());
+    case 'file':
+      return withStorageHelpers(createMemoryStorage({
+        filePath: process.env.STORAGE_FILE || './data/storage.json',
+      }));
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Expected firestore, memory or file.`);
+  }
+}
+
+module.exports = { createStorage };
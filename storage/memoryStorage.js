@@ -0,0 +1,338 @@
+// server/storage/memoryStorage.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { httpError } = require('../errors');
+const { versionConflict } = require('../documentVersion');
+const { matchesFilters, paginate } = require('../documentSearch');
+
+// Dates are written as { $date: '<iso>' } so they come back as Dates when the file is loaded
+function replacer(key, value) {
+  return this[key] instanceof Date ? { $date: this[key].toISOString() } : value;
+}
+
+function reviver(key, value) {
+  return value && typeof value === 'object' && typeof value.$date === 'string'
+    ? new Date(value.$date)
+    : value;
+}
+
+function newId() {
+  return crypto.randomBytes(10).toString('hex');
+}
+
+const byCreatedAtDesc = (a, b) => (b.createdAt || 0) - (a.createdAt || 0);
+
+// In-memory storage. When `filePath` is given, the data is loaded from and
+// saved back to that JSON file after every write, so it survives restarts.
+function createMemoryStorage({ filePath } = {}) {
+  let data = {
+    documents: {}, shares: {}, revisions: {}, masters: {}, blocks: {}, coverLetterTemplates: {}, pipelines: {},
+    searchIndex: {}, folders: {}, shareEvents: {}, comments: {}, apiKeys: {},
+  };
+
+  if (filePath && fs.existsSync(filePath)) {
+    data = { ...data, ...JSON.parse(fs.readFileSync(filePath, 'utf8'), reviver) };
+  }
+
+  function persist() {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, replacer, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  // Hand out copies so callers can't mutate the stored records by accident
+  const read = (id, record) => (record ? { id, ...structuredClone(record) } : null);
+  const readAll = collection => Object.keys(collection).map(id => read(id, collection[id]));
+
+  // A collection of records that each belong to one user (`userId`)
+  const ownedCollection = (name, notFoundMessage) => ({
+    async list(userId) {
+      return readAll(data[name]).filter(record => record.userId === userId);
+    },
+
+    async get(id) {
+      return read(id, data[name][id]);
+    },
+
+    async create(record) {
+      const id = newId();
+      data[name][id] = structuredClone(record);
+      persist();
+      return { id, ...record };
+    },
+
+    async update(id, patch) {
+      if (!data[name][id]) throw httpError(404, notFoundMessage);
+      Object.assign(data[name][id], structuredClone(patch));
+      persist();
+    },
+
+    async delete(id) {
+      delete data[name][id];
+      persist();
+    },
+  });
+
+  return {
+    driver: filePath ? 'file' : 'memory',
+
+    documents: {
+      async list(userId, filters) {
+        return readAll(data.documents).filter(doc => doc.userId === userId && matchesFilters(doc, filters));
+      },
+
+      async get(id) {
+        return read(id, data.documents[id]);
+      },
+
+      async create(doc) {
+        const id = newId();
+        const record = { ...doc, version: 1 };
+        data.documents[id] = structuredClone(record);
+        persist();
+        return { id, ...record };
+      },
+
+      async page(userId, { filters, sort, direction, limit, cursor }) {
+        const documents = readAll(data.documents).filter(doc => doc.userId === userId && matchesFilters(doc, filters));
+        return paginate(documents, { sort, direction, limit, cursor });
+      },
+
+      async count(userId, filters) {
+        return Object.values(data.documents)
+          .filter(doc => doc.userId === userId && matchesFilters(doc, filters)).length;
+      },
+
+      async getMany(ids) {
+        return ids.filter(id => data.documents[id]).map(id => read(id, data.documents[id]));
+      },
+
+      async listByBlock(userId, blockId) {
+        return readAll(data.documents).filter(doc =>
+          doc.userId === userId && (doc.blockIds || []).includes(blockId)
+        );
+      },
+
+      async listByMaster(userId, masterId) {
+        return readAll(data.documents).filter(doc => doc.userId === userId && doc.masterId === masterId);
+      },
+
+      // Same version handling as the Firestore adapter: a versionConflict on a stale expectedVersion
+      async update(id, patch, { expectedVersion, keepVersion = false } = {}) {
+        const doc = data.documents[id];
+        if (!doc) throw httpError(404, 'Document not found.');
+        const version = doc.version || 0;
+        if (expectedVersion !== undefined && version !== expectedVersion) {
+          throw versionConflict(read(id, doc));
+        }
+        Object.assign(doc, structuredClone(patch));
+        if (!keepVersion) doc.version = version + 1;
+        persist();
+      },
+
+      async delete(id) {
+        delete data.documents[id];
+        delete data.revisions[id];
+        delete data.comments[id];
+        persist();
+      },
+
+      // All or nothing, like a Firestore batch: a missing document fails every update
+      async bulkUpdate(updates) {
+        const missing = updates.find(({ id }) => !data.documents[id]);
+        if (missing) throw httpError(404, 'Document not found.');
+        updates.forEach(({ id, patch }) => {
+          const doc = data.documents[id];
+          Object.assign(doc, structuredClone(patch));
+          doc.version = (doc.version || 0) + 1;
+        });
+        persist();
+      },
+
+      async bulkDelete(ids) {
+        ids.forEach(id => {
+          delete data.documents[id];
+          delete data.revisions[id];
+          delete data.comments[id];
+        });
+        persist();
+      },
+    },
+
+    revisions: {
+      async list(documentId) {
+        return readAll(data.revisions[documentId] || {}).sort(byCreatedAtDesc);
+      },
+
+      async get(documentId, revisionId) {
+        return read(revisionId, (data.revisions[documentId] || {})[revisionId]);
+      },
+
+      async add(documentId, revision) {
+        const id = newId();
+        data.revisions[documentId] = data.revisions[documentId] || {};
+        data.revisions[documentId][id] = structuredClone(revision);
+        persist();
+        return id;
+      },
+    },
+
+    // Comments and suggested edits left through shares, kept per document
+    comments: {
+      async list(documentId) {
+        return readAll(data.comments[documentId] || {}).sort(byCreatedAtDesc);
+      },
+
+      async get(documentId, commentId) {
+        return read(commentId, (data.comments[documentId] || {})[commentId]);
+      },
+
+      async add(documentId, comment) {
+        const id = newId();
+        data.comments[documentId] = data.comments[documentId] || {};
+        data.comments[documentId][id] = structuredClone(comment);
+        persist();
+        return id;
+      },
+
+      async update(documentId, commentId, patch) {
+        const comment = (data.comments[documentId] || {})[commentId];
+        if (!comment) throw httpError(404, 'Comment not found.');
+        Object.assign(comment, structuredClone(patch));
+        persist();
+      },
+    },
+
+    masters: ownedCollection('masters', 'Master resume not found.'),
+
+    blocks: ownedCollection('blocks', 'Block not found.'),
+
+    coverLetterTemplates: ownedCollection('coverLetterTemplates', 'Cover letter template not found.'),
+
+    folders: ownedCollection('folders', 'Folder not found.'),
+
+    // Personal API keys; see apiKeys.js
+    apiKeys: ownedCollection('apiKeys', 'API key not found.'),
+
+    // Search terms of each document. Lookups scan the entries; fine for the sizes this driver is for.
+    searchIndex: {
+      async set(documentId, entry) {
+        data.searchIndex[documentId] = structuredClone(entry);
+        persist();
+      },
+
+      async delete(documentId) {
+        delete data.searchIndex[documentId];
+        persist();
+      },
+
+      async deleteMany(documentIds) {
+        documentIds.forEach(id => delete data.searchIndex[id]);
+        persist();
+      },
+
+      async find(userId, term) {
+        return Object.keys(data.searchIndex).filter(id =>
+          data.searchIndex[id].userId === userId && data.searchIndex[id].terms.includes(term)
+        );
+      },
+
+      async listIds(userId) {
+        return Object.keys(data.searchIndex).filter(id => data.searchIndex[id].userId === userId);
+      },
+    },
+
+    pipelines: {
+      async get(userId) {
+        return data.pipelines[userId] ? structuredClone(data.pipelines[userId]) : null;
+      },
+
+      async set(userId, pipeline) {
+        data.pipelines[userId] = structuredClone(pipeline);
+        persist();
+      },
+
+      async delete(userId) {
+        delete data.pipelines[userId];
+        persist();
+      },
+    },
+
+    shares: {
+      async get(token) {
+        return read(token, data.shares[token]);
+      },
+
+      async set(token, share) {
+        data.shares[token] = structuredClone(share);
+        persist();
+      },
+
+      async update(token, patch) {
+        if (!data.shares[token]) throw httpError(404, 'Share not found.');
+        Object.assign(data.shares[token], structuredClone(patch));
+        persist();
+      },
+
+      async delete(token) {
+        delete data.shares[token];
+        persist();
+      },
+
+      async listByDocument(documentId, userId) {
+        return readAll(data.shares)
+          .filter(share => share.documentId === documentId && share.createdBy === userId)
+          .sort(byCreatedAtDesc);
+      },
+
+      async listByUser(userId) {
+        return readAll(data.shares).filter(share => share.createdBy === userId);
+      },
+
+      async deleteMany(tokens) {
+        tokens.forEach(token => delete data.shares[token]);
+        persist();
+      },
+
+      async recordView(token, maxViews) {
+        const share = data.shares[token];
+        const viewCount = (share && share.viewCount) || 0;
+        if (!share || (maxViews && viewCount >= maxViews)) return false;
+        share.viewCount = viewCount + 1;
+        share.lastViewedAt = new Date();
+        persist();
+        return true;
+      },
+    },
+
+    // Access log of shares, one record per view, download or edit
+    shareEvents: {
+      async add(event) {
+        data.shareEvents[newId()] = structuredClone(event);
+        persist();
+      },
+
+      // Events of the owner's shares, newest first, optionally of one document only
+      async list(ownerId, { documentId } = {}) {
+        return readAll(data.shareEvents)
+          .filter(event => event.ownerId === ownerId && (!documentId || event.documentId === documentId))
+          .sort((a, b) => b.at - a.at);
+      },
+
+      // Delete the owner's events, or those of one document; returns how many were deleted
+      async deleteByOwner(ownerId, { documentId } = {}) {
+        const ids = Object.keys(data.shareEvents).filter(id =>
+          data.shareEvents[id].ownerId === ownerId && (!documentId || data.shareEvents[id].documentId === documentId)
+        );
+        ids.forEach(id => delete data.shareEvents[id]);
+        persist();
+        return ids.length;
+      },
+    },
+  };
+}
+
+module.exports = { createMemoryStorage };
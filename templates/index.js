@@ -0,0 +1,118 @@
+// server/templates/index.js
+const fs = require('fs');
+const path = require('path');
+const { httpError } = require('../errors');
+
+const DEFAULT_TEMPLATE = 'classic';
+
+// Sections that the two-column layout moves into the sidebar
+const SIDEBAR_SECTIONS = /skills|education|languages|certifications|tools|interests|awards/i;
+
+// Default shell: the rendered markdown inside a single .resume-preview div
+function singleColumnShell(htmlContent) {
+  return `<div class="resume-preview">${htmlContent}</div>`;
+}
+
+// Two-column shell: everything before the first <h2> (name and contact line) becomes
+// the header, then each <h2> section goes either to the sidebar or the main column.
+function twoColumnShell(htmlContent) {
+  const firstSection = htmlContent.indexOf('<h2');
+  const header = firstSection === -1 ? htmlContent : htmlContent.slice(0, firstSection);
+  const sections = firstSection === -1 ? [] : htmlContent.slice(firstSection).split(/(?=<h2)/);
+
+  const sidebar = [];
+  const main = [];
+  sections.forEach(section => {
+    const heading = (section.match(/<h2[^>]*>([\s\S]*?)<\/h2>/) || [])[1] || '';
+    (SIDEBAR_SECTIONS.test(heading) ? sidebar : main).push(section);
+  });
+
+  return `<div class="resume-preview">
+      <div class="resume-header">${header}</div>
+      <table class="resume-columns"><tr>
+        <td class="resume-sidebar">${sidebar.join('')}</td>
+        <td class="resume-main">${main.join('')}</td>
+      </tr></table>
+    </div>`;
+}
+
+// The registry. Each template bundles its stylesheet, HTML shell and wkhtmltopdf page options.
+// `metrics` is a rough text capacity of an A4 page, used to estimate the page count.
+const TEMPLATES = {
+  classic: {
+    name: 'Classic',
+    description: 'Centered header, ruled section titles, single column.',
+    stylesheet: 'classic.css',
+    shell: singleColumnShell,
+    pageOptions: { pageSize: 'A4', marginTop: '30px', marginRight: '30px', marginBottom: '30px', marginLeft: '30px' },
+    metrics: { charsPerLine: 95, linesPerPage: 52 },
+  },
+  modern: {
+    name: 'Modern',
+    description: 'Accent-colored header with skills and education in a sidebar column.',
+    stylesheet: 'modern.css',
+    shell: twoColumnShell,
+    pageOptions: { pageSize: 'A4', marginTop: '25px', marginRight: '25px', marginBottom: '25px', marginLeft: '25px' },
+    metrics: { charsPerLine: 70, linesPerPage: 56 },
+  },
+  compact: {
+    name: 'Compact',
+    description: 'Smaller type and tighter spacing to fit more onto one page.',
+    stylesheet: 'compact.css',
+    shell: singleColumnShell,
+    pageOptions: { pageSize: 'A4', marginTop: '20px', marginRight: '20px', marginBottom: '20px', marginLeft: '20px' },
+    metrics: { charsPerLine: 120, linesPerPage: 70 },
+  },
+  'ats-plain': {
+    name: 'ATS Plain',
+    description: 'Plain single column with standard fonts, safe for applicant tracking systems.',
+    stylesheet: 'ats-plain.css',
+    shell: singleColumnShell,
+    pageOptions: { pageSize: 'A4', marginTop: '30px', marginRight: '30px', marginBottom: '30px', marginLeft: '30px' },
+    metrics: { charsPerLine: 90, linesPerPage: 54 },
+  },
+};
+
+// Stylesheets are read once at startup instead of on every request
+Object.values(TEMPLATES).forEach(template => {
+  template.css = fs.readFileSync(path.join(__dirname, template.stylesheet), 'utf8');
+});
+
+function isTemplate(id) {
+  return Object.prototype.hasOwnProperty.call(TEMPLATES, id);
+}
+
+// Look up a template by id (falling back to the default); unknown ids are a 400
+function getTemplate(id) {
+  const templateId = id || DEFAULT_TEMPLATE;
+  if (!isTemplate(templateId)) {
+    throw httpError(400, `Unknown template "${templateId}". Expected one of: ${Object.keys(TEMPLATES).join(', ')}.`);
+  }
+  return { id: templateId, ...TEMPLATES[templateId] };
+}
+
+// Public metadata for GET /api/templates
+function listTemplates() {
+  return Object.keys(TEMPLATES).map(id => ({
+    id,
+    name: TEMPLATES[id].name,
+    description: TEMPLATES[id].description,
+    pageOptions: TEMPLATES[id].pageOptions,
+    isDefault: id === DEFAULT_TEMPLATE,
+  }));
+}
+
+// Wrap rendered markdown in the template's shell and stylesheet
+function buildHtml(template, htmlContent) {
+  return `
+      <!DOCTYPE html><html><head><meta charset="utf-8"><style>${template.css}</style></head>
+      <body>${template.shell(htmlContent)}</body></html>`;
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  isTemplate,
+  getTemplate,
+  listTemplates,
+  buildHtml,
+};
@@ -0,0 +1,115 @@
+// test/account.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { startServer, createDocument } = require('./helpers');
+
+describe('account', () => {
+  let server;
+  let request;
+  before(async () => {
+    // No wkhtmltopdf here: PDFs fail to render, which the export lists in its manifest
+    server = await startServer({ WKHTMLTOPDF_PATH: '/nonexistent/wkhtmltopdf' });
+    ({ request } = server);
+  });
+  after(() => server.close());
+
+  // The export of `user`'s account, unzipped: resolves to { zip, read(path) }
+  const exportAccount = async (user, query = '') => {
+    const { status, headers, body } = await request('GET', `/api/account/export${query}`, { user });
+    assert.equal(status, 200);
+    assert.match(headers.get('content-disposition'), /resume-forge-export-.*\.zip/);
+    const zip = await JSZip.loadAsync(body);
+    const read = async path => {
+      const file = zip.file(path);
+      assert.ok(file, `${path} is missing from the export`);
+      const text = await file.async('string');
+      return path.endsWith('.json') ? JSON.parse(text) : text;
+    };
+    return { zip, read };
+  };
+
+  describe('export', () => {
+    it('zips the documents, shares and account records, without secrets', async () => {
+      const doc = await createDocument(request, 'alice', { companyName: 'Acme', positionName: 'Engineer', notes: 'Call back' });
+      await request('POST', `/api/documents/${doc.id}/share`, { user: 'alice', body: { password: 'secret' } });
+      await request('POST', '/api/api-keys', { user: 'alice', body: { name: 'cli', scopes: ['read'] } });
+
+      const { read } = await exportAccount('alice', '?pdfs=false');
+      const folder = `documents/Acme - Engineer (${doc.id})`;
+      assert.equal((await read(`${folder}/document.json`)).id, doc.id);
+      assert.equal(await read(`${folder}/resume.md`), '# Jane Doe\n\nResume');
+      assert.equal(await read(`${folder}/notes.md`), 'Call back');
+
+      const [share] = await read('shares.json');
+      assert.equal(share.hasPassword, true);
+      assert.equal(share.passwordHash, undefined);
+      const account = await read('account.json');
+      assert.equal(account.apiKeys[0].name, 'cli');
+      assert.equal(account.apiKeys[0].keyHash, undefined);
+
+      const manifest = await read('manifest.json');
+      assert.equal(manifest.userId, 'alice');
+      assert.equal(manifest.documents, 1);
+      assert.equal(manifest.pdfs, false);
+    });
+
+    it('lists PDFs that failed to render instead of failing', async () => {
+      const doc = await createDocument(request, 'bob');
+      const { zip, read } = await exportAccount('bob');
+      const manifest = await read('manifest.json');
+      assert.equal(manifest.pdfs, true);
+      assert.equal(manifest.failedPdfs.length, 1);
+      assert.equal(manifest.failedPdfs[0].documentId, doc.id);
+      assert.equal(zip.file(/\.pdf$/).length, 0);
+    });
+
+    it('holds nothing of other users', async () => {
+      const { read } = await exportAccount('carol', '?pdfs=false');
+      assert.equal((await read('manifest.json')).documents, 0);
+      assert.deepEqual(await read('shares.json'), []);
+    });
+  });
+
+  describe('delete', () => {
+    const deleteAccount = (user, body = { confirm: 'DELETE' }) => request('DELETE', '/api/account', { user, body });
+
+    it('deletes the documents and stops the share links', async () => {
+      const doc = await createDocument(request, 'dave');
+      const { body: share } = await request('POST', `/api/documents/${doc.id}/share`, { user: 'dave', body: {} });
+      const token = share.shareUrl.split('/').pop();
+      const kept = await createDocument(request, 'erin');
+
+      const { status, body } = await deleteAccount('dave');
+      assert.equal(status, 200);
+      assert.equal(body.deleted.documents, 1);
+      assert.equal(body.deleted.shares, 1);
+      assert.equal(body.authUserDeleted, false);
+
+      assert.deepEqual((await request('GET', '/api/documents', { user: 'dave' })).body, []);
+      assert.equal((await request('GET', `/api/documents/share/${token}`)).status, 404);
+      assert.equal((await request('GET', `/api/documents/${kept.id}`, { user: 'erin' })).status, 200);
+    });
+
+    it('can be run again', async () => {
+      await createDocument(request, 'frank');
+      assert.equal((await deleteAccount('frank')).body.deleted.documents, 1);
+      const { status, body } = await deleteAccount('frank');
+      assert.equal(status, 200);
+      assert.equal(body.deleted.documents, 0);
+    });
+
+    it('refuses deleteAuthUser without a Firebase session, before deleting anything', async () => {
+      const doc = await createDocument(request, 'grace');
+      const { status, body } = await deleteAccount('grace', { confirm: 'DELETE', deleteAuthUser: true });
+      assert.equal(status, 400);
+      assert.equal(body.code, 'auth_user_not_deletable');
+      assert.equal((await request('GET', `/api/documents/${doc.id}`, { user: 'grace' })).status, 200);
+    });
+
+    it('needs the confirmation', async () => {
+      const { status } = await deleteAccount('grace', { confirm: 'yes' });
+      assert.equal(status, 400);
+    });
+  });
+});
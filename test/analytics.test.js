@@ -0,0 +1,47 @@
+// test/analytics.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PIPELINE } = require('../applicationTracker');
+const { startServer, createDocument } = require('./helpers');
+
+describe('analytics cache', () => {
+  let server;
+  let request;
+  before(async () => {
+    server = await startServer();
+    ({ request } = server);
+  });
+  after(() => server.close());
+
+  const analytics = async user => (await request('GET', '/api/analytics', { user })).body;
+
+  it("is kept when another user's documents change", async () => {
+    await createDocument(request, 'bob');
+    assert.equal((await analytics('bob')).cached, false);
+    assert.equal((await analytics('bob')).cached, true);
+
+    await createDocument(request, 'alice');
+    const summary = await analytics('bob');
+    assert.equal(summary.cached, true);
+    assert.equal(summary.totalDocuments, 1);
+  });
+
+  it("is dropped when the user's own documents change", async () => {
+    const doc = await createDocument(request, 'carol');
+    await analytics('carol');
+
+    await request('DELETE', `/api/documents/${doc.id}`, { user: 'carol' });
+    const summary = await analytics('carol');
+    assert.equal(summary.cached, false);
+    assert.equal(summary.totalDocuments, 0);
+  });
+
+  it('is dropped when the user changes their pipeline', async () => {
+    await createDocument(request, 'dave', { status: 'Draft' });
+    await analytics('dave');
+
+    const update = await request('PUT', '/api/pipeline', { user: 'dave', body: DEFAULT_PIPELINE });
+    assert.equal(update.status, 200);
+    assert.equal((await analytics('dave')).cached, false);
+  });
+});
@@ -0,0 +1,141 @@
+// test/applicationTracker.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_PIPELINE, validatePipeline, statusChange, dueReminders,
+} = require('../applicationTracker');
+const { startServer, createDocument } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2024-03-01T12:00:00Z');
+
+describe('statusChange', () => {
+  it('lets the default pipeline move between any two of the original statuses', () => {
+    const names = ['Draft', 'Applied', 'Interviewing', 'Offer', 'Rejected'];
+    assert.deepEqual(DEFAULT_PIPELINE.stages.map(stage => stage.name), names);
+    names.forEach(from => names.filter(to => to !== from).forEach(to => {
+      assert.equal(statusChange({ status: from }, DEFAULT_PIPELINE, { status: to, now }).status, to);
+    }));
+  });
+
+  it('follows the transitions of a custom pipeline', () => {
+    const pipeline = validatePipeline({ stages: [{ name: 'Idea', transitions: ['Sent'] }, { name: 'Sent' }] });
+    assert.equal(statusChange({ status: 'Idea' }, pipeline, { status: 'Sent', now }).status, 'Sent');
+    assert.throws(() => statusChange({ status: 'Sent' }, pipeline, { status: 'Idea', now }), {
+      status: 400,
+      message: /Cannot move from "Sent" to "Idea"\. Allowed next stages: none\./,
+    });
+    assert.throws(() => statusChange({ status: 'Idea' }, pipeline, { status: 'Applied', now }), { message: /Invalid status/ });
+    // A status the pipeline no longer has can move anywhere
+    assert.equal(statusChange({ status: 'Offer' }, pipeline, { status: 'Idea', now }).status, 'Idea');
+  });
+
+  it('records the move in the history and keeps the first date of each stage', () => {
+    const applied = statusChange({ status: 'Draft', stageDates: { Draft: new Date(0) } }, DEFAULT_PIPELINE, { status: 'Applied', note: 'Sent', now });
+    assert.deepEqual(applied.statusHistory, [{ from: 'Draft', to: 'Applied', at: now, note: 'Sent' }]);
+    assert.deepEqual(applied.stageDates, { Draft: new Date(0), Applied: now });
+
+    const later = new Date(now.getTime() + DAY_MS);
+    const again = statusChange({ ...applied, status: 'Draft' }, DEFAULT_PIPELINE, { status: 'Applied', now: later });
+    assert.equal(again.stageDates.Applied, now);
+    assert.equal(again.statusHistory.length, 2);
+  });
+
+  it("schedules the stage's follow-up unless one is given", () => {
+    assert.deepEqual(statusChange({}, DEFAULT_PIPELINE, { status: 'Applied', now }).followUpAt, new Date(now.getTime() + 7 * DAY_MS));
+    assert.equal(statusChange({}, DEFAULT_PIPELINE, { status: 'Draft', now }).followUpAt, null);
+    assert.deepEqual(
+      statusChange({}, DEFAULT_PIPELINE, { status: 'Applied', followUpAt: '2024-04-01T00:00:00Z', now }).followUpAt,
+      new Date('2024-04-01T00:00:00Z'),
+    );
+    assert.equal(statusChange({}, DEFAULT_PIPELINE, { status: 'Applied', followUpAt: null, now }).followUpAt, null);
+    assert.throws(() => statusChange({}, DEFAULT_PIPELINE, { status: 'Applied', followUpAt: 'soon', now }), { status: 400 });
+  });
+
+  it('returns null when the status stays the same', () => {
+    assert.equal(statusChange({ status: 'Applied' }, DEFAULT_PIPELINE, { status: 'Applied', now }), null);
+  });
+});
+
+describe('validatePipeline', () => {
+  it('rejects unknown transitions and duplicate names', () => {
+    assert.throws(() => validatePipeline({ stages: [{ name: 'A', transitions: ['B'] }] }), { status: 400, message: /unknown stages/ });
+    assert.throws(() => validatePipeline({ stages: [{ name: 'A' }, { name: 'A' }] }), { message: /unique/ });
+    assert.throws(() => validatePipeline({ stages: [] }), { status: 400 });
+  });
+
+  it('drops transitions of a stage to itself', () => {
+    const { stages } = validatePipeline({ stages: [{ name: 'A', transitions: ['A', 'B', 'B'] }, { name: 'B' }] });
+    assert.deepEqual(stages[0].transitions, ['B']);
+  });
+});
+
+describe('dueReminders', () => {
+  it('lists passed follow-ups, and upcoming ones within the given days, oldest first', () => {
+    const doc = (id, daysFromNow) => ({ id, status: 'Applied', followUpAt: new Date(now.getTime() + daysFromNow * DAY_MS) });
+    const documents = [doc('soon', 2), doc('late', -3), doc('today', 0), { id: 'none', followUpAt: null }];
+
+    const due = dueReminders(documents, { now });
+    assert.deepEqual(due.map(reminder => reminder.id), ['late', 'today']);
+    assert.equal(due[0].daysOverdue, 3);
+    assert.equal(due[0].overdue, true);
+
+    assert.deepEqual(dueReminders(documents, { now, withinDays: 2 }).map(reminder => reminder.id), ['late', 'today', 'soon']);
+  });
+});
+
+describe('status routes', () => {
+  let server;
+  let request;
+  before(async () => {
+    server = await startServer();
+    ({ request } = server);
+  });
+  after(() => server.close());
+
+  const setStatus = (user, doc, body) => request('PUT', `/api/documents/${doc.id}/status`, { user, body });
+  const history = async (user, doc) => (await request('GET', `/api/documents/${doc.id}/status-history`, { user })).body;
+
+  it('moves a document and keeps its history', async () => {
+    const doc = await createDocument(request, 'alice', { status: 'Offer' });
+    assert.equal((await setStatus('alice', doc, { status: 'Draft', note: 'Declined, reapplying later' })).status, 200);
+
+    const { status, history: entries, stageDates } = await history('alice', doc);
+    assert.equal(status, 'Draft');
+    assert.deepEqual(entries.map(entry => `${entry.from}>${entry.to}`), ['null>Offer', 'Offer>Draft']);
+    assert.equal(entries[1].note, 'Declined, reapplying later');
+    assert.deepEqual(Object.keys(stageDates).sort(), ['Draft', 'Offer']);
+  });
+
+  it('schedules a follow-up that shows up in the reminders once due', async () => {
+    const doc = await createDocument(request, 'bob');
+    await setStatus('bob', doc, { status: 'Applied', followUpAt: '2020-01-01T00:00:00.000Z' });
+    const reminders = (await request('GET', '/api/reminders', { user: 'bob' })).body;
+    assert.deepEqual(reminders.map(reminder => reminder.id), [doc.id]);
+    assert.equal(reminders[0].overdue, true);
+  });
+
+  it('updates only the follow-up date when the status stays, and marks the document updated', async () => {
+    const doc = await createDocument(request, 'carol', { status: 'Applied' });
+    const before = await request('GET', `/api/documents/${doc.id}`, { user: 'carol' });
+
+    await setStatus('carol', doc, { status: 'Applied', followUpAt: '2030-06-01T00:00:00.000Z' });
+    const after = (await request('GET', `/api/documents/${doc.id}`, { user: 'carol' })).body;
+    assert.equal(after.followUpAt, '2030-06-01T00:00:00.000Z');
+    assert.ok(new Date(after.updatedAt) > new Date(before.body.updatedAt));
+    assert.equal((await history('carol', doc)).history.length, 1);
+  });
+
+  it('refuses moves the pipeline does not allow, unknown stages and other users', async () => {
+    const pipeline = { stages: [{ name: 'Idea', transitions: ['Sent'] }, { name: 'Sent' }] };
+    assert.equal((await request('PUT', '/api/pipeline', { user: 'dave', body: pipeline })).status, 200);
+    const doc = await createDocument(request, 'dave', { status: 'Sent' });
+
+    const blocked = await setStatus('dave', doc, { status: 'Idea' });
+    assert.equal(blocked.status, 400);
+    assert.match(blocked.body.message, /Cannot move from "Sent" to "Idea"/);
+    assert.equal((await setStatus('dave', doc, { status: 'Offer' })).status, 400);
+    assert.equal((await setStatus('erin', doc, { status: 'Sent' })).status, 403);
+    assert.equal((await setStatus('dave', { id: 'missing' }, { status: 'Sent' })).status, 404);
+  });
+});
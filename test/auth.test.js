@@ -0,0 +1,126 @@
+// test/auth.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signJwt, verifyJwt } = require('../localJwt');
+const { startServer, createDocument } = require('./helpers');
+
+const SECRET = 'test-secret';
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('verifyJwt', () => {
+  it('returns the claims of a valid token', () => {
+    const claims = verifyJwt(signJwt({ sub: 'alice' }, SECRET), SECRET);
+    assert.equal(claims.sub, 'alice');
+  });
+
+  it('rejects bad signatures, expired tokens and other algorithms', () => {
+    const token = signJwt({ sub: 'alice' }, SECRET);
+    assert.throws(() => verifyJwt(token, 'other-secret'), { status: 403, code: 'invalid_token', message: /bad signature/ });
+    assert.throws(() => verifyJwt(signJwt({ sub: 'alice' }, SECRET, { expiresIn: -10 }), SECRET), { message: /expired/ });
+
+    const unsigned = `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: 'alice' })}.`;
+    assert.throws(() => verifyJwt(unsigned, SECRET), { message: /unsupported algorithm/ });
+  });
+
+  it('rejects tokens without a numeric expiry', () => {
+    const withExp = exp => {
+      const input = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ sub: 'alice', exp })}`;
+      return `${input}.${crypto.createHmac('sha256', SECRET).update(input).digest('base64url')}`;
+    };
+    assert.throws(() => verifyJwt(withExp(undefined), SECRET), { status: 403, message: /no expiry/ });
+    assert.throws(() => verifyJwt(withExp('9999999999'), SECRET), { message: /no expiry/ });
+    assert.equal(verifyJwt(withExp(Math.floor(Date.now() / 1000) + 60), SECRET).sub, 'alice');
+  });
+
+  it('checks the issuer and audience when asked to', () => {
+    const token = signJwt({ sub: 'alice', iss: 'us', aud: ['app'] }, SECRET);
+    assert.equal(verifyJwt(token, SECRET, { issuer: 'us', audience: 'app' }).sub, 'alice');
+    assert.throws(() => verifyJwt(token, SECRET, { issuer: 'them' }), { message: /wrong issuer/ });
+    assert.throws(() => verifyJwt(token, SECRET, { audience: 'admin' }), { message: /wrong audience/ });
+  });
+});
+
+describe('API keys', () => {
+  let server;
+  let request;
+  let doc;
+  before(async () => {
+    server = await startServer();
+    ({ request } = server);
+    doc = await createDocument(request, 'alice');
+  });
+  after(() => server.close());
+
+  const createKey = async scopes => {
+    const { status, body } = await request('POST', '/api/api-keys', { user: 'alice', body: { name: `${scopes} key`, scopes } });
+    assert.equal(status, 201);
+    return body;
+  };
+  const withKey = (key, method, path, body) => request(method, path, { token: key.key, body });
+
+  it('hands out the key once and never its hash', async () => {
+    const key = await createKey(['read']);
+    assert.match(key.key, /^rfk_\w+_[\w-]+$/);
+    assert.equal(key.keyHash, undefined);
+
+    const { body } = await request('GET', '/api/api-keys', { user: 'alice' });
+    const listed = body.find(({ id }) => id === key.id);
+    assert.equal(listed.key, undefined);
+    assert.equal(listed.keyHash, undefined);
+  });
+
+  it('lets a read key read but not write', async () => {
+    const key = await createKey(['read']);
+    assert.equal((await withKey(key, 'GET', `/api/documents/${doc.id}`)).status, 200);
+
+    const { status, body } = await withKey(key, 'POST', '/api/documents', { companyName: 'Acme' });
+    assert.equal(status, 403);
+    assert.equal(body.code, 'insufficient_scope');
+  });
+
+  it('lets a write key change documents as its owner', async () => {
+    const key = await createKey(['write']);
+    const { status, body } = await withKey(key, 'POST', '/api/documents', { companyName: 'Made by a key' });
+    assert.equal(status, 201);
+    assert.equal(body.userId, 'alice');
+  });
+
+  it('keeps a pdf key to the PDF routes', async () => {
+    const key = await createKey(['pdf']);
+    assert.equal((await withKey(key, 'GET', '/api/pdf-jobs/unknown')).status, 404);
+    assert.equal((await withKey(key, 'GET', `/api/documents/${doc.id}`)).body.code, 'insufficient_scope');
+  });
+
+  it("can't manage keys or delete the account, whatever its scopes", async () => {
+    const key = await createKey(['read', 'write', 'pdf']);
+    assert.equal((await withKey(key, 'GET', '/api/api-keys')).body.code, 'session_required');
+    assert.equal((await withKey(key, 'POST', '/api/api-keys', { name: 'more', scopes: ['write'] })).body.code, 'session_required');
+    assert.equal((await withKey(key, 'DELETE', '/api/account', { confirm: 'DELETE' })).body.code, 'session_required');
+  });
+
+  it('stops working once revoked', async () => {
+    const key = await createKey(['read']);
+    assert.equal((await request('DELETE', `/api/api-keys/${key.id}`, { user: 'alice' })).status, 200);
+    const { status, body } = await withKey(key, 'GET', `/api/documents/${doc.id}`);
+    assert.equal(status, 403);
+    assert.equal(body.code, 'invalid_token');
+  });
+
+  it('rejects a key with the wrong secret', async () => {
+    const key = await createKey(['read']);
+    const forged = { key: `${key.key.slice(0, -4)}AAAA` };
+    assert.equal((await withKey(forged, 'GET', `/api/documents/${doc.id}`)).body.code, 'invalid_token');
+  });
+
+  it("can't be revoked by another user", async () => {
+    const key = await createKey(['read']);
+    assert.equal((await request('DELETE', `/api/api-keys/${key.id}`, { user: 'bob' })).status, 403);
+  });
+
+  it('rejects session tokens signed with another secret', async () => {
+    const { status, body } = await request('GET', '/api/documents', { token: signJwt({ sub: 'alice' }, 'other-secret') });
+    assert.equal(status, 403);
+    assert.equal(body.code, 'invalid_token');
+  });
+});
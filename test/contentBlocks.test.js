@@ -0,0 +1,202 @@
+// test/contentBlocks.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateBlock, validateMaster, headerOf, composeFromBlocks, outdatedRefs, applyBlockUpdates,
+} = require('../contentBlocks');
+const { startServer, createDocument } = require('./helpers');
+
+const block = (id, kind, content, extra = {}) => ({ id, kind, content, version: 1, ...extra });
+
+describe('validateBlock and validateMaster', () => {
+  it('keep the known fields and trim the content', () => {
+    assert.deepEqual(validateBlock({ kind: 'skills', content: '  - Node.js\n', title: 'Backend' }), {
+      kind: 'skills', content: '- Node.js', title: 'Backend',
+    });
+    assert.deepEqual(validateBlock({ title: 'Renamed' }, { partial: true }), { title: 'Renamed' });
+    assert.deepEqual(validateMaster({ name: ' Main ', resumeMarkdown: '# Jane' }), { name: 'Main', resumeMarkdown: '# Jane' });
+  });
+
+  it('refuse unknown kinds, empty content and "other" blocks without a section', () => {
+    assert.throws(() => validateBlock({ kind: 'hobby', content: 'Chess' }), { status: 400, message: /Invalid block kind/ });
+    assert.throws(() => validateBlock({ kind: 'skills', content: '   ' }), { status: 400 });
+    assert.throws(() => validateBlock({ kind: 'other', content: 'Chess' }), { status: 400, message: /need a section/ });
+    assert.throws(() => validateMaster({ name: ' ', resumeMarkdown: '' }), { status: 400 });
+  });
+});
+
+describe('composeFromBlocks', () => {
+  it('groups resume blocks under their sections and puts cover letter paragraphs in the cover letter', () => {
+    const { resumeMarkdown, coverLetterMarkdown, blockRefs } = composeFromBlocks({
+      header: headerOf('# Jane Doe\n\njane@example.com\n\n## Old section\n\nGone'),
+      blocks: [
+        block('a', 'experience', '### Engineer — Acme'),
+        block('b', 'skills', '- Node.js'),
+        block('c', 'coverLetterParagraph', 'I love Acme.'),
+        block('d', 'experience', '### Intern — Globex'),
+        block('e', 'other', '- Chess', { section: 'Interests' }),
+      ],
+    });
+    assert.equal(resumeMarkdown, [
+      '# Jane Doe\n\njane@example.com',
+      '## Experience', '### Engineer — Acme', '### Intern — Globex',
+      '## Skills', '- Node.js',
+      '## Interests', '- Chess',
+    ].join('\n\n') + '\n');
+    assert.equal(coverLetterMarkdown, 'I love Acme.\n');
+    assert.deepEqual(blockRefs.map(ref => [ref.blockId, ref.field]), [
+      ['a', 'resumeMarkdown'], ['b', 'resumeMarkdown'], ['c', 'coverLetterMarkdown'], ['d', 'resumeMarkdown'], ['e', 'resumeMarkdown'],
+    ]);
+  });
+});
+
+describe('block updates', () => {
+  const doc = {
+    resumeMarkdown: '## Skills\n\n- JS, Node\n\n## Projects\n\n- Old project\n',
+    blockRefs: [
+      { blockId: 'skills', version: 1, content: '- JS, Node', field: 'resumeMarkdown' },
+      { blockId: 'project', version: 1, content: '- Old project', field: 'resumeMarkdown' },
+      { blockId: 'gone', version: 1, content: '- Removed', field: 'resumeMarkdown' },
+    ],
+  };
+  const blocksById = {
+    skills: block('skills', 'skills', '- JS, Node, Go', { version: 2 }),
+    project: block('project', 'project', '- Old project'),
+  };
+
+  it('lists the blocks that changed or were deleted', () => {
+    assert.deepEqual(outdatedRefs(doc, blocksById).map(ref => [ref.blockId, ref.latestVersion, ref.deleted]), [
+      ['skills', 2, undefined],
+      ['gone', undefined, true],
+    ]);
+  });
+
+  it('replace the old block text with the latest version', () => {
+    const { updates, applied, conflicts } = applyBlockUpdates(doc, blocksById);
+    assert.equal(updates.resumeMarkdown, '## Skills\n\n- JS, Node, Go\n\n## Projects\n\n- Old project\n');
+    assert.deepEqual(applied, [{ blockId: 'skills', field: 'resumeMarkdown', fromVersion: 1, toVersion: 2 }]);
+    assert.deepEqual(conflicts, []);
+    assert.equal(updates.blockRefs[0].version, 2);
+  });
+
+  it('report a block edited inside the document as a conflict instead of overwriting it', () => {
+    const edited = { ...doc, resumeMarkdown: doc.resumeMarkdown.replace('- JS, Node', '- JS, Node, Rust') };
+    const { updates, applied, conflicts } = applyBlockUpdates(edited, blocksById);
+    assert.equal(updates.resumeMarkdown, edited.resumeMarkdown);
+    assert.deepEqual(applied, []);
+    assert.deepEqual(conflicts.map(conflict => conflict.blockId), ['skills']);
+  });
+});
+
+describe('master and block routes', () => {
+  let server;
+  let request;
+  before(async () => {
+    server = await startServer();
+    ({ request } = server);
+  });
+  after(() => server.close());
+
+  const createBlock = async (user, body) => (await request('POST', '/api/blocks', { user, body })).body;
+  const compose = (user, body) => request('POST', '/api/documents/compose', { user, body });
+
+  it('creates, lists, updates and deletes masters and blocks', async () => {
+    const master = await request('POST', '/api/masters', { user: 'alice', body: { name: 'Main', resumeMarkdown: '# Jane' } });
+    assert.equal(master.status, 201);
+    assert.equal(master.body.version, 1);
+    const renamed = await request('PUT', `/api/masters/${master.body.id}`, { user: 'alice', body: { name: 'Primary' } });
+    assert.equal(renamed.body.version, 1);
+    const edited = await request('PUT', `/api/masters/${master.body.id}`, { user: 'alice', body: { resumeMarkdown: '# Jane Doe' } });
+    assert.equal(edited.body.version, 2);
+
+    const skills = await createBlock('alice', { kind: 'skills', content: '- Node.js' });
+    await createBlock('alice', { kind: 'summary', content: 'Builds things.' });
+    const listed = await request('GET', '/api/blocks?kind=skills', { user: 'alice' });
+    assert.deepEqual(listed.body.map(entry => entry.id), [skills.id]);
+    assert.equal((await request('GET', '/api/blocks?kind=hobby', { user: 'alice' })).status, 400);
+
+    assert.equal((await request('DELETE', `/api/blocks/${skills.id}`, { user: 'alice' })).status, 200);
+    assert.equal((await request('GET', `/api/blocks/${skills.id}`, { user: 'alice' })).status, 404);
+    assert.equal((await request('DELETE', `/api/masters/${master.body.id}`, { user: 'alice' })).status, 200);
+    assert.equal((await request('GET', `/api/masters/${master.body.id}`, { user: 'alice' })).status, 404);
+  });
+
+  it('composes a document from a master header and blocks', async () => {
+    const { body: master } = await request('POST', '/api/masters', {
+      user: 'alice',
+      body: { name: 'Main', resumeMarkdown: '# Jane Doe\n\n## Experience\n\nAll of it', coverLetterMarkdown: 'Dear team,' },
+    });
+    const role = await createBlock('alice', { kind: 'experience', content: '### Engineer — Acme' });
+
+    const { status, body: doc } = await compose('alice', { masterId: master.id, blockIds: [role.id, role.id], companyName: 'Globex' });
+    assert.equal(status, 201);
+    assert.equal(doc.resumeMarkdown, '# Jane Doe\n\n## Experience\n\n### Engineer — Acme\n');
+    assert.equal(doc.coverLetterMarkdown, 'Dear team,');
+    assert.deepEqual(doc.blockIds, [role.id]);
+    assert.equal(doc.masterVersion, 1);
+
+    const copy = await compose('alice', { masterId: master.id });
+    assert.equal(copy.body.resumeMarkdown, master.resumeMarkdown);
+
+    await request('PUT', `/api/masters/${master.id}`, { user: 'alice', body: { resumeMarkdown: '# Jane Doe' } });
+    const derived = (await request('GET', `/api/masters/${master.id}/documents`, { user: 'alice' })).body;
+    assert.deepEqual(derived.map(entry => entry.upToDate), [false, false]);
+  });
+
+  it('flags documents holding an older block version and pulls in the update', async () => {
+    const skills = await createBlock('alice', { kind: 'skills', content: '- JS, Node' });
+    const { body: doc } = await compose('alice', { blockIds: [skills.id] });
+    await request('PUT', `/api/blocks/${skills.id}`, { user: 'alice', body: { content: '- JS, Node, Go' } });
+
+    const using = (await request('GET', `/api/blocks/${skills.id}/documents`, { user: 'alice' })).body;
+    assert.deepEqual(using, [{ id: doc.id, companyName: '', positionName: '', status: doc.status, upToDate: false }]);
+    const pending = (await request('GET', `/api/documents/${doc.id}/block-updates`, { user: 'alice' })).body;
+    assert.equal(pending.upToDate, false);
+    assert.equal(pending.masterUpToDate, null);
+    assert.equal(pending.outdated[0].latestContent, '- JS, Node, Go');
+
+    const { body } = await request('POST', `/api/documents/${doc.id}/block-updates`, { user: 'alice', body: {} });
+    assert.deepEqual(body.applied.map(entry => entry.toVersion), [2]);
+    const updated = (await request('GET', `/api/documents/${doc.id}`, { user: 'alice' })).body;
+    assert.equal(updated.resumeMarkdown, '## Skills\n\n- JS, Node, Go\n');
+    assert.equal((await request('GET', `/api/documents/${doc.id}/block-updates`, { user: 'alice' })).body.upToDate, true);
+    assert.ok((await request('GET', `/api/documents/${doc.id}/revisions`, { user: 'alice' })).body.length >= 1);
+  });
+
+  it('leaves a block edited in the document alone and reports the conflict', async () => {
+    const skills = await createBlock('alice', { kind: 'skills', content: '- JS' });
+    const { body: doc } = await compose('alice', { blockIds: [skills.id] });
+    await request('PUT', `/api/documents/${doc.id}`, {
+      user: 'alice',
+      body: { resumeMarkdown: '## Skills\n\n- JS, Rust\n', version: doc.version },
+    });
+    await request('PUT', `/api/blocks/${skills.id}`, { user: 'alice', body: { content: '- JS, Go' } });
+
+    const { status, body } = await request('POST', `/api/documents/${doc.id}/block-updates`, { user: 'alice', body: {} });
+    assert.equal(status, 200);
+    assert.deepEqual(body.applied, []);
+    assert.equal(body.conflicts[0].blockId, skills.id);
+    assert.equal((await request('GET', `/api/documents/${doc.id}`, { user: 'alice' })).body.resumeMarkdown, '## Skills\n\n- JS, Rust\n');
+  });
+
+  it('refuses invalid bodies with a 400', async () => {
+    assert.equal((await compose('alice', {})).status, 400);
+    assert.equal((await request('POST', '/api/blocks', { user: 'alice', body: { kind: 'other', content: 'Chess' } })).status, 400);
+    assert.equal((await request('POST', '/api/masters', { user: 'alice', body: { name: 'Main' } })).status, 400);
+    const other = await createBlock('alice', { kind: 'other', content: 'Chess', section: 'Interests' });
+    const cleared = await request('PUT', `/api/blocks/${other.id}`, { user: 'alice', body: { section: null } });
+    assert.equal(cleared.status, 200);
+    assert.equal((await request('PUT', `/api/blocks/${other.id}`, { user: 'alice', body: { kind: 'other', content: '' } })).status, 400);
+  });
+
+  it("answers a 404 for unknown masters and blocks, and a 403 for another user's", async () => {
+    const skills = await createBlock('alice', { kind: 'skills', content: '- Node.js' });
+    assert.equal((await compose('alice', { blockIds: ['missing'] })).status, 404);
+    assert.equal((await compose('alice', { masterId: 'missing' })).status, 404);
+    assert.equal((await compose('bob', { blockIds: [skills.id] })).status, 403);
+    assert.equal((await request('PUT', '/api/blocks/missing', { user: 'alice', body: { title: 'x' } })).status, 404);
+    assert.equal((await request('GET', `/api/blocks/${skills.id}`, { user: 'bob' })).status, 403);
+    const doc = await createDocument(request, 'alice');
+    assert.equal((await request('POST', `/api/documents/${doc.id}/block-updates`, { user: 'bob', body: {} })).status, 403);
+  });
+});
@@ -0,0 +1,153 @@
+// test/coverLetterTemplate.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MERGE_FIELDS, parseTemplate, mergeValues, fillCoverLetter,
+} = require('../coverLetterTemplate');
+const { startServer, createDocument } = require('./helpers');
+
+const values = {
+  companyName: 'Acme', positionName: 'Engineer', hiringManager: '', applicantName: 'Jane Doe', today: 'March 1, 2024',
+};
+const errorsOf = text => parseTemplate(text).errors;
+
+describe('fillCoverLetter', () => {
+  it('fills in the merge fields', () => {
+    assert.equal(fillCoverLetter('Dear {{ companyName }} team, I want to be your {{positionName}}.', values),
+      'Dear Acme team, I want to be your Engineer.');
+  });
+
+  it('keeps the branch of a conditional that applies, without leaving blank lines', () => {
+    const letter = [
+      '{{#if hiringManager}}', 'Dear {{hiringManager}},', '{{else}}', 'Dear hiring team,', '{{/if}}',
+      'Regards,', '{{#unless companyName}}Nobody{{/unless}}{{applicantName}}',
+    ].join('\n');
+    assert.equal(fillCoverLetter(letter, values), 'Dear hiring team,\nRegards,\nJane Doe');
+    assert.equal(fillCoverLetter(letter, { ...values, hiringManager: 'Ms. Smith' }), 'Dear Ms. Smith,\nRegards,\nJane Doe');
+  });
+
+  it('leaves letters without placeholders alone', () => {
+    assert.equal(fillCoverLetter('Dear team,', values), 'Dear team,');
+    assert.equal(fillCoverLetter('', values), '');
+  });
+
+  it('refuses a letter with unknown placeholders with a 400 naming the line', () => {
+    assert.throws(() => fillCoverLetter('Dear team,\n{{salary}}', values), {
+      status: 400,
+      message: 'The cover letter has template errors: line 2: Unknown placeholder "{{salary}}".',
+    });
+  });
+});
+
+describe('parseTemplate', () => {
+  it('reports every problem with its line', () => {
+    assert.deepEqual(errorsOf('{{#if salary}}x{{/if}}\n{{ company name }}\n{{else}}\n{{/unless}}\n{{#if companyName}}'), [
+      { message: 'Unknown placeholder "salary" in {{#if}}.', line: 1 },
+      { message: 'Invalid placeholder "{{company name}}".', line: 2 },
+      { message: 'Unexpected {{else}} outside a conditional block.', line: 3 },
+      { message: 'Unexpected {{/unless}} without a matching {{#unless}}.', line: 4 },
+      { message: '{{#if companyName}} is never closed.', line: 5 },
+    ]);
+    assert.deepEqual(errorsOf('Dear {{companyName'), [{ message: 'Unclosed placeholder "{{".', line: 1 }]);
+  });
+});
+
+describe('mergeValues', () => {
+  it('reads the fields from the document and the name from the resume', () => {
+    const merged = mergeValues({ companyName: 'Acme', resumeMarkdown: '# Jane Doe\n\nResume' }, { now: new Date('2024-03-01T12:00:00Z') });
+    assert.deepEqual(merged, {
+      companyName: 'Acme', positionName: '', hiringManager: '', applicantName: 'Jane Doe', today: 'March 1, 2024',
+    });
+    assert.deepEqual(Object.keys(merged), Object.keys(MERGE_FIELDS));
+  });
+});
+
+describe('cover letter template routes', () => {
+  let server;
+  let request;
+  before(async () => {
+    server = await startServer();
+    ({ request } = server);
+  });
+  after(() => server.close());
+
+  const createTemplate = (body, user = 'alice') => request('POST', '/api/cover-letter-templates', { user, body });
+
+  it('lists the merge fields without signing in', async () => {
+    const { status, body } = await request('GET', '/api/cover-letter-templates/fields');
+    assert.equal(status, 200);
+    assert.deepEqual(body.map(field => field.name), Object.keys(MERGE_FIELDS));
+  });
+
+  it('creates, updates and deletes templates', async () => {
+    const created = await createTemplate({ name: ' Standard ', content: 'Dear {{companyName}} team,' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.name, 'Standard');
+
+    const updated = await request('PUT', `/api/cover-letter-templates/${created.body.id}`, {
+      user: 'alice',
+      body: { content: 'Hello {{companyName}},' },
+    });
+    assert.equal(updated.body.content, 'Hello {{companyName}},');
+    assert.equal((await request('GET', '/api/cover-letter-templates', { user: 'alice' })).body.length, 1);
+
+    assert.equal((await request('DELETE', `/api/cover-letter-templates/${created.body.id}`, { user: 'alice' })).status, 200);
+    assert.equal((await request('GET', `/api/cover-letter-templates/${created.body.id}`, { user: 'alice' })).status, 404);
+  });
+
+  it('refuses templates with unknown placeholders, listing each error', async () => {
+    const { status, body } = await createTemplate({ name: 'Broken', content: 'Dear {{company}},\n{{#if salary}}Money{{/if}}' });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'template_invalid');
+    assert.deepEqual(body.details, [
+      { path: 'body.content', code: 'template_error', message: 'Unknown placeholder "{{company}}".', line: 1 },
+      { path: 'body.content', code: 'template_error', message: 'Unknown placeholder "salary" in {{#if}}.', line: 2 },
+    ]);
+    assert.equal((await createTemplate({ name: ' ', content: 'Dear team,' })).status, 400);
+  });
+
+  it('starts a document from a template, filled in with its fields', async () => {
+    const { body: template } = await createTemplate({ name: 'Standard', content: 'Dear {{companyName}} team,\n{{applicantName}}' });
+    const doc = await createDocument(request, 'alice', { companyName: 'Globex', coverLetterTemplateId: template.id });
+    assert.equal(doc.coverLetterMarkdown, 'Dear Globex team,\nJane Doe');
+    assert.equal(doc.coverLetterTemplateId, template.id);
+
+    const missing = await request('POST', '/api/documents', {
+      user: 'alice',
+      body: { companyName: 'Acme', coverLetterTemplateId: 'missing' },
+    });
+    assert.equal(missing.status, 404);
+  });
+
+  it("previews the document's cover letter or a template against the document", async () => {
+    const doc = await createDocument(request, 'alice', { coverLetterMarkdown: 'To {{companyName}}' });
+    const own = await request('GET', `/api/documents/${doc.id}/cover-letter`, { user: 'alice' });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.coverLetterMarkdown, 'To Acme');
+    assert.equal(own.body.fields.applicantName, 'Jane Doe');
+
+    const { body: template } = await createTemplate({ name: 'Short', content: 'Hi {{positionName}} hiring team' });
+    const preview = await request('GET', `/api/documents/${doc.id}/cover-letter?templateId=${template.id}`, { user: 'alice' });
+    assert.equal(preview.body.coverLetterMarkdown, 'Hi Engineer hiring team');
+  });
+
+  it('answers a 400 for a stored cover letter with unknown placeholders', async () => {
+    const doc = await createDocument(request, 'alice', { coverLetterMarkdown: 'Dear {{recruiter}},' });
+    const { status, body } = await request('GET', `/api/documents/${doc.id}/cover-letter`, { user: 'alice' });
+    assert.equal(status, 400);
+    assert.equal(body.details[0].path, 'coverLetterMarkdown');
+    assert.equal(body.details[0].message, 'Unknown placeholder "{{recruiter}}".');
+
+    const exported = await request('GET', `/api/documents/${doc.id}/export?format=text&content=coverLetter`, { user: 'alice' });
+    assert.equal(exported.status, 400);
+  });
+
+  it("answers a 404 for unknown templates and documents, and a 403 for another user's", async () => {
+    const doc = await createDocument(request, 'alice');
+    const { body: template } = await createTemplate({ name: 'Mine', content: 'Hi' });
+    assert.equal((await request('GET', `/api/documents/${doc.id}/cover-letter?templateId=missing`, { user: 'alice' })).status, 404);
+    assert.equal((await request('GET', '/api/documents/missing/cover-letter', { user: 'alice' })).status, 404);
+    assert.equal((await request('PUT', '/api/cover-letter-templates/missing', { user: 'alice', body: { name: 'x' } })).status, 404);
+    assert.equal((await request('GET', `/api/cover-letter-templates/${template.id}`, { user: 'bob' })).status, 403);
+  });
+});
@@ -0,0 +1,148 @@
+// test/documentOrganization.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_TAGS, normalizeTags, validateBulkRequest, bulkPatch,
+} = require('../documentOrganization');
+const { startServer, createDocument } = require('./helpers');
+
+describe('normalizeTags', () => {
+  it('lower-cases, trims and dedupes tags', () => {
+    assert.deepEqual(normalizeTags(['Remote', 'remote ', ' ', 'Berlin']), ['remote', 'berlin']);
+  });
+
+  it('refuses non-strings and too many or too long tags with a 400', () => {
+    assert.throws(() => normalizeTags('remote'), { status: 400 });
+    assert.throws(() => normalizeTags([1]), { status: 400 });
+    assert.throws(() => normalizeTags(Array.from({ length: MAX_TAGS + 1 }, (_, i) => `tag${i}`)), { status: 400 });
+    assert.throws(() => normalizeTags(['x'.repeat(41)]), { status: 400 });
+  });
+});
+
+describe('validateBulkRequest and bulkPatch', () => {
+  it('checks the action and the fields it needs, and dedupes the ids', () => {
+    assert.deepEqual(validateBulkRequest({ ids: ['a', 'b', 'a'], action: 'archive' }), { ids: ['a', 'b'], action: 'archive' });
+    assert.throws(() => validateBulkRequest({ ids: ['a'], action: 'explode' }), { status: 400, message: /Invalid action/ });
+    assert.throws(() => validateBulkRequest({ ids: [], action: 'archive' }), { status: 400 });
+    assert.throws(() => validateBulkRequest({ ids: ['a'], action: 'addTags' }), { status: 400, message: 'The addTags action needs: tags.' });
+  });
+
+  it('builds the patch of each action', () => {
+    const now = new Date('2024-03-01T00:00:00Z');
+    assert.deepEqual(bulkPatch({ tags: ['a'] }, 'addTags', { tags: ['a', 'b'] }), { tags: ['a', 'b'] });
+    assert.deepEqual(bulkPatch({ tags: ['a', 'b'] }, 'removeTags', { tags: ['a'] }), { tags: ['b'] });
+    assert.deepEqual(bulkPatch({}, 'move', { folderId: null }), { folderId: null });
+    assert.deepEqual(bulkPatch({}, 'archive', { now }), { archived: true, archivedAt: now });
+    const full = { tags: Array.from({ length: MAX_TAGS }, (_, i) => `tag${i}`) };
+    assert.throws(() => bulkPatch(full, 'addTags', { tags: ['one-more'] }), { status: 400 });
+  });
+});
+
+describe('tag, folder and bulk routes', () => {
+  let server;
+  let request;
+  before(async () => {
+    server = await startServer();
+    ({ request } = server);
+  });
+  after(() => server.close());
+
+  const bulk = (user, body) => request('POST', '/api/documents/bulk', { user, body });
+  const get = async (user, doc) => (await request('GET', `/api/documents/${doc.id}`, { user })).body;
+  const createFolder = (user, name) => request('POST', '/api/folders', { user, body: { name } });
+
+  it('stores tags and folders on documents and filters the list by them', async () => {
+    const { body: folder } = await createFolder('alice', 'Berlin');
+    const remote = await createDocument(request, 'alice', { tags: ['Remote', 'Senior'], folderId: folder.id });
+    await createDocument(request, 'alice', { tags: ['remote'] });
+    await createDocument(request, 'alice');
+    assert.deepEqual(remote.tags, ['remote', 'senior']);
+
+    const list = async query => (await request('GET', `/api/documents?${query}`, { user: 'alice' })).body;
+    assert.equal((await list('tag=Remote')).length, 2);
+    assert.deepEqual((await list(`folderId=${folder.id}`)).map(doc => doc.id), [remote.id]);
+    assert.equal((await list('folderId=none')).length, 2);
+
+    const tags = (await request('GET', '/api/tags', { user: 'alice' })).body;
+    assert.deepEqual(tags, [{ tag: 'remote', count: 2 }, { tag: 'senior', count: 1 }]);
+  });
+
+  it('refuses duplicate folder names and moves documents out of deleted folders', async () => {
+    const { body: folder } = await createFolder('bob', 'Applied');
+    assert.equal((await createFolder('bob', 'applied')).status, 409);
+    assert.equal((await createFolder('bob', '  ')).status, 400);
+    const doc = await createDocument(request, 'bob', { folderId: folder.id });
+
+    const renamed = await request('PUT', `/api/folders/${folder.id}`, { user: 'bob', body: { name: 'Sent' } });
+    assert.equal(renamed.body.name, 'Sent');
+    const { body } = await request('DELETE', `/api/folders/${folder.id}`, { user: 'bob' });
+    assert.equal(body.movedDocuments, 1);
+    assert.equal((await get('bob', doc)).folderId, null);
+    assert.equal((await request('DELETE', `/api/folders/${folder.id}`, { user: 'bob' })).status, 404);
+  });
+
+  it('tags, moves, archives and deletes many documents at once', async () => {
+    const { body: folder } = await createFolder('carol', 'Done');
+    const docs = [await createDocument(request, 'carol'), await createDocument(request, 'carol')];
+    const ids = docs.map(doc => doc.id);
+
+    const tagged = (await bulk('carol', { ids, action: 'addTags', tags: ['Urgent'] })).body;
+    assert.deepEqual(tagged, {
+      action: 'addTags', succeeded: 2, failed: 0, results: ids.map(id => ({ id, ok: true, changed: true })),
+    });
+    await bulk('carol', { ids, action: 'move', folderId: folder.id });
+    await bulk('carol', { ids, action: 'archive' });
+    const archived = await get('carol', docs[0]);
+    assert.deepEqual([archived.tags, archived.folderId, archived.archived], [['urgent'], folder.id, true]);
+    assert.equal((await request('GET', '/api/documents', { user: 'carol' })).body.length, 0);
+    assert.equal((await request('GET', '/api/documents?archived=true', { user: 'carol' })).body.length, 2);
+
+    const moved = (await bulk('carol', { ids, action: 'setStatus', status: 'Applied' })).body;
+    assert.equal(moved.succeeded, 2);
+    assert.equal((await get('carol', docs[1])).status, 'Applied');
+
+    assert.equal((await bulk('carol', { ids, action: 'delete' })).body.succeeded, 2);
+    assert.equal((await request('GET', `/api/documents/${ids[0]}`, { user: 'carol' })).status, 404);
+  });
+
+  it('reports documents that are missing or not owned per item and changes only the others', async () => {
+    const mine = await createDocument(request, 'dave');
+    const theirs = await createDocument(request, 'erin');
+    const { status, body } = await bulk('dave', { ids: [mine.id, theirs.id, 'missing'], action: 'addTags', tags: ['x'] });
+    assert.equal(status, 200);
+    assert.equal(body.succeeded, 1);
+    assert.deepEqual(body.results.map(result => [result.ok, result.status]), [[true, undefined], [false, 403], [false, 404]]);
+    assert.deepEqual((await get('dave', mine)).tags, ['x']);
+    assert.deepEqual((await get('erin', theirs)).tags, []);
+  });
+
+  it('changes none of the documents when the request itself is invalid', async () => {
+    const docs = [await createDocument(request, 'frank', { tags: ['keep'] }), await createDocument(request, 'frank', { tags: ['keep'] })];
+    const ids = docs.map(doc => doc.id);
+    const unchanged = async () => {
+      for (const doc of docs) {
+        const current = await get('frank', doc);
+        assert.deepEqual([current.tags, current.folderId, current.archived, current.version], [['keep'], null, false, doc.version]);
+      }
+    };
+
+    assert.equal((await bulk('frank', { ids, action: 'move', folderId: 'missing' })).status, 404);
+    const { body: otherFolder } = await createFolder('erin', 'Theirs');
+    assert.equal((await bulk('frank', { ids, action: 'move', folderId: otherFolder.id })).status, 403);
+    assert.equal((await bulk('frank', { ids, action: 'explode' })).status, 400);
+    assert.equal((await bulk('frank', { ids, action: 'removeTags' })).status, 400);
+    assert.equal((await bulk('frank', { ids: [...ids, 'x'.repeat(200)], action: 'archive' })).status, 400);
+    await unchanged();
+  });
+
+  it('fails every item of a status change the pipeline does not allow, writing nothing', async () => {
+    const docs = [await createDocument(request, 'grace'), await createDocument(request, 'grace')];
+    const { status, body } = await bulk('grace', { ids: docs.map(doc => doc.id), action: 'setStatus', status: 'Hired' });
+    assert.equal(status, 200);
+    assert.equal(body.failed, 2);
+    assert.deepEqual(body.results.map(result => result.status), [400, 400]);
+    for (const doc of docs) {
+      assert.equal((await get('grace', doc)).version, doc.version);
+    }
+  });
+});
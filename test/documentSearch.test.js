@@ -0,0 +1,137 @@
+// test/documentSearch.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  indexTerms, parseListQuery, encodeCursor, paginate,
+} = require('../documentSearch');
+const { startServer, createDocument } = require('./helpers');
+
+describe('indexTerms', () => {
+  it('indexes lower-case words without accents, keeping c++ and c#', () => {
+    const terms = indexTerms({ companyName: 'Café Zürich', notes: 'C++ and C# developer, a B-side', resumeMarkdown: '**Go**' });
+    assert.deepEqual(terms, ['cafe', 'zurich', 'c++', 'and', 'c#', 'developer', 'side', 'go']);
+  });
+});
+
+describe('parseListQuery', () => {
+  it('defaults to the newest documents first, 20 per page', () => {
+    const query = parseListQuery({});
+    assert.equal(query.sort, 'createdAt');
+    assert.equal(query.direction, 'desc');
+    assert.equal(query.limit, 20);
+    assert.deepEqual(query.filters, { archived: false });
+    assert.equal(parseListQuery({ sort: 'companyName' }).direction, 'asc');
+  });
+
+  it('refuses unknown sorts, bad limits and cursors of another sort with a 400', () => {
+    assert.throws(() => parseListQuery({ sort: 'status' }), { status: 400, message: /Invalid sort/ });
+    assert.throws(() => parseListQuery({ direction: 'up' }), { status: 400 });
+    assert.throws(() => parseListQuery({ limit: '101' }), { status: 400 });
+    assert.throws(() => parseListQuery({ cursor: 'garbage' }), { status: 400, message: /Invalid cursor/ });
+    const cursor = encodeCursor({ id: 'a', companyName: 'Acme' }, 'companyName');
+    assert.throws(() => parseListQuery({ cursor }), { status: 400, message: /Invalid cursor/ });
+    assert.deepEqual(parseListQuery({ cursor, sort: 'companyName' }).cursor, { value: 'Acme', id: 'a' });
+  });
+});
+
+describe('paginate', () => {
+  const docs = [
+    { id: 'b', createdAt: new Date('2024-01-02') },
+    { id: 'a', createdAt: new Date('2024-01-02') },
+    { id: 'c', createdAt: new Date('2024-01-03') },
+    { id: 'd' },
+  ];
+
+  it('sorts missing values first and ties by id, then continues after the cursor', () => {
+    const query = { sort: 'createdAt', direction: 'asc', limit: 2 };
+    const first = paginate(docs, query);
+    assert.deepEqual(first.items.map(doc => doc.id), ['d', 'a']);
+    assert.equal(first.hasMore, true);
+
+    const cursor = parseListQuery({ cursor: encodeCursor(first.items[1], 'createdAt') }).cursor;
+    const second = paginate(docs, { ...query, cursor });
+    assert.deepEqual(second.items.map(doc => doc.id), ['b', 'c']);
+    assert.equal(second.hasMore, false);
+  });
+});
+
+describe('GET /api/documents paging and search', () => {
+  let server;
+  let request;
+  before(async () => {
+    server = await startServer();
+    ({ request } = server);
+    const companies = ['Acme', 'Bluth', 'Cyberdyne', 'Dunder Mifflin', 'Encom'];
+    for (const companyName of companies) {
+      await createDocument(request, 'alice', {
+        companyName,
+        resumeMarkdown: companyName === 'Bluth' ? '# Jane\n\nBanana stand manager' : '# Jane\n\nKubernetes and Go',
+      });
+    }
+    await createDocument(request, 'bob', { companyName: 'Globex', resumeMarkdown: 'Kubernetes' });
+  });
+  after(() => server.close());
+
+  const list = (query, user = 'alice') => request('GET', `/api/documents?${query}`, { user });
+  const companies = body => body.documents.map(doc => doc.companyName);
+
+  it('keeps answering with a plain array without paging parameters', async () => {
+    const { status, body } = await list('');
+    assert.equal(status, 200);
+    assert.ok(Array.isArray(body));
+    assert.equal(body.length, 5);
+  });
+
+  it('pages through the documents with the cursor', async () => {
+    const first = (await list('sort=companyName&limit=2')).body;
+    assert.deepEqual(companies(first), ['Acme', 'Bluth']);
+    assert.equal(first.total, 5);
+
+    const second = (await list(`sort=companyName&limit=2&cursor=${first.nextCursor}`)).body;
+    assert.deepEqual(companies(second), ['Cyberdyne', 'Dunder Mifflin']);
+    const third = (await list(`sort=companyName&limit=2&cursor=${second.nextCursor}`)).body;
+    assert.deepEqual(companies(third), ['Encom']);
+    assert.equal(third.nextCursor, null);
+
+    const backwards = (await list('sort=companyName&direction=desc&limit=1')).body;
+    assert.deepEqual(companies(backwards), ['Encom']);
+  });
+
+  it('pages through search results with the cursor and q', async () => {
+    const first = (await list('q=kubernetes&sort=companyName&limit=2')).body;
+    assert.deepEqual(companies(first), ['Acme', 'Cyberdyne']);
+    assert.equal(first.total, 4);
+    assert.ok(first.nextCursor);
+
+    const second = (await list(`q=kubernetes&sort=companyName&limit=2&cursor=${first.nextCursor}`)).body;
+    assert.deepEqual(companies(second), ['Dunder Mifflin', 'Encom']);
+    assert.equal(second.nextCursor, null);
+  });
+
+  it('matches documents that contain every word of q, in any searchable field', async () => {
+    assert.deepEqual(companies((await list('q=Dunder')).body), ['Dunder Mifflin']);
+    assert.deepEqual(companies((await list('q=banana+MANAGER')).body), ['Bluth']);
+    assert.equal((await list('q=banana+kubernetes')).body.total, 0);
+    assert.equal((await list('q=globex')).body.total, 0);
+  });
+
+  it('finds edited documents under their new words only', async () => {
+    const doc = await createDocument(request, 'carol', { resumeMarkdown: 'Fortran' });
+    await request('PUT', `/api/documents/${doc.id}`, { user: 'carol', body: { resumeMarkdown: 'Rust', version: doc.version } });
+    assert.equal((await list('q=fortran', 'carol')).body.total, 0);
+    assert.equal((await list('q=rust', 'carol')).body.total, 1);
+  });
+
+  it('refuses invalid paging parameters with a 400', async () => {
+    assert.equal((await list('sort=status')).status, 400);
+    assert.equal((await list('limit=0')).status, 400);
+    assert.equal((await list('limit=500')).status, 400);
+    assert.equal((await list('cursor=garbage')).status, 400);
+    const { body } = await list('sort=companyName&limit=1');
+    assert.equal((await list(`sort=updatedAt&cursor=${body.nextCursor}`)).status, 400);
+  });
+
+  it('answers a 404 for an unknown familyOf document', async () => {
+    assert.equal((await list('familyOf=missing&limit=5')).status, 404);
+  });
+});
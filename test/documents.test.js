@@ -0,0 +1,64 @@
+// test/documents.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createDocument } = require('./helpers');
+
+describe('document routes', () => {
+  let server;
+  let request;
+  before(async () => {
+    server = await startServer();
+    ({ request } = server);
+  });
+  after(() => server.close());
+
+  it('needs a token', async () => {
+    const { status, body } = await request('GET', '/api/documents');
+    assert.equal(status, 401);
+    assert.equal(body.code, 'unauthorized');
+  });
+
+  it('creates, reads, lists and deletes a document', async () => {
+    const doc = await createDocument(request, 'alice', { companyName: 'Acme' });
+
+    const read = await request('GET', `/api/documents/${doc.id}`, { user: 'alice' });
+    assert.equal(read.status, 200);
+    assert.equal(read.body.companyName, 'Acme');
+    assert.equal(read.headers.get('etag'), '"1"');
+
+    const list = await request('GET', '/api/documents', { user: 'alice' });
+    assert.ok(list.body.some(listed => listed.id === doc.id));
+
+    assert.equal((await request('DELETE', `/api/documents/${doc.id}`, { user: 'alice' })).status, 200);
+    assert.equal((await request('GET', `/api/documents/${doc.id}`, { user: 'alice' })).status, 404);
+  });
+
+  it("keeps other users' documents out of reach", async () => {
+    const doc = await createDocument(request, 'alice');
+    assert.equal((await request('GET', `/api/documents/${doc.id}`, { user: 'bob' })).status, 403);
+    assert.equal((await request('DELETE', `/api/documents/${doc.id}`, { user: 'bob' })).status, 403);
+
+    const list = await request('GET', '/api/documents', { user: 'bob' });
+    assert.ok(!list.body.some(listed => listed.id === doc.id));
+  });
+
+  describe('duplicating with copyShares', () => {
+    // Share a new document with `settings`, duplicate it and return the share of the copy
+    const duplicateShared = async settings => {
+      const doc = await createDocument(request, 'alice');
+      assert.equal((await request('POST', `/api/documents/${doc.id}/share`, { user: 'alice', body: settings })).status, 200);
+      const copy = await request('POST', `/api/documents/${doc.id}/duplicate`, { user: 'alice', body: { copyShares: true } });
+      assert.equal(copy.status, 201);
+      return copy.body.share;
+    };
+
+    it("keeps the default share's expiry", async () => {
+      const expiresAt = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString();
+      assert.equal((await duplicateShared({ expiresAt })).expiresAt, expiresAt);
+    });
+
+    it('keeps a share without expiry without one', async () => {
+      assert.equal((await duplicateShared({ expiresAt: null })).expiresAt, null);
+    });
+  });
+});
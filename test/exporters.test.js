@@ -0,0 +1,179 @@
+// test/exporters.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const {
+  toPlainText, toDocx, toJsonResume, exportMarkdown,
+} = require('../exporters');
+const { getTemplate } = require('../templates');
+const { startServer, createDocument } = require('./helpers');
+
+const RESUME = `# Jane Doe
+
+jane@example.com | [github.com/jane](https://github.com/jane)
+
+## Summary
+
+Builds **reliable** backends.
+
+## Experience
+
+### Engineer — Acme | Jan 2020 - Present
+
+- Shipped *X*
+- Led Y
+
+## Skills
+
+- Backend: Node.js, SQL
+
+## Memberships
+
+- IEEE
+`;
+
+describe('toPlainText', () => {
+  it('writes upper-case section titles, dash bullets and links as text (url)', () => {
+    assert.equal(toPlainText(RESUME), [
+      'Jane Doe',
+      '',
+      'jane@example.com | github.com/jane (https://github.com/jane)',
+      '',
+      'SUMMARY',
+      '',
+      'Builds reliable backends.',
+      '',
+      'EXPERIENCE',
+      '',
+      'Engineer — Acme | Jan 2020 - Present',
+      '',
+      '- Shipped X',
+      '- Led Y',
+      '',
+      'SKILLS',
+      '',
+      '- Backend: Node.js, SQL',
+      '',
+      'MEMBERSHIPS',
+      '',
+      '- IEEE',
+    ].join('\n') + '\n');
+  });
+
+  it('numbers ordered lists and indents nested ones', () => {
+    assert.equal(toPlainText('1. One\n2. Two\n   - Sub\n'), '1. One\n2. Two\n  - Sub\n');
+  });
+});
+
+describe('toJsonResume', () => {
+  it('maps the sections onto the schema and lists the ones it cannot place', () => {
+    const { resume, unmapped } = toJsonResume(RESUME, { lastModified: '2024-03-01T00:00:00.000Z' });
+    assert.equal(resume.basics.name, 'Jane Doe');
+    assert.equal(resume.basics.email, 'jane@example.com');
+    assert.deepEqual(resume.basics.profiles, [{ network: 'GitHub', url: 'https://github.com/jane', username: 'jane' }]);
+    assert.match(resume.basics.summary, /Builds/);
+    assert.deepEqual(resume.work, [{
+      name: 'Acme', position: 'Engineer', startDate: '2020-01', highlights: ['Shipped X', 'Led Y'],
+    }]);
+    assert.deepEqual(resume.skills, [{ name: 'Backend', keywords: ['Node.js', 'SQL'] }]);
+    assert.deepEqual(resume.meta, { version: 'v1.0.0', lastModified: '2024-03-01T00:00:00.000Z' });
+    assert.deepEqual(unmapped, ['Memberships']);
+  });
+});
+
+describe('toDocx', () => {
+  it('writes headings and bullets as Word paragraphs', async () => {
+    const zip = await JSZip.loadAsync(await toDocx(RESUME, { title: 'Engineer - Acme' }));
+    const xml = await zip.file('word/document.xml').async('string');
+    assert.match(xml, /<w:pStyle w:val="Title"\/>[\s\S]*?Jane Doe/);
+    assert.match(xml, /<w:pStyle w:val="Heading1"\/>[\s\S]*?Experience/);
+    assert.match(xml, /<w:numPr>[\s\S]*?Shipped/);
+    assert.match(await zip.file('docProps/core.xml').async('string'), /Engineer - Acme/);
+  });
+});
+
+describe('exportMarkdown', () => {
+  const template = getTemplate('modern');
+
+  it('answers with the body, content type and extension of the format', async () => {
+    const html = await exportMarkdown('html', RESUME, { template });
+    assert.equal(html.extension, 'html');
+    assert.match(html.body, /server\/templates\/modern\.css/);
+    assert.equal((await exportMarkdown('text', RESUME)).contentType, 'text/plain; charset=utf-8');
+    assert.ok(Buffer.isBuffer((await exportMarkdown('docx', RESUME)).body));
+    assert.equal(JSON.parse((await exportMarkdown('json-resume', RESUME)).body).basics.name, 'Jane Doe');
+  });
+
+  it('refuses unknown formats and JSON Resume for a cover letter with a 400', async () => {
+    await assert.rejects(exportMarkdown('pdf', RESUME), { status: 400, message: /Invalid format "pdf"/ });
+    await assert.rejects(exportMarkdown('json-resume', 'Dear Sir', { isResume: false }), { status: 400 });
+  });
+});
+
+describe('export routes', () => {
+  let server;
+  let request;
+  before(async () => {
+    server = await startServer();
+    ({ request } = server);
+  });
+  after(() => server.close());
+
+  const exportDocument = (doc, query, user = 'alice') => request('GET', `/api/documents/${doc.id}/export?${query}`, { user });
+
+  it('exports the resume in each format as a download', async () => {
+    const doc = await createDocument(request, 'alice', { resumeMarkdown: RESUME });
+
+    const text = await exportDocument(doc, 'format=text');
+    assert.equal(text.status, 200);
+    assert.match(text.headers.get('content-disposition'), /Acme-resume\.txt/);
+    assert.match(text.body.toString(), /^Jane Doe\n/);
+
+    const html = await exportDocument(doc, 'format=html&template=compact');
+    assert.match(html.body.toString(), /server\/templates\/compact\.css/);
+
+    const docx = await exportDocument(doc, 'format=docx');
+    assert.match(docx.headers.get('content-type'), /wordprocessingml/);
+    assert.ok(await JSZip.loadAsync(docx.body));
+
+    const json = await exportDocument(doc, 'format=json-resume');
+    assert.equal(json.body.basics.name, 'Jane Doe');
+  });
+
+  it('fills in the merge fields of the cover letter', async () => {
+    const doc = await createDocument(request, 'alice', { coverLetterMarkdown: 'Dear {{companyName}} team,' });
+    const { status, headers, body } = await exportDocument(doc, 'format=text&content=coverLetter');
+    assert.equal(status, 200);
+    assert.match(headers.get('content-disposition'), /cover-letter\.txt/);
+    assert.equal(body.toString(), 'Dear Acme team,\n');
+  });
+
+  it('answers bad queries and missing content with a 400', async () => {
+    const doc = await createDocument(request, 'alice');
+    assert.equal((await exportDocument(doc, 'format=pdf')).status, 400);
+    assert.equal((await exportDocument(doc, '')).status, 400);
+    assert.equal((await exportDocument(doc, 'format=html&template=fancy')).status, 400);
+    assert.equal((await exportDocument(doc, 'format=text&content=coverLetter')).status, 400);
+  });
+
+  it('answers a 404 for unknown documents and share links, and a 403 for other users', async () => {
+    const doc = await createDocument(request, 'alice');
+    assert.equal((await exportDocument({ id: 'missing' }, 'format=text')).status, 404);
+    assert.equal((await exportDocument(doc, 'format=text', 'bob')).status, 403);
+    assert.equal((await request('GET', '/api/documents/share/missing/export?format=text')).status, 404);
+  });
+
+  it('exports only the sections a share link includes', async () => {
+    const doc = await createDocument(request, 'alice', { coverLetterMarkdown: 'Dear team,' });
+    const { body: share } = await request('POST', `/api/documents/${doc.id}/share`, {
+      user: 'alice',
+      body: { permissions: { resumeMarkdown: 'view' } },
+    });
+    const token = share.shareUrl.split('/').pop();
+
+    const resume = await request('GET', `/api/documents/share/${token}/export?format=text`);
+    assert.equal(resume.status, 200);
+    assert.equal(resume.body.toString(), 'Jane Doe\n\nResume\n');
+    assert.equal((await request('GET', `/api/documents/share/${token}/export?format=text&content=coverLetter`)).status, 400);
+  });
+});
@@ -0,0 +1,66 @@
+// test/helpers.js
+const { signJwt } = require('../localJwt');
+
+const JWT_SECRET = 'test-secret';
+
+// A session token for `userId`, as the web app would send it (AUTH_MODE=jwt in the tests)
+const tokenFor = userId => signJwt({ sub: userId, email: `${userId}@example.com` }, JWT_SECRET);
+
+// Start the app on a free port with memory storage and local JWT auth. index.js reads its
+// settings (e.g. RATE_LIMIT_* overrides in `env`) when it is loaded, which happens once per
+// test file: node --test runs every file in a process of its own. Later calls in the same file
+// share that app and its data.
+// `request(method, path, { user, token, body, rawBody, headers })` signs in as `user` (or sends
+// `token` as is), sends `body` as JSON or `rawBody` as it is, and resolves to
+// { status, headers, body }, the body parsed when it is JSON.
+async function startServer(env = {}) {
+  Object.assign(process.env, {
+    STORAGE_DRIVER: 'memory',
+    AUTH_MODE: 'jwt',
+    AUTH_JWT_SECRET: JWT_SECRET,
+    ...env,
+  });
+  const app = require('../index');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { user, token, body, rawBody, headers = {} } = {}) => {
+    const sent = { ...headers };
+    const bearer = token || (user && tokenFor(user));
+    if (bearer) sent.authorization = `Bearer ${bearer}`;
+    if (body !== undefined) sent['content-type'] = 'application/json';
+
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: sent,
+      body: body === undefined ? rawBody : JSON.stringify(body),
+    });
+    const type = response.headers.get('content-type') || '';
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: type.includes('json') ? await response.json() : Buffer.from(await response.arrayBuffer()),
+    };
+  };
+
+  const close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return { request, close };
+}
+
+// Create a document for `user` and return it
+async function createDocument(request, user, fields = {}) {
+  const { status, body } = await request('POST', '/api/documents', {
+    user,
+    body: { companyName: 'Acme', positionName: 'Engineer', resumeMarkdown: '# Jane Doe\n\nResume', ...fields },
+  });
+  if (status !== 201) throw new Error(`Creating a document failed with ${status}: ${JSON.stringify(body)}`);
+  return body;
+}
+
+module.exports = { startServer, createDocument, tokenFor };
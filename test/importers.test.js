@@ -0,0 +1,209 @@
+// test/importers.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { importResume } = require('../importers');
+const { startServer } = require('./helpers');
+
+const importJson = (resume, options = {}) => importResume({
+  buffer: Buffer.from(typeof resume === 'string' ? resume : JSON.stringify(resume)),
+  filename: 'resume.json',
+  ...options,
+});
+const importHtml = (html, options = {}) => importResume({ buffer: Buffer.from(html), filename: 'resume.html', ...options });
+
+// A minimal Word file: `paragraphs` are [style, text] pairs, style being a style id or null
+async function docxFile(paragraphs) {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+</Types>`);
+  zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`);
+  zip.file('word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`);
+  const w = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+  zip.file('word/styles.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<w:styles ${w}>
+  <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/></w:style>
+</w:styles>`);
+  const body = paragraphs.map(([style, text]) =>
+    `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t>${text}</w:t></w:r></w:p>`).join('');
+  zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8"?><w:document ${w}><w:body>${body}</w:body></w:document>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('JSON Resume import', () => {
+  it('turns the sections into markdown', async () => {
+    const { format, markdown, warnings } = await importJson({
+      basics: { name: 'Jane Doe', email: 'jane@example.com', location: { city: 'Berlin', countryCode: 'DE' }, summary: 'Builds things.' },
+      work: [{ name: 'Acme', position: 'Engineer', startDate: '2020-01-15', highlights: ['Shipped X', 'Led Y'] }],
+      skills: [{ name: 'Backend', keywords: ['Node.js', 'SQL'] }],
+    });
+    assert.equal(format, 'json-resume');
+    assert.equal(markdown, [
+      '# Jane Doe',
+      'jane@example.com | Berlin, DE',
+      '## Summary\n\nBuilds things.',
+      '## Experience\n\n### Engineer — Acme | Jan 2020 - Present\n\n- Shipped X\n- Led Y',
+      '## Skills\n\n- Backend: Node.js, SQL',
+    ].join('\n\n') + '\n');
+    assert.deepEqual(warnings, []);
+  });
+
+  it('refuses files that are not JSON Resume documents', async () => {
+    await assert.rejects(importJson('{"basics":'), { status: 400, message: /not valid JSON/ });
+    await assert.rejects(importJson([{ name: 'Jane' }]), { status: 400, message: /not a JSON Resume/ });
+  });
+
+  it('skips entries and fields of the wrong shape, with a warning for each', async () => {
+    const { markdown, warnings } = await importJson({
+      basics: { name: 'Jane Doe', profiles: 'github', location: ['Berlin'] },
+      work: [null, 'Acme', { name: 'Globex', position: { title: 'Lead' }, highlights: 'Shipped X' }],
+      education: [{ institution: 'MIT', courses: ['Algorithms', 7, { name: 'Odd' }] }],
+      skills: { name: 'Backend' },
+    });
+    assert.deepEqual(warnings, [
+      '"basics.location" is not an object and was skipped.',
+      '"basics.profiles" is not a list and was skipped.',
+      '"work[0]" is not an object and was skipped.',
+      '"work[1]" is not an object and was skipped.',
+      '"work[2].position" is not text and was skipped.',
+      '"work[2].highlights" is not a list and was skipped.',
+      'Items of "education[0].courses" that are not text were skipped.',
+      '"skills" is not a list and was skipped.',
+    ]);
+    assert.match(markdown, /### Globex/);
+    assert.match(markdown, /- Algorithms\n- 7/);
+  });
+
+  it('warns about a missing name and unknown sections', async () => {
+    const { markdown, warnings } = await importJson({ basics: 'Jane', hobbies: [] });
+    assert.match(markdown, /^# Your Name/);
+    assert.deepEqual(warnings, [
+      '"basics" is not an object and was skipped.',
+      'basics.name is missing; the resume has no name heading.',
+      '"hobbies" is not a JSON Resume section and was skipped.',
+    ]);
+  });
+
+  it('refuses a resume longer than maxLength with a 413', async () => {
+    const resume = { basics: { name: 'Jane Doe', summary: 'x'.repeat(200) } };
+    await assert.rejects(importJson(resume, { maxLength: 100 }), { status: 413, code: 'import_too_large' });
+    assert.ok((await importJson(resume, { maxLength: 1000 })).markdown);
+  });
+});
+
+describe('HTML import', () => {
+  it('maps the name, sections, roles and bullets', async () => {
+    const { markdown, warnings } = await importHtml(`<html><head><style>p {}</style></head><body>
+      <h1>Jane Doe</h1><p>jane@example.com</p><p>+49 30 1234567</p>
+      <h2>Experience</h2><h3>Engineer at <b>Acme</b></h3><ul><li>Shipped <em>X</em></li><li>Led Y</li></ul>
+      <img src="photo.png">
+    </body></html>`);
+    assert.equal(markdown, [
+      '# Jane Doe',
+      'jane@example.com | +49 30 1234567',
+      '## Experience',
+      '### Engineer at Acme',
+      '- Shipped *X*\n- Led Y',
+    ].join('\n\n') + '\n');
+    assert.deepEqual(warnings, ['Images were skipped; they cannot be represented in the resume markdown.']);
+  });
+
+  it('guesses headings when there are none', async () => {
+    const { markdown, warnings } = await importHtml('<p>Jane Doe</p><p>EXPERIENCE</p><p>Built things at Acme.</p>');
+    assert.equal(markdown, '# Jane Doe\n\n## EXPERIENCE\n\nBuilt things at Acme.\n');
+    assert.match(warnings[0], /No headings were found/);
+  });
+
+  it('refuses files without content', async () => {
+    await assert.rejects(importHtml('<html><body><script>alert(1)</script></body></html>'), { status: 400, message: /no readable content/ });
+  });
+});
+
+describe('DOCX import', () => {
+  it('maps the Title style to the name and Heading 1 to sections', async () => {
+    const buffer = await docxFile([['Title', 'Jane Doe'], ['Heading1', 'Experience'], [null, 'Built things at Acme.']]);
+    const { format, markdown } = await importResume({ buffer, filename: 'resume.docx' });
+    assert.equal(format, 'docx');
+    assert.equal(markdown, '# Jane Doe\n\n## Experience\n\nBuilt things at Acme.\n');
+  });
+
+  it('refuses files that are not Word documents', async () => {
+    await assert.rejects(importResume({ buffer: Buffer.from('not a zip'), filename: 'resume.docx' }), {
+      status: 400,
+      message: /not a readable \.docx/,
+    });
+  });
+
+  it('refuses documents too long to import before parsing them', async () => {
+    const buffer = await docxFile([['Title', 'Jane Doe'], [null, 'x'.repeat(1000)]]);
+    await assert.rejects(importResume({ buffer, filename: 'resume.docx', maxLength: 100 }), { status: 413 });
+  });
+});
+
+describe('format detection', () => {
+  it('goes by the format, the extension or the mimetype', async () => {
+    const html = Buffer.from('<h1>Jane Doe</h1>');
+    assert.equal((await importResume({ buffer: html, filename: 'resume', mimetype: 'text/html' })).format, 'html');
+    assert.equal((await importResume({ buffer: html, filename: 'resume.txt', format: 'html' })).format, 'html');
+    await assert.rejects(importResume({ buffer: html, filename: 'resume.txt' }), { status: 400, message: /Could not tell/ });
+    await assert.rejects(importResume({ buffer: html, format: 'pdf' }), { status: 400, message: /Invalid format/ });
+  });
+});
+
+describe('POST /api/documents/import', () => {
+  let server;
+  let request;
+  before(async () => {
+    server = await startServer();
+    ({ request } = server);
+  });
+  after(() => server.close());
+
+  const upload = (content, filename, fields = {}) => {
+    const form = new FormData();
+    form.append('file', new Blob([content]), filename);
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    return request('POST', '/api/documents/import', { user: 'alice', rawBody: form });
+  };
+
+  it('creates a document from the file, with the warnings', async () => {
+    const { status, body } = await upload(JSON.stringify({ basics: { name: 'Jane Doe' }, work: [null] }), 'resume.json', {
+      companyName: 'Acme',
+    });
+    assert.equal(status, 201);
+    assert.equal(body.document.companyName, 'Acme');
+    assert.equal(body.document.importedFrom, 'json-resume');
+    assert.equal(body.document.resumeMarkdown, '# Jane Doe\n');
+    assert.deepEqual(body.warnings, ['"work[0]" is not an object and was skipped.']);
+  });
+
+  it('answers malformed files with a 400, not a 500', async () => {
+    const { status, body } = await upload('{"work": [', 'resume.json');
+    assert.equal(status, 400);
+    assert.match(body.message, /not valid JSON/);
+  });
+
+  it('needs a file', async () => {
+    const { status, body } = await request('POST', '/api/documents/import', { user: 'alice', rawBody: new FormData() });
+    assert.equal(status, 400);
+    assert.equal(body.details[0].path, 'body.file');
+  });
+
+  it('caps the imported resume like the document fields', async () => {
+    const { status, body } = await upload(JSON.stringify({ basics: { name: 'Jane', summary: 'x'.repeat(100001) } }), 'resume.json');
+    assert.equal(status, 413);
+    assert.equal(body.code, 'import_too_large');
+  });
+});
@@ -0,0 +1,107 @@
+// test/keywordMatcher.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractKeywords, matchDocument } = require('../keywordMatcher');
+const { startServer, createDocument } = require('./helpers');
+
+const resume = bullets => `# Jane Doe\n\n## Experience\n\n### Engineer — Acme\n\n${bullets.map(bullet => `- ${bullet}`).join('\n')}\n`;
+const match = (jobDescription, bullets) => matchDocument({ jobDescription, resumeMarkdown: resume(bullets) });
+const keyword = (result, term) => result.keywords.find(entry => entry.term === term);
+
+describe('extractKeywords', () => {
+  it('weighs known skills above plain words and ignores stopwords', () => {
+    const keywords = extractKeywords('We are looking for a Python developer. Python and Docker experience required.');
+    assert.deepEqual(keywords.slice(0, 2).map(({ term, isSkill }) => [term, isSkill]), [['python', true], ['docker', true]]);
+    assert.equal(keywords[0].count, 2);
+    assert.ok(!keywords.some(({ term }) => ['we', 'are', 'looking', 'required'].includes(term)));
+  });
+
+  it('keeps the words as the posting wrote them', () => {
+    const terms = extractKeywords('Distributed systems and data analysis. Build APIs; document the APIs.').map(({ term }) => term);
+    assert.ok(terms.includes('distributed systems'));
+    assert.ok(terms.includes('data analysis'));
+    assert.ok(terms.includes('apis'));
+    assert.ok(!terms.some(term => /analysi\b|system\b|api\b/.test(term)));
+  });
+
+  it('counts singular and plural forms as one term', () => {
+    const [apis] = extractKeywords('APIs, more APIs and one API');
+    assert.equal(apis.term, 'apis');
+    assert.equal(apis.count, 3);
+  });
+});
+
+describe('matchDocument', () => {
+  it('finds single-word keywords', () => {
+    const result = match('Python, Docker and Terraform.', ['Automated deploys with Python and Docker']);
+    assert.deepEqual(result.matchedKeywords.sort(), ['docker', 'python']);
+    assert.deepEqual(result.missingKeywords, ['terraform']);
+    assert.equal(result.score, 67);
+    assert.deepEqual(keyword(result, 'python').sections, ['Experience']);
+  });
+
+  it('finds multi-word skills, whichever number they are written in', () => {
+    const result = match('Experience with distributed systems and data analysis required.', [
+      'Designed a distributed system for real-time data analysis',
+    ]);
+    assert.deepEqual(result.missingKeywords, []);
+    assert.ok(result.matchedKeywords.includes('distributed systems'));
+    assert.ok(result.matchedKeywords.includes('data analysis'));
+    assert.equal(result.score, 100);
+  });
+
+  it('finds plurals in the resume for singular keywords and the other way round', () => {
+    const result = match('Deployment pipelines and REST APIs.', ['Automated deployments', 'Designed an API and a pipeline']);
+    assert.deepEqual(result.missingKeywords, ['rest']);
+    assert.ok(result.matchedKeywords.includes('apis'));
+    assert.ok(result.matchedKeywords.includes('deployment'));
+  });
+
+  it("doesn't match a keyword that is only part of a word", () => {
+    const result = match('Go and Java.', ['Built a javascript and golang app']);
+    assert.deepEqual(result.matchedKeywords, []);
+    assert.equal(result.score, 0);
+  });
+
+  it('lists the keywords the document is missing', () => {
+    const result = match('Kubernetes, machine learning and stakeholder management.', ['Wrote documentation']);
+    assert.deepEqual(result.missingKeywords.sort(), ['kubernetes', 'machine learning', 'stakeholder management']);
+    assert.equal(result.score, 0);
+  });
+
+  it('also searches the cover letter', () => {
+    const result = matchDocument({
+      jobDescription: 'Kafka.',
+      resumeMarkdown: resume(['Wrote documentation']),
+      coverLetterMarkdown: 'I have run Kafka in production.',
+    });
+    assert.deepEqual(keyword(result, 'kafka').sections, ['Cover Letter']);
+  });
+});
+
+describe('GET /api/documents/:id/match', () => {
+  let server;
+  let request;
+  before(async () => {
+    server = await startServer();
+    ({ request } = server);
+  });
+  after(() => server.close());
+
+  it('matches the document against its job description', async () => {
+    const doc = await createDocument(request, 'alice', {
+      jobDescription: 'Distributed systems and data analysis.',
+      resumeMarkdown: resume(['Built distributed systems']),
+    });
+    const { status, body } = await request('GET', `/api/documents/${doc.id}/match`, { user: 'alice' });
+    assert.equal(status, 200);
+    assert.deepEqual(body.matchedKeywords, ['distributed systems']);
+    assert.deepEqual(body.missingKeywords, ['data analysis']);
+  });
+
+  it('needs a job description and the owner', async () => {
+    const doc = await createDocument(request, 'alice');
+    assert.equal((await request('GET', `/api/documents/${doc.id}/match`, { user: 'alice' })).status, 400);
+    assert.equal((await request('GET', `/api/documents/${doc.id}/match`, { user: 'bob' })).status, 403);
+  });
+});
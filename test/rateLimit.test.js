@@ -0,0 +1,143 @@
+// test/rateLimit.test.js
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore, createRateLimits } = require('../rateLimit');
+const { startServer, createDocument } = require('./helpers');
+
+describe('memory store', () => {
+  it('counts hits per key within the window', async () => {
+    const store = createMemoryStore();
+    assert.equal(store.hit('a', 1000).count, 1);
+    assert.equal(store.hit('a', 1000).count, 2);
+    assert.equal(store.hit('b', 1000).count, 1);
+    assert.equal(store.get('a').count, 2);
+    assert.equal(store.get('c'), null);
+  });
+
+  it('starts over once the window has passed', async () => {
+    const store = createMemoryStore();
+    store.hit('a', 20);
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.equal(store.get('a'), null);
+    assert.equal(store.hit('a', 20).count, 1);
+  });
+});
+
+describe('createRateLimits', () => {
+  // Run the limiter `times` times for one visitor and collect the errors it passes on
+  const runLimiter = async (limiter, times) => {
+    const errors = [];
+    for (let i = 0; i < times; i++) {
+      const res = { set() {}, get() {}, on() {} };
+      await new Promise(resolve => limiter({ ip: '203.0.113.9' }, res, error => {
+        errors.push(error);
+        resolve();
+      }));
+    }
+    return errors;
+  };
+
+  it('applies RATE_LIMIT_<NAME> overrides', async () => {
+    const limits = createRateLimits({ shareView: { max: 100, windowMs: 60000 } }, { env: { RATE_LIMIT_SHARE_VIEW: '1/60' } });
+    const errors = await runLimiter(limits.shareView, 2);
+    assert.equal(errors[0], undefined);
+    assert.equal(errors[1].status, 429);
+    assert.equal(errors[1].code, 'rate_limited');
+    assert.ok(errors[1].retryAfter > 0);
+  });
+
+  it('lets everything through when a limit is off', async () => {
+    const limits = createRateLimits({ shareView: { max: 1, windowMs: 60000 } }, { env: { RATE_LIMIT_SHARE_VIEW: 'off' } });
+    assert.deepEqual(await runLimiter(limits.shareView, 3), [undefined, undefined, undefined]);
+  });
+
+  it('keeps the default for a setting it cannot read', async () => {
+    const warn = mock.method(console, 'warn', () => {});
+    const limits = createRateLimits({ shareView: { max: 1, windowMs: 60000 } }, { env: { RATE_LIMIT_SHARE_VIEW: 'lots' } });
+    warn.mock.restore();
+    assert.equal(warn.mock.callCount(), 1);
+    assert.equal((await runLimiter(limits.shareView, 2))[1].status, 429);
+  });
+
+  it('lets requests through when the store fails', async () => {
+    const error = mock.method(console, 'error', () => {});
+    const store = { hit: async () => { throw new Error('store down'); }, get: async () => null };
+    const limits = createRateLimits({ shareView: { max: 1, windowMs: 60000 } }, { store, env: {} });
+    assert.deepEqual(await runLimiter(limits.shareView, 2), [undefined, undefined]);
+    error.mock.restore();
+  });
+});
+
+describe('rate limited routes', () => {
+  let server;
+  let request;
+  before(async () => {
+    server = await startServer({
+      // Every proxy is trusted, so X-Forwarded-For picks the visitor address each test counts under
+      TRUST_PROXY: 'true',
+      RATE_LIMIT_SHARE_VIEW: '2/60',
+      RATE_LIMIT_SHARE_MISSES: '3/60',
+      RATE_LIMIT_SHARE_CREATE: '2/3600',
+    });
+    ({ request } = server);
+  });
+  after(() => server.close());
+
+  const shareToken = async user => {
+    const doc = await createDocument(request, user);
+    const { body } = await request('POST', `/api/documents/${doc.id}/share`, { user, body: {} });
+    return body.shareUrl.split('/').pop();
+  };
+  const view = (token, ip) => request('GET', `/api/documents/share/${token}`, { headers: { 'X-Forwarded-For': ip } });
+
+  it('limits share views per visitor address, with RateLimit headers and Retry-After', async () => {
+    const token = await shareToken('alice');
+    const first = await view(token, '198.51.100.1');
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+    assert.equal((await view(token, '198.51.100.1')).status, 200);
+
+    const limited = await view(token, '198.51.100.1');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'rate_limited');
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+    assert.equal((await view(token, '198.51.100.2')).status, 200);
+  });
+
+  it('blocks a visitor after too many unknown share tokens, but only that visitor', async () => {
+    const token = await shareToken('bob');
+    // Guessed through the download route: every public share route counts misses
+    for (let i = 0; i < 3; i++) {
+      const guess = await request('GET', `/api/documents/share/unknown${i}/download`, { headers: { 'X-Forwarded-For': '198.51.100.3' } });
+      assert.equal(guess.status, 404);
+    }
+    assert.equal((await view(token, '198.51.100.3')).status, 429);
+    assert.equal((await view(token, '198.51.100.4')).status, 200);
+  });
+
+  it('counts new share links, not updates to one', async () => {
+    const doc = await createDocument(request, 'carol');
+    const upsert = () => request('POST', `/api/documents/${doc.id}/share`, { user: 'carol', body: {} });
+    assert.equal((await upsert()).status, 200);
+    assert.equal((await upsert()).status, 200);
+    assert.equal((await request('POST', `/api/documents/${doc.id}/shares`, { user: 'carol', body: {} })).status, 201);
+
+    const limited = await request('POST', `/api/documents/${doc.id}/shares`, { user: 'carol', body: {} });
+    assert.equal(limited.status, 429);
+  });
+
+  it("doesn't count share links that were never created", async () => {
+    const doc = await createDocument(request, 'erin');
+    const create = (user, body = {}) => request('POST', `/api/documents/${doc.id}/shares`, { user, body });
+    // Someone else's document and an invalid body both fail before the limit is applied
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await create('dave')).status, 403);
+      assert.equal((await create('erin', { expiresAt: '2000-01-01T00:00:00Z' })).status, 400);
+    }
+    assert.equal((await create('erin')).status, 201);
+    assert.equal((await create('erin')).status, 201);
+    assert.equal((await create('erin')).status, 429);
+  });
+});
@@ -0,0 +1,181 @@
+// test/renderPdf.test.js
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A stand-in for wkhtmltopdf, doing what STUB_MODE says: hang (writing its pid to
+// STUB_PID_FILE first), fail with a message on stderr, or print a fake PDF with its arguments
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'render-test-'));
+const stubPath = path.join(tmpDir, 'wkhtmltopdf');
+fs.writeFileSync(stubPath, `#!/bin/sh
+case "$STUB_MODE" in
+  hang) echo $$ > "$STUB_PID_FILE"; exec sleep 30 ;;
+  fail) echo "Error: /bin/bash: line 1: something internal" >&2; exit 1 ;;
+  *) cat > /dev/null; echo "%PDF-1.4 $*" ;;
+esac
+`, { mode: 0o755 });
+
+process.env.WKHTMLTOPDF_PATH = stubPath;
+process.env.PDF_RENDER_TIMEOUT_MS = '300';
+const { renderPdf, resolveRenderOptions } = require('../renderPdf');
+const { getTemplate } = require('../templates');
+const { startServer, createDocument } = require('./helpers');
+
+const template = getTemplate(null);
+const render = (options = {}) => renderPdf('# Jane Doe\n\nResume', template, resolveRenderOptions(options, template));
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+describe('resolveRenderOptions', () => {
+  const resolve = options => resolveRenderOptions(options, template);
+
+  it("starts from the template's page options", () => {
+    assert.deepEqual(resolve({}), {
+      pageSize: 'A4',
+      orientation: 'Portrait',
+      margins: { top: '30px', right: '30px', bottom: '30px', left: '30px' },
+      header: null,
+      footer: null,
+      onePage: false,
+    });
+  });
+
+  it('reads page sizes and orientations whatever their case', () => {
+    const options = resolve({ pageSize: 'letter', orientation: 'LANDSCAPE' });
+    assert.equal(options.pageSize, 'Letter');
+    assert.equal(options.orientation, 'Landscape');
+  });
+
+  it('expands margins like CSS and fills in missing sides', () => {
+    assert.deepEqual(resolve({ margins: '10mm 15mm' }).margins, { top: '10mm', right: '15mm', bottom: '10mm', left: '15mm' });
+    assert.deepEqual(resolve({ margins: '1in 2in 3in' }).margins, { top: '1in', right: '2in', bottom: '3in', left: '2in' });
+    assert.deepEqual(resolve({ margins: 12 }).margins, { top: '12', right: '12', bottom: '12', left: '12' });
+    assert.deepEqual(resolve({ margins: { top: '5mm' } }).margins, { top: '5mm', right: '30px', bottom: '30px', left: '30px' });
+  });
+
+  it('takes headers and footers as text or { left, center, right }', () => {
+    assert.deepEqual(resolve({ header: '{name}' }).header, { center: '{name}' });
+    assert.deepEqual(resolve({ footer: { left: '{date}', right: 'Page {page} of {pages}' } }).footer, {
+      left: '{date}',
+      right: 'Page {page} of {pages}',
+    });
+    assert.equal(resolve({ footer: { center: '' } }).footer, null);
+    assert.equal(resolve({ onePage: 'true' }).onePage, true);
+  });
+
+  it('refuses invalid values with a 400', () => {
+    assert.throws(() => resolve({ pageSize: 'B5' }), { status: 400, message: /Invalid page size "B5"/ });
+    assert.throws(() => resolve({ orientation: 'sideways' }), { status: 400 });
+    assert.throws(() => resolve({ margins: '1 2 3 4 5' }), { status: 400, message: /at most four values/ });
+    assert.throws(() => resolve({ margins: '10 furlongs' }), { status: 400, message: /Invalid right margin/ });
+    assert.throws(() => resolve({ footer: 'Page {page} of {total}' }), { status: 400, message: /Unknown placeholder \{total\} in footer/ });
+    assert.throws(() => resolve({ header: 'x'.repeat(201) }), { status: 400 });
+    assert.throws(() => resolve({ onePage: 'maybe' }), { status: 400, message: /Invalid onePage/ });
+  });
+});
+
+describe('renderPdf', () => {
+  let logged;
+  before(() => {
+    logged = mock.method(console, 'error', () => {});
+  });
+  after(() => mock.restoreAll());
+
+  it('passes the options to wkhtmltopdf as arguments', async () => {
+    process.env.STUB_MODE = 'ok';
+    const pdf = (await render({ pageSize: 'A5', footer: 'Page {page}' })).toString();
+    assert.match(pdf, /^%PDF-1\.4 --quiet /);
+    assert.match(pdf, /--page-size A5/);
+    assert.match(pdf, /--disable-smart-shrinking/);
+    assert.match(pdf, /--footer-center Page \[page\]/);
+    assert.match(pdf, / - -$/m);
+  });
+
+  it('fills in {name} from the resume and lets wkhtmltopdf fill in the rest', async () => {
+    process.env.STUB_MODE = 'ok';
+    const pdf = (await render({ header: { left: '{name}', right: '{date}' }, orientation: 'Landscape' })).toString();
+    assert.match(pdf, /--header-left Jane Doe/);
+    assert.match(pdf, /--header-right \[date\]/);
+    assert.match(pdf, /--orientation Landscape/);
+  });
+
+  it('logs what wkhtmltopdf printed but keeps it out of the error', async () => {
+    process.env.STUB_MODE = 'fail';
+    await assert.rejects(render(), error => {
+      assert.equal(error.status, 500);
+      assert.equal(error.code, 'render_failed');
+      assert.doesNotMatch(error.message, /bash|internal/);
+      return true;
+    });
+    assert.ok(logged.mock.calls.some(call => /something internal/.test(call.arguments.join(' '))));
+  });
+
+  it('kills a render that runs past the timeout before failing it', async () => {
+    process.env.STUB_MODE = 'hang';
+    process.env.STUB_PID_FILE = path.join(tmpDir, 'pid');
+    const started = Date.now();
+    await assert.rejects(render(), { status: 500, code: 'render_failed' });
+    assert.ok(Date.now() - started < 5000);
+
+    const pid = Number(fs.readFileSync(process.env.STUB_PID_FILE, 'utf8'));
+    assert.throws(() => process.kill(pid, 0), { code: 'ESRCH' });
+  });
+
+  it('fails when wkhtmltopdf is missing', async () => {
+    fs.renameSync(stubPath, `${stubPath}.moved`);
+    try {
+      await assert.rejects(render(), { status: 500, code: 'render_failed' });
+    } finally {
+      fs.renameSync(`${stubPath}.moved`, stubPath);
+    }
+  });
+});
+
+describe('render options in the PDF routes', () => {
+  let server;
+  let request;
+  before(async () => {
+    process.env.STUB_MODE = 'ok';
+    server = await startServer();
+    ({ request } = server);
+  });
+  after(() => server.close());
+
+  const generate = body => request('POST', '/api/generate-pdf', { user: 'alice', body: { markdownContent: '# Jane Doe', ...body } });
+
+  it('passes the page options of the body to the renderer', async () => {
+    const { status, body } = await generate({ pageSize: 'Letter', margins: '1in', footer: { right: '{page}/{pages}' } });
+    assert.equal(status, 200);
+    const pdf = body.toString();
+    assert.match(pdf, /--page-size Letter/);
+    assert.match(pdf, /--margin-left 1in/);
+    assert.match(pdf, /--footer-right \[page\]\/\[topage\]/);
+  });
+
+  it('answers invalid page options with a 400', async () => {
+    const unknown = await generate({ header: '{company}' });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.message, /Unknown placeholder \{company\} in header/);
+    assert.equal((await generate({ pageSize: 'B5' })).status, 400);
+    assert.equal((await generate({ margins: { top: 'wide' } })).status, 400);
+  });
+
+  it('reads the page options of a shared download from the query', async () => {
+    const doc = await createDocument(request, 'alice');
+    const { body: share } = await request('POST', `/api/documents/${doc.id}/share`, {
+      user: 'alice',
+      body: { permissions: { resumeMarkdown: 'view' } },
+    });
+    const token = share.shareUrl.split('/').pop();
+    const download = query => request('GET', `/api/documents/share/${token}/download?resume=true&${query}`);
+
+    const { status, body } = await download('pageSize=A5&footer=%7Bname%7D');
+    assert.equal(status, 200);
+    assert.match(body.toString(), /--page-size A5/);
+    assert.match(body.toString(), /--footer-center Jane Doe/);
+    assert.equal((await download('onePage=maybe')).status, 400);
+    assert.equal((await request('GET', '/api/documents/share/missing/download?resume=true&pageSize=A5')).status, 404);
+  });
+});
@@ -0,0 +1,221 @@
+// test/renderQueue.test.js
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPdfCache, createRenderQueue, jobSummary } = require('../renderQueue');
+const { startServer } = require('./helpers');
+
+const template = { id: 'classic' };
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A render function whose renders finish when the test says so: `finish(markdown)` resolves
+// the oldest unfinished render of that markdown, `fail(markdown, error)` rejects it
+function controlledRender() {
+  const pending = [];
+  const render = markdown => new Promise((resolve, reject) => pending.push({ markdown, resolve, reject }));
+  const take = markdown => pending.splice(pending.findIndex(entry => entry.markdown === markdown), 1)[0];
+  return {
+    render: mock.fn(render),
+    finish: async markdown => { take(markdown).resolve(Buffer.from(`%PDF ${markdown}`)); await wait(0); },
+    fail: async (markdown, error) => { take(markdown).reject(error); await wait(0); },
+  };
+}
+
+describe('createPdfCache', () => {
+  it('drops the least recently used PDFs beyond its size', () => {
+    const cache = createPdfCache({ maxBytes: 10 });
+    cache.set('a', Buffer.alloc(4));
+    cache.set('b', Buffer.alloc(4));
+    cache.get('a');
+    cache.set('c', Buffer.alloc(4));
+    assert.ok(cache.get('a'));
+    assert.equal(cache.get('b'), null);
+    assert.ok(cache.get('c'));
+
+    cache.set('huge', Buffer.alloc(11));
+    assert.equal(cache.get('huge'), null);
+  });
+
+  it('forgets PDFs after its time to live', async () => {
+    const cache = createPdfCache({ ttlMs: 20 });
+    cache.set('a', Buffer.alloc(1));
+    await wait(40);
+    assert.equal(cache.get('a'), null);
+  });
+});
+
+describe('createRenderQueue', () => {
+  it('runs at most `concurrency` renders and shares a render of the same input', async () => {
+    const { render, finish } = controlledRender();
+    const queue = createRenderQueue(render, { concurrency: 1 });
+    const first = queue.render('one', template, {});
+    const same = queue.render('one', template, {});
+    const second = queue.render('two', template, {});
+    assert.deepEqual(queue.stats(), { running: 1, queued: 1, concurrency: 1, jobs: 0 });
+
+    await finish('one');
+    assert.equal((await first).toString(), '%PDF one');
+    assert.equal(await same, await first);
+    await finish('two');
+    assert.equal((await second).toString(), '%PDF two');
+    assert.equal(render.mock.callCount(), 2);
+  });
+
+  it('answers the same input from the cache', async () => {
+    const { render, finish } = controlledRender();
+    const queue = createRenderQueue(render);
+    const first = queue.render('one', template, { pageSize: 'A4' });
+    await finish('one');
+    await first;
+    await queue.render('one', template, { pageSize: 'A4' });
+    assert.equal(render.mock.callCount(), 1);
+
+    queue.render('one', template, { pageSize: 'Letter' });
+    assert.equal(render.mock.callCount(), 2);
+  });
+
+  it('refuses renders beyond the queue with a 503', async () => {
+    const { render } = controlledRender();
+    const queue = createRenderQueue(render, { concurrency: 1, maxQueued: 1 });
+    queue.render('one', template, {});
+    queue.render('two', template, {});
+    await assert.rejects(queue.render('three', template, {}), { status: 503, code: 'renderer_busy', retryAfter: 10 });
+  });
+});
+
+describe('render jobs', () => {
+  before(() => mock.method(console, 'error', () => {}));
+  after(() => mock.restoreAll());
+
+  it('go from queued to rendering to done', async () => {
+    const { render, finish } = controlledRender();
+    const queue = createRenderQueue(render, { concurrency: 1 });
+    queue.submit('alice', 'busy', template, {});
+    const job = queue.submit('alice', 'mine', template, {}, { filename: 'cv.pdf' });
+    assert.equal(job.status, 'queued');
+
+    await finish('busy');
+    assert.equal(queue.getJob(job.id, 'alice').status, 'rendering');
+    await finish('mine');
+    const done = queue.getJob(job.id, 'alice');
+    assert.equal(done.status, 'done');
+    assert.equal(done.size, '%PDF mine'.length);
+    assert.deepEqual(Object.keys(jobSummary(done)).includes('pdf'), false);
+
+    const again = queue.submit('alice', 'mine', template, {});
+    assert.equal(again.status, 'done');
+    assert.equal(again.cacheHit, true);
+  });
+
+  it('keep the error of a failed render, without internals', async () => {
+    const { render, fail } = controlledRender();
+    const queue = createRenderQueue(render);
+    const job = queue.submit('alice', 'broken', template, {});
+    await fail('broken', new Error('/usr/bin/secret exploded'));
+    assert.equal(job.status, 'failed');
+    assert.deepEqual(job.error, { status: 500, code: 'internal_error', message: 'Error generating PDF.' });
+  });
+
+  it("are only found by their owner, and not once they've expired", async () => {
+    const { render, finish } = controlledRender();
+    const queue = createRenderQueue(render, { jobTtlMs: 30 });
+    const job = queue.submit('alice', 'mine', template, {});
+    assert.throws(() => queue.getJob(job.id, 'bob'), { status: 404 });
+    await finish('mine');
+    assert.equal(queue.getJob(job.id, 'alice').status, 'done');
+
+    await wait(60);
+    assert.throws(() => queue.getJob(job.id, 'alice'), { status: 404 });
+  });
+
+  it('are swept once expired even when nobody asks for them', async () => {
+    const { render, finish } = controlledRender();
+    const queue = createRenderQueue(render, { jobTtlMs: 20 });
+    queue.submit('alice', 'old', template, {});
+    await finish('old');
+    assert.equal(queue.stats().jobs, 1);
+    await wait(70);
+    assert.equal(queue.stats().jobs, 0);
+  });
+
+  it('are capped per user: the oldest finished job makes way', async () => {
+    const { render, finish } = controlledRender();
+    const queue = createRenderQueue(render, { maxJobsPerOwner: 2 });
+    const first = queue.submit('alice', 'one', template, {});
+    const second = queue.submit('alice', 'two', template, {});
+    assert.throws(() => queue.submit('alice', 'three', template, {}), { status: 429 });
+    assert.equal(queue.submit('bob', 'three', template, {}).status, 'queued');
+
+    await finish('one');
+    const third = queue.submit('alice', 'four', template, {});
+    assert.throws(() => queue.getJob(first.id, 'alice'), { status: 404 });
+    assert.equal(queue.getJob(second.id, 'alice').status, 'rendering');
+    assert.equal(queue.getJob(third.id, 'alice').status, 'queued');
+  });
+
+  it('are dropped with removeJobs', () => {
+    const { render } = controlledRender();
+    const queue = createRenderQueue(render);
+    const job = queue.submit('alice', 'one', template, {});
+    const kept = queue.submit('bob', 'two', template, {});
+    queue.removeJobs('alice');
+    assert.throws(() => queue.getJob(job.id, 'alice'), { status: 404 });
+    assert.equal(queue.getJob(kept.id, 'bob').id, kept.id);
+  });
+});
+
+describe('PDF job API', () => {
+  // A stand-in for wkhtmltopdf that prints a fake PDF, slowly enough to poll before it's done
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'render-queue-test-'));
+  const stubPath = path.join(tmpDir, 'wkhtmltopdf');
+  fs.writeFileSync(stubPath, '#!/bin/sh\ncat > /dev/null; sleep 0.3; echo "%PDF-1.4 stub"\n', { mode: 0o755 });
+
+  let server;
+  let request;
+  before(async () => {
+    server = await startServer({ WKHTMLTOPDF_PATH: stubPath });
+    ({ request } = server);
+  });
+  after(async () => {
+    await server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const submit = body => request('POST', '/api/pdf-jobs', { user: 'alice', body });
+
+  it('renders in the background and hands out the PDF when done', async () => {
+    const { status, headers, body: job } = await submit({ markdownContent: '# Jane Doe', filename: 'jane.pdf' });
+    assert.equal(status, 202);
+    assert.equal(headers.get('location'), `/api/pdf-jobs/${job.id}`);
+    assert.equal(job.pdf, undefined);
+
+    const early = await request('GET', job.resultUrl, { user: 'alice' });
+    assert.equal(early.status, 409);
+    assert.equal(early.body.code, 'not_ready');
+
+    let current = job;
+    for (let i = 0; i < 50 && current.status !== 'done'; i++) {
+      await wait(50);
+      current = (await request('GET', job.statusUrl, { user: 'alice' })).body;
+    }
+    assert.equal(current.status, 'done');
+
+    const result = await request('GET', job.resultUrl, { user: 'alice' });
+    assert.equal(result.status, 200);
+    assert.equal(result.headers.get('content-type'), 'application/pdf');
+    assert.match(result.headers.get('content-disposition'), /jane\.pdf/);
+    assert.match(result.body.toString(), /^%PDF-1\.4 stub/);
+  });
+
+  it('keeps jobs to their owner and checks the body', async () => {
+    const { body: job } = await submit({ markdownContent: '# Someone else' });
+    assert.equal((await request('GET', job.statusUrl, { user: 'bob' })).status, 404);
+    assert.equal((await request('GET', '/api/pdf-jobs/unknown', { user: 'alice' })).status, 404);
+
+    const invalid = await submit({ markdownContent: '' });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'validation_failed');
+  });
+});
@@ -0,0 +1,134 @@
+// test/resumeStructure.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseResume, parseEntryHeading, parseDateRange } = require('../resumeParser');
+const { estimatePages, lintResume } = require('../resumeLint');
+const { getTemplate } = require('../templates');
+const { startServer, createDocument } = require('./helpers');
+
+const RESUME = `# Jane Doe
+
+jane@example.com | +49 30 1234567 | Berlin | [GitHub](https://github.com/jane)
+
+Builds reliable backends.
+
+## Experience
+
+### Senior Engineer — Acme | Jan 2020 - Present
+
+- Shipped X
+
+### Engineer
+
+*03/2017 - 12/2019, Hamburg*
+
+- Led Y
+
+## Projects
+`;
+
+const rules = findings => findings.map(finding => finding.rule);
+
+describe('parseResume', () => {
+  it('splits the resume into name, contact, summary, sections and roles', () => {
+    const { name, contact, summary, sections } = parseResume(RESUME);
+    assert.equal(name, 'Jane Doe');
+    assert.equal(contact.email, 'jane@example.com');
+    assert.equal(contact.phone, '+49 30 1234567');
+    assert.equal(contact.location, 'Berlin');
+    assert.deepEqual(contact.urls, ['https://github.com/jane']);
+    assert.equal(summary, 'Builds reliable backends.');
+
+    assert.deepEqual(sections.map(section => section.title), ['Experience', 'Projects']);
+    const [current, previous] = sections[0].entries;
+    assert.equal(current.title, 'Senior Engineer');
+    assert.equal(current.organization, 'Acme');
+    assert.equal(current.dates.current, true);
+    assert.deepEqual(current.bullets, [{ text: 'Shipped X', line: 11 }]);
+    assert.equal(previous.dates.end, '12/2019');
+    assert.equal(previous.location, 'Hamburg');
+  });
+
+  it('reads role headings and date ranges written in different ways', () => {
+    assert.deepEqual(parseEntryHeading('Engineer at Globex (2018 - 2020)'), {
+      title: 'Engineer',
+      organization: 'Globex',
+      dates: { text: '2018 - 2020', start: '2018', end: '2020', current: false, formats: ['YYYY', 'YYYY'] },
+    });
+    assert.deepEqual(parseDateRange('September 2019 to now').formats, ['Month YYYY']);
+    assert.equal(parseDateRange('no dates here'), null);
+  });
+
+  it('copes with an empty resume', () => {
+    assert.deepEqual(parseResume(''), { name: null, contact: parseResume(null).contact, summary: '', sections: [] });
+  });
+});
+
+describe('lintResume', () => {
+  it('finds mixed date formats, long bullets and empty sections', () => {
+    const findings = lintResume(parseResume(RESUME), { maxBulletLength: 8 });
+    assert.deepEqual(rules(findings), ['inconsistent-date-format', 'bullet-too-long', 'empty-section']);
+    assert.equal(findings[0].line, 9);
+    assert.match(findings[0].message, /while most dates use MM\/YYYY/);
+    assert.equal(findings[1].message, 'Bullet is 9 characters long (limit 8).');
+    assert.equal(findings[2].section, 'Projects');
+  });
+
+  it('reports a missing name and email as errors', () => {
+    const findings = lintResume(parseResume('## Experience\n\n- Shipped X\n'));
+    assert.deepEqual(findings.map(({ rule, severity }) => [rule, severity]), [['missing-name', 'error'], ['missing-email', 'error']]);
+  });
+
+  it('estimates the page count with the template', () => {
+    const resume = parseResume(RESUME);
+    const [pages] = lintResume(resume, { template: getTemplate('classic') }).filter(finding => finding.rule === 'page-count');
+    assert.equal(pages.severity, 'info');
+    assert.equal(pages.estimatedPages, estimatePages(resume, getTemplate('classic')));
+
+    const long = parseResume(`# Jane\n\njane@example.com\n\n## Experience\n\n${'- A bullet\n'.repeat(200)}`);
+    assert.ok(estimatePages(long, getTemplate('compact')) < estimatePages(long, getTemplate('classic')));
+    assert.equal(lintResume(long, { template: getTemplate('classic') }).pop().severity, 'warning');
+  });
+});
+
+describe('GET /api/documents/:id/structure', () => {
+  let server;
+  let request;
+  before(async () => {
+    server = await startServer();
+    ({ request } = server);
+  });
+  after(() => server.close());
+
+  const structure = (doc, query = '', user = 'alice') => request('GET', `/api/documents/${doc.id}/structure${query}`, { user });
+
+  it('answers with the structure, the lint findings and the page estimate', async () => {
+    const doc = await createDocument(request, 'alice', { resumeMarkdown: RESUME, template: 'modern' });
+    const { status, body } = await structure(doc);
+    assert.equal(status, 200);
+    assert.equal(body.template, 'modern');
+    assert.equal(body.structure.name, 'Jane Doe');
+    assert.equal(typeof body.estimatedPages, 'number');
+    assert.deepEqual(rules(body.lint), ['inconsistent-date-format', 'empty-section', 'page-count']);
+  });
+
+  it('takes another template and bullet limit from the query', async () => {
+    const doc = await createDocument(request, 'alice', { resumeMarkdown: RESUME });
+    const { body } = await structure(doc, '?template=compact&maxBulletLength=5');
+    assert.equal(body.template, 'compact');
+    assert.ok(rules(body.lint).includes('bullet-too-long'));
+  });
+
+  it('refuses bad queries with a 400', async () => {
+    const doc = await createDocument(request, 'alice');
+    assert.equal((await structure(doc, '?template=fancy')).status, 400);
+    assert.equal((await structure(doc, '?maxBulletLength=0')).status, 400);
+    assert.equal((await structure(doc, '?maxBulletLength=long')).status, 400);
+  });
+
+  it('answers a 404 for unknown documents and a 403 for other users', async () => {
+    const doc = await createDocument(request, 'alice');
+    assert.equal((await structure({ id: 'missing' })).status, 404);
+    assert.equal((await structure(doc, '', 'bob')).status, 403);
+  });
+});
@@ -0,0 +1,160 @@
+// test/revisions.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_DIFF_LINES, diffLines, mergeText } = require('../revisions');
+const { startServer, createDocument } = require('./helpers');
+
+// A text of `count` distinct lines
+const manyLines = (count, prefix = 'line') => Array.from({ length: count }, (_, index) => `${prefix} ${index}`).join('\n');
+
+describe('diffLines', () => {
+  it('lists equal, removed and added lines', () => {
+    assert.deepEqual(diffLines('a\nb\nc', 'a\nc\nd'), [
+      { type: 'equal', line: 'a' },
+      { type: 'removed', line: 'b' },
+      { type: 'equal', line: 'c' },
+      { type: 'added', line: 'd' },
+    ]);
+  });
+
+  it('compares texts up to the line limit', () => {
+    const changes = diffLines(manyLines(MAX_DIFF_LINES), manyLines(MAX_DIFF_LINES, 'other'));
+    assert.equal(changes.length, 2 * MAX_DIFF_LINES);
+  });
+
+  it('refuses texts over the line limit with a 413 before building the table', () => {
+    const started = Date.now();
+    assert.throws(() => diffLines(manyLines(50000), 'short'), { status: 413, code: 'too_many_lines' });
+    assert.throws(() => diffLines('short', manyLines(MAX_DIFF_LINES + 1)), { status: 413 });
+    assert.ok(Date.now() - started < 1000);
+  });
+});
+
+describe('mergeText', () => {
+  it('takes changes made on either side', () => {
+    const result = mergeText('a\nb\nc', 'A\nb\nc', 'a\nb\nC');
+    assert.deepEqual(result, { merged: 'A\nb\nC', clean: true, conflicts: [] });
+  });
+
+  it('marks lines both sides changed differently as a conflict', () => {
+    const result = mergeText('a\nb\nc', 'a\nyours\nc', 'a\ncurrent\nc');
+    assert.equal(result.clean, false);
+    assert.equal(result.merged, 'a\n<<<<<<< yours\nyours\n=======\ncurrent\n>>>>>>> current\nc');
+    assert.deepEqual(result.conflicts, [{ line: 2, base: 'b', yours: 'yours', current: 'current' }]);
+  });
+
+  it('refuses texts over the line limit with a 413 before building the tables', () => {
+    const started = Date.now();
+    assert.throws(() => mergeText(manyLines(50000), manyLines(50000, 'edited'), 'short'), { status: 413 });
+    assert.throws(() => mergeText('short', 'short', manyLines(MAX_DIFF_LINES + 1)), { status: 413 });
+    assert.ok(Date.now() - started < 1000);
+  });
+});
+
+describe('revision routes', () => {
+  let server;
+  let request;
+  before(async () => {
+    server = await startServer();
+    ({ request } = server);
+  });
+  after(() => server.close());
+
+  // A document whose first revision holds `before` and whose current resume is `after`
+  const documentWithRevision = async (before, after) => {
+    const doc = await createDocument(request, 'alice', { resumeMarkdown: before });
+    const update = await request('PUT', `/api/documents/${doc.id}`, {
+      user: 'alice',
+      body: { resumeMarkdown: after, version: doc.version },
+    });
+    assert.equal(update.status, 200);
+    const revisions = await request('GET', `/api/documents/${doc.id}/revisions`, { user: 'alice' });
+    return { doc, revisionId: revisions.body[0].id };
+  };
+
+  it('diffs a revision against the current content', async () => {
+    const { doc, revisionId } = await documentWithRevision('# Jane\nOld line', '# Jane\nNew line');
+    const { status, body } = await request('GET', `/api/documents/${doc.id}/revisions/diff?from=${revisionId}`, { user: 'alice' });
+    assert.equal(status, 200);
+    assert.equal(body.added, 1);
+    assert.equal(body.removed, 1);
+  });
+
+  it('answers 413 for texts too long to diff', async () => {
+    // Short lines, so the text still fits the 100,000 character limit of a document
+    const { doc, revisionId } = await documentWithRevision(manyLines(10000, ''), 'short');
+    const { status, body } = await request('GET', `/api/documents/${doc.id}/revisions/diff?from=${revisionId}`, { user: 'alice' });
+    assert.equal(status, 413);
+    assert.equal(body.code, 'too_many_lines');
+  });
+});
+
+describe('document versions', () => {
+  let server;
+  let request;
+  before(async () => {
+    server = await startServer();
+    ({ request } = server);
+  });
+  after(() => server.close());
+
+  const update = (doc, body, headers) => request('PUT', `/api/documents/${doc.id}`, { user: 'alice', body, headers });
+
+  it('needs the version an update is based on', async () => {
+    const doc = await createDocument(request, 'alice');
+    const { status, body } = await update(doc, { companyName: 'Globex' });
+    assert.equal(status, 428);
+    assert.equal(body.code, 'precondition_required');
+  });
+
+  it('answers a stale update with 409 and the current version and content', async () => {
+    const doc = await createDocument(request, 'alice');
+    assert.equal((await update(doc, { companyName: 'Globex', version: 1 })).status, 200);
+
+    const { status, body } = await update(doc, { companyName: 'Initech', version: 1 });
+    assert.equal(status, 409);
+    assert.equal(body.code, 'version_conflict');
+    assert.equal(body.version, 2);
+    assert.equal(body.current.companyName, 'Globex');
+  });
+
+  it('takes the version from If-Match, and If-Match: * overwrites', async () => {
+    const doc = await createDocument(request, 'alice');
+    const updated = await update(doc, { companyName: 'Globex' }, { 'If-Match': '"1"' });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.headers.get('etag'), '"2"');
+    assert.equal((await update(doc, { companyName: 'Initech' }, { 'If-Match': '"1"' })).status, 409);
+    assert.equal((await update(doc, { companyName: 'Initech' }, { 'If-Match': '*' })).status, 200);
+  });
+
+  it('merges a stale edit with the current content', async () => {
+    const doc = await createDocument(request, 'alice', { resumeMarkdown: 'a\nb\nc' });
+    await update(doc, { resumeMarkdown: 'a\nb\nC', version: 1 });
+
+    const { status, body } = await request('POST', `/api/documents/${doc.id}/merge`, {
+      user: 'alice',
+      body: { field: 'resumeMarkdown', base: 'a\nb\nc', yours: 'A\nb\nc' },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.merged, 'A\nb\nC');
+    assert.equal(body.version, 2);
+  });
+
+  it('refuses to merge texts too long to diff through an edit share, without signing in', async () => {
+    const doc = await createDocument(request, 'alice');
+    const shared = await request('POST', `/api/documents/${doc.id}/share`, {
+      user: 'alice',
+      body: { permissions: { resumeMarkdown: 'edit' } },
+    });
+    const token = shared.body.shareUrl.split('/').pop();
+
+    // Under the 100,000 character limit of each field, but far over the line limit
+    const started = Date.now();
+    const { status, body } = await request('POST', `/api/documents/share/${token}/merge`, {
+      body: { field: 'resumeMarkdown', base: '\n'.repeat(49999), yours: 'x\n'.repeat(49999) },
+    });
+    assert.equal(status, 413);
+    assert.equal(body.code, 'too_many_lines');
+    assert.ok(Date.now() - started < 2000);
+  });
+});
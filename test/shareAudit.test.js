@@ -0,0 +1,114 @@
+// test/shareAudit.test.js
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createDocument } = require('./helpers');
+
+describe('shareAudit', () => {
+  it('loads without warning about IP_HASH_SECRET: the server does that when it starts', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    delete require.cache[require.resolve('../shareAudit')];
+    require('../shareAudit');
+    warn.mock.restore();
+    assert.equal(warn.mock.callCount(), 0);
+  });
+
+  it('keeps a hash of the visitor address, never the address', () => {
+    const { shareAccess } = require('../shareAudit');
+    const req = ip => ({ ip, get: () => 'Test Browser' });
+    const access = shareAccess(req('198.51.100.7'), 'view');
+    assert.equal(access.action, 'view');
+    assert.equal(access.userAgent, 'Test Browser');
+    assert.match(access.ipHash, /^[0-9a-f]{32}$/);
+    assert.equal(shareAccess(req('198.51.100.7'), 'download').ipHash, access.ipHash);
+    assert.notEqual(shareAccess(req('198.51.100.8'), 'view').ipHash, access.ipHash);
+  });
+
+  it('sums up the events of each share', () => {
+    const { summarizeEvents } = require('../shareAudit');
+    const event = (shareToken, action, ipHash, at) => ({ shareToken, documentId: 'doc', action, ipHash, at: new Date(at) });
+    const [latest, earlier] = summarizeEvents([
+      event('a', 'view', 'x', 1000),
+      event('a', 'view', 'y', 2000),
+      event('a', 'download', 'x', 3000),
+      event('b', 'view', 'x', 4000),
+    ]);
+    assert.equal(latest.shareToken, 'b');
+    assert.deepEqual(earlier.counts, { view: 2, download: 1, export: 0, edit: 0, comment: 0 });
+    assert.equal(earlier.uniqueVisitors, 2);
+    assert.equal(earlier.lastAccessedAt.getTime(), 3000);
+  });
+});
+
+describe('share access log', () => {
+  let server;
+  let request;
+  before(async () => {
+    server = await startServer();
+    ({ request } = server);
+  });
+  after(() => server.close());
+
+  // A document of `user`'s with a share link with `settings`; resolves to { doc, token }
+  const sharedDocument = async (user, settings = {}) => {
+    const doc = await createDocument(request, user);
+    const body = { permissions: { resumeMarkdown: 'view' }, ...settings };
+    const { body: created } = await request('POST', `/api/documents/${doc.id}/share`, { user, body });
+    return { doc, token: created.shareUrl.split('/').pop() };
+  };
+  const activity = (user, doc, query = '') => request('GET', `/api/documents/${doc.id}/shares/activity${query}`, { user });
+
+  it('records views and exports of a share for its owner', async () => {
+    const { doc, token } = await sharedDocument('alice');
+    const headers = { 'User-Agent': 'Recruiter Browser' };
+    assert.equal((await request('GET', `/api/documents/share/${token}`, { headers })).status, 200);
+    assert.equal((await request('GET', `/api/documents/share/${token}/export?format=text&content=resume`, { headers })).status, 200);
+
+    const { status, body } = await activity('alice', doc);
+    assert.equal(status, 200);
+    assert.equal(body.total, 2);
+    assert.deepEqual(body.events.map(event => event.action).sort(), ['export', 'view']);
+    assert.equal(body.events[0].userAgent, 'Recruiter Browser');
+    assert.equal(body.events[0].ipHash.includes('127.0.0.1'), false);
+    assert.equal(body.shares[0].shareToken, token);
+    assert.equal(body.shares[0].uniqueVisitors, 1);
+  });
+
+  it("doesn't record failed accesses", async () => {
+    const { doc, token } = await sharedDocument('alice', { password: 'secret' });
+    assert.equal((await request('GET', `/api/documents/share/${token}`)).status, 401);
+    assert.equal((await activity('alice', doc)).body.total, 0);
+  });
+
+  it('lists the events of every share of the user, up to ?limit', async () => {
+    const first = await sharedDocument('bob');
+    const second = await sharedDocument('bob');
+    await request('GET', `/api/documents/share/${first.token}`);
+    await request('GET', `/api/documents/share/${second.token}`);
+    await request('GET', `/api/documents/share/${second.token}`);
+
+    const { body } = await request('GET', '/api/shares/activity?limit=2', { user: 'bob' });
+    assert.equal(body.total, 3);
+    assert.equal(body.events.length, 2);
+    assert.equal(body.shares.length, 2);
+    assert.equal((await request('GET', '/api/shares/activity', { user: 'carol' })).body.total, 0);
+  });
+
+  it('keeps the log to the owner and checks the limit', async () => {
+    const { doc } = await sharedDocument('alice');
+    assert.equal((await activity('bob', doc)).status, 403);
+    const { status, body } = await activity('alice', doc, '?limit=0');
+    assert.equal(status, 400);
+    assert.equal(body.code, 'validation_failed');
+  });
+
+  it('purges the log of a document when it is deleted', async () => {
+    const kept = await sharedDocument('dave');
+    const deleted = await sharedDocument('dave');
+    await request('GET', `/api/documents/share/${kept.token}`);
+    await request('GET', `/api/documents/share/${deleted.token}`);
+
+    assert.equal((await request('DELETE', `/api/documents/${deleted.doc.id}`, { user: 'dave' })).status, 200);
+    const { body } = await request('GET', '/api/shares/activity', { user: 'dave' });
+    assert.deepEqual(body.events.map(event => event.documentId), [kept.doc.id]);
+  });
+});
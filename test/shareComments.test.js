@@ -0,0 +1,184 @@
+// test/shareComments.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateComment, applySuggestion, parseCommentStatus } = require('../shareComments');
+const { startServer, createDocument } = require('./helpers');
+
+const resume = '# Jane Doe\n\nBuilt APIs in Node.\n';
+const at = (text, quote) => ({ start: text.indexOf(quote), end: text.indexOf(quote) + quote.length });
+
+describe('validateComment', () => {
+  const doc = { resumeMarkdown: resume };
+  const permissions = { resumeMarkdown: 'comment', notes: 'view' };
+
+  it('keeps the anchored text as the quote and trims the comment', () => {
+    const comment = validateComment({
+      section: 'resumeMarkdown', anchor: at(resume, 'Node'), text: ' Which version? ', suggestion: 'Node.js', authorName: ' Sam ',
+    }, permissions, doc);
+    assert.deepEqual(comment, {
+      section: 'resumeMarkdown',
+      anchor: at(resume, 'Node'),
+      quote: 'Node',
+      text: 'Which version?',
+      suggestion: 'Node.js',
+      authorName: 'Sam',
+      status: 'open',
+    });
+  });
+
+  it('refuses sections the share only shows with a 403', () => {
+    assert.throws(() => validateComment({ section: 'notes', text: 'Hi' }, permissions, doc), { status: 403 });
+  });
+
+  it('refuses empty comments, suggestions without an anchor and anchors past the text with a 400', () => {
+    assert.throws(() => validateComment({ section: 'resumeMarkdown', text: '  ' }, permissions, doc), { status: 400 });
+    assert.throws(() => validateComment({ section: 'resumeMarkdown', suggestion: 'Go' }, permissions, doc), {
+      status: 400, message: /needs an anchor/,
+    });
+    const anchor = { start: 0, end: resume.length + 1 };
+    assert.throws(() => validateComment({ section: 'resumeMarkdown', text: 'Hi', anchor }, permissions, doc), { status: 400 });
+  });
+});
+
+describe('applySuggestion', () => {
+  const comment = { section: 'resumeMarkdown', anchor: at(resume, 'Node'), quote: 'Node', suggestion: 'Node.js' };
+
+  it('replaces the anchored text, following it when text was added before it', () => {
+    assert.equal(applySuggestion({ resumeMarkdown: resume }, comment), '# Jane Doe\n\nBuilt APIs in Node.js.\n');
+    const moved = { resumeMarkdown: `# Jane Doe\n\nSenior engineer.\n\nBuilt APIs in Node.\n` };
+    assert.equal(applySuggestion(moved, comment), '# Jane Doe\n\nSenior engineer.\n\nBuilt APIs in Node.js.\n');
+  });
+
+  it('answers a 409 when the anchored text is gone', () => {
+    assert.throws(() => applySuggestion({ resumeMarkdown: '# Jane Doe\n\nBuilt APIs in Go.\n' }, comment), { status: 409 });
+  });
+});
+
+describe('parseCommentStatus', () => {
+  it('defaults to open and refuses unknown statuses with a 400', () => {
+    assert.equal(parseCommentStatus(undefined), 'open');
+    assert.equal(parseCommentStatus('all'), 'all');
+    assert.throws(() => parseCommentStatus('closed'), { status: 400 });
+  });
+});
+
+describe('comment routes', () => {
+  let server;
+  let request;
+  before(async () => {
+    server = await startServer();
+    ({ request } = server);
+  });
+  after(() => server.close());
+
+  // A document of alice's shared with comment rights on the resume, and the share token
+  const shareForComments = async () => {
+    const doc = await createDocument(request, 'alice', { resumeMarkdown: resume });
+    const { body } = await request('POST', `/api/documents/${doc.id}/shares`, {
+      user: 'alice',
+      body: { permissions: { resumeMarkdown: 'comment' } },
+    });
+    return { doc, token: body.shareToken };
+  };
+  const comment = (token, body) => request('POST', `/api/documents/share/${token}/comments`, { body });
+  const suggest = (token, quote, suggestion) => comment(token, {
+    section: 'resumeMarkdown', anchor: at(resume, quote), suggestion, text: 'Suggestion',
+  });
+  const resolve = (doc, id, action, user = 'alice') => request('POST', `/api/documents/${doc.id}/comments/${id}/${action}`, { user });
+  const getDoc = async doc => (await request('GET', `/api/documents/${doc.id}`, { user: 'alice' })).body;
+
+  it('takes comments through the share and lists them for the reviewer and the owner', async () => {
+    const { doc, token } = await shareForComments();
+    const created = await comment(token, { section: 'resumeMarkdown', text: 'Looks good', authorName: 'Sam' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.status, 'open');
+
+    const reviewer = await request('GET', `/api/documents/share/${token}/comments`);
+    assert.deepEqual(reviewer.body.map(entry => entry.text), ['Looks good']);
+    const owner = await request('GET', `/api/documents/${doc.id}/comments`, { user: 'alice' });
+    assert.deepEqual(owner.body.map(entry => [entry.id, entry.authorName]), [[created.body.id, 'Sam']]);
+  });
+
+  it('applies an accepted suggestion with a revision to roll back to', async () => {
+    const { doc, token } = await shareForComments();
+    const { body: created } = await suggest(token, 'Node', 'Node.js');
+
+    const { status, body } = await resolve(doc, created.id, 'accept');
+    assert.equal(status, 200);
+    assert.equal(body.comment.status, 'accepted');
+    const updated = await getDoc(doc);
+    assert.equal(updated.resumeMarkdown, '# Jane Doe\n\nBuilt APIs in Node.js.\n');
+    assert.equal(updated.version, doc.version + 1);
+    const revisions = (await request('GET', `/api/documents/${doc.id}/revisions`, { user: 'alice' })).body;
+    assert.equal(revisions.length, 1);
+
+    assert.deepEqual((await request('GET', `/api/documents/${doc.id}/comments`, { user: 'alice' })).body, []);
+    const accepted = await request('GET', `/api/documents/${doc.id}/comments?status=accepted`, { user: 'alice' });
+    assert.deepEqual(accepted.body.map(entry => entry.id), [created.id]);
+  });
+
+  it('answers a 409 for a suggestion on text changed in a newer version, leaving the document alone', async () => {
+    const { doc, token } = await shareForComments();
+    const { body: created } = await suggest(token, 'Node', 'Node.js');
+    const edited = '# Jane Doe\n\nBuilt APIs in Go.\n';
+    await request('PUT', `/api/documents/${doc.id}`, { user: 'alice', body: { resumeMarkdown: edited, version: doc.version } });
+
+    const { status } = await resolve(doc, created.id, 'accept');
+    assert.equal(status, 409);
+    const current = await getDoc(doc);
+    assert.deepEqual([current.resumeMarkdown, current.version], [edited, doc.version + 1]);
+    const open = (await request('GET', `/api/documents/${doc.id}/comments`, { user: 'alice' })).body;
+    assert.deepEqual(open.map(entry => entry.id), [created.id]);
+
+    assert.equal((await resolve(doc, created.id, 'dismiss')).status, 200);
+  });
+
+  it('applies a suggestion whose text a newer version only moved', async () => {
+    const { doc, token } = await shareForComments();
+    const { body: created } = await suggest(token, 'Node', 'Node.js');
+    await request('PUT', `/api/documents/${doc.id}`, {
+      user: 'alice',
+      body: { resumeMarkdown: '# Jane Doe\n\nSenior engineer.\n\nBuilt APIs in Node.\n', version: doc.version },
+    });
+
+    assert.equal((await resolve(doc, created.id, 'accept')).status, 200);
+    assert.equal((await getDoc(doc)).resumeMarkdown, '# Jane Doe\n\nSenior engineer.\n\nBuilt APIs in Node.js.\n');
+  });
+
+  it('dismisses a comment without changing the document, and refuses to resolve it twice', async () => {
+    const { doc, token } = await shareForComments();
+    const { body: created } = await suggest(token, 'Node', 'Deno');
+
+    assert.equal((await resolve(doc, created.id, 'dismiss')).body.comment.status, 'dismissed');
+    assert.equal((await getDoc(doc)).version, doc.version);
+    const { status, body } = await resolve(doc, created.id, 'accept');
+    assert.equal(status, 409);
+    assert.equal(body.code, 'comment_resolved');
+  });
+
+  it('refuses invalid comments and statuses with a 400', async () => {
+    const { doc, token } = await shareForComments();
+    assert.equal((await comment(token, { section: 'resumeMarkdown' })).status, 400);
+    assert.equal((await comment(token, { section: 'resumeMarkdown', suggestion: 'Go' })).status, 400);
+    assert.equal((await comment(token, { section: 'resume', text: 'Hi' })).status, 400);
+    assert.equal((await comment(token, { section: 'resumeMarkdown', text: 'Hi', anchor: { start: 5, end: 500 } })).status, 400);
+    assert.equal((await request('GET', `/api/documents/${doc.id}/comments?status=closed`, { user: 'alice' })).status, 400);
+  });
+
+  it("answers a 404 for unknown shares, documents and comments, and a 403 without rights or for another user's", async () => {
+    const { doc, token } = await shareForComments();
+    const { body: created } = await comment(token, { section: 'resumeMarkdown', text: 'Hi' });
+    assert.equal((await comment('missing', { section: 'resumeMarkdown', text: 'Hi' })).status, 404);
+    assert.equal((await resolve(doc, 'missing', 'accept')).status, 404);
+    assert.equal((await request('GET', '/api/documents/missing/comments', { user: 'alice' })).status, 404);
+
+    assert.equal((await comment(token, { section: 'notes', text: 'Hi' })).status, 403);
+    assert.equal((await resolve(doc, created.id, 'accept', 'bob')).status, 403);
+    assert.equal((await request('GET', `/api/documents/${doc.id}/comments`, { user: 'bob' })).status, 403);
+    const viewOnly = await request('POST', `/api/documents/${doc.id}/shares`, {
+      user: 'alice',
+      body: { permissions: { resumeMarkdown: 'view' } },
+    });
+    assert.equal((await request('GET', `/api/documents/share/${viewOnly.body.shareToken}/comments`)).status, 403);
+  });
+});
@@ -0,0 +1,172 @@
+// test/shares.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createDocument } = require('./helpers');
+
+describe('share links', () => {
+  let server;
+  let request;
+  before(async () => {
+    // These tests create more links than the hourly limit on new ones allows
+    server = await startServer({ RATE_LIMIT_SHARE_CREATE: 'off' });
+    ({ request } = server);
+  });
+  after(() => server.close());
+
+  // Share a new document of alice's with `settings` and return the share token
+  const share = async settings => {
+    const doc = await createDocument(request, 'alice', { notes: 'Private notes' });
+    const { status, body } = await request('POST', `/api/documents/${doc.id}/share`, { user: 'alice', body: settings });
+    assert.equal(status, 200);
+    return body.shareUrl.split('/').pop();
+  };
+  const view = (token, headers) => request('GET', `/api/documents/share/${token}`, { headers });
+
+  describe('with a password', () => {
+    it('asks for the password', async () => {
+      const token = await share({ password: 'open sesame' });
+      const { status, body } = await view(token);
+      assert.equal(status, 401);
+      assert.equal(body.code, 'share_password_required');
+    });
+
+    it('rejects a wrong password', async () => {
+      const token = await share({ password: 'open sesame' });
+      const { status, body } = await view(token, { 'X-Share-Password': 'let me in' });
+      assert.equal(status, 401);
+      assert.equal(body.code, 'share_password_invalid');
+    });
+
+    it('shows the document with the right password, in the header or the query', async () => {
+      const token = await share({ password: 'open sesame' });
+      assert.equal((await view(token, { 'X-Share-Password': 'open sesame' })).status, 200);
+      assert.equal((await request('GET', `/api/documents/share/${token}?password=open%20sesame`)).status, 200);
+    });
+
+    it('never shows the password hash to the owner', async () => {
+      const doc = await createDocument(request, 'alice');
+      const { body } = await request('POST', `/api/documents/${doc.id}/share`, { user: 'alice', body: { password: 'open sesame' } });
+      assert.equal(body.hasPassword, true);
+      assert.equal(body.passwordHash, undefined);
+    });
+  });
+
+  describe('with a view limit', () => {
+    it('stops working after maxViews views', async () => {
+      const token = await share({ maxViews: 2 });
+      assert.equal((await view(token)).status, 200);
+      assert.equal((await view(token)).status, 200);
+      const { status, body } = await view(token);
+      assert.equal(status, 410);
+      assert.equal(body.code, 'share_view_limit');
+    });
+
+    it("doesn't count views with a wrong password", async () => {
+      const token = await share({ maxViews: 1, password: 'open sesame' });
+      assert.equal((await view(token, { 'X-Share-Password': 'wrong' })).status, 401);
+      assert.equal((await view(token, { 'X-Share-Password': 'open sesame' })).status, 200);
+    });
+  });
+
+  it('only shows the sections the share includes', async () => {
+    const token = await share({ permissions: { resumeMarkdown: 'view', coverLetterMarkdown: 'view', notes: 'none' } });
+    const { body } = await view(token);
+    assert.equal(body.resumeMarkdown, '# Jane Doe\n\nResume');
+    assert.equal(body.notes, undefined);
+  });
+
+  it('refuses an expiry in the past', async () => {
+    const doc = await createDocument(request, 'alice');
+    const { status } = await request('POST', `/api/documents/${doc.id}/share`, {
+      user: 'alice',
+      body: { expiresAt: new Date(Date.now() - 60 * 1000).toISOString() },
+    });
+    assert.equal(status, 400);
+  });
+
+  describe('multiple links per document', () => {
+    const sharesOf = doc => `/api/documents/${doc.id}/shares`;
+    const createLink = (doc, body, user = 'alice') => request('POST', sharesOf(doc), { user, body });
+    const listLinks = async doc => (await request('GET', sharesOf(doc), { user: 'alice' })).body;
+
+    it('gives each link its own label and rights, the first one being the default', async () => {
+      const doc = await createDocument(request, 'alice', { notes: 'Private notes' });
+      const recruiter = await createLink(doc, { label: 'Recruiter', permissions: { resumeMarkdown: 'view' } });
+      assert.equal(recruiter.status, 201);
+      assert.equal(recruiter.body.isDefault, true);
+      const mentor = await createLink(doc, { label: 'Mentor', permissions: { resumeMarkdown: 'comment', notes: 'view' } });
+      assert.equal(mentor.body.isDefault, false);
+
+      const links = await listLinks(doc);
+      assert.deepEqual(links.map(link => [link.label, link.isDefault]).sort(), [['Mentor', false], ['Recruiter', true]]);
+      assert.ok(links.every(link => link.passwordHash === undefined));
+
+      assert.equal((await view(recruiter.body.shareToken)).body.notes, undefined);
+      assert.equal((await view(mentor.body.shareToken)).body.notes, 'Private notes');
+    });
+
+    it('moves the default to another link and keeps the other settings on update', async () => {
+      const doc = await createDocument(request, 'alice');
+      const first = (await createLink(doc, { label: 'First' })).body;
+      const second = (await createLink(doc, { label: 'Second', maxViews: 5, isDefault: true })).body;
+      assert.equal(second.isDefault, true);
+      assert.equal((await request('GET', `/api/documents/${doc.id}/share`, { user: 'alice' })).body.label, 'Second');
+
+      const updated = await request('PUT', `${sharesOf(doc)}/${first.shareToken}`, {
+        user: 'alice',
+        body: { label: 'Renamed', isDefault: true },
+      });
+      assert.equal(updated.status, 200);
+      const links = await listLinks(doc);
+      const byToken = token => links.find(link => link.shareToken === token);
+      assert.deepEqual([byToken(first.shareToken).label, byToken(first.shareToken).isDefault], ['Renamed', true]);
+      assert.deepEqual([byToken(second.shareToken).isDefault, byToken(second.shareToken).maxViews], [false, 5]);
+    });
+
+    it('revokes one link or all links of a document', async () => {
+      const doc = await createDocument(request, 'alice');
+      const first = (await createLink(doc, {})).body;
+      const second = (await createLink(doc, {})).body;
+      const third = (await createLink(doc, {})).body;
+
+      assert.equal((await request('DELETE', `${sharesOf(doc)}/${first.shareToken}`, { user: 'alice' })).status, 200);
+      assert.equal((await view(first.shareToken)).status, 404);
+      assert.equal((await view(second.shareToken)).status, 200);
+
+      const { body } = await request('DELETE', sharesOf(doc), { user: 'alice' });
+      assert.equal(body.revoked, 2);
+      assert.equal((await view(third.shareToken)).status, 404);
+      assert.equal((await request('GET', `/api/documents/${doc.id}/share`, { user: 'alice' })).status, 404);
+    });
+
+    it('refuses invalid settings with a 400', async () => {
+      const doc = await createDocument(request, 'alice');
+      assert.equal((await createLink(doc, { label: 'x'.repeat(101) })).status, 400);
+      assert.equal((await createLink(doc, { permissions: { resumeMarkdown: 'own' } })).status, 400);
+      assert.equal((await createLink(doc, { expiresInDays: 0 })).status, 400);
+      const link = (await createLink(doc, {})).body;
+      const update = await request('PUT', `${sharesOf(doc)}/${link.shareToken}`, { user: 'alice', body: { maxViews: 0 } });
+      assert.equal(update.status, 400);
+    });
+
+    it("answers a 404 for unknown documents and links, and a 403 for another user's", async () => {
+      const doc = await createDocument(request, 'alice');
+      const link = (await createLink(doc, {})).body;
+      const other = await createDocument(request, 'alice');
+
+      assert.equal((await createLink({ id: 'missing' }, {})).status, 404);
+      assert.equal((await request('PUT', `${sharesOf(doc)}/missing`, { user: 'alice', body: { label: 'x' } })).status, 404);
+      assert.equal((await request('DELETE', `${sharesOf(doc)}/missing`, { user: 'alice' })).status, 404);
+      assert.equal((await createLink(doc, {}, 'bob')).status, 403);
+      assert.equal((await request('DELETE', `${sharesOf(doc)}/${link.shareToken}`, { user: 'bob' })).status, 403);
+      assert.equal((await request('DELETE', `${sharesOf(other)}/${link.shareToken}`, { user: 'alice' })).status, 403);
+    });
+  });
+
+  it('revokes every link of the user at once', async () => {
+    const token = await share({});
+    const { body } = await request('DELETE', '/api/shares', { user: 'alice' });
+    assert.ok(body.revoked >= 1);
+    assert.equal((await view(token)).status, 404);
+  });
+});
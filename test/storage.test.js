@@ -0,0 +1,127 @@
+// test/storage.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+
+// The memory and file drivers share an adapter; the file driver also has to survive a reload.
+// The Firestore adapter needs a Firebase project and isn't run here.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+const storageFile = path.join(tmpDir, 'storage.json');
+const openFileStorage = () => {
+  process.env.STORAGE_FILE = storageFile;
+  return createStorage({ driver: 'file' });
+};
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+for (const driver of ['memory', 'file']) {
+  describe(`${driver} storage`, () => {
+    let storage;
+    before(() => {
+      fs.rmSync(storageFile, { force: true });
+      storage = driver === 'file' ? openFileStorage() : createStorage({ driver });
+    });
+
+    it('creates documents at version 1 with the list fields filled in', async () => {
+      const doc = await storage.documents.create({ userId: 'alice', companyName: 'Acme', createdAt: new Date() });
+      assert.equal(doc.version, 1);
+      assert.deepEqual(doc.tags, []);
+      assert.equal(doc.folderId, null);
+      assert.equal(doc.archived, false);
+      assert.deepEqual(await storage.documents.get(doc.id), doc);
+    });
+
+    it('bumps the version on updates and rejects stale ones with a version conflict', async () => {
+      const doc = await storage.documents.create({ userId: 'alice', companyName: 'Acme', createdAt: new Date() });
+      await storage.documents.update(doc.id, { companyName: 'Acme Inc' }, { userId: 'alice', expectedVersion: 1 });
+      assert.equal((await storage.documents.get(doc.id)).version, 2);
+
+      await assert.rejects(
+        storage.documents.update(doc.id, { companyName: 'Stale' }, { userId: 'alice', expectedVersion: 1 }),
+        error => error.status === 409 && error.code === 'version_conflict' && error.data.version === 2,
+      );
+      assert.equal((await storage.documents.get(doc.id)).companyName, 'Acme Inc');
+    });
+
+    it('checks ownership with getOwned', async () => {
+      const doc = await storage.documents.create({ userId: 'alice', createdAt: new Date() });
+      assert.equal((await storage.documents.getOwned(doc.id, 'alice')).id, doc.id);
+      await assert.rejects(storage.documents.getOwned(doc.id, 'bob'), { status: 403 });
+      await assert.rejects(storage.documents.getOwned('missing', 'alice'), { status: 404 });
+    });
+
+    it('finds documents through the search index', async () => {
+      const doc = await storage.documents.create({ userId: 'carol', companyName: 'Globex', createdAt: new Date() });
+      await storage.documents.create({ userId: 'carol', companyName: 'Initech', createdAt: new Date() });
+      assert.deepEqual(await storage.searchIndex.search('carol', ['globex']), [doc.id]);
+      assert.deepEqual(await storage.searchIndex.search('alice', ['globex']), []);
+    });
+
+    it('deletes a document with its revisions, comments, shares, share events and index entry', async () => {
+      const doc = await storage.documents.create({ userId: 'dave', companyName: 'Umbrella', createdAt: new Date() });
+      await storage.revisions.add(doc.id, { resumeMarkdown: 'old', createdAt: new Date() });
+      await storage.comments.add(doc.id, { body: 'Nice', createdAt: new Date() });
+      await storage.shares.set('token1', { documentId: doc.id, createdBy: 'dave', createdAt: new Date() });
+      await storage.shareEvents.add({ ownerId: 'dave', documentId: doc.id, type: 'view', at: new Date() });
+
+      await storage.documents.delete(doc.id, { userId: 'dave' });
+
+      assert.equal(await storage.documents.get(doc.id), null);
+      assert.deepEqual(await storage.revisions.list(doc.id), []);
+      assert.deepEqual(await storage.comments.list(doc.id), []);
+      assert.equal(await storage.shares.get('token1'), null);
+      assert.deepEqual(await storage.shareEvents.list('dave'), []);
+      assert.deepEqual(await storage.searchIndex.search('dave', ['umbrella']), []);
+    });
+
+    it('bulk updates all or nothing', async () => {
+      const doc = await storage.documents.create({ userId: 'erin', createdAt: new Date() });
+      await assert.rejects(
+        storage.documents.bulkUpdate([{ id: doc.id, patch: { archived: true } }, { id: 'missing', patch: { archived: true } }], { userId: 'erin' }),
+        { status: 404 },
+      );
+      assert.equal((await storage.documents.get(doc.id)).archived, false);
+    });
+
+    it("counts the writes to each user's data in its generation", async () => {
+      const doc = await storage.documents.create({ userId: 'frank', createdAt: new Date() });
+      const before = storage.generation('frank');
+      await storage.documents.update(doc.id, { companyName: 'Hooli' }, { userId: 'frank' });
+      await storage.pipelines.set('frank', { stages: [] });
+      assert.equal(storage.generation('frank'), before + 2);
+      assert.equal(storage.generation('nobody'), 0);
+      await assert.rejects(storage.documents.update(doc.id, { companyName: 'Pied Piper' }), /needs the owner/);
+    });
+
+    it('stops counting share views at the limit', async () => {
+      await storage.shares.set('limited', { documentId: 'doc', createdBy: 'alice', createdAt: new Date() });
+      assert.equal(await storage.shares.recordView('limited', 2), true);
+      assert.equal(await storage.shares.recordView('limited', 2), true);
+      assert.equal(await storage.shares.recordView('limited', 2), false);
+      assert.equal((await storage.shares.get('limited')).viewCount, 2);
+    });
+
+    it('hands out copies of the stored records', async () => {
+      const doc = await storage.documents.create({ userId: 'alice', tags: ['a'], createdAt: new Date() });
+      const loaded = await storage.documents.get(doc.id);
+      loaded.tags.push('b');
+      assert.deepEqual((await storage.documents.get(doc.id)).tags, ['a']);
+    });
+  });
+}
+
+describe('file storage across restarts', () => {
+  it('keeps its data, dates included', async () => {
+    fs.rmSync(storageFile, { force: true });
+    const createdAt = new Date('2024-03-01T12:00:00Z');
+    const doc = await openFileStorage().documents.create({ userId: 'alice', companyName: 'Acme', createdAt });
+
+    const reloaded = await openFileStorage().documents.get(doc.id);
+    assert.equal(reloaded.companyName, 'Acme');
+    assert.ok(reloaded.createdAt instanceof Date);
+    assert.equal(reloaded.createdAt.getTime(), createdAt.getTime());
+  });
+});
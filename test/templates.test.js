@@ -0,0 +1,109 @@
+// test/templates.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getTemplate, listTemplates, buildHtml } = require('../templates');
+const { startServer, createDocument } = require('./helpers');
+
+describe('template registry', () => {
+  it('lists every template, classic being the default', () => {
+    const templates = listTemplates();
+    assert.deepEqual(templates.map(template => template.id), ['classic', 'modern', 'compact', 'ats-plain']);
+    assert.deepEqual(templates.filter(template => template.isDefault).map(template => template.id), ['classic']);
+    assert.equal(templates[0].pageOptions.pageSize, 'A4');
+    assert.equal(templates[0].css, undefined);
+  });
+
+  it('falls back to the default and refuses unknown ids with a 400', () => {
+    assert.equal(getTemplate(null).id, 'classic');
+    assert.equal(getTemplate('compact').id, 'compact');
+    assert.throws(() => getTemplate('fancy'), { status: 400, message: /Unknown template "fancy"/ });
+  });
+
+  it("wraps the HTML in the template's stylesheet and shell", () => {
+    const html = buildHtml(getTemplate('classic'), '<h1>Jane</h1>');
+    assert.match(html, /server\/templates\/classic\.css/);
+    assert.match(html, /<div class="resume-preview"><h1>Jane<\/h1><\/div>/);
+  });
+
+  it('moves skills and education into the sidebar of the modern template', () => {
+    const html = buildHtml(getTemplate('modern'),
+      '<h1>Jane</h1><h2>Experience</h2><p>Acme</p><h2>Skills</h2><p>Node</p><h2>Education</h2><p>MIT</p>');
+    const sidebar = html.match(/<td class="resume-sidebar">([\s\S]*?)<\/td>/)[1];
+    const main = html.match(/<td class="resume-main">([\s\S]*?)<\/td>/)[1];
+    assert.equal(sidebar, '<h2>Skills</h2><p>Node</p><h2>Education</h2><p>MIT</p>');
+    assert.equal(main, '<h2>Experience</h2><p>Acme</p>');
+    assert.match(html, /<div class="resume-header"><h1>Jane<\/h1><\/div>/);
+  });
+});
+
+describe('template routes', () => {
+  // A stand-in for wkhtmltopdf that prints a fake PDF holding its arguments and the HTML it was given
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-test-'));
+  const stubPath = path.join(tmpDir, 'wkhtmltopdf');
+  fs.writeFileSync(stubPath, '#!/bin/sh\necho "%PDF-1.4 $*"\ncat\n', { mode: 0o755 });
+
+  let server;
+  let request;
+  before(async () => {
+    server = await startServer({ WKHTMLTOPDF_PATH: stubPath });
+    ({ request } = server);
+  });
+  after(async () => {
+    await server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const generate = body => request('POST', '/api/generate-pdf', { user: 'alice', body: { markdownContent: '# Jane Doe', ...body } });
+
+  it('lists the templates without signing in', async () => {
+    const { status, body } = await request('GET', '/api/templates');
+    assert.equal(status, 200);
+    assert.deepEqual(body, listTemplates());
+  });
+
+  it('renders with the chosen template and its page options', async () => {
+    const { status, body } = await generate({ template: 'modern' });
+    assert.equal(status, 200);
+    const pdf = body.toString();
+    assert.match(pdf, /server\/templates\/modern\.css/);
+    assert.match(pdf, /--margin-top 25px/);
+    assert.match(pdf, /class="resume-columns"/);
+
+    assert.match((await generate({})).body.toString(), /server\/templates\/classic\.css/);
+  });
+
+  it('refuses unknown templates with a 400', async () => {
+    const { status, body } = await generate({ template: 'fancy' });
+    assert.equal(status, 400);
+    assert.equal(body.details[0].path, 'body.template');
+    assert.equal((await createDocument(request, 'alice', { template: 'compact' })).template, 'compact');
+    const created = await request('POST', '/api/documents', {
+      user: 'alice',
+      body: { companyName: 'Acme', positionName: 'Engineer', template: 'fancy' },
+    });
+    assert.equal(created.status, 400);
+  });
+
+  it("downloads a share in the owner's template unless the link asks for another", async () => {
+    const doc = await createDocument(request, 'alice', { template: 'compact' });
+    const { body: share } = await request('POST', `/api/documents/${doc.id}/share`, {
+      user: 'alice',
+      body: { permissions: { resumeMarkdown: 'view' } },
+    });
+    const token = share.shareUrl.split('/').pop();
+    const download = query => request('GET', `/api/documents/share/${token}/download?resume=true${query}`);
+
+    assert.match((await download('')).body.toString(), /server\/templates\/compact\.css/);
+    assert.match((await download('&template=ats-plain')).body.toString(), /server\/templates\/ats-plain\.css/);
+    assert.equal((await download('&template=fancy')).status, 400);
+    assert.equal((await request('GET', '/api/documents/share/missing/download?resume=true')).status, 404);
+  });
+
+  it('answers a 404 for a documentId that is not there', async () => {
+    const { status } = await generate({ documentId: 'missing' });
+    assert.equal(status, 404);
+  });
+});
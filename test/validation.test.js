@@ -0,0 +1,114 @@
+// test/validation.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  string, integer, boolean, array, object, anyOf, validate,
+} = require('../validation');
+const { startServer } = require('./helpers');
+
+// Run `schemas` over a request like validate() does in a route; resolves to { error, req }
+function check(schemas, req) {
+  const request = { params: {}, query: {}, ...req };
+  return new Promise(resolve => {
+    validate(schemas)(request, {}, error => resolve({ error, req: request }));
+  });
+}
+
+const issuesOf = async (schemas, req) => {
+  const { error } = await check(schemas, req);
+  return error ? error.details.map(({ path, code }) => `${path}:${code}`) : [];
+};
+
+describe('validate', () => {
+  const body = object({
+    name: string({ min: 1, max: 5 }),
+    note: string().optional(),
+    folderId: string().nullable().optional(),
+    tags: array(string({ max: 3 }), { max: 2 }).optional(),
+  });
+
+  it('requires fields unless they are optional', async () => {
+    assert.deepEqual(await issuesOf({ body }, { body: {} }), ['body.name:required']);
+    assert.deepEqual(await issuesOf({ body }, { body: { name: 'Ann' } }), []);
+  });
+
+  it('rejects null unless the field is nullable', async () => {
+    assert.deepEqual(await issuesOf({ body }, { body: { name: null, folderId: null } }), ['body.name:invalid_type']);
+  });
+
+  it('reports every problem with its path and a 400', async () => {
+    const { error } = await check({ body }, { body: { name: 'Too long', note: 7, tags: ['ok', 'long tag'] } });
+    assert.equal(error.status, 400);
+    assert.equal(error.code, 'validation_failed');
+    assert.deepEqual(error.details.map(({ path, code }) => `${path}:${code}`), [
+      'body.name:too_long',
+      'body.note:invalid_type',
+      'body.tags[1]:too_long',
+    ]);
+    assert.match(error.message, /^name must be at most 5 characters\./);
+  });
+
+  it('hands the route only the fields the schema knows', async () => {
+    const { error, req } = await check({ body }, { body: { name: 'Ann', isAdmin: true } });
+    assert.equal(error, undefined);
+    assert.deepEqual(req.body, { name: 'Ann' });
+  });
+
+  it('rejects unknown fields when asked to', async () => {
+    const strict = object({ view: boolean() }, { unknown: 'reject' });
+    assert.deepEqual(await issuesOf({ body: strict }, { body: { view: true, edit: true } }), ['body.edit:unknown_field']);
+  });
+
+  it('accepts written-out integers in query strings', async () => {
+    const query = object({ limit: integer({ min: 1, max: 100, fromString: true }).optional() });
+    assert.deepEqual(await issuesOf({ query }, { query: { limit: '25' } }), []);
+    assert.deepEqual(await issuesOf({ query }, { query: { limit: '250' } }), ['query.limit:too_large']);
+    assert.deepEqual(await issuesOf({ query }, { query: { limit: 'ten' } }), ['query.limit:invalid_type']);
+  });
+
+  it('takes the first type of anyOf that fits', async () => {
+    const margins = object({ margins: anyOf(string({ max: 20 }), object({ top: string() })) });
+    assert.deepEqual(await issuesOf({ body: margins }, { body: { margins: '10mm' } }), []);
+    assert.deepEqual(await issuesOf({ body: margins }, { body: { margins: { top: '1in' } } }), []);
+    assert.deepEqual(await issuesOf({ body: margins }, { body: { margins: 10 } }), ['body.margins:invalid_type']);
+  });
+});
+
+describe('error responses', () => {
+  let server;
+  let request;
+  before(async () => {
+    server = await startServer();
+    ({ request } = server);
+  });
+  after(() => server.close());
+
+  it('answers invalid bodies with the field problems', async () => {
+    const { status, body } = await request('POST', '/api/documents', { user: 'alice', body: { companyName: 42 } });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'validation_failed');
+    assert.deepEqual(body.details.map(({ path }) => path), ['body.companyName']);
+  });
+
+  it('enforces required fields', async () => {
+    const { status, body } = await request('DELETE', '/api/account', { user: 'alice', body: {} });
+    assert.equal(status, 400);
+    assert.deepEqual(body.details.map(({ path, code }) => `${path}:${code}`), ['body.confirm:required']);
+  });
+
+  it('answers malformed JSON with invalid_json', async () => {
+    const { status, body } = await request('POST', '/api/documents', {
+      user: 'alice',
+      headers: { 'content-type': 'application/json' },
+      rawBody: '{"companyName":',
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'invalid_json');
+  });
+
+  it('answers unknown API routes with route_not_found', async () => {
+    const { status, body } = await request('GET', '/api/nothing-here', { user: 'alice' });
+    assert.equal(status, 404);
+    assert.equal(body.code, 'route_not_found');
+  });
+});
@@ -0,0 +1,195 @@
+// server/validation.js
+const { httpError } = require('./errors');
+
+// Declarative request validation. A schema is built from the helpers below, e.g.
+//
+//   object({ name: string({ max: 100 }), tags: array(string({ max: 40 })).optional() })
+//
+// and checks a value with check(value, path, issues): it returns the cleaned value and adds
+// { path, code, message } to `issues` for every problem found. Paths name the field in the
+// request, like "body.tags[2]" or "query.limit". Values are required and non-null unless the
+// schema is made .optional() or .nullable().
+
+// What the messages call a field: its path without the request part ("tags[2]", not "body.tags[2]")
+const fieldName = path => path.replace(/^(body|query|params)\.?/, '') || path;
+
+const issue = (path, code, message) => ({ path, code, message: `${fieldName(path)} ${message}.` });
+
+function schema(expected, check, flags = {}) {
+  return {
+    expected,
+    check,
+    flags,
+    optional() { return schema(expected, check, { ...flags, optional: true }); },
+    nullable() { return schema(expected, check, { ...flags, nullable: true }); },
+  };
+}
+
+function run(type, value, path, issues) {
+  if (value === undefined) {
+    if (!type.flags.optional) issues.push(issue(path, 'required', 'is required'));
+    return undefined;
+  }
+  if (value === null) {
+    if (!type.flags.nullable) issues.push(issue(path, 'invalid_type', `must be ${type.expected}`));
+    return null;
+  }
+  return type.check(value, path, issues);
+}
+
+// A string of `min` to `max` characters. `oneOf` lists the allowed values; `pattern` the allowed
+// format, described by `format` in the message.
+function string({ min = 0, max, oneOf, pattern, format } = {}) {
+  return schema('a string', (value, path, issues) => {
+    if (typeof value !== 'string') {
+      issues.push(issue(path, 'invalid_type', 'must be a string'));
+    } else if (oneOf && !oneOf.includes(value)) {
+      issues.push(issue(path, 'invalid_enum', `must be one of: ${oneOf.join(', ')}`));
+    } else if (max !== undefined && value.length > max) {
+      issues.push(issue(path, 'too_long', `must be at most ${max} characters`));
+    } else if (value.length < min) {
+      issues.push(issue(path, 'too_short', min === 1 ? 'must not be empty' : `must be at least ${min} characters`));
+    } else if (pattern && !pattern.test(value)) {
+      issues.push(issue(path, 'invalid_format', `must be ${format || `in the format ${pattern}`}`));
+    }
+    return value;
+  });
+}
+
+// Query string values are always strings, so `fromString` accepts the written-out form too
+// ("25", "true"). The value is checked, not converted: routes parse query strings themselves.
+function integer({ min, max, fromString = false } = {}) {
+  return schema('an integer', (value, path, issues) => {
+    const number = fromString && typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+    if (!Number.isInteger(number)) {
+      issues.push(issue(path, 'invalid_type', 'must be an integer'));
+    } else if (min !== undefined && number < min) {
+      issues.push(issue(path, 'too_small', `must be at least ${min}`));
+    } else if (max !== undefined && number > max) {
+      issues.push(issue(path, 'too_large', `must be at most ${max}`));
+    }
+    return value;
+  });
+}
+
+function number({ min, max } = {}) {
+  return schema('a number', (value, path, issues) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      issues.push(issue(path, 'invalid_type', 'must be a number'));
+    } else if (min !== undefined && value < min) {
+      issues.push(issue(path, 'too_small', `must be at least ${min}`));
+    } else if (max !== undefined && value > max) {
+      issues.push(issue(path, 'too_large', `must be at most ${max}`));
+    }
+    return value;
+  });
+}
+
+function boolean({ fromString = false } = {}) {
+  return schema('true or false', (value, path, issues) => {
+    const allowed = typeof value === 'boolean' || (fromString && ['true', 'false', '1', '0'].includes(value));
+    if (!allowed) issues.push(issue(path, 'invalid_type', 'must be true or false'));
+    return value;
+  });
+}
+
+// A date as an ISO 8601 string. Kept as the string; routes turn it into a Date.
+function isoDate() {
+  return schema('an ISO date', (value, path, issues) => {
+    if (typeof value !== 'string' || value.length > 40 || Number.isNaN(new Date(value).getTime())) {
+      issues.push(issue(path, 'invalid_format', 'must be an ISO date'));
+    }
+    return value;
+  });
+}
+
+function array(item, { min = 0, max } = {}) {
+  return schema('an array', (value, path, issues) => {
+    if (!Array.isArray(value)) {
+      issues.push(issue(path, 'invalid_type', 'must be an array'));
+      return value;
+    }
+    if (max !== undefined && value.length > max) {
+      issues.push(issue(path, 'too_long', `must have at most ${max} items`));
+      return value;
+    }
+    if (value.length < min) {
+      issues.push(issue(path, 'too_short', min === 1 ? 'must not be empty' : `must have at least ${min} items`));
+    }
+    return value.map((entry, index) => run(item, entry, `${path}[${index}]`, issues));
+  });
+}
+
+// An object with the fields in `shape`. Fields it doesn't know are dropped, or reported
+// with `unknown: 'reject'`. The cleaned object leaves out fields that were not sent.
+function object(shape, { unknown = 'strip' } = {}) {
+  return schema('an object', (value, path, issues) => {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      issues.push(issue(path, 'invalid_type', 'must be an object'));
+      return value;
+    }
+    const prefix = path ? `${path}.` : '';
+    if (unknown === 'reject') {
+      Object.keys(value)
+        .filter(key => !Object.prototype.hasOwnProperty.call(shape, key))
+        .forEach(key => issues.push(issue(`${prefix}${key}`, 'unknown_field', 'is not allowed')));
+    }
+    const cleaned = {};
+    Object.keys(shape).forEach(key => {
+      const result = run(shape[key], value[key], `${prefix}${key}`, issues);
+      if (result !== undefined) cleaned[key] = result;
+    });
+    return cleaned;
+  });
+}
+
+// A value matching any of `types` (checked in order; the first that fits wins)
+function anyOf(...types) {
+  const expected = types.map(type => type.expected).join(' or ');
+  return schema(expected, (value, path, issues) => {
+    for (const type of types) {
+      const typeIssues = [];
+      const result = run(type, value, path, typeIssues);
+      if (!typeIssues.length) return result;
+    }
+    issues.push(issue(path, 'invalid_type', `must be ${expected}`));
+    return value;
+  });
+}
+
+// The 400 for a failed validation, listing every problem in `details`
+function validationError(issues) {
+  const shown = issues.slice(0, 3).map(({ message }) => message).join(' ');
+  const more = issues.length > 3 ? ` (and ${issues.length - 3} more)` : '';
+  return httpError(400, `${shown}${more}`, { code: 'validation_failed', details: issues });
+}
+
+// Middleware validating the request's params, query and body against `schemas`. The body is
+// replaced by its cleaned version, so routes only see the fields the schema describes.
+function validate(schemas) {
+  return (req, res, next) => {
+    const issues = [];
+    const cleaned = {};
+    ['params', 'query', 'body'].forEach(part => {
+      if (schemas[part]) cleaned[part] = run(schemas[part], req[part] || {}, part, issues);
+    });
+    if (issues.length) {
+      return next(validationError(issues));
+    }
+    if (schemas.body) req.body = cleaned.body;
+    next();
+  };
+}
+
+module.exports = {
+  string,
+  integer,
+  number,
+  boolean,
+  isoDate,
+  array,
+  object,
+  anyOf,
+  validationError,
+  validate,
+};